@@ -1,6 +1,9 @@
 import { asyncParse, debounce } from '../js/utils/sse.utils';
 import { MESSAGE_TYPES } from '../../server/constants/sse.constants';
-import { updateLiveFileInformation } from '../js/pages/file-manager/file-manager-sse.handler';
+import {
+  updateLiveFileInformation,
+  updateFileDistribution,
+} from '../js/pages/file-manager/file-manager-sse.handler';
 import currentOperationsPanelService from '../js/services/current-operations-panel.service';
 import {
   triggerCountDownTimer,
@@ -113,8 +116,12 @@ function setupEventSource() {
     }
 
     if (type === MESSAGE_TYPES.NEW_CAMERA_IMAGE) {
-      const { printerID, cameraURL } = message;
-      await updateCameraImage(printerID, cameraURL);
+      const { printerID, cameraURL, cameraIndex } = message;
+      await updateCameraImage(printerID, cameraURL, cameraIndex);
+    }
+
+    if (type === MESSAGE_TYPES.FILE_DISTRIBUTION) {
+      updateFileDistribution(message);
     }
   };
   evtSource.onopen = function (e) {
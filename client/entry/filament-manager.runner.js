@@ -14,12 +14,20 @@ import {
   updateProfileDrop,
   updatePrinterDrops,
 } from '../js/pages/filament-manager/filament-manager-ui.utils';
+import {
+  renderStockInventory,
+  setupStockInventoryListeners,
+} from '../js/pages/filament-manager/filament-manager-inventory.utils';
 
 async function init() {
   await renderFilamentUsageCharts();
 
   await loadPageStatistics();
 
+  await renderStockInventory();
+
+  setupStockInventoryListeners();
+
   await renderProfilesManagerTable();
 
   addProfileTableListeners();
@@ -13,6 +13,8 @@ import { printerIsOnline } from '../js/utils/octofarm.utils';
 import { printerTemplate } from '../js/pages/file-manager/file.template';
 import { ClientErrors } from '../js/exceptions/octofarm-client.exceptions';
 import { ApplicationError } from '../js/exceptions/application-error.handler';
+import { updateFileDistribution } from '../js/pages/file-manager/file-manager-sse.handler';
+import { DISTRIBUTION_JOB_STATES } from '../../server/constants/file-distribution.constants';
 import '../js/services/gcode-scripts.service';
 
 let lastId = null;
@@ -114,6 +116,32 @@ class Manager {
   static async init() {
     // Draw printer list from server
     await Manager.drawPrinterList();
+    await Manager.drawFileDistributions();
+  }
+
+  // Uploads carry on server side when the page is closed, pick them back up in the upload queue
+  static async drawFileDistributions() {
+    const distributions = await OctoFarmClient.getFileDistributions();
+    const unfinished = [DISTRIBUTION_JOB_STATES.QUEUED, DISTRIBUTION_JOB_STATES.RUNNING];
+    distributions
+      .filter((distribution) => unfinished.includes(distribution.status))
+      .forEach((distribution) => {
+        distribution.targets.forEach((target) => {
+          updateFileDistribution({
+            jobID: distribution._id,
+            fileName: distribution.fileName,
+            folder: distribution.folder,
+            size: distribution.size,
+            jobStatus: distribution.status,
+            printerID: target.printerID,
+            printerName: target.printerName,
+            status: target.status,
+            attempts: target.attempts,
+            message: target.message,
+            sent: 0,
+          });
+        });
+      });
   }
 
   static async changePrinter(e, target) {
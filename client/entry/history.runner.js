@@ -9,17 +9,27 @@ import * as ApexCharts from 'apexcharts';
 import OctoFarmClient from '../js/services/octofarm-client.service';
 import { ELEMENTS, HISTORY_CONSTANTS, SORT_CONSTANTS } from '../js/constants/history.constants';
 import {
+  returnFailureAnalysis,
   returnHistoryFilterDefaultSelected,
   returnHistoryPagination,
   returnHistoryTableRow,
+  returnTimelapsePlayer,
 } from '../js/pages/history/history.templates';
+import { startMjpegAviPlayers } from '../js/utils/mjpeg-avi.utils';
 import { daysBetweenTwoDates, getFirstDayOfLastMonth } from '../js/utils/date.utils';
 import Litepicker from 'litepicker';
 import { dashboardOptions } from '../js/pages/charts/dashboard.options';
+import {
+  openHistoryExportDialog,
+  openHistoryImportDialog,
+} from '../js/pages/history/history-export.functions';
+import { pickFailureReason } from '../js/services/failure-reason.service';
+import { renderTemperatureHistoryChart } from '../js/pages/charts/temperature-history.chart';
 
 let timelapseCount;
 let snapshotCount;
 let thumbnailCount;
+let historyTemperatureChart = null;
 
 const timelapseButton = document.getElementById("timelapseGallery")
 const snapshotsButton = document.getElementById("snapshotGallery")
@@ -30,7 +40,7 @@ timelapseButton.addEventListener('click', () => {
   let gallery = "";
   const galleryItemsElement = document.getElementById("galleryItems")
 
-  thumbnailCount.forEach((history) => {
+  timelapseCount.forEach((history) => {
     let days_between_text = ""
     const days_between_count = days_between(history.endDate, new Date())
     if(days_between_count <= 0){
@@ -43,9 +53,7 @@ timelapseButton.addEventListener('click', () => {
     gallery += `
       <div class="col-12 col-sm-12 col-md-6 col-lg-3 col-xl-3">
         <div class="card mb-3">
-          <video loop="loop" controls="controls" style="width: 100%;">
-            <source src='${encodeURI(history.timelapse)}'>
-          </video>
+          ${returnTimelapsePlayer(history.timelapse, 'width: 100%;', false)}
           <div class="card-body">
             <h6 class="card-text text-truncate">${history.file.name}</h6>
             <p class="card-text"><small class="text-muted">Printed ${days_between_text}</small></p>
@@ -55,6 +63,7 @@ timelapseButton.addEventListener('click', () => {
     `
   })
   galleryItemsElement.innerHTML = gallery;
+  startMjpegAviPlayers(galleryItemsElement);
 })
 
 snapshotsButton.addEventListener('click', () => {
@@ -144,11 +153,27 @@ document.getElementById('historyTable').addEventListener('click', (e) => {
   e.preventDefault();
   History.gallery(e);
 });
+document.getElementById('historyTable').addEventListener('click', (e) => {
+  History.classifyFailure(e);
+});
 $('#historyModal').on('hidden.bs.modal', function (e) {
   document.getElementById('historySaveBtn').remove();
   document.getElementById('historyUpdateCostBtn').remove();
 });
 
+document.getElementById('historyExportBtn').addEventListener('click', () => {
+  const printerFilter = ELEMENTS.printerNamesFilter.value;
+  openHistoryExportDialog({
+    from: History.datePicker?.getDate()?.dateInstance ?? getFirstDayOfLastMonth(),
+    to: History.datePicker?.getEndDate()?.dateInstance ?? new Date(),
+    printerName: printerFilter !== 'Filter' ? printerFilter.replace(/_/g, ' ') : undefined,
+  });
+});
+
+document.getElementById('historyImportBtn').addEventListener('click', () => {
+  openHistoryImportDialog(() => History.get(1, true));
+});
+
 class History {
   static historyList;
   static completionByDay;
@@ -241,6 +266,10 @@ class History {
       url += '&spoolSearch=' + ELEMENTS.spoolSearch.value.replace(/ /g, '-');
     }
 
+    if (ELEMENTS.failureReasonFilter.value !== 'Filter') {
+      url += '&failureReasonFilter=' + encodeURIComponent(ELEMENTS.failureReasonFilter.value);
+    }
+
     return url;
   }
   static drawHistoryTable(records) {
@@ -385,6 +414,10 @@ class History {
         await this.get();
       });
 
+      ELEMENTS.failureReasonFilter.addEventListener('change', async () => {
+        await this.get();
+      });
+
       this.listenersApplied = true;
     }
   }
@@ -469,6 +502,16 @@ class History {
           );
         }
       });
+      const selectedFailureReason = ELEMENTS.failureReasonFilter.value;
+      ELEMENTS.failureReasonFilter.innerHTML = returnHistoryFilterDefaultSelected();
+      filterData.failureReasons.forEach((reason) => {
+        ELEMENTS.failureReasonFilter.insertAdjacentHTML(
+          'beforeend',
+          `<option value="${reason}" ${
+            reason === selectedFailureReason ? 'selected' : ''
+          }> ${reason} </option>`
+        );
+      });
     }
   }
   static drawMonthlyStatistics(statistics) {
@@ -1122,6 +1165,10 @@ class History {
     // Load statistics totals
     this.drawStatisticsTotals(statisticsClean);
 
+    document.getElementById('failureAnalysis').innerHTML = returnFailureAnalysis(
+      statisticsClean.failureAnalysis
+    );
+
     this.hideGalleryLabels(history);
   }
 
@@ -1176,6 +1223,28 @@ class History {
 
   }
 
+  static async classifyFailure(e) {
+    const button = e.target.closest('.historyFailureReason');
+    if (!button) {
+      return;
+    }
+    await pickFailureReason(
+      {
+        historyID: button.dataset.historyId,
+        printerName: button.dataset.printerName,
+        fileName: button.dataset.fileName,
+        cancelled: button.dataset.cancelled === 'true',
+      },
+      (failureReason) => {
+        button.previousElementSibling.innerHTML = failureReason;
+        const record = this.historyList.find(({ _id }) => _id === button.dataset.historyId);
+        if (!!record) {
+          record.failureReason = failureReason;
+        }
+      }
+    );
+  }
+
   static async edit(e) {
     if (e.target.classList.contains('historyEdit')) {
       document.getElementById('saveHistoryBtns').innerHTML =
@@ -1371,6 +1440,26 @@ class History {
         </tr>
       `
       );
+      await History.loadTemperatures(current._id);
+    }
+  }
+
+  static async loadTemperatures(historyID) {
+    const graph = document.getElementById('historyTemperatureGraph');
+    graph.innerHTML = '<div class="text-center"><i class="fas fa-spinner fa-spin"></i></div>';
+    try {
+      const temperatures = await OctoFarmClient.getHistoryTemperatures(historyID);
+      historyTemperatureChart = await renderTemperatureHistoryChart(
+        graph,
+        temperatures,
+        historyTemperatureChart,
+        '250px'
+      );
+    } catch (e) {
+      console.error(e);
+      historyTemperatureChart = null;
+      graph.innerHTML =
+        '<p class="text-muted text-center">No temperature trace is available for this print.</p>';
     }
   }
 
@@ -1471,15 +1560,14 @@ class History {
             'beforeend',
             `
             <div class="carousel-item ${active} text-center" style="height:200px;">
-                <video autobuffer="autobuffer" autoplay="autoplay" loop="loop" controls="controls" style="height:350px;">
-                    <source src='${encodeURI(current.timelapse)}'>
-                </video>
+                ${returnTimelapsePlayer(current.timelapse, 'height:350px;')}
                   <div class="carousel-caption d-none d-md-block">
                     <h6>Timelapse</h6>
                   </div>
             </div>
           `
         );
+        startMjpegAviPlayers(thumbnail);
         thbs = true;
       }
       if (thbs) {
@@ -30,6 +30,15 @@ import {
 } from '../js/pages/printer-manager/functions/printer-manager.functions';
 
 import { setupSortablePrintersTable } from '../js/pages/printer-manager/functions/sortable-table';
+import {
+  addPrintQueueJob,
+  setupPrintQueueListeners,
+} from '../js/pages/printer-manager/functions/print-queue.functions';
+import {
+  addMaintenanceTask,
+  manageMaintenanceTasks,
+  setupMaintenanceListeners,
+} from '../js/pages/printer-manager/functions/maintenance.functions';
 
 const workerURL = '/printersInfo/get/';
 
@@ -238,6 +247,22 @@ bulkPowerBtn.addEventListener('click', async () => {
   );
 });
 
+const addPrintQueueJobBtn = document.getElementById('addPrintQueueJobBtn');
+addPrintQueueJobBtn.addEventListener('click', async () => {
+  await addPrintQueueJob();
+});
+setupPrintQueueListeners();
+
+const addMaintenanceTaskBtn = document.getElementById('addMaintenanceTaskBtn');
+addMaintenanceTaskBtn.addEventListener('click', async () => {
+  await addMaintenanceTask();
+});
+const manageMaintenanceTasksBtn = document.getElementById('manageMaintenanceTasksBtn');
+manageMaintenanceTasksBtn.addEventListener('click', async () => {
+  await manageMaintenanceTasks();
+});
+setupMaintenanceListeners();
+
 createClientSSEWorker(workerURL, workerEventFunction);
 
 setupSortablePrintersTable();
@@ -27,6 +27,8 @@ import {
   updateServerSettings,
 } from '../js/pages/system/server.actions';
 import { serverBootBoxOptions } from '../js/pages/system/utils/bootbox.options';
+import { setupBackupActions } from '../js/pages/system/backup.functions';
+import { setupAuditLog } from '../js/pages/system/audit-log.functions';
 import { removeLocalStorage } from '../js/services/local-storage.service';
 import { serverDatabaseKeys } from '../../server/constants/database.constants';
 
@@ -82,6 +84,7 @@ for (const key in serverDatabaseKeys) {
 if (serverActionsElements.LOG_DUMP_GENERATE) {
   grabOctoFarmLogList().then();
   Script.get().then();
+  Script.getDeliveries().then();
 }
 
 renderSystemCharts().then();
@@ -90,6 +93,8 @@ if (serverActionsElements.SERVER_TASK_LIST) {
 }
 
 startUpdateInfoRunner().then();
+setupBackupActions().then();
+setupAuditLog().then();
 ClientSettings.init().then();
 
 if (serverActionsElements.CLEAR_OLD_LOGS) {
@@ -6,6 +6,33 @@ module.exports = {
     dateBefore: "firstDate=",
     dateAfter: "lastDate=",
   },
+  // Mirrors the server side export columns, keyed by the name the export endpoint expects
+  HISTORY_EXPORT_COLUMNS: {
+    id: "ID",
+    state: "State",
+    failureReason: "Failure Reason",
+    printer: "Printer",
+    printerGroup: "Printer Group",
+    file: "File",
+    filePath: "File Path",
+    startDate: "Start Date",
+    endDate: "End Date",
+    printTime: "Print Time (s)",
+    printHours: "Print Hours",
+    user: "User",
+    spools: "Spools",
+    materials: "Materials",
+    filamentLength: "Filament Length (m)",
+    filamentWeight: "Filament Weight (g)",
+    filamentVolume: "Filament Volume (cm3)",
+    spoolCost: "Spool Cost",
+    electricityCost: "Electricity Cost",
+    maintenanceCost: "Maintenance Cost",
+    printerCost: "Printer Cost",
+    totalCost: "Total Cost",
+    costPerHour: "Cost Per Hour",
+    notes: "Notes",
+  },
   SORT_CONSTANTS: {
     printerNameAsc: "printer_name_asc",
     printerNameDesc: "printer_name_desc",
@@ -33,6 +60,7 @@ module.exports = {
     printerNamesFilter: document.getElementById("historyPrinterNames"),
     printerGroupsFilter: document.getElementById("historyPrinterGroups"),
     printerSearch: document.getElementById("historyPrinterSearch"),
+    failureReasonFilter: document.getElementById("historyFailureReasons"),
     printTimeTotal: document.getElementById("totalPrintTime"),
     filamentUsageTotal: document.getElementById("totalFilament"),
     filamentCostTotal: document.getElementById("totalCost"),
@@ -0,0 +1,116 @@
+import ApexCharts from "apexcharts";
+import {
+  defaultBackground,
+  enableAnimations,
+  noZoom,
+  showToolbar,
+  theme,
+  toFixedTempCelciusFormatter,
+  valueToLocaleTimeStringFormatter,
+} from "./chart.utils";
+import { rainBow } from "./chart.options";
+
+const heaterColors = {
+  tool0: "#fcc329",
+  tool1: "#ff8400",
+  tool2: "#ff00f2",
+  tool3: "#8000ff",
+  bed: "#009cff",
+  chamber: "#37ff00",
+};
+const noTemperaturesText = "No temperatures were recorded for this period";
+
+function heaterColor(heater, index) {
+  return heaterColors[heater] ?? rainBow()[index % rainBow().length];
+}
+
+function temperatureHistoryOptions(temperatureHistory, height) {
+  const series = [];
+  const colors = [];
+  const dashes = [];
+  temperatureHistory.series.forEach(({ name, actual, target }, index) => {
+    series.push({ name: `${name} Actual`, data: actual });
+    series.push({ name: `${name} Target`, data: target });
+    colors.push(heaterColor(name, index), heaterColor(name, index));
+    dashes.push(0, 5);
+  });
+  // Anything over a day reads better with the date on the axis
+  const spansDays =
+    new Date(temperatureHistory.to) - new Date(temperatureHistory.from) > 24 * 60 * 60 * 1000;
+
+  return {
+    chart: {
+      type: "line",
+      width: "100%",
+      height,
+      ...enableAnimations(false),
+      ...showToolbar(false),
+      ...noZoom(),
+      ...defaultBackground(),
+    },
+    ...theme(),
+    noData: {
+      text: noTemperaturesText,
+    },
+    colors,
+    stroke: {
+      curve: "smooth",
+      width: 2,
+      dashArray: dashes,
+    },
+    dataLabels: {
+      enabled: false,
+    },
+    series,
+    yaxis: {
+      title: {
+        text: "Temp",
+      },
+      labels: {
+        formatter: toFixedTempCelciusFormatter,
+      },
+    },
+    xaxis: {
+      type: "datetime",
+      min: new Date(temperatureHistory.from).getTime(),
+      max: new Date(temperatureHistory.to).getTime(),
+      labels: {
+        formatter: spansDays
+          ? (value) => new Date(value).toLocaleString()
+          : valueToLocaleTimeStringFormatter,
+      },
+    },
+    tooltip: {
+      x: {
+        formatter: (value) => new Date(value).toLocaleString(),
+      },
+    },
+    legend: {
+      position: "bottom",
+    },
+  };
+}
+
+/**
+ * Draws the actual and target temperatures returned by the temperature history endpoints, targets
+ * are dashed in the same colour as their heater.
+ * @param element where to draw the chart
+ * @param temperatureHistory response from the printer or history temperature endpoints
+ * @param previousChart a chart already drawn in the element, destroyed first
+ * @param height
+ * @returns {Promise<ApexCharts>}
+ */
+export async function renderTemperatureHistoryChart(
+  element,
+  temperatureHistory,
+  previousChart = null,
+  height = "300px"
+) {
+  if (!!previousChart) {
+    previousChart.destroy();
+  }
+  element.innerHTML = "";
+  const chart = new ApexCharts(element, temperatureHistoryOptions(temperatureHistory, height));
+  await chart.render();
+  return chart;
+}
@@ -9,6 +9,7 @@ export async function dashboardSSEventHandler(data) {
     const dashboard = data.dashStatistics;
     const dashboardSettings = data.dashboardSettings;
     const cameraList = data.cameraList
+    const printQueue = data.printQueue;
 
     DashUpdate.farmInformation(
       dashboard.timeEstimates,
@@ -50,6 +51,9 @@ export async function dashboardSSEventHandler(data) {
     if(dashboardSettings.other.cameraCarousel){
       DashUpdate.cameraCarousel(cameraList);
     }
+    if (dashboardSettings.farmActivity.printQueue) {
+      DashUpdate.printQueue(printQueue);
+    }
   } else {
     UI.createAlert(
       "warning",
@@ -93,6 +93,51 @@ export class DashUpdate {
       }
     }
   }
+  static printQueue({ jobs, awaitingBedClear }) {
+    const queueRows = jobs.map(
+      (job) => `
+        <tr>
+          <td class="text-left">${job.fileName}</td>
+          <td>${job.targetGroup || "Any Group"}</td>
+          <td>${job.targetMaterial || "Any Material"}</td>
+          <td>${job.priority}</td>
+          <td>${job.completed} / ${job.copies}</td>
+        </tr>
+      `
+    );
+    if (queueRows.length === 0) {
+      queueRows.push("<tr><td colspan=\"5\">No jobs queued...</td></tr>");
+    }
+    let bedClearNotice = "";
+    if (awaitingBedClear.length > 0) {
+      bedClearNotice = `
+        <div class="alert alert-warning text-dark p-1 mb-1">
+          <i class="fas fa-broom"></i> Awaiting bed clear: ${awaitingBedClear
+            .map((printer) => printer.printerName)
+            .join(", ")}
+        </div>
+      `;
+    }
+    this.updateHtml(
+      "printQueueBody",
+      `
+      ${bedClearNotice}
+      <table class="table table-dark table-sm table-striped mb-0">
+        <thead>
+          <tr>
+            <th class="text-left">File</th>
+            <th>Group</th>
+            <th>Material</th>
+            <th>Priority</th>
+            <th>Completed</th>
+          </tr>
+        </thead>
+        <tbody>${queueRows.join("")}</tbody>
+      </table>
+    `
+    );
+  }
+
   static farmInformation(
     {
       averageEstimated: avgEstim,
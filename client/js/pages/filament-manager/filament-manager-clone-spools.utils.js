@@ -68,6 +68,7 @@ export const cloneSpool = async (e) => {
                 <td><input id="clonedUsed-${spoolClonedId}-${nextSpoolIndex}" class="form-control" type="text" placeholder="0" value="0"></td>
                 <td><input id="clonedToolOffset-${spoolClonedId}-${nextSpoolIndex}" class="form-control" type="text" placeholder="${spool[4]}" value="${spool[4]}"></td>
                 <td><input id="clonedBedOffset-${spoolClonedId}-${nextSpoolIndex}" class="form-control" type="text" placeholder="${spool[5]}" value="${spool[5]}"></td>
+                <td><input id="clonedColour-${spoolClonedId}-${nextSpoolIndex}" class="form-control" type="text" maxlength="50" placeholder="${spool[6]}" value="${spool[6]}"></td>
                  <td>
                      <select id="spoolsPrinterAssignment-${spoolClonedId}-${nextSpoolIndex}" class="form-control" disabled>
 
@@ -122,6 +123,9 @@ export const cloneSpool = async (e) => {
         ),
         document.getElementById(
           `clonedBedOffset-${spoolClonedId}-${nextSpoolIndex}`
+        ),
+        document.getElementById(
+          `clonedColour-${spoolClonedId}-${nextSpoolIndex}`
         )
       );
       if (addedSpool) {
@@ -0,0 +1,99 @@
+import OctoFarmClient from "../../services/octofarm-client.service";
+import UI from "../../utils/ui";
+import { stockInventoryTableRow, stockThresholdForm } from "./filament-manager.templates";
+
+const filamentInventoryTable = document.getElementById("filamentInventoryTable");
+const filamentLowStockCount = document.getElementById("filamentLowStockCount");
+
+export const renderStockInventory = async () => {
+  const { inventory } = await OctoFarmClient.getFilamentInventory();
+  filamentLowStockCount.innerHTML = inventory.filter((stock) => stock.lowStock).length;
+  if (inventory.length === 0) {
+    filamentInventoryTable.innerHTML =
+      "<tr><td colspan=\"5\" class=\"text-center\">No spools in stock...</td></tr>";
+    return;
+  }
+  filamentInventoryTable.innerHTML = inventory.map(stockInventoryTableRow).join("");
+};
+
+const openStockThresholdDialog = async (threshold = {}) => {
+  const [{ profiles }, { inventory }] = await Promise.all([
+    OctoFarmClient.getFilamentProfiles(),
+    OctoFarmClient.getFilamentInventory(),
+  ]);
+  if (profiles.length === 0) {
+    UI.createAlert("warning", "Please create a filament profile first", 3000, "Clicked");
+    return;
+  }
+  const colours = [
+    ...new Set(inventory.map((stock) => stock.colour).filter((colour) => !!colour)),
+  ];
+  bootbox.dialog({
+    title: "Set Minimum Stock",
+    message: stockThresholdForm(profiles, colours, threshold),
+    buttons: {
+      cancel: {
+        label: "Cancel",
+        className: "btn-secondary",
+      },
+      confirm: {
+        label: "Save",
+        className: "btn-success",
+        callback: async function () {
+          const minimum = parseFloat(document.getElementById("stockThresholdMinimum").value);
+          if (isNaN(minimum) || minimum < 0) {
+            UI.createAlert("warning", "Please enter a minimum of 0g or more", 3000, "Clicked");
+            return false;
+          }
+          try {
+            await OctoFarmClient.setStockThreshold({
+              profile: document.getElementById("stockThresholdProfile").value,
+              colour: document.getElementById("stockThresholdColour").value.trim(),
+              minimum,
+            });
+            await renderStockInventory();
+          } catch (e) {
+            console.error(e);
+            UI.createAlert("error", `Couldn't save minimum stock: ${e}`, 0, "Clicked");
+          }
+        },
+      },
+    },
+  });
+};
+
+const stockActionHandler = async (e) => {
+  const button = e.target.closest("[data-stock-action]");
+  if (!button) {
+    return;
+  }
+  try {
+    switch (button.dataset.stockAction) {
+      case "edit":
+        await openStockThresholdDialog(button.dataset);
+        break;
+      case "delete":
+        await OctoFarmClient.deleteStockThreshold(button.dataset.thresholdId);
+        await renderStockInventory();
+        break;
+    }
+  } catch (e) {
+    console.error(e);
+    UI.createAlert("error", `Stock action failed: ${e}`, 0, "Clicked");
+  }
+};
+
+export const setupStockInventoryListeners = () => {
+  filamentInventoryTable.addEventListener("click", stockActionHandler);
+  document.getElementById("setStockThresholdBtn").addEventListener("click", async () => {
+    await openStockThresholdDialog();
+  });
+  document.getElementById("reorderListCsv").addEventListener("click", (e) => {
+    e.preventDefault();
+    window.location.href = OctoFarmClient.getReorderListURL("csv");
+  });
+  document.getElementById("reorderListJson").addEventListener("click", (e) => {
+    e.preventDefault();
+    window.location.href = OctoFarmClient.getReorderListURL("json");
+  });
+};
@@ -7,6 +7,7 @@ import {
   renderProfilesManagerTable,
   renderSpoolsManagerTable,
 } from "./filament-manager.utils";
+import { renderStockInventory } from "./filament-manager-inventory.utils";
 
 export const printErrors = (errors) => {
   let errorMessage = "OctoFarm is having issues! Error(s): <br>";
@@ -172,6 +173,7 @@ export const getSelectValues = (select) => {
 export const reRenderPageInformation = async () => {
   await loadPageStatistics();
   await loadOverviewTable();
+  await renderStockInventory();
   await renderSpoolsManagerTable();
   await renderProfilesManagerTable();
   await updateProfileDrop();
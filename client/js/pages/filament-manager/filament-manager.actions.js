@@ -96,7 +96,8 @@ export const addSpool = async (
   spoolsWeight,
   spoolsUsed,
   spoolsTempOffset,
-  spoolsBedOffset
+  spoolsBedOffset,
+  spoolsColour
 ) => {
   const errors = [];
 
@@ -130,6 +131,7 @@ export const addSpool = async (
     spoolsUsed: spoolsUsed.value,
     spoolsTempOffset: spoolsTempOffset.value,
     spoolsBedOffset: spoolsBedOffset.value,
+    spoolsColour: spoolsColour?.value.trim() ?? "",
   };
   let post = await OctoFarmClient.post("filament/save/filament", opts);
 
@@ -148,6 +150,9 @@ export const addSpool = async (
     spoolsUsed.value = 0;
     spoolsTempOffset.value = 0.0;
     spoolsBedOffset.value = 0;
+    if (spoolsColour) {
+      spoolsColour.value = "";
+    }
     await reRenderPageInformation();
     return true;
   } else {
@@ -244,14 +249,21 @@ export const saveSpool = async (e) => {
   const editable = row.querySelectorAll("input");
   const id = e.parentElement.parentElement.firstElementChild.innerHTML.trim();
   const spool = [];
+  let colour = "";
   editable.forEach((edit) => {
     edit.disabled = true;
     edit.placeholder = edit.value;
-    spool.push(edit.value);
+    // The colour goes on the end so the rest keep their place for the server
+    if (edit.classList.contains("colour")) {
+      colour = edit.value;
+    } else {
+      spool.push(edit.value);
+    }
     edit.value = "";
   });
 
   spool.push(document.getElementById(`spoolsProfile-${id}`).value);
+  spool.push(colour);
   const data = {
     id,
     spool,
@@ -45,6 +45,9 @@ export const spoolsManagerTableRow = (spool, allowMultiSelectIsEnabled) => {
         <td><input class="form-control" type="number" step="any" placeholder="${
           spool.bedOffset || 0
         }" disabled></td>
+        <td><input class="form-control colour" type="text" maxlength="50" placeholder="${
+          spool.colour || ""
+        }" disabled></td>
         <td>
 
             <select id="spoolsPrinterAssignment-${
@@ -54,12 +57,12 @@ export const spoolsManagerTableRow = (spool, allowMultiSelectIsEnabled) => {
     </td>
         <td>
             ${unassignSpools}
-            <button title="Clone Spool" id="clone-${
+            <button title="Clone Spool" data-requires-permission="editFilament" id="clone-${
               spool._id
             }" type="button" class="btn btn-sm btn-success clone">
                 <i class="far fa-copy"></i>
             </button>
-            <button title="Edit Spool" id="edit-${
+            <button title="Edit Spool" data-requires-permission="editFilament" id="edit-${
               spool._id
             }" type="button" class="btn btn-sm btn-primary edit">
                 <i class="fas fa-edit editIcon"></i>
@@ -69,7 +72,7 @@ export const spoolsManagerTableRow = (spool, allowMultiSelectIsEnabled) => {
             }" type="button" class="btn btn-sm d-none btn-success save">
                 <i class="fas fa-save saveIcon"></i>
             </button>
-            <button title="Delete Spool" id="delete-${
+            <button title="Delete Spool" data-requires-permission="editFilament" id="delete-${
               spool._id
             }" type="button" class="btn btn-sm btn-danger delete">
                 <i class="fas fa-trash deleteIcon"></i>
@@ -105,13 +108,13 @@ export const profileManagerTableRow = (profile) => {
             </label>
         </td>
         <td>
-            <button id="edit-${profile._id}" type="button" class="btn btn-sm btn-info edit bg-colour-1">
+            <button data-requires-permission="editFilament" id="edit-${profile._id}" type="button" class="btn btn-sm btn-info edit bg-colour-1">
                 <i class="fas fa-edit editIcon"></i>
             </button>
             <button id="save-${profile._id}" type="button" class="btn d-none btn-sm btn-success save bg-colour-2">
                 <i class="fas fa-save saveIcon"></i>
             </button>
-            <button id="delete-${profile._id}" type="button" class="btn btn-sm btn-danger delete">
+            <button data-requires-permission="editFilament" id="delete-${profile._id}" type="button" class="btn btn-sm btn-danger delete">
                 <i class="fas fa-trash deleteIcon"></i>
             </button>
         </td>
@@ -134,3 +137,63 @@ export const materialsListTableRow = (material) => {
         <td>${material.density}</td>
     `;
 };
+
+export const stockInventoryTableRow = (stock) => {
+  let thresholdButtons = "";
+  if (!!stock.threshold) {
+    thresholdButtons = `
+      <button title="Remove minimum stock" data-requires-permission="editFilament" type="button" class="btn btn-sm btn-danger" data-stock-action="delete" data-threshold-id="${stock.threshold}">
+        <i class="fas fa-trash"></i>
+      </button>
+    `;
+  }
+  return `
+    <tr class="${stock.lowStock ? "text-danger" : ""}">
+      <td title="${stock.manufacturer}">${stock.material}</td>
+      <td>${stock.colour || "-"}</td>
+      <td>${(stock.remaining / 1000).toFixed(2)}kg <small>(${stock.spoolCount} spools)</small></td>
+      <td>${stock.threshold ? `${(stock.minimum / 1000).toFixed(2)}kg` : "-"}</td>
+      <td>
+        <button title="Set minimum stock" data-requires-permission="editFilament" type="button" class="btn btn-sm btn-primary" data-stock-action="edit" data-profile="${stock.profile}" data-colour="${stock.colour}" data-minimum="${stock.minimum}">
+          <i class="fas fa-edit"></i>
+        </button>
+        ${thresholdButtons}
+      </td>
+    </tr>
+  `;
+};
+
+export const stockThresholdForm = (profiles, colours, { profile, colour, minimum }) => {
+  return `
+    <form>
+      <div class="form-group">
+        <label for="stockThresholdProfile">Profile</label>
+        <select id="stockThresholdProfile" class="custom-select">
+          ${profiles
+            .map(
+              (p) =>
+                `<option value="${p._id}" ${p._id === profile ? "selected" : ""}>${p.manufacturer} (${p.material})</option>`
+            )
+            .join("")}
+        </select>
+      </div>
+      <div class="form-group">
+        <label for="stockThresholdColour">Colour</label>
+        <input id="stockThresholdColour" type="text" class="form-control" maxlength="50" list="stockThresholdColours" value="${colour || ""}" placeholder="Leave blank for spools without a colour">
+        <datalist id="stockThresholdColours">
+          ${colours.map((c) => `<option value="${c}">`).join("")}
+        </datalist>
+      </div>
+      <div class="form-group">
+        <label for="stockThresholdMinimum">Minimum Stock</label>
+        <div class="input-group">
+          <input id="stockThresholdMinimum" type="number" class="form-control" min="0" step="1" value="${minimum || 1000}">
+          <div class="input-group-append">
+            <span class="input-group-text">g</span>
+          </div>
+        </div>
+        <small class="form-text text-muted">The low stock alert fires when the remaining grams drop below this.</small>
+      </div>
+    </form>
+  `;
+};
@@ -402,6 +402,7 @@ export const setupAddSpoolsListener = () => {
       const spoolsUsed = document.getElementById("spoolsRemaining");
       const spoolsTempOffset = document.getElementById("spoolsTempOffset");
       const spoolsBedOffset = document.getElementById("spoolsBedOffset");
+      const spoolsColour = document.getElementById("spoolsColour");
       await addSpool(
         spoolsName,
         spoolsProfile,
@@ -409,7 +410,8 @@ export const setupAddSpoolsListener = () => {
         spoolsWeight,
         spoolsUsed,
         spoolsTempOffset,
-        spoolsBedOffset
+        spoolsBedOffset,
+        spoolsColour
       );
     });
 };
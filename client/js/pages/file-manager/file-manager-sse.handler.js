@@ -9,6 +9,29 @@ import {
   updateMaintenanceCost,
   updateElectricityCost,
 } from "./file-information-update.helpers";
+import { getFileQueueRow, getFileRowID } from "./upload-queue.templates";
+import { updateTableRow } from "../printer-manager/functions/bulk-actions-progress.functions";
+import bulkActionsStates from "../printer-manager/bulk-actions.constants";
+import UI from "../../utils/ui";
+import {
+  DISTRIBUTION_JOB_STATES,
+  DISTRIBUTION_TARGET_STATES,
+} from "../../../../server/constants/file-distribution.constants";
+
+const DISTRIBUTION_PROGRESS_CLASSES = {
+  [DISTRIBUTION_TARGET_STATES.QUEUED]: "progress-bar progress-bar-striped bg-info",
+  [DISTRIBUTION_TARGET_STATES.UPLOADING]: "progress-bar progress-bar-striped bg-warning",
+  [DISTRIBUTION_TARGET_STATES.VERIFYING]: "progress-bar progress-bar-striped bg-info",
+  [DISTRIBUTION_TARGET_STATES.RETRYING]: "progress-bar progress-bar-striped bg-warning",
+  [DISTRIBUTION_TARGET_STATES.COMPLETE]: "progress-bar bg-success",
+  [DISTRIBUTION_TARGET_STATES.FAILED]: "progress-bar bg-danger",
+  [DISTRIBUTION_TARGET_STATES.CANCELLED]: "progress-bar bg-secondary",
+};
+const FINISHED_TARGET_STATES = [
+  DISTRIBUTION_TARGET_STATES.COMPLETE,
+  DISTRIBUTION_TARGET_STATES.FAILED,
+  DISTRIBUTION_TARGET_STATES.CANCELLED,
+];
 
 export function updateLiveFileInformation(id, data) {
   if (!!id && !!data) {
@@ -43,3 +66,80 @@ export function updateLiveFileInformation(id, data) {
     }
   }
 }
+
+function drawDistributionProgress(progressBar, distribution) {
+  const { status, message, sent, size } = distribution;
+  const percent =
+    status === DISTRIBUTION_TARGET_STATES.UPLOADING && size > 0
+      ? Math.floor((sent / size) * 100)
+      : 100;
+  progressBar.className = DISTRIBUTION_PROGRESS_CLASSES[status];
+  progressBar.style.width = `${status === DISTRIBUTION_TARGET_STATES.QUEUED ? 0 : percent}%`;
+  progressBar.innerHTML =
+    status === DISTRIBUTION_TARGET_STATES.UPLOADING ? `${percent}%` : status;
+  progressBar.title = message ?? "";
+}
+
+/**
+ * Server side uploads report each printer separately, they're drawn into the file managers upload
+ * queue and onto the bulk print results when those are open.
+ * @param distribution
+ */
+export function updateFileDistribution(distribution) {
+  const { printerID, printerName, fileName, folder, size, status, message } = distribution;
+
+  const tableBody = document.getElementById("uploadQueueTableBody");
+  if (!!tableBody) {
+    const file = {
+      printer: printerName,
+      name: fileName,
+      currentFolder: `local/${folder}`,
+      size,
+    };
+    file.index = getFileRowID(file);
+    if (!document.getElementById(`queueRow-${file.index}`)) {
+      tableBody.insertAdjacentHTML("beforeend", getFileQueueRow(file));
+    }
+    drawDistributionProgress(
+      document.getElementById(`queueProgressBar-${file.index}`),
+      distribution
+    );
+    // Failures stay listed so they can be looked at
+    if (
+      status === DISTRIBUTION_TARGET_STATES.COMPLETE ||
+      status === DISTRIBUTION_TARGET_STATES.CANCELLED
+    ) {
+      setTimeout(() => {
+        document.getElementById(`queueRow-${file.index}`)?.remove();
+      }, 3000);
+    }
+  }
+
+  const bulkPrintProgress = document.getElementById(`bpUploadProgress-${printerID}`);
+  if (!!bulkPrintProgress) {
+    drawDistributionProgress(bulkPrintProgress, distribution);
+    if (FINISHED_TARGET_STATES.includes(status)) {
+      bulkPrintProgress.id = "";
+      updateTableRow(
+        printerID,
+        status === DISTRIBUTION_TARGET_STATES.COMPLETE
+          ? bulkActionsStates.SUCCESS
+          : bulkActionsStates.ERROR,
+        message
+      );
+    }
+  }
+
+  if (!!tableBody && FINISHED_TARGET_STATES.includes(status)) {
+    if (distribution.jobStatus === DISTRIBUTION_JOB_STATES.COMPLETE) {
+      UI.createAlert("success", `${fileName} has been sent to all printers`, 3000, "clicked");
+    } else if (distribution.jobStatus === DISTRIBUTION_JOB_STATES.FAILED) {
+      UI.createAlert(
+        "error",
+        `${fileName} couldn't be sent to every printer, check the upload queue`,
+        3000,
+        "clicked"
+      );
+    }
+  }
+}
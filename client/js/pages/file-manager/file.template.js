@@ -30,12 +30,12 @@ export const getFolderTemplate = (folder, id) => {
                       role="group"
                       aria-label="Basic example"
                     >
-                      <button id="${id}*folderActionMove*${
+                      <button data-requires-permission="manageFiles" id="${id}*folderActionMove*${
     folder.name
   }" type="button" class="btn btn-warning">
                         <i class="fas fa-people-carry"></i> Move
                       </button>
-                      <button id="${id}*folderActionDelete*${
+                      <button data-requires-permission="manageFiles" id="${id}*folderActionDelete*${
     folder.name
   }" type="button" class="btn btn-danger">
                         <i class="fas fa-trash-alt"></i> Delete
@@ -171,17 +171,31 @@ export const getFileTemplate = (file, printerURL, id) => {
                 <i class="fas fa-sync"></i> Re-Sync
                 </button>
                 <button           title="Start printing file"
+            data-requires-permission="controlPrinters"
             id="${id}*fileActionStart*${
     file.fullPath
   }" type="button" class="btn btn-success">
           <i class="fas fa-play"></i> Start
+              </button>
+              <button title="Recommend the best idle printer for this file"
+            data-requires-permission="controlPrinters"
+            id="${id}*fileActionRecommend*${
+    file.fullPath
+  }" type="button" class="btn btn-primary">
+          <i class="fas fa-magic"></i> Best Printer
+              </button>
+              <button title="Price up printing this file for a customer"
+            id="${id}*fileActionQuote*${
+    file.fullPath
+  }" type="button" class="btn btn-secondary">
+          <i class="fas fa-file-invoice-dollar"></i> Quote
               </button>
               <button  title="Select file" id="${id}*fileActionSelect*${
     file.fullPath
   }" type="button" class="btn btn-info">
         <i class="fas fa-file-upload"></i> Select
             </button>
-            <button          title="Move file" id="${id}*fileActionMove*${
+            <button          title="Move file" data-requires-permission="manageFiles" id="${id}*fileActionMove*${
     file.fullPath
   }" type="button" class="btn btn-warning">
       <i class="fas fa-people-carry"></i> Move
@@ -191,7 +205,7 @@ export const getFileTemplate = (file, printerURL, id) => {
   )}')" type="button" class="btn btn-dark">
     <i class="fas fa-download"></i> Download
         </button>
-        <button title="Delete file" id="${printerURL}*fileActionDelete*${
+        <button title="Delete file" data-requires-permission="manageFiles" id="${printerURL}*fileActionDelete*${
     file.fullPath
   }" type="button" class="btn btn-danger">
   <i class="fas fa-trash-alt"></i> Delete
@@ -203,6 +217,183 @@ export const getFileTemplate = (file, printerURL, id) => {
   </div>
   `;
 };
+const placementResultIcons = {
+  pass: "fas fa-check-circle text-success",
+  warning: "fas fa-exclamation-triangle text-warning",
+  fail: "fas fa-times-circle text-danger",
+  unknown: "fas fa-question-circle text-muted",
+};
+
+const placementCheckLabels = {
+  buildVolume: "Build Volume",
+  extruders: "Extruders",
+  nozzle: "Nozzle",
+  material: "Material",
+  colour: "Colour",
+  filament: "Filament",
+  history: "History",
+  file: "File",
+};
+
+const getPlacementCheck = (check) => {
+  return `<span class="mr-2 text-nowrap" title="${check.message}">
+            <i class="${placementResultIcons[check.result]}"></i> ${placementCheckLabels[check.check]}
+          </span>`;
+};
+
+export const getPlacementRecommendationsTemplate = (placement, sourcePrinterID) => {
+  if (placement.recommendations.length === 0) {
+    return `<div class="alert alert-dark text-center" role="alert">
+              No printers are idle right now, ${placement.busyPrinters} are busy.
+            </div>`;
+  }
+  const rows = placement.recommendations
+    .map((recommendation) => {
+      const canStart = recommendation.suitable && recommendation.hasFile;
+      return `
+        <tr class="${recommendation.suitable ? "" : "text-muted"}">
+          <td>
+            ${recommendation.printerName}
+            ${
+              recommendation.printerID === sourcePrinterID
+                ? "<span class=\"badge badge-secondary\">Selected</span>"
+                : ""
+            }
+          </td>
+          <td>
+            <span class="badge badge-${recommendation.suitable ? "success" : "danger"}">
+              ${recommendation.suitable ? recommendation.score : "Unsuitable"}
+            </span>
+          </td>
+          <td class="text-left"><small>${recommendation.checks
+            .map(getPlacementCheck)
+            .join("")}</small></td>
+          <td>
+            <button id="placementStart-${recommendation.printerID}" type="button"
+              class="btn btn-success btn-sm" ${canStart ? "" : "disabled"}
+              title="${canStart ? "Start printing here" : "Can't start the file here"}">
+              <i class="fas fa-play"></i> Start
+            </button>
+          </td>
+        </tr>`;
+    })
+    .join("");
+  return `
+    <p class="text-left">
+      Idle printers ranked for <b>${placement.file.display}</b>, hover a check to see how it went.
+      ${placement.busyPrinters} busy printers were skipped.
+    </p>
+    <table class="table table-dark table-sm text-center">
+      <thead>
+        <tr>
+          <th scope="col">Printer</th>
+          <th scope="col">Score</th>
+          <th scope="col">Checks</th>
+          <th scope="col"></th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+};
+
+const quoteCostLabels = {
+  material: "Material",
+  electricity: "Electricity",
+  depreciation: "Depreciation",
+  maintenance: "Maintenance",
+  failurePadding: "Failure Allowance",
+  labour: "Labour",
+  markup: "Markup",
+};
+
+const quoteFailureSources = {
+  file: (failureRate) =>
+    `${failureRate.failures} of ${failureRate.prints} prints of this file on the printer failed`,
+  printer: (failureRate) =>
+    `${failureRate.failures} of ${failureRate.prints} prints on the printer failed`,
+  none: () => "Not enough history to work out a failure rate",
+};
+
+export const getQuoteFormTemplate = (spools) => {
+  const spoolOptions = spools
+    .map(
+      ({ spoolID, spoolName, spoolMaterial, spoolManufacturer }) =>
+        `<option value="${spoolID}">${spoolName} - ${spoolMaterial} (${spoolManufacturer})</option>`
+    )
+    .join("");
+  return `
+    <div class="form-row">
+      <div class="col-12 col-lg-5 mb-2">
+        <select id="quoteSpool" class="custom-select bg-secondary text-light"
+          title="Spool to price the material with">
+          <option value="">Spools loaded on the printer</option>
+          ${spoolOptions}
+        </select>
+      </div>
+      <div class="col-4 col-lg-2 mb-2">
+        <input id="quoteQuantity" type="number" min="1" step="1" value="1"
+          class="form-control" title="Number of prints">
+      </div>
+      <div class="col-8 col-lg-5 mb-2">
+        <input id="quoteCustomer" type="text" maxlength="100" placeholder="Customer"
+          class="form-control">
+      </div>
+    </div>
+    <div id="quoteBreakdown"></div>
+  `;
+};
+
+export const getQuoteBreakdownTemplate = (quote) => {
+  const warnings = quote.warnings
+    .map((warning) => `<div class="alert alert-warning text-dark py-1 mb-1">${warning}</div>`)
+    .join("");
+  const materials = quote.materials
+    .map(
+      (material) => `
+        <tr>
+          <td>Tool ${material.tool}</td>
+          <td>${material.spoolName ?? "No spool"}</td>
+          <td>${material.length}m / ${material.grams}g</td>
+          <td class="text-right">${material.cost.toFixed(2)}</td>
+        </tr>`
+    )
+    .join("");
+  const costs = Object.entries(quoteCostLabels)
+    .map(
+      ([key, label]) => `
+        <tr>
+          <td>${label}${key === "markup" ? ` (${quote.markupPercent}%)` : ""}</td>
+          <td class="text-right">${quote.costs[key].toFixed(2)}</td>
+        </tr>`
+    )
+    .join("");
+  return `
+    ${warnings}
+    <p class="text-left mt-2">
+      <b>${quote.file.display}</b> on ${quote.printerName},
+      ${Calc.generateTime(quote.file.printTime)} per print.<br>
+      <small>${quoteFailureSources[quote.failureRate.source](quote.failureRate)}</small>
+    </p>
+    <table class="table table-dark table-sm">
+      <tbody>${materials}</tbody>
+    </table>
+    <table class="table table-dark table-sm">
+      <tbody>
+        ${costs}
+        <tr class="font-weight-bold">
+          <td>Price per print</td>
+          <td class="text-right">${quote.unitPrice.toFixed(2)} ${quote.currency}</td>
+        </tr>
+        <tr class="font-weight-bold">
+          <td>Total for ${quote.quantity}</td>
+          <td class="text-right">${quote.total.toFixed(2)} ${quote.currency}</td>
+        </tr>
+      </tbody>
+    </table>
+  `;
+};
+
 export const noFilesToShow = () => {
   return `
        <div
@@ -0,0 +1,101 @@
+import OctoFarmClient from "../../services/octofarm-client.service";
+import UI from "../../utils/ui";
+import { HISTORY_EXPORT_COLUMNS } from "../../constants/history.constants";
+import { returnHistoryExportForm, returnHistoryImportForm } from "./history.templates";
+
+/**
+ * Asks which columns and formatting to use, then lets the browser download the export.
+ * @param from start of the selected date range
+ * @param to end of the selected date range
+ * @param printerName optional printer filter
+ */
+export function openHistoryExportDialog({ from, to, printerName }) {
+  bootbox.dialog({
+    title: "Export History",
+    message: returnHistoryExportForm(HISTORY_EXPORT_COLUMNS, printerName),
+    size: "large",
+    buttons: {
+      cancel: {
+        label: "Cancel",
+        className: "btn-secondary",
+      },
+      confirm: {
+        label: "Export",
+        className: "btn-success",
+        callback: function () {
+          const columns = [...document.querySelectorAll("[data-export-column]")]
+            .filter((input) => input.checked)
+            .map((input) => input.dataset.exportColumn);
+          if (columns.length === 0) {
+            UI.createAlert("warning", "Please select at least one column", 3000, "Clicked");
+            return false;
+          }
+          const params = new URLSearchParams({
+            format: document.getElementById("historyExportFormat").value,
+            from: new Date(from).toISOString(),
+            to: new Date(to).toISOString(),
+            columns: columns.join(","),
+          });
+          const currency = document.getElementById("historyExportCurrency").value.trim();
+          if (currency.length > 0) {
+            params.append("currency", currency);
+            params.append(
+              "locale",
+              document.getElementById("historyExportLocale").value.trim() || navigator.language
+            );
+          }
+          if (!!printerName) {
+            params.append("printers", printerName);
+          }
+          window.location.href = OctoFarmClient.getHistoryExportURL(params);
+        },
+      },
+    },
+  });
+}
+
+/**
+ * Uploads a JSON history export and reports back how many records made it in.
+ * @param onImported called when at least one record was imported
+ */
+export function openHistoryImportDialog(onImported) {
+  bootbox.dialog({
+    title: "Import History",
+    message: returnHistoryImportForm(),
+    buttons: {
+      cancel: {
+        label: "Cancel",
+        className: "btn-secondary",
+      },
+      confirm: {
+        label: "Import",
+        className: "btn-success",
+        callback: async function () {
+          const [file] = document.getElementById("historyImportFile").files;
+          if (!file) {
+            UI.createAlert("warning", "Please choose an export file", 3000, "Clicked");
+            return false;
+          }
+          try {
+            const { imported, skipped, failed } = await OctoFarmClient.importHistory(file);
+            UI.createAlert(
+              failed.length > 0 ? "warning" : "success",
+              `Imported ${imported} record(s), skipped ${skipped} already present and ${failed.length} invalid.`,
+              0,
+              "Clicked"
+            );
+            if (failed.length > 0) {
+              console.error("Invalid history records", failed);
+            }
+            if (imported > 0) {
+              await onImported();
+            }
+          } catch (e) {
+            console.error(e);
+            UI.createAlert("error", `Couldn't import history: ${e}`, 0, "Clicked");
+          }
+        },
+      },
+    },
+  });
+}
@@ -1,4 +1,5 @@
 import UI from '../../utils/ui';
+import { isMjpegAvi } from '../../utils/mjpeg-avi.utils';
 
 const drawActiveUser = (record) => {
   const noUser = 'Unknown';
@@ -56,6 +57,7 @@ export const returnHistoryTableRow = function (record) {
           </td>
           <td>
             ${record.state}
+            ${returnFailureReasonCell(record)}
           </td>
           <td>
             ${record.printer}
@@ -106,6 +108,7 @@ export const returnHistoryTableRow = function (record) {
               <button
                       type="button"
                       class="btn btn-danger btn-small historyDelete"
+                      data-requires-permission="editHistory"
                       id="delete-${record._id}"
               >
                 <i class="fas fa-trash"></i>
@@ -221,3 +224,170 @@ export const returnHistoryFilterDefaultSelected = function () {
         >Filter</option>
     `;
 };
+
+export const returnHistoryExportForm = function (columns, printerName) {
+  return `
+    <form id="historyExportForm">
+      <p class="text-muted">
+        Exports every record in the selected date range${printerName ? ` for <b>${printerName}</b>` : ""}, not just the current page.
+      </p>
+      <div class="form-row">
+        <div class="form-group col-4">
+          <label for="historyExportFormat">Format</label>
+          <select id="historyExportFormat" class="custom-select">
+            <option value="csv">CSV</option>
+            <option value="json">JSON (can be imported)</option>
+          </select>
+        </div>
+        <div class="form-group col-4">
+          <label for="historyExportCurrency">Currency</label>
+          <input id="historyExportCurrency" type="text" class="form-control" maxlength="3" placeholder="e.g. GBP, leave blank for plain numbers">
+        </div>
+        <div class="form-group col-4">
+          <label for="historyExportLocale">Number Format</label>
+          <input id="historyExportLocale" type="text" class="form-control" maxlength="20" placeholder="${navigator.language}">
+        </div>
+      </div>
+      <label>Columns</label>
+      <div class="form-row">
+        ${Object.entries(columns)
+          .map(
+            ([key, title]) => `
+          <div class="col-4">
+            <div class="custom-control custom-checkbox">
+              <input type="checkbox" class="custom-control-input" id="historyExportColumn-${key}" data-export-column="${key}" checked>
+              <label class="custom-control-label" for="historyExportColumn-${key}">${title}</label>
+            </div>
+          </div>
+        `
+          )
+          .join("")}
+      </div>
+    </form>
+  `;
+};
+
+export const returnHistoryImportForm = function () {
+  return `
+    <form id="historyImportForm">
+      <p class="text-muted">
+        Select a JSON history export from another OctoFarm instance. Records which already exist are skipped.
+      </p>
+      <div class="custom-file">
+        <input type="file" class="custom-file-input" id="historyImportFile" accept=".json,application/json">
+        <label class="custom-file-label" for="historyImportFile">Choose export file...</label>
+      </div>
+    </form>
+  `;
+};
+
+export const returnFailureReasonCell = function (record) {
+  if (!record.failureReason) {
+    return '';
+  }
+  const cancelled = record.state.includes('Cancelled');
+  return `
+            <span class="badge badge-dark">${record.failureReason}</span>
+            <button
+                    type="button"
+                    title="Change the failure reason"
+                    class="btn btn-outline-light btn-sm p-0 px-1 historyFailureReason"
+                    data-requires-permission="controlPrinters"
+                    data-history-id="${record._id}"
+                    data-printer-name="${record.printer}"
+                    data-file-name="${record.file.name}"
+                    data-cancelled="${cancelled}"
+            >
+              <i class="fas fa-pen"></i>
+            </button>
+  `;
+};
+
+const returnFailureBreakdownTable = function (title, entries) {
+  const rows = entries
+    .filter((entry) => entry.failed > 0)
+    .map(
+      (entry) => `
+        <tr>
+          <td class="text-wrap">${entry.name}</td>
+          <td>${entry.prints}</td>
+          <td>${entry.failed}</td>
+          <td>${entry.failureRate}%</td>
+          <td class="text-wrap">${Object.entries(entry.reasons)
+            .sort((a, b) => b[1] - a[1])
+            .map(([reason, count]) => `${reason}: ${count}`)
+            .join('<br>')}</td>
+        </tr>
+      `
+    )
+    .join('');
+  return `
+    <h6 class="mt-3">${title}</h6><hr>
+    <table class="table table-dark table-sm table-striped text-center mb-0">
+      <thead>
+      <tr>
+        <th scope="col">${title.replace('By ', '')}</th>
+        <th scope="col">Prints</th>
+        <th scope="col">Failed</th>
+        <th scope="col">Failure Rate</th>
+        <th scope="col">Reasons</th>
+      </tr>
+      </thead>
+      <tbody>
+      ${rows || '<tr><td colspan="5">No failures...</td></tr>'}
+      </tbody>
+    </table>
+  `;
+};
+
+export const returnFailureAnalysis = function (failureAnalysis) {
+  if (!failureAnalysis || failureAnalysis.reasons.length === 0) {
+    return '<p class="text-center">No failed or cancelled prints in the selected period...</p>';
+  }
+  return `
+    <ul class="list-group list-group-flush">
+      ${failureAnalysis.reasons
+        .map(
+          ({ reason, count, percent }) => `
+        <li class="list-group-item m-0 p-1 row d-flex">
+          <small class="col-lg-3 text-center">${reason}</small>
+          <small class="col-lg-1 text-center">${count}</small>
+          <small class="col-lg-8">
+            <div class="progress mb-0">
+              <div class="progress-bar bg-danger" role="progressbar" style="width: ${percent}%">${percent}%</div>
+            </div>
+          </small>
+        </li>
+      `
+        )
+        .join('')}
+    </ul>
+    ${returnFailureBreakdownTable('By Printer', failureAnalysis.byPrinter)}
+    ${returnFailureBreakdownTable('By Filament Profile', failureAnalysis.byProfile)}
+    ${returnFailureBreakdownTable('By File', failureAnalysis.byFile)}
+  `;
+};
+
+/**
+ * OctoPrint's timelapses play in a video tag, OctoFarm's own recordings need the AVI player
+ * started on them once they're on the page, see startMjpegAviPlayers. Without autoplay they wait
+ * to be clicked.
+ */
+export const returnTimelapsePlayer = function (timelapse, style, autoplay = true) {
+  const url = encodeURI(timelapse);
+  if (isMjpegAvi(timelapse)) {
+    return `
+      <img data-mjpeg-avi="${url}" ${autoplay ? 'data-mjpeg-avi-autoplay' : ''}
+           style="${style}" alt="Loading timelapse..." title="Play timelapse">
+      <a href="${url}" download class="btn btn-sm btn-outline-light mt-1">
+        <i class="fas fa-download"></i> Download
+      </a>
+    `;
+  }
+  return `
+    <video ${autoplay ? 'autobuffer="autobuffer" autoplay="autoplay"' : ''} loop="loop" controls="controls"
+           style="${style}">
+      <source src='${url}'>
+    </video>
+  `;
+};
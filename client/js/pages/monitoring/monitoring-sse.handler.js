@@ -1,11 +1,17 @@
 import { getViewType, setMonitoringPrinterInfo } from "./monitoring-view.state";
 import { initMonitoring } from "./monitoring.updater";
+import { promptForFailureReasons } from "../../services/failure-reason.service";
+import SseDeltaState from "../../services/sse-delta-state.service";
 
 let controlModal = false;
 export const monitoringWorkerURL = "/monitoringInfo/get/";
 
-export async function monitoringSSEventHandler(data) {
-  if (!!data) {
+const monitoringState = new SseDeltaState("printersInformation", "_id", "/monitoringInfo/resync");
+
+export async function monitoringSSEventHandler(message) {
+  const update = monitoringState.apply(message);
+  if (!!update) {
+    const { data, changedIDs } = update;
     // Update global variables with latest information...
     const printerInfo = data.printersInformation;
     const printerControlList = data.printerControlList;
@@ -17,6 +23,8 @@ export async function monitoringSSEventHandler(data) {
       controlModal = document.getElementById("printerManagerModal");
     }
 
-    await initMonitoring(printerInfo, data.clientSettings, getViewType());
+    await initMonitoring(printerInfo, data.clientSettings, getViewType(), changedIDs);
+
+    promptForFailureReasons(printerInfo);
   }
 }
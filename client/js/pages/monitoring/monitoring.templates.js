@@ -7,6 +7,7 @@ import {
   isHidden,
 } from '../../utils/octofarm.utils';
 import { getPrinterNameBadge } from '../../templates/printer.templates';
+import { drawCameraSelector } from '../../templates/camera.template';
 import { returnMiniFilamentSelectorTemplate } from '../../services/printer-filament-selector.service';
 
 export function drawListView(printer, clientSettings) {
@@ -45,6 +46,10 @@ export function drawListView(printer, clientSettings) {
   if (stateCategory === 'Error!') {
     stateCategory = 'Offline';
   }
+  // Stalled prints are still Active, they just get their own colour
+  if (printer.printerState.state === 'Stalled') {
+    stateCategory = 'Stalled';
+  }
 
   return `
         <tr
@@ -107,6 +112,7 @@ export function drawListView(printer, clientSettings) {
                     <td class="py-auto">
                     <button
                             title="Start your currently selected print"
+                            data-requires-permission="controlPrinters"
                             id="play-${printer._id}"
                             type="button"
                             class="tag btn btn-success mt-1 mb-1 btn-sm"
@@ -117,6 +123,7 @@ export function drawListView(printer, clientSettings) {
                           </button>
                           <button
                                   title="Pause your current print"
+                            data-requires-permission="controlPrinters"
                             id="pause-${printer._id}"
                             type="button"
                             class="tag btn btn-light mt-1 mb-1 btn-sm"
@@ -127,6 +134,7 @@ export function drawListView(printer, clientSettings) {
                           </button>
                           <button
                             title="Restart your current print"
+                            data-requires-permission="controlPrinters"
                             id="restart-${printer._id}"
                             type="button"
                             class="tag btn btn-danger mt-1 mb-1 hidden btn-sm"
@@ -137,6 +145,7 @@ export function drawListView(printer, clientSettings) {
                           </button>
                           <button
                                   title="Resume your current print"
+                            data-requires-permission="controlPrinters"
                             id="resume-${printer._id}"
                             type="button"
                             class="tag btn btn-success mt-1 mb-1 hidden btn-sm"
@@ -147,6 +156,7 @@ export function drawListView(printer, clientSettings) {
                           </button>
                           <button
                                   title="Stop your current print"
+                            data-requires-permission="controlPrinters"
                             id="cancel-${printer._id}"
                             type="button"
                             class="tag btn btn-danger mt-1 mb-1 btn-sm"
@@ -278,6 +288,7 @@ export function drawPanelView(printer, clientSettings) {
             <center>
                                      <button
                             title="Start your currently selected print"
+                            data-requires-permission="controlPrinters"
                             id="play-${printer._id}"
                             type="button"
                             class="tag btn btn-success mt-1 mb-1 btn-sm"
@@ -288,6 +299,7 @@ export function drawPanelView(printer, clientSettings) {
                           </button>
                           <button
                                   title="Pause your current print"
+                            data-requires-permission="controlPrinters"
                             id="pause-${printer._id}"
                             type="button"
                             class="tag btn btn-light mt-1 mb-1 btn-sm"
@@ -298,6 +310,7 @@ export function drawPanelView(printer, clientSettings) {
                           </button>
                           <button
                             title="Restart your current print"
+                            data-requires-permission="controlPrinters"
                             id="restart-${printer._id}"
                             type="button"
                             class="tag btn btn-danger mt-1 mb-1 hidden btn-sm"
@@ -308,6 +321,7 @@ export function drawPanelView(printer, clientSettings) {
                           </button>
                           <button
                                   title="Resume your current print"
+                            data-requires-permission="controlPrinters"
                             id="resume-${printer._id}"
                             type="button"
                             class="tag btn btn-success mt-1 mb-1 hidden btn-sm"
@@ -318,6 +332,7 @@ export function drawPanelView(printer, clientSettings) {
                           </button>
                           <button
                                   title="Stop your current print"
+                            data-requires-permission="controlPrinters"
                             id="cancel-${printer._id}"
                             type="button"
                             class="tag btn btn-danger mt-1 mb-1 btn-sm"
@@ -473,7 +488,7 @@ export function drawCameraView(printer, clientSettings) {
               </div>
             </div>
           </div>
-          
+          ${drawCameraSelector(printer._id, printer.cameras)}
           ${cameraElement}
           <div class="progress camProgress">
             <div class="d-none percent">Loading...</div>
@@ -496,6 +511,7 @@ export function drawCameraView(printer, clientSettings) {
                         <small class="float-right pr-2">
                          <button
                             title="Start your currently selected print"
+                            data-requires-permission="controlPrinters"
                             id="play-${printer._id}"
                             type="button"
                             class="tag btn btn-outline-success mt-1 mb-1 btn-sm"
@@ -506,6 +522,7 @@ export function drawCameraView(printer, clientSettings) {
                           </button>
                           <button
                                   title="Pause your current print"
+                            data-requires-permission="controlPrinters"
                             id="pause-${printer._id}"
                             type="button"
                             class="tag btn btn-outline-light mt-1 mb-1 hidden btn-sm"
@@ -516,6 +533,7 @@ export function drawCameraView(printer, clientSettings) {
                           </button>
                           <button
                             title="Restart your current print"
+                            data-requires-permission="controlPrinters"
                             id="restart-${printer._id}"
                             type="button"
                             class="tag btn btn-outline-danger mt-1 mb-1 hidden btn-sm"
@@ -526,6 +544,7 @@ export function drawCameraView(printer, clientSettings) {
                           </button>
                           <button
                                   title="Resume your current print"
+                            data-requires-permission="controlPrinters"
                             id="resume-${printer._id}"
                             type="button"
                             class="tag btn btn-outline-success mt-1 mb-1 hidden btn-sm"
@@ -536,6 +555,7 @@ export function drawCameraView(printer, clientSettings) {
                           </button>
                           <button
                                   title="Stop your current print"
+                            data-requires-permission="controlPrinters"
                             id="cancel-${printer._id}"
                             type="button"
                             class="tag btn btn-outline-danger mt-1 mb-1 btn-sm"
@@ -720,6 +740,7 @@ export function drawCombinedView(printer, clientSettings) {
                         <div class="col-sm-12 col-md-6 col-lg-6 text-center">
                           <button
                             title="Start your currently selected print"
+                            data-requires-permission="controlPrinters"
                             id="play-${printer._id}"
                             type="button"
                             class="tag btn btn-success mt-1 mb-1 btn-sm"
@@ -730,6 +751,7 @@ export function drawCombinedView(printer, clientSettings) {
                           </button>
                           <button
                                   title="Pause your current print"
+                            data-requires-permission="controlPrinters"
                             id="pause-${printer._id}"
                             type="button"
                             class="tag btn btn-light mt-1 mb-1 btn-sm"
@@ -740,6 +762,7 @@ export function drawCombinedView(printer, clientSettings) {
                           </button>
                           <button
                             title="Restart your current print"
+                            data-requires-permission="controlPrinters"
                             id="restart-${printer._id}"
                             type="button"
                             class="tag btn btn-danger mt-1 mb-1 hidden btn-sm"
@@ -750,6 +773,7 @@ export function drawCombinedView(printer, clientSettings) {
                           </button>
                           <button
                                   title="Resume your current print"
+                            data-requires-permission="controlPrinters"
                             id="resume-${printer._id}"
                             type="button"
                             class="tag btn btn-success mt-1 mb-1 hidden btn-sm"
@@ -760,6 +784,7 @@ export function drawCombinedView(printer, clientSettings) {
                           </button>
                           <button
                                   title="Stop your current print"
+                            data-requires-permission="controlPrinters"
                             id="cancel-${printer._id}"
                             type="button"
                             class="tag btn btn-danger mt-1 mb-1 btn-sm"
@@ -890,6 +915,7 @@ export function drawGroupViewContainers(printers, printerArea, clientSettings) {
                     <div class="col-12 text-center">   
                       <button
                             title="Start your currently selected print"
+                            data-requires-permission="controlPrinters"
                             id="play-${cleanGroup}"
                             type="button"
                             class="tag btn btn-success mt-1 mb-1 btn-sm"
@@ -900,6 +926,7 @@ export function drawGroupViewContainers(printers, printerArea, clientSettings) {
                           </button>
                       <button
                                   title="Pause your current print"
+                            data-requires-permission="controlPrinters"
                             id="pause-${cleanGroup}"
                             type="button"
                             class="tag btn btn-light mt-1 mb-1 btn-sm"
@@ -910,6 +937,7 @@ export function drawGroupViewContainers(printers, printerArea, clientSettings) {
                           </button>
                       <button
                           title="Restart your current print"
+                          data-requires-permission="controlPrinters"
                           id="restart-${cleanGroup}"
                           type="button"
                           class="tag btn btn-danger mt-1 mb-1 hidden btn-sm"
@@ -920,6 +948,7 @@ export function drawGroupViewContainers(printers, printerArea, clientSettings) {
                         </button>
                       <button
                                 title="Resume your current print"
+                          data-requires-permission="controlPrinters"
                           id="resume-${cleanGroup}"
                           type="button"
                           class="tag btn btn-success mt-1 mb-1 hidden btn-sm"
@@ -930,6 +959,7 @@ export function drawGroupViewContainers(printers, printerArea, clientSettings) {
                         </button>
                       <button
                                 title="Stop your current print"
+                          data-requires-permission="controlPrinters"
                           id="cancel-${cleanGroup}"
                           type="button"
                           class="tag btn btn-danger mt-1 mb-1 btn-sm"
@@ -1018,3 +1048,75 @@ export function drawGroupViewPrinters(printers, clientSettings) {
     }
   });
 }
+
+const returnViewOptionsSelect = (id, label, values) => `
+  <div class="form-group col-md-4">
+    <label for="${id}">${label}</label>
+    <select id="${id}" class="custom-select" multiple size="5">
+      ${values.map((value) => `<option value="${value}">${value}</option>`).join('')}
+    </select>
+  </div>
+`;
+
+export function returnSavedViewsManager(savedViews, options) {
+  const savedViewRows = savedViews
+    .map(
+      (view) => `
+        <tr id="savedViewRow-${view._id}">
+          <td>${view.name}</td>
+          <td>${view.sortBy}</td>
+          <td>${[...view.groups, ...view.states, ...view.materials].join(', ') || 'All Printers'}</td>
+          <td>
+            <button type="button" class="btn btn-danger btn-sm" data-view-id="${
+              view._id
+            }" data-view-name="${view.name}" title="Delete this view">
+              <i class="fas fa-trash"></i>
+            </button>
+          </td>
+        </tr>
+      `
+    )
+    .join('');
+  return `
+    <table class="table table-dark table-sm">
+      <thead>
+        <tr>
+          <th>Name</th>
+          <th>Sort</th>
+          <th>Showing</th>
+          <th></th>
+        </tr>
+      </thead>
+      <tbody id="savedViewsTableBody">
+        ${
+          savedViewRows ||
+          '<tr><td colspan="4" class="text-center">No saved views yet...</td></tr>'
+        }
+      </tbody>
+    </table>
+    <h6>Save a view</h6>
+    <small class="text-muted">
+      Leave a list empty to match everything, printers must match every list that has a selection.
+      Saving with an existing name replaces that view.
+    </small>
+    <div class="form-row mt-2">
+      <div class="form-group col-md-8">
+        <label for="savedViewName">Name</label>
+        <input id="savedViewName" type="text" class="form-control" maxlength="50" />
+      </div>
+      <div class="form-group col-md-4">
+        <label for="savedViewSort">Sort</label>
+        <select id="savedViewSort" class="custom-select">
+          ${options.sorting
+            .map((sorting) => `<option value="${sorting}">${sorting}</option>`)
+            .join('')}
+        </select>
+      </div>
+    </div>
+    <div class="form-row">
+      ${returnViewOptionsSelect('savedViewGroups', 'Groups', options.groups)}
+      ${returnViewOptionsSelect('savedViewStates', 'States', options.states)}
+      ${returnViewOptionsSelect('savedViewMaterials', 'Materials', options.materials)}
+    </div>
+  `;
+}
@@ -10,6 +10,7 @@ import {
   init as actionButtonInit,
 } from '../../services/printer-action-buttons.service.js';
 import OctoPrintClient from '../../services/octoprint/octoprint-client.service.js';
+import { selectPrinterCamera } from '../../services/proxy-camera.service.js';
 import { checkTemps } from '../../utils/temperature-check.util.js';
 import { activateFullScreenView, updateFullScreenCameraInfo} from '../../utils/fullscreen.js';
 import OctoFarmClient from '../../services/octofarm-client.service';
@@ -39,6 +40,7 @@ import {
 } from '../../services/printer-filament-selector.service';
 import { checkKlipperState } from '../../services/octoprint/checkKlipperState.actions';
 import { isInViewport } from '../../utils/window.utils';
+import { manageSavedViews } from './services/monitoring-saved-views.service';
 
 let elems = [];
 let groupElems = [];
@@ -50,20 +52,27 @@ let actionButtonsInitialised;
 
 let spoolDropDownList;
 
-document.getElementById('filterStates').addEventListener('change', (e) => {
+// Set whenever panel updates get skipped, so the next update refreshes every panel not just the
+// printers in the latest server delta
+let panelsOutOfDate = false;
+
+document.getElementById('filterStates').addEventListener('change', async (e) => {
   printerArea.innerHTML = '';
   elems = [];
   groupElems = [];
   actionButtonsInitialised = false;
-  OctoFarmClient.get('client/updateFilter/' + e.target.value);
+  // Saved views bring their own sort order with them
+  const { sortBy } = await OctoFarmClient.updateMonitoringFilter(e.target.value);
+  document.getElementById('sortStates').value = sortBy;
 });
 document.getElementById('sortStates').addEventListener('change', (e) => {
   printerArea.innerHTML = '';
   elems = [];
   groupElems = [];
   actionButtonsInitialised = false;
-  OctoFarmClient.get('client/updateSorting/' + e.target.value);
+  OctoFarmClient.updateMonitoringSorting(e.target.value);
 });
+document.getElementById('savedViewsBtn').addEventListener('click', manageSavedViews);
 
 const returnPrinterInfo = (id) => {
   const statePrinterInfo = getPrinterInfo();
@@ -110,6 +119,14 @@ async function addListeners(printer) {
       await PrinterTerminalManagerService.init(printer._id, printerInfo, controlList);
     });
 
+  const cameraSelect = document.getElementById(`cameraSelect-${printer._id}`);
+  if (cameraSelect) {
+    cameraSelect.addEventListener('change', (e) => {
+      const { cameras = [] } = returnPrinterInfo(printer._id) ?? {};
+      selectPrinterCamera(printer._id, cameras, parseInt(e.target.value));
+    });
+  }
+
   //Play button listeners
   let playBtn = document.getElementById('play-' + printer._id);
   if (playBtn) {
@@ -273,8 +290,10 @@ function addGroupListeners(printers) {
               command: 'start',
             };
             const print = returnPrinterInfo(printer._id);
-            const { status } = await OctoPrintClient.jobAction(print, opts, e);
-            printActionStatusResponse(status, 'print');
+            const octoPrintCall = await OctoPrintClient.jobAction(print, opts, e);
+            if (!!octoPrintCall?.status) {
+              printActionStatusResponse(octoPrintCall?.status, 'print');
+            }
           }
         });
       }
@@ -470,6 +489,10 @@ function updateState(printer, clientSettings, view, index) {
   if (stateCategory === 'Error!') {
     stateCategory = 'Offline';
   }
+  // Stalled prints are still Active, they just get their own colour
+  if (printer.printerState.state === 'Stalled') {
+    stateCategory = 'Stalled';
+  }
 
   UI.doesElementNeedUpdating(printer.printerName, elements.name, 'innerHTML');
 
@@ -1224,18 +1247,18 @@ async function updateGroupState(printers, clientSettings, view) {
 const drawPrinterPanels = async (view, printers, clientSettings) => {
   for (const p of printers) {
     if (printerIsAvailableToView(p)) {
-      let printerHTML;
-      if (view === 'panel') {
-        printerHTML = drawPanelView(p, clientSettings);
-      } else if (view === 'list') {
-        printerHTML = drawListView(p, clientSettings);
-      } else if (view === 'camera') {
-        printerHTML = drawCameraView(p, clientSettings);
-      } else if (view === 'combined') {
-        printerHTML = drawCombinedView(p, clientSettings);
-      }
-
+      // Only build the markup for printers which haven't got a panel yet
       if (!document.getElementById('panel-' + p._id)) {
+        let printerHTML;
+        if (view === 'panel') {
+          printerHTML = drawPanelView(p, clientSettings);
+        } else if (view === 'list') {
+          printerHTML = drawListView(p, clientSettings);
+        } else if (view === 'camera') {
+          printerHTML = drawCameraView(p, clientSettings);
+        } else if (view === 'combined') {
+          printerHTML = drawCombinedView(p, clientSettings);
+        }
         printerArea.insertAdjacentHTML('beforeend', printerHTML);
 
         //Setup Action Buttons
@@ -1260,17 +1283,27 @@ const updatePrinterPanels = (view, printers, clientSettings) => {
     if (!dragCheck()) {
       updateState(p, clientSettings, view, p.sortIndex);
       updateFullScreenCameraInfo(p)
+    } else {
+      panelsOutOfDate = true;
     }
   }
 };
 
-export async function initMonitoring(printers, clientSettings, view) {
+/**
+ * @param printers
+ * @param clientSettings
+ * @param view
+ * @param changedIDs printers the last server delta touched, leave out to refresh every printer
+ * @returns {Promise<void>}
+ */
+export async function initMonitoring(printers, clientSettings, view, changedIDs = null) {
   if (!spoolDropDownList) {
     spoolDropDownList = await returnDropDownList();
   }
   // Check if printer manager modal is opened
   switch (printerManagerModal.classList.contains('show')) {
     case true:
+      panelsOutOfDate = true;
       // Run printer manager updater
       if (currentOpenModal.innerHTML.includes('Files')) {
         await PrinterFileManagerService.init('', printers, getControlList());
@@ -1306,7 +1339,13 @@ export async function initMonitoring(printers, clientSettings, view) {
       }
       await drawPrinterPanels(view, printers, clientSettings);
 
-      updatePrinterPanels(view, printers, clientSettings);
+      const refreshAll = !changedIDs || panelsOutOfDate;
+      panelsOutOfDate = false;
+      updatePrinterPanels(
+        view,
+        refreshAll ? printers : printers.filter((printer) => changedIDs.has(printer._id)),
+        clientSettings
+      );
       break;
   }
 }
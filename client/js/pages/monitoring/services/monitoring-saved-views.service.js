@@ -0,0 +1,90 @@
+import OctoFarmClient from "../../../services/octofarm-client.service";
+import UI from "../../../utils/ui.js";
+import { returnSavedViewsManager } from "../monitoring.templates";
+
+const VIEW_PREFIX = "View: ";
+const DEFAULT_FILTER = "All Printers";
+
+const selectedValues = (id) =>
+  Array.from(document.getElementById(id).selectedOptions).map((option) => option.value);
+
+/**
+ * Keeps the "View: " entries of the filter drop down in line with the users saved views.
+ * @param savedViews
+ */
+export function drawSavedViewOptions(savedViews) {
+  const filterStates = document.getElementById("filterStates");
+  const selected = filterStates.value;
+  Array.from(filterStates.options)
+    .filter((option) => option.value.startsWith(VIEW_PREFIX))
+    .forEach((option) => option.remove());
+  savedViews.forEach(({ name }) => {
+    filterStates.insertAdjacentHTML(
+      "beforeend",
+      `<option href="#" value="${VIEW_PREFIX}${name}">${VIEW_PREFIX}${name}</option>`
+    );
+  });
+  const stillExists = Array.from(filterStates.options).some(({ value }) => value === selected);
+  filterStates.value = stillExists ? selected : DEFAULT_FILTER;
+}
+
+async function deleteSavedView(e) {
+  const button = e.target.closest("[data-view-id]");
+  if (!button) {
+    return;
+  }
+  const { viewId, viewName } = button.dataset;
+  try {
+    const { savedViews } = await OctoFarmClient.deleteMonitoringView(viewName);
+    document.getElementById(`savedViewRow-${viewId}`)?.remove();
+    drawSavedViewOptions(savedViews);
+    UI.createAlert("success", `Deleted view ${viewName}`, 3000, "Clicked");
+  } catch (e) {
+    console.error(e);
+    UI.createAlert("error", `Couldn't delete view: ${e}`, 0, "Clicked");
+  }
+}
+
+export async function manageSavedViews() {
+  const { savedViews, options } = await OctoFarmClient.getMonitoringViews();
+  const dialog = bootbox.dialog({
+    title: "Saved Views",
+    message: returnSavedViewsManager(savedViews, options),
+    size: "large",
+    onEscape: true,
+    backdrop: true,
+    buttons: {
+      cancel: {
+        label: "Close",
+        className: "btn-secondary",
+      },
+      confirm: {
+        label: "Save View",
+        className: "btn-success",
+        callback: async function () {
+          const name = document.getElementById("savedViewName").value.trim();
+          if (name.length === 0) {
+            UI.createAlert("warning", "Please give the view a name", 3000, "Clicked");
+            return false;
+          }
+          const view = {
+            name,
+            sortBy: document.getElementById("savedViewSort").value,
+            groups: selectedValues("savedViewGroups"),
+            states: selectedValues("savedViewStates"),
+            materials: selectedValues("savedViewMaterials"),
+          };
+          try {
+            const monitoring = await OctoFarmClient.saveMonitoringView(view);
+            drawSavedViewOptions(monitoring.savedViews);
+            UI.createAlert("success", `Saved view ${name}`, 3000, "Clicked");
+          } catch (e) {
+            console.error(e);
+            UI.createAlert("error", `Couldn't save view: ${e}`, 0, "Clicked");
+          }
+        },
+      },
+    },
+  });
+  dialog[0].addEventListener("click", deleteSavedView);
+}
@@ -803,12 +803,14 @@ export default class PrinterControlManagerService {
         command: "start",
       };
 
-      const { status } = await OctoPrintClient.jobAction(
+      const octoPrintCall = await OctoPrintClient.jobAction(
         currentPrinter,
         opts,
         e
       );
-      printActionStatusResponse(status, "print");
+      if (!!octoPrintCall?.status) {
+        printActionStatusResponse(octoPrintCall.status, "print");
+      }
     });
     elements.printerControls.printPause.addEventListener("click", async (e) => {
       e.target.disabled = true;
@@ -42,11 +42,16 @@ import {
 import { populateBulkSettingsForms } from "./bulk-settings-update.functions";
 import bulkActionsStates from "../bulk-actions.constants";
 import { allowedFileTypes } from "../../../constants/file-types.constants";
+import FileManagerService from "../../../services/file-manager.service.js";
 
 import Queue from "../../../services/file-manager-queue.service.js";
 import OctoPrintClient from "../../../services/octoprint/octoprint-client.service";
 import { ClientErrors } from "../../../exceptions/octofarm-client.exceptions";
 import { ApplicationError } from "../../../exceptions/application-error.handler";
+import {
+  printerIsAwaitingBedClear,
+  printerIsMaintenanceBlocked,
+} from "../../../utils/octofarm.utils";
 
 const fileUploads = new Queue();
 
@@ -299,79 +304,45 @@ function setupMultiFileMode(printers, files, folder = "") {
   }
 }
 
-function fileUpload(file) {
-  return new Promise(async function (resolve, _reject) {
-    // Grab folder location
-    const { currentFolder } = file;
-    // Grab Client Info
-    const { index } = file;
-    const { printerInfo } = file;
-
-    // XHR doesn't like posting without it been a form, can't use offical octoprint api way...
-    // Create form data
-    const formData = new FormData();
-    let path = "";
-    if (currentFolder.includes("local/")) {
-      path = currentFolder.replace("local/", "");
-    }
-    formData.append("file", file.file);
-    formData.append("path", path);
-    if (file.print) {
-      formData.append("print", true);
-    }
-    const url = `/octoprint/${printerInfo._id}/api/files/local`;
-    const xhr = new XMLHttpRequest();
-    file = file.file;
-    xhr.open("POST", url);
-    xhr.upload.onprogress = function (e) {
-      if (e.lengthComputable) {
-        // Update progress
-        const progressBar = document.getElementById(
-          "bpUploadProgress-" + index
-        );
-        progressBar.classList = "progress-bar progress-bar-striped bg-warning";
-        if (progressBar) {
-          let percentLoad = (e.loaded / e.total) * 100;
-          if (isNaN(percentLoad)) {
-            percentLoad = 0;
-          }
-          progressBar.style.width = `${Math.floor(percentLoad)}%`;
-          progressBar.innerHTML = `Uploading: ${Math.floor(percentLoad)}%`;
-          if (percentLoad === 100) {
-            progressBar.classList =
-              "progress-bar progress-bar-striped bg-success";
-          }
-        }
-      }
+/**
+ * Bulk prints can't stop and ask for every printer, so warnings are only noted on the results
+ * table. Files that still need uploading have no analysis to check yet.
+ * @param printer
+ * @param filePath
+ * @returns {Promise<{canPrint: boolean, issues: *[], message: string}>}
+ */
+async function checkBulkPrintFilament(printer, filePath) {
+  try {
+    const { canPrint, issues } = await OctoFarmClient.checkFilamentSufficiency(
+      printer._id,
+      filePath
+    );
+    return {
+      canPrint,
+      issues,
+      message: issues.map((issue) => `<br><small>${issue.message}</small>`).join(""),
     };
+  } catch (e) {
+    console.error(e);
+    return { canPrint: true, issues: [], message: "" };
+  }
+}
 
-    xhr.setRequestHeader("X-Api-Key", printerInfo.apikey);
-    xhr.onloadend = async function () {
-      if (this.status >= 200 && this.status < 300) {
-        resolve({
-          status: bulkActionsStates.SUCCESS,
-          message: "Successfully uploaded your file! Printing started.",
-        });
-        // Success!
-      } else {
-        resolve({
-          status: bulkActionsStates.ERROR,
-          message:
-            "An error occured whilst updating your file... Printing failed.",
-        });
-        // Error occured
-      }
-    };
-    xhr.onerror = function () {
-      resolve({
-        status: bulkActionsStates.ERROR,
-        message:
-          "An error occured whilst updating your file... printing failed.",
-      });
-      // Error occured!
-    };
-    xhr.send(formData);
-  });
+/**
+ * The printers copy is verified on the server before the print starts, the results table is
+ * filled in from the event stream as each printer finishes.
+ * @param file
+ * @param printers
+ * @param folder
+ * @returns {Promise<void>}
+ */
+async function distributeBulkPrintFile(file, printers, folder) {
+  const response = await FileManagerService.distributeFile(file, printers, folder, true);
+  if (response.status === bulkActionsStates.ERROR) {
+    printers.forEach((printer) => {
+      updateTableRow(printer._id, response.status, response.message, true);
+    });
+  }
 }
 
 export async function bulkPrintFileSetup() {
@@ -466,8 +437,12 @@ export async function bulkPrintFileSetup() {
     showBulkActionsModal();
     updateBulkActionsProgress(0, printersToControl.length);
     generateTableRows(printersToControl);
+    const printersAwaitingUpload = [];
     // Make sure printers are in idle state...
     for (const printer of printersToControl) {
+      if (printerIsAwaitingBedClear(printer) || printerIsMaintenanceBlocked(printer)) {
+        continue;
+      }
       const response = await quickConnectPrinterToOctoPrint(printer);
       updateTableRow(printer._id, response.status, response.message);
     }
@@ -475,12 +450,40 @@ export async function bulkPrintFileSetup() {
     // Check if file exists and upload if not...
     for (let p = 0; p < printersToControl.length; p++) {
       const currentPrinter = printersToControl[p];
+      if (printerIsAwaitingBedClear(currentPrinter)) {
+        updateTableRow(
+          currentPrinter._id,
+          bulkActionsStates.SKIPPED,
+          "Bed has not been cleared since the last print, skipping..."
+        );
+        continue;
+      }
+      if (printerIsMaintenanceBlocked(currentPrinter)) {
+        updateTableRow(
+          currentPrinter._id,
+          bulkActionsStates.SKIPPED,
+          "Printer has overdue maintenance, skipping..."
+        );
+        continue;
+      }
       if (selectedFiles.length === 1) {
         const doesFileExist = await OctoPrintClient.checkFile(
           currentPrinter,
           selectedFolder + selectedFiles[0].name
         );
         if (doesFileExist === 200) {
+          const filamentCheck = await checkBulkPrintFilament(
+            currentPrinter,
+            selectedFolder + selectedFiles[0].name
+          );
+          if (!filamentCheck.canPrint) {
+            updateTableRow(
+              currentPrinter._id,
+              bulkActionsStates.SKIPPED,
+              `Assigned spools can't finish this print, skipping...<br>${filamentCheck.message}`
+            );
+            continue;
+          }
           const opt = {
             command: "select",
             print: true,
@@ -490,8 +493,10 @@ export async function bulkPrintFileSetup() {
           if (file.status === 204) {
             updateTableRow(
               currentPrinter._id,
-              bulkActionsStates.SUCCESS,
-              "File exists... print has successfully started!"
+              filamentCheck.issues.length > 0
+                ? bulkActionsStates.WARNING
+                : bulkActionsStates.SUCCESS,
+              `File exists... print has successfully started!${filamentCheck.message}`
             );
           } else {
             updateTableRow(
@@ -501,14 +506,8 @@ export async function bulkPrintFileSetup() {
             );
           }
         } else {
-          // Prep the file for upload...
-          const newObject = {
-            file: selectedFiles[0],
-            index: currentPrinter._id,
-            printerInfo: currentPrinter,
-            currentFolder: `local/${selectedFolder}`,
-            print: true,
-          };
+          // One upload to OctoFarm covers every printer missing the file, sent after this loop
+          printersAwaitingUpload.push(currentPrinter);
           updateTableRow(
             currentPrinter._id,
             bulkActionsStates.SKIPPED,
@@ -521,15 +520,6 @@ export async function bulkPrintFileSetup() {
             </div>
           `
           );
-
-          const response = await fileUpload(newObject);
-
-          updateTableRow(
-            currentPrinter._id,
-            response.status,
-            response.message,
-            true
-          );
         }
       } else if (selectedFiles.length > 1) {
         if (selectedFiles[p]) {
@@ -538,6 +528,18 @@ export async function bulkPrintFileSetup() {
             selectedFiles[p].name
           );
           if (doesFileExist === 200) {
+            const filamentCheck = await checkBulkPrintFilament(
+              currentPrinter,
+              selectedFiles[p].name
+            );
+            if (!filamentCheck.canPrint) {
+              updateTableRow(
+                currentPrinter._id,
+                bulkActionsStates.SKIPPED,
+                `Assigned spools can't finish this print, skipping...<br>${filamentCheck.message}`
+              );
+              continue;
+            }
             const opt = {
               command: "select",
               print: true,
@@ -549,8 +551,10 @@ export async function bulkPrintFileSetup() {
             if (file.status === 204) {
               updateTableRow(
                 currentPrinter._id,
-                bulkActionsStates.SUCCESS,
-                "File exists... print has successfully started!"
+                filamentCheck.issues.length > 0
+                  ? bulkActionsStates.WARNING
+                  : bulkActionsStates.SUCCESS,
+                `File exists... print has successfully started!${filamentCheck.message}`
               );
             } else {
               updateTableRow(
@@ -560,15 +564,6 @@ export async function bulkPrintFileSetup() {
               );
             }
           } else {
-            // Prep the file for upload...
-            const newObject = {
-              file: selectedFiles[p],
-              index: currentPrinter._id,
-              printerInfo: currentPrinter,
-              currentFolder: "local/",
-              print: true,
-            };
-
             updateTableRow(
               currentPrinter._id,
               bulkActionsStates.SKIPPED,
@@ -582,13 +577,7 @@ export async function bulkPrintFileSetup() {
             `
             );
 
-            const response = await fileUpload(newObject);
-            updateTableRow(
-              currentPrinter._id,
-              response.status,
-              response.message,
-              true
-            );
+            await distributeBulkPrintFile(selectedFiles[p], [currentPrinter], "");
           }
         } else {
           updateTableRow(
@@ -606,6 +595,9 @@ export async function bulkPrintFileSetup() {
         printersToControl.length
       );
     }
+    if (printersAwaitingUpload.length > 0) {
+      await distributeBulkPrintFile(selectedFiles[0], printersAwaitingUpload, selectedFolder);
+    }
   }
 
   function grabFiles(Afiles) {
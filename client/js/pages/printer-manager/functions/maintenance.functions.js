@@ -0,0 +1,169 @@
+import OctoFarmClient from "../../../services/octofarm-client.service.js";
+import UI from "../../../utils/ui";
+import {
+  returnAddMaintenanceTaskForm,
+  returnMaintenanceBlockedRow,
+  returnMaintenanceRow,
+  returnMaintenanceTasksTable,
+  returnServiceHistoryTable,
+} from "../templates/maintenance.templates";
+
+const maintenanceTableBody = document.getElementById("maintenanceTableBody");
+const maintenanceBlockedList = document.getElementById("maintenanceBlockedList");
+const maintenanceStatus = document.getElementById("maintenanceStatus");
+
+let lastMaintenanceState = "";
+
+export function updateMaintenance(maintenance) {
+  if (!maintenance || !maintenanceTableBody) {
+    return;
+  }
+  // Same as the print queue, leave the buttons alone unless something changed
+  const maintenanceState = JSON.stringify(maintenance);
+  if (maintenanceState === lastMaintenanceState) {
+    return;
+  }
+  lastMaintenanceState = maintenanceState;
+
+  const { due, blocked } = maintenance;
+  maintenanceStatus.innerHTML = due.length;
+
+  if (due.length > 0) {
+    maintenanceTableBody.innerHTML = due.map(returnMaintenanceRow).join("");
+  } else {
+    maintenanceTableBody.innerHTML =
+      "<tr><td colspan=\"6\" class=\"text-center\">No maintenance due...</td></tr>";
+  }
+
+  if (blocked.length > 0) {
+    maintenanceBlockedList.innerHTML = blocked.map(returnMaintenanceBlockedRow).join("");
+  } else {
+    maintenanceBlockedList.innerHTML =
+      "<li class=\"list-group-item bg-dark p-1 text-center\">No printers are blocked!</li>";
+  }
+}
+
+function logMaintenanceComplete({ taskId, printerId, taskName, printerName }) {
+  bootbox.prompt({
+    title: `${printerName}: Log "${taskName}" as done`,
+    inputType: "textarea",
+    placeholder: "Notes, parts replaced etc... (optional)",
+    callback: async function (notes) {
+      if (notes === null) {
+        return;
+      }
+      try {
+        await OctoFarmClient.completeMaintenanceTask(taskId, printerId, notes);
+        UI.createAlert("success", `Logged ${taskName} on ${printerName}!`, 3000, "Clicked");
+      } catch (e) {
+        console.error(e);
+        UI.createAlert("error", `Couldn't log maintenance: ${e}`, 0, "Clicked");
+      }
+    },
+  });
+}
+
+async function showServiceHistory({ printerId, printerName }) {
+  const logs = await OctoFarmClient.getMaintenanceHistory(printerId);
+  bootbox.dialog({
+    title: `${printerName}: Service History`,
+    message: returnServiceHistoryTable(logs),
+    size: "large",
+    onEscape: true,
+    backdrop: true,
+  });
+}
+
+async function maintenanceActionHandler(e) {
+  const button = e.target.closest("[data-maintenance-action]");
+  if (!button) {
+    return;
+  }
+  try {
+    switch (button.dataset.maintenanceAction) {
+      case "complete":
+        logMaintenanceComplete(button.dataset);
+        break;
+      case "history":
+        await showServiceHistory(button.dataset);
+        break;
+      case "delete":
+        await OctoFarmClient.deleteMaintenanceTask(button.dataset.taskId);
+        document.getElementById(`maintenanceTaskRow-${button.dataset.taskId}`)?.remove();
+        UI.createAlert("success", "Deleted maintenance task!", 3000, "Clicked");
+        break;
+    }
+  } catch (e) {
+    console.error(e);
+    UI.createAlert("error", `Maintenance action failed: ${e}`, 0, "Clicked");
+  }
+}
+
+export function setupMaintenanceListeners() {
+  maintenanceTableBody?.addEventListener("click", maintenanceActionHandler);
+  maintenanceBlockedList?.addEventListener("click", maintenanceActionHandler);
+}
+
+export async function manageMaintenanceTasks() {
+  const [tasks, printers] = await Promise.all([
+    OctoFarmClient.getMaintenanceTasks(),
+    OctoFarmClient.listPrinters(),
+  ]);
+  const dialog = bootbox.dialog({
+    title: "Maintenance Tasks",
+    message: returnMaintenanceTasksTable(tasks, printers),
+    size: "large",
+    onEscape: true,
+    backdrop: true,
+  });
+  dialog[0].addEventListener("click", maintenanceActionHandler);
+}
+
+export async function addMaintenanceTask() {
+  const printers = await OctoFarmClient.listPrinters();
+  const groups = [
+    ...new Set(printers.map((printer) => printer.group).filter((group) => !!group)),
+  ];
+
+  bootbox.dialog({
+    title: "Add Maintenance Task",
+    message: returnAddMaintenanceTaskForm(printers, groups),
+    size: "large",
+    buttons: {
+      cancel: {
+        label: "Cancel",
+        className: "btn-secondary",
+      },
+      confirm: {
+        label: "Add Task",
+        className: "btn-success",
+        callback: async function () {
+          const name = document.getElementById("maintenanceTaskName").value.trim();
+          if (name.length === 0) {
+            UI.createAlert("warning", "Please give the task a name", 3000, "Clicked");
+            return false;
+          }
+          const [targetType, target] = document
+            .getElementById("maintenanceTaskTarget")
+            .value.split(/:(.*)/);
+          const task = {
+            name,
+            description: document.getElementById("maintenanceTaskDescription").value,
+            intervalType: document.getElementById("maintenanceTaskIntervalType").value,
+            interval: parseFloat(document.getElementById("maintenanceTaskInterval").value),
+            blockWhenOverdue: document.getElementById("maintenanceTaskBlock").checked,
+            ...(targetType === "printer" && { printerID: target }),
+            ...(targetType === "group" && { group: target }),
+          };
+          try {
+            await OctoFarmClient.addMaintenanceTask(task);
+            UI.createAlert("success", `Scheduled ${task.name}`, 3000, "Clicked");
+          } catch (e) {
+            console.error(e);
+            UI.createAlert("error", `Couldn't add maintenance task: ${e}`, 0, "Clicked");
+          }
+        },
+      },
+    },
+  });
+}
@@ -0,0 +1,137 @@
+import OctoFarmClient from "../../../services/octofarm-client.service.js";
+import UI from "../../../utils/ui";
+import {
+  returnAddQueueJobForm,
+  returnBedClearRow,
+  returnPrintQueueRow,
+} from "../templates/print-queue.templates";
+
+const printQueueTableBody = document.getElementById("printQueueTableBody");
+const printQueueBedClearList = document.getElementById("printQueueBedClearList");
+const printQueueStatus = document.getElementById("printQueueStatus");
+
+let lastQueueState = "";
+
+export function updatePrintQueue(printQueue) {
+  if (!printQueue || !printQueueTableBody) {
+    return;
+  }
+  // Only redraw when something has changed, otherwise buttons get swapped out from under the cursor
+  const queueState = JSON.stringify(printQueue);
+  if (queueState === lastQueueState) {
+    return;
+  }
+  lastQueueState = queueState;
+
+  const { jobs, awaitingBedClear } = printQueue;
+  printQueueStatus.innerHTML = jobs.length;
+
+  if (jobs.length > 0) {
+    printQueueTableBody.innerHTML = jobs.map(returnPrintQueueRow).join("");
+  } else {
+    printQueueTableBody.innerHTML =
+      "<tr><td colspan=\"7\" class=\"text-center\">No jobs queued...</td></tr>";
+  }
+
+  if (awaitingBedClear.length > 0) {
+    printQueueBedClearList.innerHTML = awaitingBedClear.map(returnBedClearRow).join("");
+  } else {
+    printQueueBedClearList.innerHTML =
+      "<li class=\"list-group-item bg-dark p-1 text-center\">All beds are clear!</li>";
+  }
+}
+
+async function queueActionHandler(e) {
+  const button = e.target.closest("[data-queue-action]");
+  if (!button) {
+    return;
+  }
+  const { queueAction, queueId, queuePriority } = button.dataset;
+  try {
+    switch (queueAction) {
+      case "cancel":
+        await OctoFarmClient.cancelPrintQueueJob(queueId);
+        UI.createAlert("success", "Cancelled queued job!", 3000, "Clicked");
+        break;
+      case "priorityUp":
+        await OctoFarmClient.updatePrintQueueJob(queueId, {
+          priority: parseInt(queuePriority) + 1,
+        });
+        break;
+      case "priorityDown":
+        await OctoFarmClient.updatePrintQueueJob(queueId, {
+          priority: parseInt(queuePriority) - 1,
+        });
+        break;
+      case "bedCleared":
+        await OctoFarmClient.clearPrinterBed(queueId);
+        UI.createAlert("success", "Bed marked as cleared!", 3000, "Clicked");
+        break;
+    }
+  } catch (e) {
+    console.error(e);
+    UI.createAlert("error", `Print queue action failed: ${e}`, 0, "Clicked");
+  }
+}
+
+export function setupPrintQueueListeners() {
+  printQueueTableBody?.addEventListener("click", queueActionHandler);
+  printQueueBedClearList?.addEventListener("click", queueActionHandler);
+}
+
+export async function addPrintQueueJob() {
+  const [files, printerGroups, { profiles }] = await Promise.all([
+    OctoFarmClient.getPrintQueueFiles(),
+    OctoFarmClient.get("printers/groups"),
+    OctoFarmClient.getFilamentProfiles(),
+  ]);
+
+  if (files.length === 0) {
+    UI.createAlert(
+      "warning",
+      "No files found on any of your printers, please upload a file before queueing.",
+      5000,
+      "Clicked"
+    );
+    return;
+  }
+
+  const groups = [
+    ...new Set(printerGroups.map((printer) => printer.group).filter((group) => !!group)),
+  ];
+  const materials = [
+    ...new Set((profiles || []).map((profile) => profile?.material).filter((m) => !!m)),
+  ];
+
+  bootbox.dialog({
+    title: "Add Job To Print Queue",
+    message: returnAddQueueJobForm(files, groups, materials),
+    size: "large",
+    buttons: {
+      cancel: {
+        label: "Cancel",
+        className: "btn-secondary",
+      },
+      confirm: {
+        label: "Queue Job",
+        className: "btn-success",
+        callback: async function () {
+          const job = {
+            filePath: document.getElementById("printQueueFile").value,
+            copies: parseInt(document.getElementById("printQueueCopies").value),
+            priority: parseInt(document.getElementById("printQueuePriority").value),
+            targetGroup: document.getElementById("printQueueGroup").value,
+            targetMaterial: document.getElementById("printQueueMaterial").value,
+          };
+          try {
+            await OctoFarmClient.addPrintQueueJob(job);
+            UI.createAlert("success", `Queued ${job.copies} x ${job.filePath}`, 3000, "Clicked");
+          } catch (e) {
+            console.error(e);
+            UI.createAlert("error", `Couldn't queue job: ${e}`, 0, "Clicked");
+          }
+        },
+      },
+    },
+  });
+}
@@ -24,6 +24,9 @@ import {
   collapsableRow,
 } from "../templates/connection-overview.templates";
 import PrinterTerminalManagerService from "../../monitoring/services/printer-terminal-manager.service";
+import { updatePrintQueue } from "./print-queue.functions";
+import { updateMaintenance } from "./maintenance.functions";
+import SseDeltaState from "../../../services/sse-delta-state.service";
 
 const currentOpenModal = document.getElementById("printerManagerModalTitle");
 const connectionLogMessageBox = document.getElementById(
@@ -46,8 +49,19 @@ const userActionsLogMessageLoader = document.getElementById(
   "printerActionsLoader"
 );
 
-export function workerEventFunction(data) {
-  if (data) {
+const printerManagerState = new SseDeltaState(
+  "printersInformation",
+  "_id",
+  "/printersInfo/resync"
+);
+
+export function workerEventFunction(message) {
+  if (message) {
+    const update = printerManagerState.apply(message);
+    if (!update) {
+      return;
+    }
+    const { data } = update;
     const modalVisibility = UI.checkIfAnyModalShown();
 
     if (!modalVisibility) {
@@ -68,6 +82,8 @@ export function workerEventFunction(data) {
         alertsLogMessageCount,
         alertsLogMessageLoader
       );
+      updatePrintQueue(data.printQueue);
+      updateMaintenance(data.maintenance);
       if (data.printersInformation.length > 0) {
         createOrUpdatePrinterTableRow(
           data.printersInformation,
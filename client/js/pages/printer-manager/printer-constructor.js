@@ -4,10 +4,21 @@ import OctoFarmClient from "../../services/octofarm-client.service.js";
 
 let newPrintersIndex = 0;
 
+const PRINTER_CATEGORIES = ["OctoPrint", "Moonraker"];
+
+const printerCategorySelect = (index, selected = PRINTER_CATEGORIES[0]) => `
+  <select id="newPrinterCategory-${index}" class="form-control">
+    ${PRINTER_CATEGORIES.map(
+      (category) =>
+        `<option value="${category}" ${category === selected ? "selected" : ""}>${category}</option>`
+    ).join("")}
+  </select>
+`;
+
 // REFACTOR clean up this file is a mess jim
 
 class Printer {
-  constructor(printerURL, camURL, apikey, group, name) {
+  constructor(printerURL, camURL, apikey, group, name, category) {
     this.settingsAppearance = {
       color: "default",
       colorTransparent: false,
@@ -19,12 +30,13 @@ class Printer {
     this.camURL = camURL;
     this.apikey = apikey;
     this.group = group;
+    this.category = category;
   }
 }
 
 export class PrintersManagement {
-  constructor(printerURL, camURL, apikey, group, name) {
-    this.printer = new Printer(printerURL, camURL, apikey, group, name);
+  constructor(printerURL, camURL, apikey, group, name, category) {
+    this.printer = new Printer(printerURL, camURL, apikey, group, name, category);
   }
 
   static addPrinter(newPrinter) {
@@ -40,6 +52,9 @@ export class PrintersManagement {
         "beforebegin",
         `
    <tr id="newPrinterCard-${newPrintersIndex}">
+        <td><div class="mb-0">
+          ${printerCategorySelect(newPrintersIndex, newPrinter.category)}
+        </div></td>
         <td><div class="mb-0">
           <input id="newPrinterName-${newPrintersIndex}" type="text" class="form-control" placeholder="Leave blank to grab from OctoPrint" value="${newPrinter.name}">
         </div></td>
@@ -70,6 +85,10 @@ export class PrintersManagement {
         "beforebegin",
         `
         <tr id="newPrinterCard-${newPrintersIndex}">
+        <td><div class="mb-0">
+          ${printerCategorySelect(newPrintersIndex)}
+          <small>Klipper printers use <code>Moonraker</code></small>
+        </div></td>
         <td><div class="mb-0">
           <input id="newPrinterName-${newPrintersIndex}" type="text" class="form-control" placeholder="Leave blank to grab from OctoPrint">
           <small>Example: <code>My Awesome Printer Name</code></small>
@@ -156,6 +175,9 @@ export class PrintersManagement {
           if (typeof newPrinter.apikey !== "undefined") {
             printer.apikey = newPrinter.apikey;
           }
+          if (PRINTER_CATEGORIES.includes(newPrinter.category)) {
+            printer.category = newPrinter.category;
+          }
           await PrintersManagement.addPrinter(printer);
         }
         UI.createAlert(
@@ -219,6 +241,7 @@ export class PrintersManagement {
     const printerAPIKEY = document.getElementById(`newPrinterAPIKEY-${newId}`);
     const printerGroup = document.getElementById(`newPrinterGroup-${newId}`);
     const printerName = document.getElementById(`newPrinterName-${newId}`);
+    const printerCategory = document.getElementById(`newPrinterCategory-${newId}`);
 
     const errors = [];
     let printCheck = -1;
@@ -278,7 +301,8 @@ export class PrintersManagement {
         printerCamURL.value,
         printerAPIKEY.value,
         printerGroup.value,
-        printerName.value
+        printerName.value,
+        printerCategory.value
       ).build();
       const printersToAdd = await OctoFarmClient.post("printers/add", printer);
       const { printersAdded } = printersToAdd;
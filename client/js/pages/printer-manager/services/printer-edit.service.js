@@ -1,5 +1,9 @@
 import UI from "../../../utils/ui";
 import OctoFarmClient from "../../../services/octofarm-client.service";
+import {
+  DEFAULT_CAMERA_NAME,
+  MAX_PRINTER_CAMERAS,
+} from "../../../../../server/constants/camera.constants";
 
 export default class PrinterEditService {
   static pageElements;
@@ -102,9 +106,7 @@ export default class PrinterEditService {
     // Grab out the protocol and select it on the select box.
     document.getElementById("psWebSocketProtocol").value =
       webSocketURL.protocol + "//";
-    const printerCamURLElement = document.getElementById("psCamURL");
-    printerCamURLElement.value = "";
-    printerCamURLElement.placeholder = currentPrinter.camURL;
+    PrinterEditService.loadCameraList(currentPrinter);
     const printerAPIKEYElement = document.getElementById("psAPIKEY");
     printerAPIKEYElement.value = "";
     printerAPIKEYElement.placeholder = currentPrinter.apikey;
@@ -115,6 +117,68 @@ export default class PrinterEditService {
 
     UI.addSelectListeners("ps");
   }
+  static loadCameraList(currentPrinter) {
+    let cameras = currentPrinter.cameras ?? [];
+    // Printers saved before multiple cameras only have the one url
+    if (cameras.length === 0 && !!currentPrinter.camURL) {
+      cameras = [{ name: DEFAULT_CAMERA_NAME, url: currentPrinter.camURL }];
+    }
+    document.getElementById("psCameraList").innerHTML = "";
+    if (cameras.length === 0) {
+      PrinterEditService.addCameraRow();
+    }
+    cameras.forEach((camera) => PrinterEditService.addCameraRow(camera));
+
+    document.getElementById("psCameraListButtons").innerHTML = `
+      <button id="psAddCamera" type="button" class="btn btn-outline-info btn-sm">
+        <i class="fas fa-plus"></i> Add camera
+      </button>
+    `;
+    document.getElementById("psAddCamera").addEventListener("click", () => {
+      PrinterEditService.addCameraRow();
+    });
+  }
+  static addCameraRow(camera = { name: "", url: "" }) {
+    const cameraList = document.getElementById("psCameraList");
+    if (cameraList.children.length >= MAX_PRINTER_CAMERAS) {
+      UI.createAlert(
+        "warning",
+        `Printers can have up to ${MAX_PRINTER_CAMERAS} cameras`,
+        3000,
+        "clicked"
+      );
+      return;
+    }
+    cameraList.insertAdjacentHTML(
+      "beforeend",
+      `
+      <div class="input-group mb-1 psCameraRow">
+        <input type="text" class="form-control psCameraName" placeholder="Name e.g. Nozzle">
+        <input type="text" class="form-control w-50 psCameraURL" placeholder="Camera URL">
+        <div class="input-group-append">
+          <button type="button" class="btn btn-outline-danger psCameraRemove" title="Remove camera">
+            <i class="fas fa-trash"></i>
+          </button>
+        </div>
+      </div>
+    `
+    );
+    const row = cameraList.lastElementChild;
+    // Set as values so nothing in a name or url can break out of the markup
+    row.querySelector(".psCameraName").value = camera.name;
+    row.querySelector(".psCameraURL").value = camera.url;
+    row.querySelector(".psCameraRemove").addEventListener("click", () => {
+      row.remove();
+    });
+  }
+  static getCameraValues() {
+    return [...document.querySelectorAll("#psCameraList .psCameraRow")].map(
+      (row) => ({
+        name: row.querySelector(".psCameraName").value,
+        url: row.querySelector(".psCameraURL").value,
+      })
+    );
+  }
   static grabPageElements() {
     if (!PrinterEditService.pageElements) {
       PrinterEditService.pageElements = {
@@ -175,7 +239,7 @@ export default class PrinterEditService {
         document.getElementById("psWebSocketProtocol")
       ),
       index: PrinterEditService.currentPrinter._id,
-      cameraURL: UI.getValueOrPlaceHolder(document.getElementById("psCamURL")),
+      cameras: PrinterEditService.getCameraValues(),
       apikey: UI.getValueOrPlaceHolder(document.getElementById("psAPIKEY")),
       currentUser: UI.getValueOrPlaceHolder(
         document.getElementById("psOctoPrintUser")
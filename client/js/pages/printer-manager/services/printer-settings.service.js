@@ -143,6 +143,8 @@ class PrinterSettingsService {
     connectTimeout.placeholder = currentPrinter.quickConnectSettings.connectAfterPowerTimeout / 1000;
     powerTimeout.placeholder = currentPrinter.quickConnectSettings.powerAfterDisconnectTimeout / 1000;
 
+    document.getElementById("psBedClearOverride").checked = !!currentPrinter.bedClearOverride;
+
     if (printerOnline) {
       pageElements.mainPage.offlineMessage.innerHTML = "";
       currentPrinter.connectionOptions.baudrates.forEach((baud) => {
@@ -696,7 +698,7 @@ class PrinterSettingsService {
           _id: script._id,
           active: script.active,
           message: script.message,
-          scriptLocation: script.scriptLocation,
+          scriptLocation: script.scriptLocation || script.webhook?.url,
           trigger: script.trigger,
         });
       }
@@ -875,6 +877,7 @@ class PrinterSettingsService {
       currentPrinter.otherSettings.webCamSettings.flipV;
   }
   static setupTriggersTab() {
+    const triggers = currentPrinter.otherSettings.temperatureTriggers;
     document.getElementById("tempTriggers").innerHTML = `
          <div class="form-group">
             <label for="headtingVariation">Heating Variation</label>
@@ -890,7 +893,66 @@ class PrinterSettingsService {
                 What temperature limit will trigger the blue status on the temperature display when a printer is Complete and cooling down. <code>Default is 30°C</code>
             </small>
           </div>
+          <h6>Thermal Watchdog</h6>
+          <form class="was-validated">
+          <div class="custom-control custom-checkbox mb-3">
+              <input type="checkbox" class="custom-control-input" id="psWatchdogEnabled" required>
+              <label class="custom-control-label" for="psWatchdogEnabled">Watch this printers temperatures for heater faults</label>
+          </div>
+          </form>
+          <div class="form-row">
+            <div class="form-group col-md-4">
+              <label for="psDivergenceTolerance">Divergence Tolerance</label>
+              <input type="number" class="form-control" id="psDivergenceTolerance" placeholder="${triggers.divergenceTolerance}" step="0.1" min="1">
+              <small class="form-text text-muted">
+                  How far a heater can drift from its target before it counts as diverging. <code>Default is 10°C</code>
+              </small>
+            </div>
+            <div class="form-group col-md-4">
+              <label for="psDivergenceTime">Divergence Time</label>
+              <input type="number" class="form-control" id="psDivergenceTime" placeholder="${triggers.divergenceTime}" step="1" min="1">
+              <small class="form-text text-muted">
+                  Seconds a heater can stay diverged after reaching its target. <code>Default is 120s</code>
+              </small>
+            </div>
+            <div class="form-group col-md-4">
+              <label for="psHeatUpTime">Heat Up Time</label>
+              <input type="number" class="form-control" id="psHeatUpTime" placeholder="${triggers.heatUpTime}" step="1" min="1">
+              <small class="form-text text-muted">
+                  Seconds a heater gets to first reach a new target. <code>Default is 900s</code>
+              </small>
+            </div>
+          </div>
+          <div class="form-row">
+            <div class="form-group col-md-4">
+              <label for="psIdleRiseLimit">Idle Rise Limit</label>
+              <input type="number" class="form-control" id="psIdleRiseLimit" placeholder="${triggers.idleRiseLimit}" step="0.1" min="1">
+              <small class="form-text text-muted">
+                  How far a heater with no target can climb before it's treated as stuck on. <code>Default is 15°C</code>
+              </small>
+            </div>
+            <div class="form-group col-md-4">
+              <label for="psBedDropTolerance">Bed Drop Tolerance</label>
+              <input type="number" class="form-control" id="psBedDropTolerance" placeholder="${triggers.bedDropTolerance}" step="0.1" min="1">
+              <small class="form-text text-muted">
+                  How far the bed can fall below its target mid print. <code>Default is 10°C</code>
+              </small>
+            </div>
+            <div class="form-group col-md-4">
+              <label for="psAnomalyAction">On Anomaly</label>
+              <select class="custom-select" id="psAnomalyAction">
+                <option value="none">Alert only</option>
+                <option value="pause">Pause the print</option>
+                <option value="poweroff">Power off the printer</option>
+              </select>
+              <small class="form-text text-muted">
+                  Powering off uses the Power Off URL and command from the Power tab.
+              </small>
+            </div>
+          </div>
       `;
+    document.getElementById("psWatchdogEnabled").checked = triggers.watchdogEnabled;
+    document.getElementById("psAnomalyAction").value = triggers.anomalyAction;
   }
 
   static async setupSaveButton() {
@@ -1012,6 +1074,7 @@ class PrinterSettingsService {
         connectAfterPowerTimeout: UI.getValueOrPlaceHolder(document.getElementById("psQuickConnectTimeout")) * 1000,
         powerAfterDisconnectTimeout: UI.getValueOrPlaceHolder(document.getElementById("psQuickPowerTimeout")) * 1000
       },
+      bedClearOverride: document.getElementById("psBedClearOverride").checked,
       powerCommands: {
         powerOnCommand: UI.getValueOrPlaceHolder(
           document.getElementById("psPowerOnCommand")
@@ -1190,6 +1253,23 @@ class PrinterSettingsService {
         coolDown: UI.getValueOrPlaceHolder(
           document.getElementById("psCoolDown")
         ),
+        watchdogEnabled: document.getElementById("psWatchdogEnabled").checked,
+        divergenceTolerance: UI.getValueOrPlaceHolder(
+          document.getElementById("psDivergenceTolerance")
+        ),
+        divergenceTime: UI.getValueOrPlaceHolder(
+          document.getElementById("psDivergenceTime")
+        ),
+        heatUpTime: UI.getValueOrPlaceHolder(
+          document.getElementById("psHeatUpTime")
+        ),
+        idleRiseLimit: UI.getValueOrPlaceHolder(
+          document.getElementById("psIdleRiseLimit")
+        ),
+        bedDropTolerance: UI.getValueOrPlaceHolder(
+          document.getElementById("psBedDropTolerance")
+        ),
+        anomalyAction: document.getElementById("psAnomalyAction").value,
       };
     }
     return newPrinterSettingsValues;
@@ -1,9 +1,19 @@
 import Calc from "../../../utils/calc";
 import OctoFarmClient from "../../../services/octofarm-client.service";
 import ApexCharts from "apexcharts";
+import UI from "../../../utils/ui";
+import { renderTemperatureHistoryChart } from "../../charts/temperature-history.chart";
 
 let historyBarChart = null;
 let historyPieChart = null;
+let temperatureHistoryChart = null;
+
+const temperatureRanges = {
+  "Last Hour": 60 * 60 * 1000,
+  "Last 6 Hours": 6 * 60 * 60 * 1000,
+  "Last 24 Hours": 24 * 60 * 60 * 1000,
+  "Last 7 Days": 7 * 24 * 60 * 60 * 1000,
+};
 
 export default class PrinterStatisticsService {
   static async returnPrinterStatsTemplate(stats) {
@@ -179,6 +189,21 @@ export default class PrinterStatisticsService {
                 ${noHistoryMessage}
                 <div class="${display}" id='historyGraph'></div>
             </div>
+            <div class="col-12">
+              <div class="card text-white bg-dark mb-3">
+                <div class="card-header d-flex justify-content-between align-items-center">
+                  <span>Temperature History</span>
+                  <select id="printerTemperatureRange" class="custom-select custom-select-sm w-auto">
+                    ${Object.entries(temperatureRanges)
+                      .map(([label, range]) => `<option value="${range}">${label}</option>`)
+                      .join("")}
+                  </select>
+                </div>
+                <div class="card-body">
+                  <div class="card-text" id="printerTemperatureGraph"></div>
+                </div>
+              </div>
+            </div>
             <div class="col-md-6 col-lg-3">
             
               <div class="card text-white bg-dark mb-3" >
@@ -336,9 +361,28 @@ export default class PrinterStatisticsService {
             </div>
     `;
   }
+  static async loadTemperatureHistory(id, range) {
+    const graph = document.getElementById("printerTemperatureGraph");
+    const to = new Date();
+    try {
+      const temperatureHistory = await OctoFarmClient.getPrinterTemperatureHistory(id, {
+        from: new Date(to.getTime() - range).toISOString(),
+        to: to.toISOString(),
+      });
+      temperatureHistoryChart = await renderTemperatureHistoryChart(
+        graph,
+        temperatureHistory,
+        temperatureHistoryChart
+      );
+    } catch (e) {
+      console.error(e);
+      UI.createAlert("error", "Unable to load the printers temperature history", 3000, "Clicked");
+    }
+  }
   static async loadStatistics(id) {
     historyBarChart = null;
     historyPieChart = null;
+    temperatureHistoryChart = null;
     let get = await OctoFarmClient.get("history/statistics/" + id);
     //Setup page
     let printerStatsWrapper = document.getElementById("printerStatistics");
@@ -587,5 +631,11 @@ export default class PrinterStatisticsService {
     historyPieChart.updateSeries(get.printerUtilisation);
     historyBarChart.render();
     historyBarChart.updateSeries(get.historyByDay);
+
+    const temperatureRange = document.getElementById("printerTemperatureRange");
+    temperatureRange.addEventListener("change", async () => {
+      await this.loadTemperatureHistory(id, parseInt(temperatureRange.value));
+    });
+    await this.loadTemperatureHistory(id, parseInt(temperatureRange.value));
   }
 }
@@ -30,6 +30,7 @@ const E = {
   PPROFILE: "profile",
   PROFILE_CHECK: "profileCheck",
   WEBCAM: "webcam",
+  CAMERA_STREAM: "cameraStream",
   H_FFMPEG: "hWebcam",
   H_CODEC: "hCodec",
   H_TIMELAPSE: "hTimelapse",
@@ -147,6 +148,22 @@ const returnHistoryCamera = (pClean, history) => {
     )}
     `;
 };
+const CAMERA_STREAM_FAILURES = ["stale", "error"];
+
+const returnCameraStreams = (pClean, cameraStreams = []) => {
+  return cameraStreams
+    .map((stream, index) =>
+      returnButton(
+        !CAMERA_STREAM_FAILURES.includes(stream.state),
+        "<i class=\"fas fa-video\"></i>",
+        `${E.CAMERA_STREAM}${index}-${pClean}`,
+        stream.state === "online"
+          ? `&#x2713; ${stream.name} stream is sending ${stream.frameRate ?? "?"} fps`
+          : `${stream.name} stream hasn't been checked yet`
+      )
+    )
+    .join("");
+};
 const VALID = (check) => {
   return `&#x2713; ${check} is valid and setup correctly!`;
 };
@@ -300,6 +317,7 @@ export function returnHealthCheckRow(check) {
            E.WEBCAM + pClean,
            VALID("Webcam")
          )}
+         ${returnCameraStreams(pClean, check.cameraStreams)}
         </td>
         <td>
         ${returnHistoryCamera(pClean, check.webcamChecks.historySetup)}
@@ -532,6 +550,25 @@ export function addHealthCheckListeners(check) {
     });
   }
 
+  (check.cameraStreams ?? []).forEach((stream, index) => {
+    if (!CAMERA_STREAM_FAILURES.includes(stream.state)) {
+      return;
+    }
+    const lastFrame = stream.lastFrameAt
+      ? new Date(stream.lastFrameAt).toLocaleString()
+      : "never";
+    document
+      .getElementById(`${E.CAMERA_STREAM}${index}-${pClean}`)
+      .addEventListener("click", () => {
+        returnBootBox(
+          `The "${stream.name}" camera stream isn't sending frames. Last frame received: ${lastFrame}.` +
+            (stream.error ? `<br>Last error: <code>${stream.error}</code>` : ""),
+          `Check the camera is powered and plugged in, and that <code>${stream.url}</code> opens in your browser. Update the printers cameras in the Printer Settings modal if the address has changed.`,
+          "Monitoring views will show a broken image for this camera, and recorded timelapses or snapshots may be missing."
+        );
+      });
+  });
+
   const { ffmpegPath, ffmpegVideoCodex, timelapseEnabled } =
     check.webcamChecks.historySetup;
 
@@ -0,0 +1,169 @@
+const INTERVAL_UNITS = {
+  hours: "h",
+  filament: "m",
+  days: "days",
+};
+
+const STATE_BADGES = {
+  OK: "badge-success",
+  Due: "badge-warning",
+  Overdue: "badge-danger",
+};
+
+const returnInterval = ({ intervalType, interval }) =>
+  `${interval} ${INTERVAL_UNITS[intervalType]}`;
+
+const returnTaskTarget = (task, printers) => {
+  if (!!task.printerID) {
+    const printer = printers.find((p) => p._id === task.printerID);
+    return `<i class="fas fa-print"></i> ${printer ? printer.printerName : "Removed Printer"}`;
+  }
+  if (!!task.group) {
+    return `<i class="fas fa-layer-group"></i> ${task.group}`;
+  }
+  return "All Printers";
+};
+
+export const returnMaintenanceRow = (entry) => {
+  return `
+    <tr>
+      <td>${entry.printerName}</td>
+      <td class="text-wrap" title="${entry.description}">${entry.taskName} ${entry.blockWhenOverdue ? "<i title=\"Blocks new jobs when overdue\" class=\"fas fa-ban text-danger\"></i>" : ""}</td>
+      <td>${entry.used} / ${returnInterval(entry)}</td>
+      <td><span class="badge ${STATE_BADGES[entry.state]}">${entry.state}</span></td>
+      <td>${entry.lastCompleted ? new Date(entry.lastCompleted).toLocaleString() : "Never"}</td>
+      <td>
+        <button type="button" title="Log this maintenance as done" class="btn btn-success btn-sm" data-maintenance-action="complete" data-task-id="${entry.taskID}" data-printer-id="${entry.printerID}" data-task-name="${entry.taskName}" data-printer-name="${entry.printerName}"><i class="fas fa-check"></i> Done</button>
+        <button type="button" title="View service history" class="btn btn-info btn-sm" data-maintenance-action="history" data-printer-id="${entry.printerID}" data-printer-name="${entry.printerName}"><i class="fas fa-history"></i></button>
+      </td>
+    </tr>
+  `;
+};
+
+export const returnMaintenanceBlockedRow = (printer) => {
+  return `
+    <li class="list-group-item bg-dark d-flex justify-content-between align-items-center p-1">
+      <span><i class="fas fa-print"></i> ${printer.printerName}</span>
+      <button type="button" title="View service history" class="btn btn-info btn-sm" data-maintenance-action="history" data-printer-id="${printer._id}" data-printer-name="${printer.printerName}"><i class="fas fa-history"></i> History</button>
+    </li>
+  `;
+};
+
+export const returnMaintenanceTasksTable = (tasks, printers) => {
+  if (tasks.length === 0) {
+    return "<p class=\"text-center\">No maintenance tasks have been scheduled...</p>";
+  }
+  return `
+    <table class="table table-dark table-sm table-striped mb-0">
+      <thead>
+      <tr>
+        <th scope="col">Task</th>
+        <th scope="col">Applies To</th>
+        <th scope="col">Every</th>
+        <th scope="col">Blocks Jobs</th>
+        <th scope="col"></th>
+      </tr>
+      </thead>
+      <tbody>
+      ${tasks
+        .map(
+          (task) => `
+        <tr id="maintenanceTaskRow-${task._id}">
+          <td class="text-wrap" title="${task.description}">${task.name}</td>
+          <td>${returnTaskTarget(task, printers)}</td>
+          <td>${returnInterval(task)}</td>
+          <td>${task.blockWhenOverdue ? "Yes" : "No"}</td>
+          <td>
+            <button type="button" title="Delete this task, its service history is kept" class="btn btn-danger btn-sm" data-maintenance-action="delete" data-task-id="${task._id}"><i class="fas fa-trash"></i></button>
+          </td>
+        </tr>
+      `
+        )
+        .join("")}
+      </tbody>
+    </table>
+  `;
+};
+
+export const returnServiceHistoryTable = (logs) => {
+  if (logs.length === 0) {
+    return "<p class=\"text-center\">No maintenance has been logged for this printer...</p>";
+  }
+  return `
+    <table class="table table-dark table-sm table-striped mb-0">
+      <thead>
+      <tr>
+        <th scope="col">Date</th>
+        <th scope="col">Task</th>
+        <th scope="col">Print Hours</th>
+        <th scope="col">Filament (m)</th>
+        <th scope="col">Completed By</th>
+        <th scope="col">Notes</th>
+      </tr>
+      </thead>
+      <tbody>
+      ${logs
+        .map(
+          (log) => `
+        <tr>
+          <td>${new Date(log.date).toLocaleString()}</td>
+          <td>${log.taskName}</td>
+          <td>${log.printHours}</td>
+          <td>${log.filamentLength}</td>
+          <td>${log.completedBy ? log.completedBy : "-"}</td>
+          <td class="text-wrap">${log.notes ? log.notes : "-"}</td>
+        </tr>
+      `
+        )
+        .join("")}
+      </tbody>
+    </table>
+  `;
+};
+
+export const returnAddMaintenanceTaskForm = (printers, groups) => {
+  return `
+    <form id="maintenanceTaskForm">
+      <div class="form-row">
+        <div class="form-group col-6">
+          <label for="maintenanceTaskName">Name</label>
+          <input id="maintenanceTaskName" type="text" class="form-control" maxlength="50" placeholder="Nozzle swap" required>
+        </div>
+        <div class="form-group col-6">
+          <label for="maintenanceTaskTarget">Applies To</label>
+          <select id="maintenanceTaskTarget" class="custom-select">
+            <option value="">All Printers</option>
+            <optgroup label="Groups">
+              ${groups.map((group) => `<option value="group:${group}">${group}</option>`).join("")}
+            </optgroup>
+            <optgroup label="Printers">
+              ${printers.map((printer) => `<option value="printer:${printer._id}">${printer.printerName}</option>`).join("")}
+            </optgroup>
+          </select>
+        </div>
+      </div>
+      <div class="form-group">
+        <label for="maintenanceTaskDescription">Description</label>
+        <input id="maintenanceTaskDescription" type="text" class="form-control" maxlength="500">
+      </div>
+      <div class="form-row">
+        <div class="form-group col-6">
+          <label for="maintenanceTaskInterval">Every</label>
+          <input id="maintenanceTaskInterval" type="number" class="form-control" min="1" value="500">
+        </div>
+        <div class="form-group col-6">
+          <label for="maintenanceTaskIntervalType">Measured In</label>
+          <select id="maintenanceTaskIntervalType" class="custom-select">
+            <option value="hours">Print Hours</option>
+            <option value="filament">Filament Used (m)</option>
+            <option value="days">Calendar Days</option>
+          </select>
+        </div>
+      </div>
+      <div class="custom-control custom-checkbox">
+        <input id="maintenanceTaskBlock" type="checkbox" class="custom-control-input">
+        <label class="custom-control-label" for="maintenanceTaskBlock">Block new jobs on a printer whilst this task is overdue</label>
+      </div>
+    </form>
+  `;
+};
@@ -0,0 +1,87 @@
+const returnJobTarget = (job) => {
+  const targets = [];
+  if (!!job.targetGroup) {
+    targets.push(`<i class="fas fa-layer-group"></i> ${job.targetGroup}`);
+  }
+  if (!!job.targetMaterial) {
+    targets.push(`<i class="fas fa-toilet-paper"></i> ${job.targetMaterial}`);
+  }
+  if (targets.length === 0) {
+    targets.push("Any Printer");
+  }
+  return targets.join("<br>");
+};
+
+export const returnPrintQueueRow = (job) => {
+  const printingOn = job.assignments
+    .filter((assignment) => assignment.status === "Printing")
+    .map((assignment) => assignment.printerName);
+  return `
+    <tr id="printQueueRow-${job._id}">
+      <td class="text-wrap" title="${job.filePath}">${job.fileName}</td>
+      <td>${returnJobTarget(job)}</td>
+      <td>
+        <div class="btn-group btn-group-sm" role="group">
+          <button type="button" class="btn btn-secondary" data-queue-action="priorityDown" data-queue-id="${job._id}" data-queue-priority="${job.priority}" ${job.priority <= 0 ? "disabled" : ""}><i class="fas fa-arrow-down"></i></button>
+          <button type="button" class="btn btn-dark" disabled>${job.priority}</button>
+          <button type="button" class="btn btn-secondary" data-queue-action="priorityUp" data-queue-id="${job._id}" data-queue-priority="${job.priority}" ${job.priority >= 100 ? "disabled" : ""}><i class="fas fa-arrow-up"></i></button>
+        </div>
+      </td>
+      <td>${job.completed} / ${job.copies} ${job.failed > 0 ? `<small class="text-danger">(${job.failed} failed)</small>` : ""}</td>
+      <td class="text-wrap">${printingOn.length > 0 ? printingOn.join(", ") : "-"}</td>
+      <td>${job.createdBy ? job.createdBy : "-"}<br><small>${new Date(job.dateAdded).toLocaleString()}</small></td>
+      <td>
+        <button type="button" title="Cancel this job" class="btn btn-danger btn-sm" data-queue-action="cancel" data-queue-id="${job._id}"><i class="fas fa-trash"></i></button>
+      </td>
+    </tr>
+  `;
+};
+
+export const returnBedClearRow = (printer) => {
+  return `
+    <li class="list-group-item bg-dark d-flex justify-content-between align-items-center p-1">
+      <span><i class="fas fa-print"></i> ${printer.printerName}</span>
+      <button type="button" title="Confirm the bed has been cleared" class="btn btn-success btn-sm" data-queue-action="bedCleared" data-queue-id="${printer._id}"><i class="fas fa-broom"></i> Cleared</button>
+    </li>
+  `;
+};
+
+export const returnAddQueueJobForm = (files, groups, materials) => {
+  return `
+    <form id="printQueueJobForm">
+      <div class="form-group">
+        <label for="printQueueFile">File</label>
+        <select id="printQueueFile" class="custom-select" required>
+          ${files.map((file) => `<option value="${file}">${file}</option>`).join("")}
+        </select>
+        <small class="form-text text-muted">Only printers which already hold this file will be considered.</small>
+      </div>
+      <div class="form-row">
+        <div class="form-group col-6">
+          <label for="printQueueCopies">Copies</label>
+          <input id="printQueueCopies" type="number" class="form-control" min="1" max="1000" value="1">
+        </div>
+        <div class="form-group col-6">
+          <label for="printQueuePriority">Priority</label>
+          <input id="printQueuePriority" type="number" class="form-control" min="0" max="100" value="0">
+        </div>
+      </div>
+      <div class="form-row">
+        <div class="form-group col-6">
+          <label for="printQueueGroup">Printer Group</label>
+          <select id="printQueueGroup" class="custom-select">
+            <option value="">Any Group</option>
+            ${groups.map((group) => `<option value="${group}">${group}</option>`).join("")}
+          </select>
+        </div>
+        <div class="form-group col-6">
+          <label for="printQueueMaterial">Filament Material</label>
+          <select id="printQueueMaterial" class="custom-select">
+            <option value="">Any Material</option>
+            ${materials.map((material) => `<option value="${material}">${material}</option>`).join("")}
+          </select>
+        </div>
+      </div>
+    </form>
+  `;
+};
@@ -113,6 +113,7 @@ function returnPrinterManageDropDown(id, disabled) {
   if (!disabled) {
     printerDisabledButton = `
         <button  title="Printer is enabled, click to disable"
+                 data-requires-permission="systemSettings"
                  id="printerDisable-${id}"
                  type="button"
                  class="btn dropdown-item"
@@ -123,6 +124,7 @@ function returnPrinterManageDropDown(id, disabled) {
   } else {
     printerDisabledButton = `
         <button  title="Printer is enabled, click to disable"
+                 data-requires-permission="systemSettings"
                  id="printerDisable-${id}"
                  type="button"
                  class="btn dropdown-item"
@@ -139,6 +141,7 @@ function returnPrinterManageDropDown(id, disabled) {
           <div class="dropdown-menu">
           <h6 class="dropdown-header">Connection</h6>
           <button  title="Change your Printer Settings"
+                 data-requires-permission="systemSettings"
                  id="printerEdit-${id}"
                  type="button"
                  class="btn btn-primary dropdown-item"
@@ -148,6 +151,7 @@ function returnPrinterManageDropDown(id, disabled) {
                 <i class="fa-solid fa-pen-to-square text-warning"></i> Edit
             </button>
             <button title="Forces a complete re-enable of your printer"
+                 data-requires-permission="systemSettings"
                  id="printerForceReconnect-${id}"
                  type="button"
                  class="btn dropdown-item"
@@ -159,6 +163,7 @@ function returnPrinterManageDropDown(id, disabled) {
             <hr>
             <h6 class="dropdown-header">Printer</h6>
             <button  title="Change your Printer Settings"
+                 data-requires-permission="systemSettings"
                  id="printerSettings-${id}"
                  type="button"
                  class="btn btn-primary dropdown-item"
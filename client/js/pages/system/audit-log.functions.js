@@ -0,0 +1,95 @@
+import OctoFarmClient from '../../services/octofarm-client.service';
+import UI from '../../utils/ui';
+import { returnAuditRow } from './system.templates';
+
+const auditElements = {
+  LIST: document.getElementById('auditLogList'),
+  ACTOR: document.getElementById('auditActor'),
+  TARGET_TYPE: document.getElementById('auditTargetType'),
+  METHOD: document.getElementById('auditMethod'),
+  RESULT: document.getElementById('auditResult'),
+  FROM: document.getElementById('auditFrom'),
+  TO: document.getElementById('auditTo'),
+  SEARCH: document.getElementById('auditSearch'),
+  APPLY: document.getElementById('auditApplyFilters'),
+  EXPORT: document.getElementById('auditExport'),
+  PREVIOUS: document.getElementById('auditPrevious'),
+  NEXT: document.getElementById('auditNext'),
+  PAGE: document.getElementById('auditPage'),
+};
+
+let currentPage = 1;
+
+function readAuditFilters() {
+  const filters = {
+    actor: auditElements.ACTOR.value,
+    targetType: auditElements.TARGET_TYPE.value,
+    method: auditElements.METHOD.value,
+    result: auditElements.RESULT.value,
+    search: auditElements.SEARCH.value.trim(),
+  };
+  if (!!auditElements.FROM.value) {
+    filters.from = new Date(`${auditElements.FROM.value}T00:00:00`).toISOString();
+  }
+  if (!!auditElements.TO.value) {
+    filters.to = new Date(`${auditElements.TO.value}T23:59:59.999`).toISOString();
+  }
+  // Empty filters would fail validation, leave them out
+  return Object.fromEntries(Object.entries(filters).filter(([, value]) => !!value));
+}
+
+// Keeps whatever is selected while the option lists refresh
+function fillFilterOptions(select, values) {
+  const selected = select.value;
+  const [anyOption] = select.options;
+  select.innerHTML = anyOption.outerHTML;
+  for (const value of values) {
+    select.add(new Option(value, value));
+  }
+  select.value = selected;
+}
+
+async function renderAuditLog() {
+  try {
+    const { entries, page, pages, total, actors, targetTypes } = await OctoFarmClient.getAuditLog({
+      ...readAuditFilters(),
+      page: currentPage,
+    });
+    fillFilterOptions(auditElements.ACTOR, actors);
+    fillFilterOptions(auditElements.TARGET_TYPE, targetTypes);
+    if (entries.length > 0) {
+      auditElements.LIST.innerHTML = entries.map(returnAuditRow).join('');
+    } else {
+      auditElements.LIST.innerHTML =
+        '<tr><td colspan="7" class="text-center">No audit entries match...</td></tr>';
+    }
+    auditElements.PAGE.innerHTML = `Page ${page} of ${pages} (${total} entries)`;
+    auditElements.PREVIOUS.disabled = page <= 1;
+    auditElements.NEXT.disabled = page >= pages;
+  } catch (e) {
+    console.error(e);
+    UI.createAlert('error', `Couldn't load the audit log: ${e}`, 0, 'Clicked');
+  }
+}
+
+export async function setupAuditLog() {
+  if (!auditElements.LIST) {
+    return;
+  }
+  auditElements.APPLY.addEventListener('click', async () => {
+    currentPage = 1;
+    await renderAuditLog();
+  });
+  auditElements.PREVIOUS.addEventListener('click', async () => {
+    currentPage--;
+    await renderAuditLog();
+  });
+  auditElements.NEXT.addEventListener('click', async () => {
+    currentPage++;
+    await renderAuditLog();
+  });
+  auditElements.EXPORT.addEventListener('click', () => {
+    window.location.href = OctoFarmClient.getAuditExportURL(readAuditFilters());
+  });
+  await renderAuditLog();
+}
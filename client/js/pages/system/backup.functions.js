@@ -0,0 +1,164 @@
+import OctoFarmClient from '../../services/octofarm-client.service';
+import UI from '../../utils/ui';
+import { returnBackupRow } from './system.templates';
+
+const backupElements = {
+  CREATE: document.getElementById('createBackup'),
+  RESTORE_FILE: document.getElementById('restoreBackupFile'),
+  LIST: document.getElementById('backupList'),
+  SCHEDULED: document.getElementById('backupScheduled'),
+  INTERVAL_HOURS: document.getElementById('backupIntervalHours'),
+  RETENTION: document.getElementById('backupRetention'),
+  SAVE_SCHEDULE: document.getElementById('saveBackupSchedule'),
+};
+
+const restoreMessage =
+  'Restoring replaces your whole database and history images with the backup, OctoFarm will ' +
+  'restart afterwards. ARE YOU SURE?';
+
+async function renderBackups() {
+  const { backups, schedule } = await OctoFarmClient.listBackups();
+  if (backups.length > 0) {
+    backupElements.LIST.innerHTML = backups
+      .map((backup) => returnBackupRow(backup, OctoFarmClient.getBackupDownloadURL(backup.name)))
+      .join('');
+  } else {
+    backupElements.LIST.innerHTML =
+      '<tr><td colspan="5" class="text-center">No backups have been taken yet...</td></tr>';
+  }
+  if (!!schedule) {
+    backupElements.SCHEDULED.checked = schedule.scheduled;
+    backupElements.INTERVAL_HOURS.value = schedule.intervalHours;
+    backupElements.RETENTION.value = schedule.retention;
+  }
+}
+
+function confirmRestore(restore) {
+  bootbox.confirm({
+    message: restoreMessage,
+    buttons: {
+      confirm: {
+        label: 'Restore',
+        className: 'btn-danger',
+      },
+      cancel: {
+        label: 'Cancel',
+        className: 'btn-secondary',
+      },
+    },
+    callback: async function (result) {
+      if (!result) {
+        return;
+      }
+      const alert = UI.createAlert(
+        'warning',
+        `${UI.returnSpinnerTemplate()} Restoring backup, please wait...`
+      );
+      try {
+        const { collections, documents, migrations } = await restore();
+        alert.close();
+        UI.createAlert(
+          'success',
+          `Restored ${documents} document(s) across ${collections} collection(s) and ran ` +
+            `${migrations.length} migration(s). OctoFarm is restarting...`,
+          0,
+          'Clicked'
+        );
+      } catch (e) {
+        alert.close();
+        console.error(e);
+        UI.createAlert('error', `Couldn't restore backup: ${e}`, 0, 'Clicked');
+      }
+    },
+  });
+}
+
+async function createBackup() {
+  const alert = UI.createAlert(
+    'warning',
+    `${UI.returnSpinnerTemplate()} Creating backup, this can take a while on large farms...`
+  );
+  try {
+    const backup = await OctoFarmClient.createBackup();
+    UI.createAlert('success', `Created ${backup.name}`, 3000, 'Clicked');
+    await renderBackups();
+  } catch (e) {
+    console.error(e);
+    UI.createAlert('error', `Couldn't create backup: ${e}`, 0, 'Clicked');
+  }
+  alert.close();
+}
+
+function restoreFromFile() {
+  bootbox.dialog({
+    title: 'Restore From File',
+    message:
+      '<input type="file" class="form-control-file" id="backupRestoreFile" accept=".zip">',
+    buttons: {
+      cancel: {
+        label: 'Cancel',
+        className: 'btn-secondary',
+      },
+      confirm: {
+        label: 'Restore',
+        className: 'btn-danger',
+        callback: function () {
+          const [file] = document.getElementById('backupRestoreFile').files;
+          if (!file) {
+            UI.createAlert('warning', 'Please choose a backup file', 3000, 'Clicked');
+            return false;
+          }
+          confirmRestore(() => OctoFarmClient.restoreBackupFile(file));
+        },
+      },
+    },
+  });
+}
+
+async function backupActionHandler(e) {
+  const button = e.target.closest('[data-backup-action]');
+  if (!button) {
+    return;
+  }
+  const { backupAction, backupName } = button.dataset;
+  switch (backupAction) {
+    case 'restore':
+      confirmRestore(() => OctoFarmClient.restoreBackup(backupName));
+      break;
+    case 'delete':
+      try {
+        await OctoFarmClient.deleteBackup(backupName);
+        UI.createAlert('success', `Deleted ${backupName}`, 3000, 'Clicked');
+        await renderBackups();
+      } catch (err) {
+        console.error(err);
+        UI.createAlert('error', `Couldn't delete backup: ${err}`, 0, 'Clicked');
+      }
+      break;
+  }
+}
+
+async function saveBackupSchedule() {
+  try {
+    await OctoFarmClient.updateBackupSchedule({
+      scheduled: backupElements.SCHEDULED.checked,
+      intervalHours: parseInt(backupElements.INTERVAL_HOURS.value),
+      retention: parseInt(backupElements.RETENTION.value),
+    });
+    UI.createAlert('success', 'Saved backup schedule', 3000, 'Clicked');
+  } catch (e) {
+    console.error(e);
+    UI.createAlert('error', `Couldn't save backup schedule: ${e}`, 0, 'Clicked');
+  }
+}
+
+export async function setupBackupActions() {
+  if (!backupElements.LIST) {
+    return;
+  }
+  backupElements.CREATE.addEventListener('click', createBackup);
+  backupElements.RESTORE_FILE.addEventListener('click', restoreFromFile);
+  backupElements.LIST.addEventListener('click', backupActionHandler);
+  backupElements.SAVE_SCHEDULE.addEventListener('click', saveBackupSchedule);
+  await renderBackups();
+}
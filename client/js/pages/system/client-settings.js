@@ -35,6 +35,8 @@ export default class ClientSettings {
         clientSettings.dashboard.farmActivity.cumulativeTimes;
       document.getElementById('averageTimes').checked =
         clientSettings.dashboard.farmActivity.averageTimes;
+      document.getElementById('printQueue').checked =
+        clientSettings.dashboard.farmActivity.printQueue;
 
       document.getElementById('printerState').checked =
         clientSettings.dashboard.printerStates.printerState;
@@ -107,12 +109,14 @@ export default class ClientSettings {
             height: 8,
             id: 'historyCompletionByDay',
           },
+          { x: 0, y: 27, width: 12, height: 6, id: 'printQueue' },
         ],
         savedLayout: localStorage.getItem('dashboardConfiguration'),
         farmActivity: {
           currentOperations: document.getElementById('panelCurrentOpOn').checked,
           cumulativeTimes: document.getElementById('cumulativeTimes').checked,
           averageTimes: document.getElementById('averageTimes').checked,
+          printQueue: document.getElementById('printQueue').checked,
         },
         printerStates: {
           printerState: document.getElementById('printerState').checked,
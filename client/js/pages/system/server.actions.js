@@ -283,6 +283,8 @@ async function updateServerSettings() {
       downDateFailed: settingsElements.filament.downDateFailed.checked,
       downDateSuccess: settingsElements.filament.downDateSuccess.checked,
       allowMultiSelect: settingsElements.filament.allowMultiSelect.checked,
+      sufficiencyCheck: settingsElements.filament.sufficiencyCheck.checked,
+      blockInsufficient: settingsElements.filament.blockInsufficient.checked,
     },
     history: {
       snapshot: {
@@ -295,9 +297,17 @@ async function updateServerSettings() {
       },
       timelapse: {
         onComplete: settingsElements.history.timelapse.onComplete.checked,
-        onFailure: settingsElements.history.timelapse.onComplete.checked,
-        deleteAfter: settingsElements.history.timelapse.onComplete.checked,
+        onFailure: settingsElements.history.timelapse.onFailure.checked,
+        deleteAfter: settingsElements.history.timelapse.deleteAfter.checked,
+        record: {
+          enabled: settingsElements.history.timelapse.record.enabled.checked,
+          mode: settingsElements.history.timelapse.record.mode.value,
+          interval: parseInt(settingsElements.history.timelapse.record.interval.value),
+          fps: parseInt(settingsElements.history.timelapse.record.fps.value),
+        },
+        retentionDays: parseInt(settingsElements.history.timelapse.retentionDays.value),
       },
+      failureReasons: settingsElements.history.failureReasons.value.split("\n"),
     },
     influxExport: {
       active: settingsElements.influxExport.active.checked,
@@ -312,6 +322,27 @@ async function updateServerSettings() {
         defaultRet: settingsElements.influxExport.retentionPolicy.defaultRet.checked,
       },
     },
+    mqtt: {
+      enabled: settingsElements.mqtt.enabled.checked,
+      brokerURL: settingsElements.mqtt.brokerURL.value.trim(),
+      username: settingsElements.mqtt.username.value,
+      password: settingsElements.mqtt.password.value,
+      clientId: settingsElements.mqtt.clientId.value.trim(),
+      topicPrefix: settingsElements.mqtt.topicPrefix.value.trim(),
+      retain: settingsElements.mqtt.retain.checked,
+      commandsEnabled: settingsElements.mqtt.commandsEnabled.checked,
+      allowedCommands: [...settingsElements.mqtt.allowedCommands]
+        .filter((input) => input.checked)
+        .map((input) => input.dataset.mqttCommand),
+    },
+    quoting: {
+      currency: settingsElements.quoting.currency.value.trim(),
+      markupPercent: parseFloat(settingsElements.quoting.markupPercent.value) || 0,
+      labourPerJob: parseFloat(settingsElements.quoting.labourPerJob.value) || 0,
+      failurePadding: settingsElements.quoting.failurePadding.checked,
+      businessName: settingsElements.quoting.businessName.value,
+      terms: settingsElements.quoting.terms.value,
+    },
     monitoringViews: {
       panel: settingsElements.monitoringViews.panel.checked,
       list: settingsElements.monitoringViews.list.checked,
@@ -703,6 +734,7 @@ async function createNewUser() {
     name: userActionElements.createName.value,
     username: userActionElements.createUserName.value,
     group: userActionElements.createGroup.value,
+    printerGroups: userActionElements.createPrinterGroups.value,
     password: userActionElements.createPassword.value,
     password2: userActionElements.createPassword2.value,
   };
@@ -738,6 +770,7 @@ async function createNewUser() {
     userActionElements.createName.value = '';
     userActionElements.createUserName.value = '';
     userActionElements.createGroup.value = 'User';
+    userActionElements.createPrinterGroups.value = '';
     userActionElements.createPassword.value = '';
     userActionElements.createPassword2.value = '';
     $('#userCreateModal').modal('hide');
@@ -774,6 +807,7 @@ async function fillInEditInformation(id) {
   userActionElements.editName.value = editInformation.name;
   userActionElements.editUserName.value = editInformation.username;
   userActionElements.editGroup.value = editInformation.group;
+  userActionElements.editPrinterGroups.value = (editInformation?.printerGroups || []).join(', ');
 }
 
 async function editUser(id) {
@@ -782,6 +816,7 @@ async function editUser(id) {
     name: userActionElements.editName.value,
     username: userActionElements.editUserName.value,
     group: userActionElements.editGroup.value,
+    printerGroups: userActionElements.editPrinterGroups.value,
   };
   const editedUser = await OctoFarmClient.editUser(id, newUserInfo);
   if (editedUser.errors.length > 0) {
@@ -791,6 +826,7 @@ async function editUser(id) {
     userActionElements.editName.value = '';
     userActionElements.editUserName.value = '';
     userActionElements.editGroup.value = 'User';
+    userActionElements.editPrinterGroups.value = '';
     $('#userEditModal').modal('hide');
     if (!!editedUser?.user) {
       const { user } = editedUser;
@@ -41,11 +41,13 @@ const userActionElements = {
   editName: document.getElementById("editName"),
   editUserName: document.getElementById("editUserName"),
   editGroup: document.getElementById("editGroup"),
+  editPrinterGroups: document.getElementById("editPrinterGroups"),
   editUserFooter: document.getElementById("userEditModalFooter"),
   userEditMessage: document.getElementById("userEditMessage"),
   createName: document.getElementById("createName"),
   createUserName: document.getElementById("createUserName"),
   createGroup: document.getElementById("createGroup"),
+  createPrinterGroups: document.getElementById("createPrinterGroups"),
   createPassword: document.getElementById("createPassword"),
   createPassword2: document.getElementById("createPassword2"),
   createUserFooter: document.getElementById("userCreateModalFooter"),
@@ -74,6 +76,8 @@ const settingsElements = {
     downDateFailed: document.getElementById("downDateFailed"),
     downDateSuccess: document.getElementById("downDateSuccess"),
     allowMultiSelect: document.getElementById("allowMultiSelect"),
+    sufficiencyCheck: document.getElementById("sufficiencyCheck"),
+    blockInsufficient: document.getElementById("blockInsufficient"),
   },
   history: {
     snapshot: {
@@ -88,7 +92,15 @@ const settingsElements = {
       onComplete: document.getElementById("timelapseOnComplete"),
       onFailure: document.getElementById("timelapseOnFailure"),
       deleteAfter: document.getElementById("timelapseDelete"),
+      record: {
+        enabled: document.getElementById("timelapseRecordEnabled"),
+        mode: document.getElementById("timelapseRecordMode"),
+        interval: document.getElementById("timelapseRecordInterval"),
+        fps: document.getElementById("timelapseRecordFps"),
+      },
+      retentionDays: document.getElementById("timelapseRetentionDays"),
     },
+    failureReasons: document.getElementById("historyFailureReasons"),
   },
   influxExport: {
     active: document.getElementById("infActivateInfluxExport"),
@@ -103,6 +115,25 @@ const settingsElements = {
       defaultRet: document.getElementById("infRetention"),
     },
   },
+  mqtt: {
+    enabled: document.getElementById("mqttEnabled"),
+    brokerURL: document.getElementById("mqttBrokerURL"),
+    username: document.getElementById("mqttUsername"),
+    password: document.getElementById("mqttPassword"),
+    clientId: document.getElementById("mqttClientId"),
+    topicPrefix: document.getElementById("mqttTopicPrefix"),
+    retain: document.getElementById("mqttRetain"),
+    commandsEnabled: document.getElementById("mqttCommandsEnabled"),
+    allowedCommands: document.querySelectorAll("[data-mqtt-command]"),
+  },
+  quoting: {
+    currency: document.getElementById("quotingCurrency"),
+    markupPercent: document.getElementById("quotingMarkupPercent"),
+    labourPerJob: document.getElementById("quotingLabourPerJob"),
+    failurePadding: document.getElementById("quotingFailurePadding"),
+    businessName: document.getElementById("quotingBusinessName"),
+    terms: document.getElementById("quotingTerms"),
+  },
   monitoringViews: {
     panel: document.getElementById("monitoring-panel"),
     list: document.getElementById("monitoring-list"),
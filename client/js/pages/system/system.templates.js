@@ -25,3 +25,60 @@ export const activeUserListRowTemplate = (user) => {
       </div>    
     `;
 };
+
+export const returnBackupRow = (backup, downloadURL) => `
+  <tr>
+    <td>${backup.name}</td>
+    <td>${Calc.dateClean(new Date(backup.created))}</td>
+    <td>${Calc.bytes(backup.size)}</td>
+    <td>${backup.scheduled ? 'Scheduled' : 'Manual'}</td>
+    <td>
+      <a class="btn btn-sm btn-info" title="Download" href="${downloadURL}">
+        <i class="fas fa-download"></i>
+      </a>
+      <button type="button" class="btn btn-sm btn-warning" title="Restore"
+              data-backup-action="restore" data-backup-name="${backup.name}">
+        <i class="fas fa-undo"></i>
+      </button>
+      <button type="button" class="btn btn-sm btn-danger" title="Delete"
+              data-backup-action="delete" data-backup-name="${backup.name}">
+        <i class="fas fa-trash"></i>
+      </button>
+    </td>
+  </tr>
+`;
+
+// Audit entries carry whatever was sent to the server, a failed login's username included
+const escapeHTML = (value) =>
+  String(value ?? '').replace(
+    /[&<>"']/g,
+    (character) =>
+      ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[character])
+  );
+
+const returnAuditChange = ({ path, before, after }) => `
+  <li>
+    <code>${escapeHTML(path || '(value)')}</code>:
+    <span class="text-danger">${escapeHTML(before ?? '(none)')}</span>
+    <i class="fas fa-arrow-right"></i>
+    <span class="text-success">${escapeHTML(after ?? '(none)')}</span>
+  </li>
+`;
+
+export const returnAuditRow = (entry) => `
+  <tr>
+    <td>${Calc.dateClean(new Date(entry.date))}</td>
+    <td>${escapeHTML(entry.actor)}</td>
+    <td>${escapeHTML(entry.ip)}</td>
+    <td><span class="badge badge-secondary">${entry.method}</span> ${escapeHTML(entry.route)}</td>
+    <td>${escapeHTML(entry.targetType)}<br><small>${escapeHTML(entry.targetID)}</small></td>
+    <td>
+      <span class="badge ${entry.result === 'success' ? 'badge-success' : 'badge-danger'}">
+        ${entry.status}
+      </span>
+    </td>
+    <td>
+      <ul class="list-unstyled mb-0 small">${entry.changes.map(returnAuditChange).join('')}</ul>
+    </td>
+  </tr>
+`;
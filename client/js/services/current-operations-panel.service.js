@@ -5,6 +5,8 @@ import OctoFarmClient from "./octofarm-client.service";
 const resetFile = async function (id) {
   const printer = await OctoFarmClient.getPrinter(id);
   await OctoPrintClient.file(printer, printer.currentJob.filePath, "load");
+  // Harvesting the print is the operator confirming the bed is clear
+  await OctoFarmClient.clearPrinterBed(id);
 };
 const rePrint = async function (id) {
     const printer = await OctoFarmClient.getPrinter(id);
@@ -0,0 +1,103 @@
+import OctoFarmClient from "./octofarm-client.service";
+import UI from "../utils/ui";
+
+// historyID -> the alert raised for it, so each failure only gets asked about once per page load
+const openPrompts = new Map();
+let failureReasons = null;
+
+async function getFailureReasons() {
+  if (!failureReasons) {
+    const serverSettings = await OctoFarmClient.getServerSettings();
+    failureReasons = serverSettings.history.failureReasons;
+  }
+  return failureReasons;
+}
+
+/**
+ * Asks what went wrong with a failed or cancelled print and saves the answer against its history.
+ * @param historyID
+ * @param printerName
+ * @param fileName
+ * @param cancelled
+ * @param onClassified called with the chosen reason once it's saved
+ */
+export async function pickFailureReason(
+  { historyID, printerName, fileName, cancelled },
+  onClassified = () => {}
+) {
+  const reasons = await getFailureReasons();
+  bootbox.prompt({
+    title: `${printerName}: Why was ${fileName} ${cancelled ? "cancelled" : "a failure"}?`,
+    inputType: "select",
+    inputOptions: reasons.map((reason) => ({ text: reason, value: reason })),
+    callback: async function (failureReason) {
+      if (failureReason === null) {
+        return;
+      }
+      try {
+        await OctoFarmClient.classifyFailure(historyID, failureReason);
+        UI.createAlert("success", `Recorded ${fileName} as ${failureReason}`, 3000, "Clicked");
+        onClassified(failureReason);
+      } catch (e) {
+        console.error(e);
+        UI.createAlert("error", `Couldn't save the failure reason: ${e}`, 0, "Clicked");
+      }
+    },
+  });
+}
+
+/**
+ * Raises an alert for every printer with a failure nobody has classified yet. Alerts for failures
+ * classified from another browser are closed again.
+ * @param printers monitoring view printer information
+ */
+export function promptForFailureReasons(printers) {
+  const unclassified = (printers || []).filter((printer) => !!printer?.unclassifiedFailure);
+
+  for (const [historyID, alert] of openPrompts) {
+    const stillUnclassified = unclassified.some(
+      (printer) => printer.unclassifiedFailure.historyID === historyID
+    );
+    if (!stillUnclassified) {
+      if (!alert.closed) {
+        alert.close();
+      }
+      openPrompts.delete(historyID);
+    }
+  }
+
+  for (const { printerName, unclassifiedFailure } of unclassified) {
+    const { historyID, fileName, cancelled } = unclassifiedFailure;
+    if (openPrompts.has(historyID)) {
+      continue;
+    }
+    const alert = UI.createAlert(
+      "warning",
+      `<b>${printerName}</b>: ${fileName} was ${cancelled ? "cancelled" : "a failure"}.
+      <button type="button" class="btn btn-sm btn-light mt-1 d-block" data-requires-permission="controlPrinters" data-failure-history-id="${historyID}" data-printer-name="${printerName}" data-file-name="${fileName}" data-cancelled="${cancelled}">
+        <i class="fas fa-clipboard-question"></i> Give a reason
+      </button>`,
+      0,
+      "Clicked"
+    );
+    openPrompts.set(historyID, alert);
+  }
+}
+
+document.addEventListener("click", async (e) => {
+  const button = e.target.closest("[data-failure-history-id]");
+  if (!button) {
+    return;
+  }
+  try {
+    await pickFailureReason({
+      historyID: button.dataset.failureHistoryId,
+      printerName: button.dataset.printerName,
+      fileName: button.dataset.fileName,
+      cancelled: button.dataset.cancelled === "true",
+    });
+  } catch (e) {
+    console.error(e);
+    UI.createAlert("error", `Couldn't load the failure reasons: ${e}`, 0, "Clicked");
+  }
+});
@@ -13,11 +13,18 @@ import {
 } from "../pages/printer-manager/functions/bulk-actions-progress.functions";
 import { allowedFileTypes } from "../constants/file-types.constants";
 import { getFileRowID } from "../pages/file-manager/upload-queue.templates";
+import { updateFileDistribution } from "../pages/file-manager/file-manager-sse.handler";
+import bulkActionsStates from "../pages/printer-manager/bulk-actions.constants";
+import { DISTRIBUTION_TARGET_STATES } from "../../../server/constants/file-distribution.constants";
 import {
   getFileTemplate,
   getFolderTemplate,
+  getPlacementRecommendationsTemplate,
+  getQuoteFormTemplate,
+  getQuoteBreakdownTemplate,
   noFilesToShow,
 } from "../pages/file-manager/file.template";
+import { returnDropDownList } from "./printer-filament-selector.service";
 import {
   generatePathList,
   getFileListElement,
@@ -304,7 +311,6 @@ export default class FileManagerService {
           );
         }
       };
-      xhr.setRequestHeader("X-Api-Key", printerInfo.apikey);
       xhr.onloadstart = function (e) {
         FileManagerService.createUpload(
           printerInfo._id,
@@ -372,12 +378,71 @@ export default class FileManagerService {
     });
   }
 
+  /**
+   * Uploads the file to OctoFarms file library and leaves the server to send it to each printer.
+   * Progress from there on arrives over the event stream and is drawn into the upload queue.
+   * @param file
+   * @param printers
+   * @param folder folder on the printers, empty for the root
+   * @param print start the print once the printers copy has been verified
+   * @returns {Promise<{status: string, message: string}>}
+   */
+  static async distributeFile(file, printers, folder, print) {
+    const fileTypes = allowedFileTypes.split(",");
+    if (!fileTypes.some((type) => file.name.includes(type))) {
+      return {
+        status: bulkActionsStates.ERROR,
+        message: `${file.name} is not a gcode file, it wasn't uploaded.`,
+      };
+    }
+    const drawLibraryUpload = (sent) => {
+      printers.forEach((printer) => {
+        updateFileDistribution({
+          printerID: printer._id,
+          printerName: printer.printerName,
+          fileName: file.name,
+          folder,
+          size: file.size,
+          status: DISTRIBUTION_TARGET_STATES.UPLOADING,
+          message: "Uploading to OctoFarm",
+          sent,
+        });
+      });
+    };
+    try {
+      drawLibraryUpload(0);
+      await OctoFarmClient.uploadLibraryFile(file, (e) => drawLibraryUpload(e.loaded));
+      await OctoFarmClient.distributeLibraryFile(
+        file.name,
+        printers.map((printer) => printer._id),
+        folder,
+        !!print
+      );
+      return {
+        status: bulkActionsStates.SUCCESS,
+        message: `${file.name} is on OctoFarm, follow it out to the printers in the upload queue.`,
+      };
+    } catch (e) {
+      console.error(e);
+      return {
+        status: bulkActionsStates.ERROR,
+        message: `${file.name} couldn't be sent to OctoFarm... ${
+          e?.response?.status === 413 ? "it's too big." : "is OctoFarm online?"
+        }`,
+      };
+    }
+  }
+
   static async actionBtnGate(printer, btn) {
     const data = btn.split("*");
     const action = data[1];
     const filePath = data[2];
     if (action === "fileActionStart") {
       await FileActions.startPrint(printer, filePath);
+    } else if (action === "fileActionRecommend") {
+      await FileActions.recommendPrinter(printer, filePath);
+    } else if (action === "fileActionQuote") {
+      await FileActions.quoteFile(printer, filePath);
     } else if (action === "fileActionSelect") {
       await FileActions.selectFile(printer, filePath);
     } else if (action === "fileActionUpdate") {
@@ -984,76 +1049,25 @@ export default class FileManagerService {
 
     async function initiateTheUpload() {
       showBulkActionsModal();
-      updateBulkActionsProgress(0, selectedPrinters.length);
+      updateBulkActionsProgress(0, selectedFile.length);
       const printerInfo = [];
       selectedPrinters.forEach((printer) => {
         printerInfo.push(printer.printerInfo);
       });
       generateTableRows(printerInfo);
-      for (let p = 0; p < selectedPrinters.length; p++) {
-        const currentPrinter = selectedPrinters[p].printerInfo;
-        // Make sure the folder is created...
-        if (!selectedPrinters[p].folderExists) {
-          const folderSplit = selectedFolder.split("/");
-          let octofarmPath;
-          for (let path = 0; path < folderSplit.length; path++) {
-            const formData = new FormData();
-            if (path === 0) {
-              //First folder goes to no path
-              octofarmPath = "";
-              formData.append("foldername", folderSplit[path]);
-              formData.append("path", "");
-            } else if(path === folderSplit.length) {
-              octofarmPath += `/${folderSplit[path]}`;
-              formData.append("foldername", folderSplit[path]);
-              formData.append("path", octofarmPath);
-            } else {
-              //Subsequent folders go to previous folder path... should be created!
-              octofarmPath += `/${folderSplit[path - 1]}`;
-              formData.append("foldername", folderSplit[path]);
-              formData.append("path", octofarmPath);
-            }
-            const response = await FileActions.multiUploadCreateFolders(
-              currentPrinter,
-              octofarmPath,
-              formData,
-              folderSplit[path]
-            );
-            updateTableRow(printerInfo[p]._id, response.status, response.message);
-          }
-        } else {
-          const response = {
-            status: "skipped",
-            message: "Folder exists, skipped!",
-          };
-          updateTableRow(printerInfo[p]._id, response.status, response.message);
-        }
-
-        selectedFile.forEach((file) => {
-          const newObject = {};
-          newObject.file = file;
-          newObject.index = currentPrinter._id;
-          newObject.printerInfo = currentPrinter;
-          newObject.upload = FileManagerService.fileUpload;
-          newObject.currentFolder = "local/" + selectedFolder.replace(/%/g, " ");
-
-          if (printAfterUpload) {
-            newObject.print = true;
-          }
-
-          fileUploads.add(newObject);
-          const response = {
-            status: "success",
-            message: "Your file has been added to the upload queue",
-          };
-          updateTableRow(printerInfo[p]._id, response.status, response.message);
-          updateBulkActionsProgress(p, selectedPrinters.length);
+      // OctoFarm gets the file once and sends it on to the printers, missing folders included
+      for (let f = 0; f < selectedFile.length; f++) {
+        const response = await FileManagerService.distributeFile(
+          selectedFile[f],
+          printerInfo,
+          selectedFolder.replace(/%/g, " "),
+          printAfterUpload
+        );
+        printerInfo.forEach((printer) => {
+          updateTableRow(printer._id, response.status, response.message);
         });
+        updateBulkActionsProgress(f + 1, selectedFile.length);
       }
-      updateBulkActionsProgress(
-        selectedPrinters.length,
-        selectedPrinters.length
-      );
     }
 
     function grabFiles(Afiles) {
@@ -1176,36 +1190,6 @@ export class FileActions {
       }
     );
   }
-  static async multiUploadCreateFolders(printer, octofarmPath, formData, currentPath) {
-
-      const { status } = await OctoPrintClient.folder(
-        printer,
-        "local",
-        formData
-      );
-
-      if (status === 201) {
-        // Add status folder creation success and update OctoFarm with new folder...
-        const opts = {
-          i: printer._id,
-          foldername: currentPath,
-          path: octofarmPath,
-        };
-
-        await OctoFarmClient.post("printers/newFolder", opts);
-        return {
-          status: "success",
-          message: `${currentPath}: Successfully created!`,
-        };
-      } else {
-        // Add status folder creation great failure
-        return {
-          status: "error",
-          message: `${currentPath}: Failed to create!!`,
-        };
-      }
-  }
-
   // Needs updating when filament is brought in.
   static grabUsage(file) {
     if (typeof file.length === "undefined") {
@@ -1239,7 +1223,8 @@ export class FileActions {
       command: "start",
     };
     await OctoPrintClient.file(printer, filePath, "load", false);
-    const ret = await OctoPrintClient.jobAction(printer, opts);
+    // The printers current job won't have caught up with the load yet
+    const ret = await OctoPrintClient.jobAction(printer, opts, undefined, filePath);
     if (!!ret?.status) {
       if (ret?.status === 200 || ret?.status === 201 || ret?.status === 204) {
         UI.createAlert(
@@ -1266,6 +1251,95 @@ export class FileActions {
     }
   }
 
+  static async recommendPrinter(printer, filePath) {
+    let placement;
+    try {
+      placement = await OctoFarmClient.getPrinterRecommendations(printer._id, {
+        fullPath: filePath,
+      });
+    } catch (e) {
+      console.error(e);
+      UI.createAlert(
+        "error",
+        `Unable to rank the printers for ${filePath}`,
+        3000,
+        "Clicked"
+      );
+      return;
+    }
+    const dialog = bootbox.dialog({
+      title: "Best printer for this file",
+      size: "large",
+      message: getPlacementRecommendationsTemplate(placement, printer._id),
+      buttons: {
+        close: {
+          label: "Close",
+          className: "btn-secondary",
+        },
+      },
+    });
+    placement.recommendations
+      .filter((recommendation) => recommendation.suitable && recommendation.hasFile)
+      .forEach((recommendation) => {
+        document
+          .getElementById(`placementStart-${recommendation.printerID}`)
+          .addEventListener("click", async () => {
+            dialog.modal("hide");
+            const target = await OctoFarmClient.getPrinter(recommendation.printerID);
+            await FileActions.startPrint(target, filePath);
+          });
+      });
+  }
+
+  static async quoteFile(printer, filePath) {
+    const spools = await returnDropDownList();
+    const quoteOptions = () => ({
+      fullPath: filePath,
+      quantity: parseInt(document.getElementById("quoteQuantity").value) || 1,
+      customer: document.getElementById("quoteCustomer").value.trim(),
+      spoolID: document.getElementById("quoteSpool").value,
+    });
+    // Empty values would fail validation, only send what's been filled in
+    const quoteParams = () =>
+      Object.fromEntries(Object.entries(quoteOptions()).filter(([, value]) => value !== ""));
+    const drawQuote = async () => {
+      const breakdown = document.getElementById("quoteBreakdown");
+      try {
+        const quote = await OctoFarmClient.getPrinterQuote(printer._id, quoteParams());
+        breakdown.innerHTML = getQuoteBreakdownTemplate(quote);
+      } catch (e) {
+        console.error(e);
+        breakdown.innerHTML = `<div class="alert alert-danger">Unable to quote ${filePath}</div>`;
+      }
+    };
+
+    const dialog = bootbox.dialog({
+      title: "Quote",
+      size: "large",
+      message: getQuoteFormTemplate(spools),
+      buttons: {
+        close: {
+          label: "Close",
+          className: "btn-secondary",
+        },
+        print: {
+          label: "<i class=\"fas fa-print\"></i> Printable Quote",
+          className: "btn-success",
+          callback: function () {
+            window.open(OctoFarmClient.getPrinterQuotePrintURL(printer._id, quoteParams()));
+            return false;
+          },
+        },
+      },
+    });
+    dialog[0].addEventListener("change", async (e) => {
+      if (e.target.closest("select, input")) {
+        await drawQuote();
+      }
+    });
+    await drawQuote();
+  }
+
   static async selectFile(printer, filePath) {
     const { status } = await OctoPrintClient.file(printer, filePath, "load");
     if (status === 404) {
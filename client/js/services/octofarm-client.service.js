@@ -99,6 +99,7 @@ export default class OctoFarmClient {
   static filamentStatistics = `${this.filamentRoute}/get/statistics`;
   static filamentProfiles = `${this.filamentRoute}/get/profile`;
   static filamentSpools = `${this.filamentRoute}/get/filament`;
+  static filamentInventory = `${this.filamentRoute}/inventory`;
   static logsRoute = `${this.serverSettingsRoute}/logs`;
   static updateSettingsRoute = `${this.serverSettingsRoute}/update`;
   static fireLogToServerRoute = `${this.clientSettingsRoute}/logs`;
@@ -107,6 +108,13 @@ export default class OctoFarmClient {
   static farmOverviewRoute = `${this.printerRoute}/farmOverview`;
   static connectionOverviewRoute = `${this.printerRoute}/connectionOverview`;
   static selectedFilamentRoute = `${this.printerRoute}/selectedFilament`;
+  static printQueueRoute = "/queue";
+  static maintenanceRoute = "/maintenance";
+  static historyRoute = "/history";
+  static backupRoute = "/backup";
+  static auditRoute = "/audit";
+  static filesRoute = "/files";
+  static monitoringPreferencesRoute = "/client";
 
   static validatePath(pathname) {
     if (!pathname) {
@@ -166,6 +174,10 @@ export default class OctoFarmClient {
     return this.post(`${this.enablePrinterRoute}`, body);
   }
 
+  static async clearPrinterBed(id) {
+    return this.post(`${this.printerRoute}/clearBed/${id}`, {});
+  }
+
   static async refreshPrinterSettings(id) {
     const body = {
       i: id,
@@ -240,6 +252,27 @@ export default class OctoFarmClient {
     return this.get(this.filamentProfiles);
   }
 
+  static async getFilamentInventory() {
+    return this.get(this.filamentInventory);
+  }
+
+  static async setStockThreshold(threshold) {
+    return this.post(`${this.filamentInventory}/thresholds`, threshold);
+  }
+
+  static async deleteStockThreshold(id) {
+    return this.delete(`${this.filamentInventory}/thresholds/${id}`);
+  }
+
+  static getReorderListURL(format) {
+    return `${this.filamentInventory}/reorder?${new URLSearchParams({ format }).toString()}`;
+  }
+
+  static async checkFilamentSufficiency(id, fullPath) {
+    const query = new URLSearchParams({ fullPath }).toString();
+    return this.get(`${this.filamentRoute}/check/${id}?${query}`);
+  }
+
   static async updateServerSettings(settingsObject) {
     //REFACTOR: should be patch not post
     return this.post(this.updateSettingsRoute, settingsObject);
@@ -261,6 +294,179 @@ export default class OctoFarmClient {
     return this.get(`${this.printerRoute}/listUniqueFolders`);
   }
 
+  static getPrintQueue() {
+    return this.get(this.printQueueRoute);
+  }
+
+  static getPrintQueueFiles() {
+    return this.get(`${this.printQueueRoute}/files`);
+  }
+
+  static addPrintQueueJob(job) {
+    return this.post(this.printQueueRoute, job);
+  }
+
+  static updatePrintQueueJob(id, job) {
+    return this.patch(`${this.printQueueRoute}/${id}`, job);
+  }
+
+  static cancelPrintQueueJob(id) {
+    return this.delete(`${this.printQueueRoute}/${id}`);
+  }
+
+  static getHistoryExportURL(params) {
+    return `${this.historyRoute}/export?${new URLSearchParams(params).toString()}`;
+  }
+
+  static importHistory(exportFile) {
+    const formData = new FormData();
+    formData.append("historyFile", exportFile);
+    return this.post(`${this.historyRoute}/import`, formData);
+  }
+
+  static classifyFailure(historyID, failureReason) {
+    return this.post(`${this.historyRoute}/failureReason/${historyID}`, { failureReason });
+  }
+
+  static getHistoryTemperatures(historyID) {
+    return this.get(`${this.historyRoute}/temperatures/${historyID}`);
+  }
+
+  static getPrinterRecommendations(printerID, params) {
+    const query = new URLSearchParams(params).toString();
+    return this.get(`${this.printerRoute}/recommendations/${printerID}?${query}`);
+  }
+
+  static getPrinterQuote(printerID, params) {
+    const query = new URLSearchParams(params).toString();
+    return this.get(`${this.printerRoute}/quote/${printerID}?${query}`);
+  }
+
+  static getPrinterQuotePrintURL(printerID, params) {
+    const query = new URLSearchParams(params).toString();
+    return `${this.printerRoute}/quote/${printerID}/print?${query}`;
+  }
+
+  static getPrinterTemperatureHistory(printerID, params) {
+    const query = new URLSearchParams(params).toString();
+    return this.get(`${this.printerRoute}/temperatureHistory/${printerID}?${query}`);
+  }
+
+  static getMaintenanceTasks() {
+    return this.get(`${this.maintenanceRoute}/tasks`);
+  }
+
+  static addMaintenanceTask(task) {
+    return this.post(`${this.maintenanceRoute}/tasks`, task);
+  }
+
+  static updateMaintenanceTask(id, task) {
+    return this.patch(`${this.maintenanceRoute}/tasks/${id}`, task);
+  }
+
+  static deleteMaintenanceTask(id) {
+    return this.delete(`${this.maintenanceRoute}/tasks/${id}`);
+  }
+
+  static completeMaintenanceTask(id, printerID, notes) {
+    return this.post(`${this.maintenanceRoute}/tasks/${id}/complete`, { printerID, notes });
+  }
+
+  static getMaintenanceHistory(printerID) {
+    return this.get(`${this.maintenanceRoute}/history/${printerID}`);
+  }
+
+  static listBackups() {
+    return this.get(this.backupRoute);
+  }
+
+  static createBackup() {
+    return this.post(this.backupRoute);
+  }
+
+  static deleteBackup(name) {
+    return this.delete(`${this.backupRoute}/${name}`);
+  }
+
+  static getBackupDownloadURL(name) {
+    return `${this.backupRoute}/${name}`;
+  }
+
+  static restoreBackup(name) {
+    return this.post(`${this.backupRoute}/${name}/restore`);
+  }
+
+  static restoreBackupFile(backupFile) {
+    const formData = new FormData();
+    formData.append("backupFile", backupFile);
+    return this.post(`${this.backupRoute}/restore`, formData);
+  }
+
+  static updateBackupSchedule(schedule) {
+    return this.post(`${this.backupRoute}/schedule`, schedule);
+  }
+
+  static listLibraryFiles() {
+    return this.get(`${this.filesRoute}/library`);
+  }
+
+  static uploadLibraryFile(file, onUploadProgress) {
+    const formData = new FormData();
+    formData.append("file", file);
+    const url = new URL(`${this.filesRoute}/library`, window.location.origin).href;
+    return axios.post(url, formData, { onUploadProgress }).then((res) => {
+      return res.data;
+    });
+  }
+
+  static deleteLibraryFile(name) {
+    return this.delete(`${this.filesRoute}/library/${encodeURIComponent(name)}`);
+  }
+
+  static getFileDistributions() {
+    return this.get(`${this.filesRoute}/distributions`);
+  }
+
+  static distributeLibraryFile(fileName, idList, folder, print) {
+    return this.post(`${this.filesRoute}/distributions`, { fileName, idList, folder, print });
+  }
+
+  static cancelFileDistribution(id) {
+    return this.delete(`${this.filesRoute}/distributions/${id}`);
+  }
+
+  static updateMonitoringFilter(filter) {
+    return this.get(
+      `${this.monitoringPreferencesRoute}/updateFilter/${encodeURIComponent(filter)}`
+    );
+  }
+
+  static updateMonitoringSorting(sorting) {
+    return this.get(
+      `${this.monitoringPreferencesRoute}/updateSorting/${encodeURIComponent(sorting)}`
+    );
+  }
+
+  static getMonitoringViews() {
+    return this.get(`${this.monitoringPreferencesRoute}/views`);
+  }
+
+  static saveMonitoringView(view) {
+    return this.post(`${this.monitoringPreferencesRoute}/views`, view);
+  }
+
+  static deleteMonitoringView(name) {
+    return this.delete(`${this.monitoringPreferencesRoute}/views/${encodeURIComponent(name)}`);
+  }
+
+  static getAuditLog(params) {
+    return this.get(`${this.auditRoute}?${new URLSearchParams(params).toString()}`);
+  }
+
+  static getAuditExportURL(params) {
+    return `${this.auditRoute}/export?${new URLSearchParams(params).toString()}`;
+  }
+
   static getCurrentOpState() {
     return this.get("client/currentOpSorting");
   }
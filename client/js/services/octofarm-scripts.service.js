@@ -13,6 +13,7 @@ const alertsDrop = `
 <option value="cancelled">Print Cancelled</option>
 <option value="paused">Print Paused</option>
 <option value="cooldown">Print Cooled</option>
+<option value="printstalled">Print Stalled</option>
 <option value="error">Print Error</option>
 <optgroup label = "Printer Events">
 <option value="statechange">Printer State Change</option>
@@ -39,6 +40,12 @@ const alertsDrop = `
 <option value="metadatafinished">Metadata Analysis Finished</option>
 <option value="metadatastarted">Metadata Analysis Started</option>
 <option value="metadataupdated">Metadata Analysis Updated</option>
+<optgroup label = "Temperature Events">
+<option value="heaterdivergence">Heater Divergence</option>
+<option value="stuckheater">Stuck On Heater</option>
+<option value="bedheatloss">Bed Heat Loss</option>
+<optgroup label = "Filament Events">
+<option value="lowstock">Filament Low Stock</option>
 `;
 let testScriptBtn = document.getElementById("testScript");
 if (testScriptBtn) {
@@ -58,6 +65,9 @@ if (testScriptBtn) {
         if (error === "script") {
           elements.script.style.borderColor = "red";
         }
+        if (error === "webhookURL") {
+          elements.webhookURL.style.borderColor = "red";
+        }
         if (error === "message") {
           elements.message.style.borderColor = "red";
         }
@@ -67,9 +77,14 @@ if (testScriptBtn) {
       });
     } else {
       elements.script.style.borderColor = "green";
+      elements.webhookURL.style.borderColor = "green";
       elements.message.style.borderColor = "green";
       elements.trigger.style.borderColor = "green";
-      Script.test(elements.script.value, elements.message.value);
+      if (elements.type.value === "webhook") {
+        Script.testWebhook(Script.grabWebhook(elements), elements.message.value);
+      } else {
+        Script.test(elements.script.value, elements.message.value);
+      }
     }
   });
 }
@@ -78,6 +93,22 @@ if (alertsTriggers) {
   alertsTriggers.insertAdjacentHTML("beforeend", alertsDrop);
 }
 
+let alertType = document.getElementById("alertType");
+if (alertType) {
+  alertType.addEventListener("change", (event) => {
+    const isWebhook = event.target.value === "webhook";
+    document.getElementById("scriptSettings").classList.toggle("d-none", isWebhook);
+    document.getElementById("webhookSettings").classList.toggle("d-none", !isWebhook);
+  });
+}
+
+let refreshDeliveriesBtn = document.getElementById("refreshAlertDeliveries");
+if (refreshDeliveriesBtn) {
+  refreshDeliveriesBtn.addEventListener("click", () => {
+    Script.getDeliveries();
+  });
+}
+
 let saveScriptBtn = document.getElementById("saveScript");
 if (saveScriptBtn) {
   saveScriptBtn.addEventListener("click", (event) => {
@@ -96,6 +127,9 @@ if (saveScriptBtn) {
         if (error === "script") {
           elements.script.style.borderColor = "red";
         }
+        if (error === "webhookURL") {
+          elements.webhookURL.style.borderColor = "red";
+        }
         if (error === "message") {
           elements.message.style.borderColor = "red";
         }
@@ -105,12 +139,15 @@ if (saveScriptBtn) {
       });
     } else {
       elements.script.style.borderColor = "green";
+      elements.webhookURL.style.borderColor = "green";
       elements.message.style.borderColor = "green";
       elements.trigger.style.borderColor = "green";
       let newAlert = {
         active: true,
         trigger: elements.trigger.value,
+        type: elements.type.value,
         script: elements.script.value,
+        webhook: Script.grabWebhook(elements),
         message: elements.message.value,
       };
       Script.save(newAlert);
@@ -130,6 +167,7 @@ export default class Script {
         if (alert.printer.length === 0) {
           alert.printer = "All Printers";
         }
+        const isWebhook = alert.type === "webhook";
 
         alertsTable.insertAdjacentHTML(
           "beforeend",
@@ -153,9 +191,10 @@ export default class Script {
                        </select>
                 </td> 
                 <td >    
+                  ${isWebhook ? Script.webhookInputsTemplate(alert) : `
                   <div class="form-group">
                     <input type="input" class="form-control" id="scriptLocation-${alert._id}" aria-describedby="scriptLocation" placeholder="Enter your script location" value="${alert.scriptLocation}" disabled />
-                  </div>
+                  </div>`}
                 </td>
                 <td>    
                   <div class="form-group">
@@ -182,6 +221,9 @@ export default class Script {
         let alertsTrigger = document.getElementById("trigger-" + alert._id);
         alertsTrigger.innerHTML = alertsDrop;
         alertsTrigger.value = alert.trigger;
+        if (isWebhook) {
+          document.getElementById("webhookMethod-" + alert._id).value = alert.webhook.method;
+        }
 
         document.getElementById("active-" + alert._id).checked = alert.active;
         document
@@ -195,13 +237,22 @@ export default class Script {
             let newAlert = {
               active: document.getElementById("active-" + alert._id).checked,
               trigger: document.getElementById("trigger-" + alert._id).value,
-              script: document
-                .getElementById("scriptLocation-" + alert._id)
-                .value.trim(),
               message: document
                 .getElementById("message-" + alert._id)
                 .value.trim(),
             };
+            if (isWebhook) {
+              newAlert.webhook = {
+                url: document.getElementById("webhookURL-" + alert._id).value.trim(),
+                method: document.getElementById("webhookMethod-" + alert._id).value,
+                headers: document.getElementById("webhookHeaders-" + alert._id).value,
+                bodyTemplate: document.getElementById("webhookBody-" + alert._id).value,
+              };
+            } else {
+              newAlert.script = document
+                .getElementById("scriptLocation-" + alert._id)
+                .value.trim();
+            }
             Script.saveEdit(alert._id, newAlert);
           });
         document
@@ -233,7 +284,19 @@ export default class Script {
     }
   }
   static async edit(id) {
-    document.getElementById("scriptLocation-"+id).disabled = false;
+    const editableInputs = [
+      "scriptLocation-",
+      "webhookURL-",
+      "webhookMethod-",
+      "webhookHeaders-",
+      "webhookBody-",
+    ];
+    editableInputs.forEach((input) => {
+      const element = document.getElementById(input + id);
+      if (element) {
+        element.disabled = false;
+      }
+    });
     const message = document.getElementById("message-"+id);
     message.disabled = false;
     message.rows = "5";
@@ -247,6 +310,7 @@ export default class Script {
       active: newAlert.active,
       trigger: newAlert.trigger,
       scriptLocation: newAlert.script,
+      webhook: newAlert.webhook,
       message: newAlert.message,
     };
     let post = await OctoFarmClient.post("scripts/edit", opts);
@@ -276,7 +340,9 @@ export default class Script {
     let opts = {
       active: newAlert.active,
       trigger: newAlert.trigger,
+      type: newAlert.type,
       scriptLocation: newAlert.script,
+      webhook: newAlert.webhook,
       message: newAlert.message,
       printer: [],
     };
@@ -319,10 +385,94 @@ export default class Script {
       UI.createAlert("success", post.testFire, 3000, "Clicked");
     }
   }
+  static async testWebhook(webhook, message) {
+    let opts = {
+      webhook: webhook,
+      message: message,
+    };
+    let post = await OctoFarmClient.post("scripts/testWebhook", opts);
+    if (!post?.delivery?.success) {
+      UI.createAlert("error", post?.delivery?.error || "Webhook delivery failed!", 3000, "Clicked");
+    } else {
+      UI.createAlert(
+        "success",
+        `Webhook responded with ${post.delivery.statusCode}`,
+        3000,
+        "Clicked"
+      );
+    }
+    Script.getDeliveries();
+  }
+  static async getDeliveries() {
+    let deliveriesTable = document.getElementById("alertDeliveriesTable");
+    if (!deliveriesTable) {
+      return;
+    }
+    let post = await OctoFarmClient.get("scripts/deliveries");
+    deliveriesTable.innerHTML = "";
+    if (!post || post.deliveries.length === 0) {
+      deliveriesTable.insertAdjacentHTML(
+        "beforeend",
+        `<tr><td colspan="6">No webhook deliveries yet</td></tr>`
+      );
+      return;
+    }
+    post.deliveries.forEach((delivery) => {
+      const result = delivery.success
+        ? `<span class="badge badge-success">${delivery.statusCode}</span>`
+        : `<span class="badge badge-danger" title="${delivery.error || ""}">Failed</span>
+           <small class="d-block">${delivery.error || ""}</small>`;
+      deliveriesTable.insertAdjacentHTML(
+        "beforeend",
+        `
+          <tr>
+            <td>${new Date(delivery.date).toLocaleString()}</td>
+            <td>${delivery.trigger}</td>
+            <td>${delivery.printerName || "-"}</td>
+            <td><code>${delivery.method}</code> ${delivery.url}</td>
+            <td>${result}</td>
+            <td>${delivery.attempts}</td>
+          </tr>
+        `
+      );
+    });
+  }
+  static webhookInputsTemplate(alert) {
+    const headers = JSON.stringify(alert.webhook?.headers || {});
+    return `
+      <div class="form-group">
+        <div class="input-group">
+          <div class="input-group-prepend">
+            <select class="custom-select" id="webhookMethod-${alert._id}" disabled>
+              <option value="POST">POST</option>
+              <option value="PUT">PUT</option>
+              <option value="PATCH">PATCH</option>
+              <option value="GET">GET</option>
+            </select>
+          </div>
+          <input type="input" class="form-control" id="webhookURL-${alert._id}" placeholder="Enter your webhook URL" value="${alert.webhook?.url || ""}" disabled />
+        </div>
+        <textarea rows="1" class="form-control mt-1" id="webhookHeaders-${alert._id}" placeholder="Headers JSON" disabled>${headers === "{}" ? "" : headers}</textarea>
+        <textarea rows="1" class="form-control mt-1" id="webhookBody-${alert._id}" placeholder="Body template JSON" disabled>${alert.webhook?.bodyTemplate || ""}</textarea>
+      </div>
+    `;
+  }
+  static grabWebhook(elements) {
+    return {
+      url: elements.webhookURL.value.trim(),
+      method: elements.webhookMethod.value,
+      headers: elements.webhookHeaders.value,
+      bodyTemplate: elements.webhookBody.value,
+    };
+  }
   static checkPage(elements) {
     let errors = [];
 
-    if (elements.script.value === "") {
+    if (elements.type.value === "webhook") {
+      if (elements.webhookURL.value === "") {
+        errors.push("webhookURL");
+      }
+    } else if (elements.script.value === "") {
       errors.push("script");
     }
     if (elements.trigger.value === "0") {
@@ -336,7 +486,12 @@ export default class Script {
   static grabPage() {
     return {
       trigger: document.getElementById("alertsTrigger"),
+      type: document.getElementById("alertType"),
       script: document.getElementById("scriptLocation"),
+      webhookURL: document.getElementById("webhookURL"),
+      webhookMethod: document.getElementById("webhookMethod"),
+      webhookHeaders: document.getElementById("webhookHeaders"),
+      webhookBody: document.getElementById("webhookBody"),
       message: document.getElementById("scriptMessage"),
     };
   }
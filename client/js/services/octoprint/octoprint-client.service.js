@@ -4,6 +4,11 @@ import { ClientErrors } from "../../exceptions/octofarm-client.exceptions";
 import { ApplicationError } from "../../exceptions/application-error.handler";
 import { printActionStatusResponse } from "./octoprint.helpers-commands.actions";
 import { printStartSequence } from "./octoprint-helpers.service";
+import {
+  checkBedIsClearBeforePrint,
+  checkMaintenanceBeforePrint,
+  checkFilamentBeforePrint,
+} from "../printer-action-buttons.service";
 
 export default class OctoPrintClient {
   static validatePrinter(printer) {
@@ -77,7 +82,6 @@ export default class OctoPrintClient {
       method: "GET",
       headers: {
         "Content-Type": "application/json",
-        "X-Api-Key": printer.apikey,
         Range: "bytes=-500000",
       },
     });
@@ -240,6 +244,13 @@ export default class OctoPrintClient {
 
       return post;
     } else if (action === "print") {
+      if (
+        !checkBedIsClearBeforePrint(printer) ||
+        !checkMaintenanceBeforePrint(printer) ||
+        !(await checkFilamentBeforePrint(printer, fullPath))
+      ) {
+        return;
+      }
       const opt = {
         command: "select",
         print: true,
@@ -332,7 +343,23 @@ export default class OctoPrintClient {
     }
   }
 
-  static async jobAction(printer, opts, element) {
+  static async jobAction(
+    printer,
+    opts,
+    element,
+    filePath = printer?.currentJob?.filePath || printer?.job?.file?.path
+  ) {
+    if (
+      opts.command === "start" &&
+      (!checkBedIsClearBeforePrint(printer) ||
+        !checkMaintenanceBeforePrint(printer) ||
+        !(await checkFilamentBeforePrint(printer, filePath)))
+    ) {
+      if (element) {
+        element.target.disabled = false;
+      }
+      return;
+    }
     let checkSettings = await OctoFarmClient.get("settings/server/get");
 
     let filamentCheck = false;
@@ -454,12 +481,10 @@ export default class OctoPrintClient {
 
   static async sendPowerCommand(printer, url, command, action) {
     const { printerName } = printer;
+    // [PrinterAPI] is left in for the server's proxy to fill, only administrators get the key
     if (url.includes("[PrinterURL]")) {
       url = url.replace("[PrinterURL]", "");
     }
-    if (url.includes("[PrinterAPI]")) {
-      url = url.replace("[PrinterAPI]", printer.apikey);
-    }
     if(url.includes(printer.printerURL)){
       url = url.replace(printer.printerURL, "")
     }
@@ -528,12 +553,10 @@ export default class OctoPrintClient {
   }
 
   static async getPowerStatus(printer, url, command) {
+    // [PrinterAPI] is filled by the server's proxy, see sendPowerCommand
     if (url.includes("[PrinterURL]")) {
       url = url.replace("[PrinterURL]", "");
     }
-    if (url.includes("[PrinterAPI]")) {
-      url = url.replace("[PrinterAPI]", printer.apikey);
-    }
     if(url.includes(printer.printerURL)){
       url = url.replace(printer.printerURL, "")
     }
@@ -2,6 +2,8 @@ import PrinterPowerService from "./printer-power.service.js";
 import UI from "../utils/ui";
 import OctoFarmClient from "./octofarm-client.service";
 import {
+  printerIsAwaitingBedClear,
+  printerIsMaintenanceBlocked,
   printerIsDisconnectedOrError,
   printerIsIdle,
   printerIsOnline,
@@ -23,6 +25,7 @@ function returnActionBtnTemplate(id, webURL, disableWeb = false) {
       <div class="btn-group dropright">
          <button  
            title="Quickly bring your printer online! Power -> Connect"
+           data-requires-permission="controlPrinters"
            id="printerQuickConnect-${id}"
            type="button"
            class="tag btn btn-danger btn-sm"
@@ -35,7 +38,7 @@ function returnActionBtnTemplate(id, webURL, disableWeb = false) {
                class="tag btn btn-info btn-sm ${disabledWebButton}"
                target="_blank"
                href="${webURL}" role="button"><i class="fas fa-globe-europe "></i> </a>   
-        <button id="printerManageDropDown-${id}" type="button" class="btn btn-primary btn-sm dropdown-toggle dropdown-toggle-split" data-toggle="dropdown" aria-haspopup="true" aria-expanded="false">
+        <button id="printerManageDropDown-${id}" data-requires-permission="controlPrinters" type="button" class="btn btn-primary btn-sm dropdown-toggle dropdown-toggle-split" data-toggle="dropdown" aria-haspopup="true" aria-expanded="false">
          <i class="fas fa-bars"></i>
         </button>
         <div class="dropdown-menu">
@@ -56,6 +59,14 @@ function returnActionBtnTemplate(id, webURL, disableWeb = false) {
           >
             <i class="fa-solid fa-temperature-arrow-down text-info"></i> Turn Off Heaters
           </button> 
+          <button
+             title="Confirm the last print has been removed so a new print can be started"
+             id="printerBedCleared-${id}"
+             type="button"
+             class="dropdown-item d-none"
+          >
+            <i class="fas fa-broom text-success"></i> Bed Cleared
+          </button>
           <button
              title="Uses the values from your selected filament and pre-heats to those values."
              id="printerPreHeat-${id}"
@@ -119,6 +130,123 @@ function printerQuickDisconnected(id) {
   connectBtn.title ="Quickly bring your printer online! Power -> Connect";
 }
 
+function toggleBedClearedButton(id, awaitingBedClear) {
+  const bedClearedBtn = document.getElementById("printerBedCleared-" + id);
+  if (awaitingBedClear) {
+    bedClearedBtn.classList.remove("d-none");
+  } else {
+    bedClearedBtn.classList.add("d-none");
+  }
+}
+
+async function clearPrinterBed(printer) {
+  try {
+    await OctoFarmClient.clearPrinterBed(printer._id);
+    UI.createAlert(
+        "success",
+        `${printer.printerName}: Bed marked as cleared`,
+        3000,
+        "Clicked"
+    );
+  } catch (e) {
+    console.error(e);
+    UI.createAlert(
+        "error",
+        `${printer.printerName}: Couldn't mark the bed as cleared`,
+        3000,
+        "Clicked"
+    );
+  }
+}
+
+/**
+ * Stops a print being started whilst the last job is still sat on the bed.
+ * @param printer
+ * @returns {boolean} true when it's safe to start a print
+ */
+function checkBedIsClearBeforePrint(printer) {
+  if (!printerIsAwaitingBedClear(printer)) {
+    return true;
+  }
+  UI.createAlert(
+      "warning",
+      `${printer.printerName}: The bed hasn't been cleared since the last print! Remove it and mark the bed as cleared before starting a new print.`,
+      5000,
+      "Clicked"
+  );
+  return false;
+}
+
+/**
+ * Stops a print being started on a printer with overdue maintenance that's set to block jobs.
+ * @param printer
+ * @returns {boolean} true when no blocking maintenance is overdue
+ */
+function checkMaintenanceBeforePrint(printer) {
+  if (!printerIsMaintenanceBlocked(printer)) {
+    return true;
+  }
+  UI.createAlert(
+      "warning",
+      `${printer.printerName}: Maintenance is overdue! Log the overdue tasks as done on the Printer Manager before starting a new print.`,
+      5000,
+      "Clicked"
+  );
+  return false;
+}
+
+/**
+ * Compares the file against the spools assigned to the printer. Shortages and material mismatches
+ * need confirming, a short spool can't be overridden when the server is set to block them.
+ * @param printer
+ * @param filePath file to be printed
+ * @returns {Promise<boolean>} true when the print should go ahead
+ */
+async function checkFilamentBeforePrint(printer, filePath) {
+  if (!filePath) {
+    return true;
+  }
+  let check;
+  try {
+    check = await OctoFarmClient.checkFilamentSufficiency(printer._id, filePath);
+  } catch (e) {
+    // Don't hold a print up because the check couldn't be made
+    console.error(e);
+    return true;
+  }
+  const { canPrint, issues } = check;
+  const issueList = issues.map((issue) => `<li>${issue.message}</li>`).join("");
+  if (!canPrint) {
+    UI.createAlert(
+        "warning",
+        `${printer.printerName}: The assigned spools can't finish this print! <ul>${issueList}</ul>`,
+        0,
+        "Clicked"
+    );
+    return false;
+  }
+  if (issues.length === 0) {
+    return true;
+  }
+  return new Promise((resolve) => {
+    bootbox.confirm({
+      title: `${printer.printerName}: Filament Check`,
+      message: `<ul>${issueList}</ul>Would you still like to start the print?`,
+      buttons: {
+        confirm: {
+          label: "Print Anyway",
+          className: "btn-warning",
+        },
+        cancel: {
+          label: "Cancel",
+          className: "btn-secondary",
+        },
+      },
+      callback: resolve,
+    });
+  });
+}
+
 function groupInit(printers) {
   const uniqueGroupList = [
     ...new Set(printers.map((printer) => printer.group)),
@@ -305,6 +433,16 @@ function addGroupEventListeners(printers, group) {
         e.target.disabled = false;
       });
 
+  document
+      .getElementById(`printerBedCleared-${group}`)
+      .addEventListener("click", async (e) => {
+        e.target.disabled = true;
+        for (const printer of printers){
+          await clearPrinterBed(printer);
+        }
+        e.target.disabled = false;
+      });
+
 }
 
 function init(printer, element) {
@@ -449,6 +587,14 @@ function addEventListeners(printer) {
       e.target.disabled = false;
     });
 
+  document
+    .getElementById(`printerBedCleared-${printer._id}`)
+    .addEventListener("click", async (e) => {
+      e.target.disabled = true;
+      await clearPrinterBed(printer);
+      e.target.disabled = false;
+    });
+
   PrinterPowerService.setupEventListeners(printer);
 }
 
@@ -469,6 +615,7 @@ function checkQuickConnectState(printer) {
     !isPrinting;
   document.getElementById("printerHeatersOff-" + printer._id).disabled =
     !printerIsIdle(printer);
+  toggleBedClearedButton(printer._id, printerIsAwaitingBedClear(printer));
 
   PrinterPowerService.revealPowerButtons(printer).catch((e) => {
     console.error(e);
@@ -528,6 +675,10 @@ function checkGroupQuickConnectState(printers, group) {
       !printersAllPrinting;
   document.getElementById("printerHeatersOff-" + group).disabled =
       !printersAllIdle;
+  toggleBedClearedButton(
+      group,
+      printers.some((printer) => printerIsAwaitingBedClear(printer))
+  );
   const noConnectionOptions = printers.filter(
     (obj) =>
       obj?.connectionOptions?.portPreference === null ||
@@ -555,4 +706,8 @@ export {
   printerQuickDisconnected,
   checkQuickConnectState,
   checkGroupQuickConnectState,
+  checkBedIsClearBeforePrint,
+  checkMaintenanceBeforePrint,
+  checkFilamentBeforePrint,
+  clearPrinterBed,
 };
@@ -1,8 +1,24 @@
-export const updateCameraImage = (printerID, cameraURL) => {
+// Images show the printers main camera until another is picked from the camera selector
+const isShowingCamera = (element, cameraIndex) =>
+    (element.dataset.cameraIndex ?? "0") === String(cameraIndex);
+
+export const selectPrinterCamera = (printerID, cameras, cameraIndex) => {
     const currentCameraElement = document.getElementById(`camera-${printerID}`)
-    if(!!currentCameraElement){
+    if(!!currentCameraElement && !!cameras[cameraIndex]){
+        currentCameraElement.dataset.cameraIndex = cameraIndex;
+        currentCameraElement.src = cameras[cameraIndex].url;
+    }
+}
+
+export const updateCameraImage = (printerID, cameraURL, cameraIndex = 0) => {
+    const currentCameraElement = document.getElementById(`camera-${printerID}`)
+    if(!!currentCameraElement && isShowingCamera(currentCameraElement, cameraIndex)){
         currentCameraElement.src = cameraURL;
     }
+    // Everything below only ever shows the main camera
+    if(cameraIndex !== 0){
+        return;
+    }
     const currentCameraModalElement = document.getElementById(`cameraModal-${printerID}`)
     if(!!currentCameraModalElement){
         currentCameraModalElement.src = cameraURL;
@@ -0,0 +1,91 @@
+import OctoFarmClient from "./octofarm-client.service";
+import { applyPatch } from "../utils/sse.utils";
+import { DELTA_MESSAGE_TYPES } from "../../../server/constants/sse.constants";
+
+/**
+ * Rebuilds the full server state from a delta stream, a snapshot followed by numbered deltas.
+ * When a delta arrives out of sequence the state can't be trusted anymore, so it's dropped until
+ * the server answers the resync request with a fresh snapshot.
+ */
+export default class SseDeltaState {
+  #collectionKey;
+  #idKey;
+  #resyncRoute;
+  #clientID = null;
+  #seq = null;
+  #data = null;
+  #resyncRequested = false;
+
+  /**
+   * @param collectionKey field holding the printer list
+   * @param idKey
+   * @param resyncRoute e.g. "/monitoringInfo/resync"
+   */
+  constructor(collectionKey, idKey, resyncRoute) {
+    this.#collectionKey = collectionKey;
+    this.#idKey = idKey;
+    this.#resyncRoute = resyncRoute;
+  }
+
+  #requestResync() {
+    if (this.#resyncRequested || this.#clientID === null) {
+      return;
+    }
+    this.#resyncRequested = true;
+    OctoFarmClient.post(`${this.#resyncRoute}/${this.#clientID}`).catch((e) => {
+      // Connection is probably gone, the reconnect will start with a snapshot anyway
+      console.error("Couldn't request a resync", e);
+      this.#resyncRequested = false;
+    });
+  }
+
+  #applyDelta({ patches, added, removed, order, fields }) {
+    const items = new Map(
+      this.#data[this.#collectionKey].map((item) => [item[this.#idKey], item])
+    );
+    removed.forEach((id) => items.delete(id));
+    added.forEach((item) => items.set(item[this.#idKey], item));
+    Object.entries(patches).forEach(([id, operations]) => {
+      applyPatch(items.get(id), operations);
+    });
+
+    const ordered = order ?? this.#data[this.#collectionKey].map((item) => item[this.#idKey]);
+    this.#data[this.#collectionKey] = [
+      ...ordered.filter((id) => items.has(id)),
+      ...added.map((item) => item[this.#idKey]).filter((id) => !ordered.includes(id)),
+    ].map((id) => items.get(id));
+    Object.assign(this.#data, fields);
+
+    // Order or settings changes can touch every printer, only a plain delta narrows it down
+    const everythingChanged =
+      !!order || removed.length > 0 || Object.keys(fields).length > 0;
+    return everythingChanged
+      ? null
+      : new Set([...Object.keys(patches), ...added.map((item) => item[this.#idKey])]);
+  }
+
+  /**
+   * @param message parsed message from the SSE worker
+   * @returns {null|{data: {}, changedIDs: Set|null}} the rebuilt state and which printers changed,
+   * changedIDs is null when every printer should be refreshed. Null while waiting on a resync.
+   */
+  apply(message) {
+    if (message?.type === DELTA_MESSAGE_TYPES.SNAPSHOT) {
+      const { type, seq, clientID, ...data } = message;
+      this.#clientID = clientID;
+      this.#seq = seq;
+      this.#data = data;
+      this.#resyncRequested = false;
+      return { data: this.#data, changedIDs: null };
+    }
+    if (message?.type !== DELTA_MESSAGE_TYPES.DELTA || this.#data === null) {
+      return null;
+    }
+    if (message.seq !== this.#seq + 1) {
+      this.#requestResync();
+      return null;
+    }
+    this.#seq = message.seq;
+    return { data: this.#data, changedIDs: this.#applyDelta(message) };
+  }
+}
@@ -25,3 +25,22 @@ export const drawCamera = (id, { url, flipV, flipH, rotate90, hidden, aspectRati
         src="${url}"
      alt=""/>`;
 };
+
+const escapeOption = (value) =>
+  String(value).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+/**
+ * Picks which of a printers cameras the view shows, nothing is drawn for a single camera
+ */
+export const drawCameraSelector = (id, cameras = []) => {
+  if (cameras.length < 2) {
+    return "";
+  }
+  const options = cameras
+    .map((camera, index) => `<option value="${index}">${escapeOption(camera.name)}</option>`)
+    .join("");
+  return `<select
+        class="custom-select custom-select-sm cameraSelect"
+        id="cameraSelect-${id}"
+        title="Choose camera">${options}</select>`;
+};
@@ -0,0 +1,148 @@
+const FRAME_CHUNK_ID = "00dc";
+const DEFAULT_FPS = 15;
+// Enough for the headers and first frame of any sensible camera
+const POSTER_BYTES = 1024 * 1024;
+
+const readId = (view, offset) =>
+  String.fromCharCode(
+    view.getUint8(offset),
+    view.getUint8(offset + 1),
+    view.getUint8(offset + 2),
+    view.getUint8(offset + 3)
+  );
+
+/**
+ * OctoFarm records its own timelapses as motion JPEG AVIs, which browsers can't play in a video tag
+ * @param path
+ * @returns {boolean}
+ */
+export function isMjpegAvi(path) {
+  return typeof path === "string" && path.toLowerCase().endsWith(".avi");
+}
+
+/**
+ * Pulls the JPEG frames and frame rate out of a motion JPEG AVI
+ * @param buffer ArrayBuffer of the whole file
+ * @returns {{fps: number, frames: Blob[]}}
+ */
+export function readMjpegAvi(buffer) {
+  const view = new DataView(buffer);
+  if (view.byteLength < 12 || readId(view, 0) !== "RIFF" || readId(view, 8) !== "AVI ") {
+    throw new Error("Not an AVI file");
+  }
+  let fps = DEFAULT_FPS;
+  const frames = [];
+  const readChunks = (start, end) => {
+    let offset = start;
+    while (offset + 8 <= end) {
+      const id = readId(view, offset);
+      const size = view.getUint32(offset + 4, true);
+      const dataStart = offset + 8;
+      if (id === "LIST") {
+        readChunks(dataStart + 4, Math.min(dataStart + size, end));
+      } else if (id === "avih") {
+        const microSecondsPerFrame = view.getUint32(dataStart, true);
+        fps = microSecondsPerFrame > 0 ? 1000000 / microSecondsPerFrame : DEFAULT_FPS;
+      } else if (id === FRAME_CHUNK_ID && dataStart + size <= end) {
+        frames.push(new Blob([buffer.slice(dataStart, dataStart + size)], { type: "image/jpeg" }));
+      }
+      // Chunks are word aligned
+      offset = dataStart + size + (size % 2);
+    }
+  };
+  readChunks(12, view.byteLength);
+  return { fps, frames };
+}
+
+/**
+ * Plays a motion JPEG AVI by cycling its frames through an image, playback stops by itself once
+ * the image is removed from the page.
+ * @param image
+ * @param url
+ * @returns {Promise<void>}
+ */
+export async function playMjpegAvi(image, url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Unable to load timelapse: ${response.status}`);
+  }
+  const { fps, frames } = readMjpegAvi(await response.arrayBuffer());
+  if (frames.length === 0) {
+    return;
+  }
+  const frameURLs = frames.map((frame) => URL.createObjectURL(frame));
+  let frame = 0;
+  image.src = frameURLs[frame];
+  const timer = setInterval(() => {
+    if (!image.isConnected) {
+      clearInterval(timer);
+      frameURLs.forEach((frameURL) => URL.revokeObjectURL(frameURL));
+      return;
+    }
+    frame = (frame + 1) % frameURLs.length;
+    image.src = frameURLs[frame];
+  }, 1000 / fps);
+}
+
+/**
+ * Shows the first frame of a motion JPEG AVI, only the start of the file is downloaded for it
+ * @param image
+ * @param url
+ * @returns {Promise<void>}
+ */
+export async function showMjpegAviPoster(image, url) {
+  const response = await fetch(url, { headers: { Range: `bytes=0-${POSTER_BYTES - 1}` } });
+  if (!response.ok) {
+    throw new Error(`Unable to load timelapse: ${response.status}`);
+  }
+  const { frames } = readMjpegAvi(await response.arrayBuffer());
+  // Clicked while the poster was still loading
+  if (frames.length === 0 || !!image.dataset.mjpegAviPlaying) {
+    return;
+  }
+  const posterURL = URL.createObjectURL(frames[0]);
+  image.addEventListener("load", () => URL.revokeObjectURL(posterURL), { once: true });
+  image.src = posterURL;
+  image.alt = "Click to play timelapse";
+}
+
+const startPlayer = (image, url) => {
+  image.dataset.mjpegAviPlaying = "true";
+  image.alt = "Loading timelapse...";
+  image.style.cursor = "";
+  playMjpegAvi(image, url).catch((e) => {
+    console.error("Unable to play timelapse", e);
+    image.alt = "Unable to play timelapse";
+  });
+};
+
+/**
+ * Sets up every timelapse player inside an element, players are images with a data-mjpeg-avi url.
+ * Each recording can be thousands of frames, so only players marked data-mjpeg-avi-autoplay start
+ * straight away. The rest show their first frame once scrolled into view and play when clicked.
+ * @param element
+ */
+export function startMjpegAviPlayers(element) {
+  const posterObserver = new IntersectionObserver((entries) => {
+    entries
+      .filter((entry) => entry.isIntersecting)
+      .forEach(({ target }) => {
+        posterObserver.unobserve(target);
+        showMjpegAviPoster(target, target.dataset.mjpegAviUrl).catch((e) => {
+          console.error("Unable to load timelapse poster", e);
+        });
+      });
+  });
+  element.querySelectorAll("img[data-mjpeg-avi]").forEach((image) => {
+    const url = image.dataset.mjpegAvi;
+    image.removeAttribute("data-mjpeg-avi");
+    if (image.hasAttribute("data-mjpeg-avi-autoplay")) {
+      startPlayer(image, url);
+      return;
+    }
+    image.dataset.mjpegAviUrl = url;
+    image.style.cursor = "pointer";
+    image.addEventListener("click", () => startPlayer(image, url), { once: true });
+    posterObserver.observe(image);
+  });
+}
@@ -299,6 +299,14 @@ export function printerIsIdle(printer) {
   return category === 'Idle' || category === 'Complete';
 }
 
+export function printerIsAwaitingBedClear(printer) {
+  return !!printer?.awaitingBedClear && !printer?.bedClearOverride;
+}
+
+export function printerIsMaintenanceBlocked(printer) {
+  return !!printer?.maintenanceBlocked;
+}
+
 export function closePrinterManagerModalIfOffline(printer) {
   if (!printerIsOnline(printer)) {
     $('#printerManagerModal').modal('hide');
@@ -35,3 +35,24 @@ export const debounce = function (func, wait) {
     timeout = setTimeout(later, waitFunc());
   };
 };
+
+const unescapePointer = (segment) => segment.replace(/~1/g, "/").replace(/~0/g, "~");
+
+/**
+ * Applies a JSON patch from the servers delta stream in place. Only the add, replace and remove
+ * operations the server creates are supported.
+ * @param target
+ * @param operations
+ */
+export const applyPatch = function (target, operations) {
+  operations.forEach(({ op, path, value }) => {
+    const segments = path.split("/").slice(1).map(unescapePointer);
+    const key = segments.pop();
+    const parent = segments.reduce((current, segment) => current[segment], target);
+    if (op === "remove") {
+      delete parent[key];
+    } else {
+      parent[key] = value;
+    }
+  });
+};
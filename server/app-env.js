@@ -463,6 +463,7 @@ const expressLayouts = require('express-ejs-layouts');
 const LoggerCore = require('./handlers/logger.js');
 const { OctoFarmTasks } = require('./tasks');
 const { optionalInfluxDatabaseSetup } = require('./services/influx-export.service.js');
+const { MqttBridge } = require('./services/mqtt-bridge.service');
 const { getViewsPath: _getViewsPath } = require('./app-env'); // note: re-use getViewsPath above
 const { SettingsClean } = require('./services/settings-cleaner.service');
 const { TaskManager } = require('./services/task-manager.service');
@@ -470,8 +471,9 @@ const exceptionHandler = require('./exceptions/exception.handler');
 const { fetchSuperSecretKey: _fetchSuperSecretKey } = require('./app-env');
 const { sanitizeString } = require('./utils/sanitize-utils');
 const { ensureClientServerVersion } = require('./middleware/client-server-version');
+const { auditRequests } = require('./middleware/audit');
 const { LOGGER_ROUTE_KEYS: LOGGER_KEYS } = require('./constants/logger.constants');
-const { ensureAuthenticated } = require('./middleware/auth');
+const { ensureAuthenticated, ensureOctoPrintProxyPermission } = require('./middleware/auth');
 const { validateParamsMiddleware } = require('./middleware/validators');
 const { proxyOctoPrintClientRequests } = require('./middleware/octoprint-proxy');
 const rateLimit = require('express-rate-limit');
@@ -496,8 +498,29 @@ const authLimiter = rateLimit({
  *   • configures view engine (EJS), static folders (views, /images, /assets, etc.)
  *   • mounts cookieParser, express.urlencoded, session+MongoStore, flash, Passport
  */
+/**
+ * Express ignores X-Forwarded-For unless told which proxies to trust, so behind a reverse proxy
+ * req.ip (the rate limits and the audit log) would be the proxy's address. TRUST_PROXY takes
+ * anything express's "trust proxy" setting does: true, a hop count, or addresses like "loopback".
+ */
+function setupTrustProxy(app) {
+  const trustProxy = process.env[AppConstants.TRUST_PROXY_KEY];
+  if (!trustProxy) {
+    return;
+  }
+  if (trustProxy === 'true') {
+    app.set('trust proxy', true);
+  } else if (/^\d+$/.test(trustProxy)) {
+    app.set('trust proxy', parseInt(trustProxy));
+  } else {
+    app.set('trust proxy', trustProxy);
+  }
+  loggerCore.info(`✓ Trusting proxy ${trustProxy} for client addresses`);
+}
+
 function setupExpressServer() {
   const app = express();
+  setupTrustProxy(app);
 
   // Global rate limits & sanitization
   app.use(octofarmGlobalLimits);
@@ -593,13 +616,15 @@ async function ensureSystemSettingsInitiated() {
 
 /**
  * Mount all of your OctoFarm routes onto the Express “app”:
- *   • health-check, /camera proxy, /octoprint proxy, /users, /printers, /settings, /filament, /history, /scripts, /input, /client, SSE events, etc.
+ *   • health-check, /camera proxy, /octoprint proxy, /users, /printers, /settings, /filament, /history, /queue, /maintenance, /metrics, /scripts, /input, /client, SSE events, etc.
+ *   • every request that changes something is recorded in the audit log
  *   • ANY unmatched “*.min.js” request should return 404 + “Resource not found”
  *   • Otherwise redirect to “/” (so the React client can handle routing)
  *   • Finally use the global exception handler
  */
 function serveOctoFarmRoutes(app) {
   app.use(ensureClientServerVersion);
+  app.use(auditRequests);
 
   app.use('/', require('./routes/index', { page: 'route' }));
   app.use(
@@ -611,6 +636,7 @@ function serveOctoFarmRoutes(app) {
     '/octoprint/:id/:item(*)',
     ensureAuthenticated,
     validateParamsMiddleware(M_VALID.MONGO_ID),
+    ensureOctoPrintProxyPermission,
     proxyOctoPrintClientRequests
   );
   app.use('/users', require('./routes/users.routes.js', { page: 'route' }));
@@ -626,6 +652,12 @@ function serveOctoFarmRoutes(app) {
   );
   app.use('/filament', require('./routes/filament-manager.routes.js', { page: 'route' }));
   app.use('/history', require('./routes/history.routes.js', { page: 'route' }));
+  app.use('/queue', require('./routes/print-queue.routes.js', { page: 'route' }));
+  app.use('/maintenance', require('./routes/maintenance.routes.js', { page: 'route' }));
+  app.use('/backup', require('./routes/backup.routes.js', { page: 'route' }));
+  app.use('/files', require('./routes/files-manager.routes.js', { page: 'route' }));
+  app.use('/audit', require('./routes/audit.routes.js', { page: 'route' }));
+  app.use('/metrics', require('./routes/metrics.routes.js', { page: 'route' }));
   app.use(
     '/scripts',
     require('./routes/local-scripts-manager.routes.js', { page: 'route' })
@@ -679,6 +711,11 @@ async function serveOctoFarmNormally(app, quick_boot = false) {
     } catch (e) {
       loggerCore.error("Couldn't set up InfluxDB:", e.toString());
     }
+    try {
+      MqttBridge.start();
+    } catch (e) {
+      loggerCore.error("Couldn't start the MQTT bridge:", e.toString());
+    }
   }
 
   serveOctoFarmRoutes(app);
@@ -0,0 +1,16 @@
+const MaintenanceStore = require("../store/maintenance.store");
+
+let maintenanceStore = undefined;
+
+function getMaintenanceCache() {
+  if (!!maintenanceStore) {
+    return maintenanceStore;
+  } else {
+    maintenanceStore = new MaintenanceStore();
+    return maintenanceStore;
+  }
+}
+
+module.exports = {
+  getMaintenanceCache
+};
@@ -0,0 +1,16 @@
+const PrintQueueStore = require("../store/print-queue.store");
+
+let printQueueStore = undefined;
+
+function getPrintQueueCache() {
+  if (!!printQueueStore) {
+    return printQueueStore;
+  } else {
+    printQueueStore = new PrintQueueStore();
+    return printQueueStore;
+  }
+}
+
+module.exports = {
+  getPrintQueueCache
+};
@@ -0,0 +1,17 @@
+const ALERT_TYPES = {
+  SCRIPT: "script",
+  WEBHOOK: "webhook"
+};
+
+const WEBHOOK_METHODS = ["POST", "PUT", "PATCH", "GET"];
+
+// Not tied to a printer, these fire for every active alert on the trigger
+const FARM_ALERT_TRIGGERS = {
+  LOW_STOCK: "lowstock"
+};
+
+module.exports = {
+  ALERT_TYPES,
+  WEBHOOK_METHODS,
+  FARM_ALERT_TRIGGERS
+};
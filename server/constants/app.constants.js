@@ -7,6 +7,7 @@ const OCTOFARM_SITE_TITLE_KEY = "OCTOFARM_SITE_TITLE";
 const LOG_LEVEL = "LOG_LEVEL";
 const NODE_ENV_KEY = "NODE_ENV";
 const SUPER_SECRET_KEY = "SUPER_SECRET_KEY";
+const TRUST_PROXY_KEY = "TRUST_PROXY";
 
 const VERSION_KEY = "npm_package_version";
 
@@ -103,6 +104,10 @@ class AppConstants {
   static get SUPER_SECRET_KEY() {
     return SUPER_SECRET_KEY;
   }
+
+  static get TRUST_PROXY_KEY() {
+    return TRUST_PROXY_KEY;
+  }
 }
 
 module.exports = {
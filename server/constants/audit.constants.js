@@ -0,0 +1,59 @@
+const AUDIT_RESULTS = {
+  SUCCESS: "success",
+  FAILURE: "failure"
+};
+
+const AUDITED_METHODS = ["POST", "PUT", "PATCH", "DELETE"];
+
+// A few older routes change things on a GET, those get audited all the same
+const AUDITED_GET_ROUTES = [
+  /^\/users\/logout$/,
+  /^\/settings\/server\/delete\/database\//,
+  /^\/settings\/customGcode\/delete\//
+];
+
+// Browser error reports and SSE resync requests aren't user actions, they'd bury everything else
+const IGNORED_AUDIT_ROUTES = [
+  /^\/settings\/client\/logs$/,
+  /^\/(monitoringInfo|printersInfo)\/resync\//
+];
+
+const AUDIT_LOGIN_ROUTE = "/users/login";
+
+// Anything matching is never written into the audit log, only that it changed
+const AUDIT_REDACTED_KEYS = /pass|secret|token|api.?key|cookie/i;
+const AUDIT_REDACTED_VALUE = "[redacted]";
+
+// Caps the size of a single entry, a big settings save shouldn't turn into a huge document
+const AUDIT_MAX_CHANGES = 100;
+const AUDIT_MAX_VALUE_LENGTH = 500;
+
+const AUDIT_PAGE_SIZE = 50;
+
+// Column key -> header, in the order they're written out
+const AUDIT_EXPORT_COLUMNS = {
+  date: "Date",
+  actor: "Actor",
+  ip: "IP Address",
+  method: "Method",
+  route: "Route",
+  targetType: "Target Type",
+  targetID: "Target",
+  status: "Status",
+  result: "Result",
+  changes: "Changes"
+};
+
+module.exports = {
+  AUDIT_RESULTS,
+  AUDITED_METHODS,
+  AUDITED_GET_ROUTES,
+  IGNORED_AUDIT_ROUTES,
+  AUDIT_LOGIN_ROUTE,
+  AUDIT_REDACTED_KEYS,
+  AUDIT_REDACTED_VALUE,
+  AUDIT_MAX_CHANGES,
+  AUDIT_MAX_VALUE_LENGTH,
+  AUDIT_PAGE_SIZE,
+  AUDIT_EXPORT_COLUMNS
+};
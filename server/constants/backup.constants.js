@@ -0,0 +1,40 @@
+// Bumped whenever the layout of a backup archive changes, restores refuse anything newer
+const BACKUP_VERSION = 1;
+
+// Sessions belong to the running server and the migration log is written from the manifest
+const BACKUP_EXCLUDED_COLLECTIONS = ["sessions", "_migrations"];
+
+const BACKUP_MANIFEST_FILE = "manifest.json";
+const BACKUP_COLLECTIONS_FOLDER = "collections";
+const BACKUP_IMAGES_FOLDER = "images";
+
+// octofarm-backup-2026-10-19T12-00-00-000Z[-scheduled].zip
+const BACKUP_FILE_PREFIX = "octofarm-backup-";
+const BACKUP_SCHEDULED_SUFFIX = "-scheduled";
+const BACKUP_FILE_REGEX = /^octofarm-backup-[0-9TZ-]+(-scheduled)?\.zip$/;
+
+// Anything else in a manifest could point outside the extract folder or at a system collection
+const BACKUP_COLLECTION_NAME_REGEX = /^[A-Za-z0-9_-]+$/;
+
+// Restores load into these first, the live collections are only swapped once everything loaded
+const BACKUP_STAGING_PREFIX = "restore-staging-";
+
+// Documents are written back in batches so a large history collection doesn't sit in one insert
+const BACKUP_RESTORE_BATCH_SIZE = 1000;
+
+const BACKUP_UPLOAD_LIMIT = 4 * 1024 * 1024 * 1024;
+
+module.exports = {
+  BACKUP_VERSION,
+  BACKUP_EXCLUDED_COLLECTIONS,
+  BACKUP_MANIFEST_FILE,
+  BACKUP_COLLECTIONS_FOLDER,
+  BACKUP_IMAGES_FOLDER,
+  BACKUP_FILE_PREFIX,
+  BACKUP_SCHEDULED_SUFFIX,
+  BACKUP_FILE_REGEX,
+  BACKUP_COLLECTION_NAME_REGEX,
+  BACKUP_STAGING_PREFIX,
+  BACKUP_RESTORE_BATCH_SIZE,
+  BACKUP_UPLOAD_LIMIT
+};
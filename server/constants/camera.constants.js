@@ -0,0 +1,37 @@
+const DEFAULT_CAMERA_NAME = "Main";
+const MAX_PRINTER_CAMERAS = 4;
+
+// Matches the camera health task's PERIODIC_60000MS preset
+const CAMERA_HEALTH_CHECK_INTERVAL = 60000;
+// A stream which hasn't produced a frame for this long is treated as dead. Kept longer than the gap
+// between health checks so a healthy camera nobody is watching doesn't flicker to stale.
+const CAMERA_STALE_AFTER = CAMERA_HEALTH_CHECK_INTERVAL * 2.5;
+// How long the health check watches each stream for
+const CAMERA_PROBE_DURATION = 3000;
+const CAMERA_PROBE_TIMEOUT = 10000;
+// Probes running at once, and the gap a probe waits before the next one starts. Keeps a large farm
+// from opening every camera stream at the same moment.
+const CAMERA_PROBE_CONCURRENCY = 3;
+const CAMERA_PROBE_STAGGER = 500;
+// Frame rate is worked out from the frames received within this window
+const CAMERA_FRAME_RATE_WINDOW = 5000;
+
+const CAMERA_STATES = {
+  ONLINE: "online",
+  STALE: "stale",
+  ERROR: "error",
+  UNCHECKED: "unchecked"
+};
+
+module.exports = {
+  DEFAULT_CAMERA_NAME,
+  MAX_PRINTER_CAMERAS,
+  CAMERA_HEALTH_CHECK_INTERVAL,
+  CAMERA_STALE_AFTER,
+  CAMERA_PROBE_DURATION,
+  CAMERA_PROBE_TIMEOUT,
+  CAMERA_PROBE_CONCURRENCY,
+  CAMERA_PROBE_STAGGER,
+  CAMERA_FRAME_RATE_WINDOW,
+  CAMERA_STATES
+};
@@ -79,7 +79,13 @@ function getDefaultHistoryStatistics() {
     highestSpoolCost: 0,
     totalPrinterCost: 0,
     highestPrinterCost: 0,
-    currentFailed: 0
+    currentFailed: 0,
+    failureAnalysis: {
+      reasons: [],
+      byPrinter: [],
+      byProfile: [],
+      byFile: []
+    }
   };
 }
 
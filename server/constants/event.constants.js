@@ -1,5 +1,9 @@
 const EVENT_ID_MAP = {
-  coolDown: "COOL_DOWN"
+  coolDown: "COOL_DOWN",
+  heaterDivergence: "HEATER_DIVERGENCE",
+  stuckHeater: "STUCK_HEATER",
+  bedHeatLoss: "BED_HEAT_LOSS",
+  printStalled: "PRINT_STALLED"
 };
 
 const eventListConstants = {
@@ -12,6 +16,46 @@ const eventListConstants = {
       "Fires once when your printer is in the 'Complete' state and temperature drops below the value in your 'Cool Down' trigger settings.",
     defaultTriggerValue: "30 (°C)",
     relatedSettings: "Trigger Settings -> Cool Down"
+  },
+  HEATER_DIVERGENCE: {
+    id: "heaterDivergence",
+    icon: "fa-solid fa-temperature-high",
+    name: "Heater Divergence",
+    amount: "Once Per Target Change",
+    description:
+      "Fires when a heater stays further from its target than the divergence tolerance for longer than allowed. Usually a failing heater or thermistor.",
+    defaultTriggerValue: "10 (°C) for 120 (s)",
+    relatedSettings: "Trigger Settings -> Thermal Watchdog"
+  },
+  STUCK_HEATER: {
+    id: "stuckHeater",
+    icon: "fa-solid fa-fire",
+    name: "Stuck On Heater",
+    amount: "Once Per Occurrence",
+    description:
+      "Fires when a heater keeps rising whilst its target is 0, a stuck on heater or MOSFET.",
+    defaultTriggerValue: "15 (°C)",
+    relatedSettings: "Trigger Settings -> Thermal Watchdog"
+  },
+  BED_HEAT_LOSS: {
+    id: "bedHeatLoss",
+    icon: "fa-solid fa-temperature-low",
+    name: "Bed Heat Loss",
+    amount: "Once Per Occurrence",
+    description:
+      "Fires when the bed drops below its target by more than the bed drop tolerance whilst printing.",
+    defaultTriggerValue: "10 (°C)",
+    relatedSettings: "Trigger Settings -> Thermal Watchdog"
+  },
+  PRINT_STALLED: {
+    id: "printStalled",
+    icon: "fa-solid fa-hourglass-half",
+    name: "Print Stalled",
+    amount: "Once Per Stall",
+    description:
+      "Fires when a printer says it's printing but progress, file position and Z haven't moved for 5% of the expected print time.",
+    defaultTriggerValue: "15 (minutes) minimum",
+    relatedSettings: "None"
   }
 };
 
@@ -0,0 +1,18 @@
+// Failed and cancelled prints start out here until an operator says what went wrong
+const UNCLASSIFIED_FAILURE = "Unclassified";
+
+const DEFAULT_FAILURE_REASONS = [
+  "Bed Adhesion",
+  "Spaghetti",
+  "Nozzle Clog",
+  "Filament Runout",
+  "Power Loss",
+  "Layer Shift",
+  "Operator Cancel",
+  "Other"
+];
+
+module.exports = {
+  UNCLASSIFIED_FAILURE,
+  DEFAULT_FAILURE_REASONS
+};
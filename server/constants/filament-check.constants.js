@@ -0,0 +1,31 @@
+// Slicer estimates run a little low and don't count purges, so the spool needs some headroom
+const FILAMENT_CHECK_MARGIN = 1.05;
+
+const FILAMENT_CHECK_ISSUES = {
+  INSUFFICIENT: "insufficient",
+  MATERIAL_MISMATCH: "material"
+};
+
+// PrusaSlicers default output name contains {printing_filament_types}, e.g. Benchy_0.2mm_PLA_MK3S.gcode
+const SLICER_MATERIALS = [
+  "PLA",
+  "PETG",
+  "PET",
+  "ABS",
+  "ASA",
+  "TPU",
+  "FLEX",
+  "PC",
+  "PA",
+  "NYLON",
+  "HIPS",
+  "PVA",
+  "PVB",
+  "PP"
+];
+
+module.exports = {
+  FILAMENT_CHECK_MARGIN,
+  FILAMENT_CHECK_ISSUES,
+  SLICER_MATERIALS
+};
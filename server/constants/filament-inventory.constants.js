@@ -0,0 +1,25 @@
+const REORDER_EXPORT_FORMATS = {
+  CSV: "csv",
+  JSON: "json"
+};
+
+// Used to work out how many spools to order when there's no spool of that type left to go by
+const DEFAULT_REORDER_SPOOL_WEIGHT = 1000;
+
+// Column key -> header, in the order they're written out
+const REORDER_LIST_COLUMNS = {
+  manufacturer: "Manufacturer",
+  material: "Material",
+  colour: "Colour",
+  remaining: "Remaining (g)",
+  minimum: "Minimum (g)",
+  shortfall: "Shortfall (g)",
+  spoolsToOrder: "Spools To Order",
+  estimatedCost: "Estimated Cost"
+};
+
+module.exports = {
+  REORDER_EXPORT_FORMATS,
+  DEFAULT_REORDER_SPOOL_WEIGHT,
+  REORDER_LIST_COLUMNS
+};
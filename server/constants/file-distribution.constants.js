@@ -0,0 +1,61 @@
+const DISTRIBUTION_JOB_STATES = {
+  QUEUED: "Queued",
+  RUNNING: "Running",
+  COMPLETE: "Complete",
+  FAILED: "Failed",
+  CANCELLED: "Cancelled"
+};
+
+const DISTRIBUTION_TARGET_STATES = {
+  QUEUED: "Queued",
+  UPLOADING: "Uploading",
+  VERIFYING: "Verifying",
+  RETRYING: "Retrying",
+  COMPLETE: "Complete",
+  FAILED: "Failed",
+  CANCELLED: "Cancelled"
+};
+
+// Targets which still have work to do, anything else is finished with
+const DISTRIBUTION_PENDING_TARGET_STATES = [
+  DISTRIBUTION_TARGET_STATES.QUEUED,
+  DISTRIBUTION_TARGET_STATES.UPLOADING,
+  DISTRIBUTION_TARGET_STATES.VERIFYING,
+  DISTRIBUTION_TARGET_STATES.RETRYING
+];
+
+// Uploads running at once across every job, a pi's network and sd card are the bottleneck
+const DISTRIBUTION_CONCURRENCY = 3;
+const DISTRIBUTION_MAX_ATTEMPTS = 3;
+const DISTRIBUTION_RETRY_DELAY = 10000;
+const DISTRIBUTION_UPLOAD_TIMEOUT = 30 * 60 * 1000;
+// Progress over SSE is throttled per printer, the final state is always sent
+const DISTRIBUTION_PROGRESS_INTERVAL = 1000;
+// Finished jobs kept in memory for the upload queue, older ones only live in the database
+const DISTRIBUTION_FINISHED_JOBS_KEPT = 20;
+
+const FILE_LIBRARY_UPLOAD_LIMIT = 2 * 1024 * 1024 * 1024;
+const FILE_LIBRARY_ALLOWED_EXTENSIONS = [
+  ".gcode",
+  ".gco",
+  ".g",
+  ".ctb",
+  ".fdg",
+  ".nc",
+  ".gc",
+  ".stl"
+];
+
+module.exports = {
+  DISTRIBUTION_JOB_STATES,
+  DISTRIBUTION_TARGET_STATES,
+  DISTRIBUTION_PENDING_TARGET_STATES,
+  DISTRIBUTION_CONCURRENCY,
+  DISTRIBUTION_MAX_ATTEMPTS,
+  DISTRIBUTION_RETRY_DELAY,
+  DISTRIBUTION_UPLOAD_TIMEOUT,
+  DISTRIBUTION_PROGRESS_INTERVAL,
+  DISTRIBUTION_FINISHED_JOBS_KEPT,
+  FILE_LIBRARY_UPLOAD_LIMIT,
+  FILE_LIBRARY_ALLOWED_EXTENSIONS
+};
@@ -1,7 +1,21 @@
 const defaultFilterBy = "All Printers";
 const defaultSortBy = "index";
 
+const SORT_OPTIONS = ["index", "percent", "time"];
+
+// Printer state categories a view can be filtered down to
+const STATE_FILTERS = ["Idle", "Active", "Complete", "Disconnected"];
+
+const FILTER_PREFIXES = {
+  STATE: "State: ",
+  GROUP: "Group: ",
+  VIEW: "View: "
+};
+
 module.exports = {
   defaultFilterBy,
-  defaultSortBy
+  defaultSortBy,
+  SORT_OPTIONS,
+  STATE_FILTERS,
+  FILTER_PREFIXES
 };
@@ -0,0 +1,55 @@
+const HISTORY_EXPORT_FORMATS = {
+  CSV: "csv",
+  JSON: "json"
+};
+
+// Bumped whenever the shape of an exported record changes, imports check against it
+const HISTORY_EXPORT_VERSION = 1;
+
+// Column key -> header, in the order they're written out
+const HISTORY_EXPORT_COLUMNS = {
+  id: "ID",
+  state: "State",
+  failureReason: "Failure Reason",
+  printer: "Printer",
+  printerGroup: "Printer Group",
+  file: "File",
+  filePath: "File Path",
+  startDate: "Start Date",
+  endDate: "End Date",
+  printTime: "Print Time (s)",
+  printHours: "Print Hours",
+  user: "User",
+  spools: "Spools",
+  materials: "Materials",
+  filamentLength: "Filament Length (m)",
+  filamentWeight: "Filament Weight (g)",
+  filamentVolume: "Filament Volume (cm3)",
+  spoolCost: "Spool Cost",
+  electricityCost: "Electricity Cost",
+  maintenanceCost: "Maintenance Cost",
+  printerCost: "Printer Cost",
+  totalCost: "Total Cost",
+  costPerHour: "Cost Per Hour",
+  notes: "Notes"
+};
+
+// Formatted with the requested currency, everything else is left as a plain number
+const HISTORY_CURRENCY_COLUMNS = [
+  "spoolCost",
+  "electricityCost",
+  "maintenanceCost",
+  "printerCost",
+  "totalCost",
+  "costPerHour"
+];
+
+const HISTORY_IMPORT_FILE_LIMIT = 50000000;
+
+module.exports = {
+  HISTORY_EXPORT_FORMATS,
+  HISTORY_EXPORT_VERSION,
+  HISTORY_EXPORT_COLUMNS,
+  HISTORY_CURRENCY_COLUMNS,
+  HISTORY_IMPORT_FILE_LIMIT
+};
@@ -0,0 +1,56 @@
+const PLACEMENT_CHECKS = {
+  BUILD_VOLUME: "buildVolume",
+  EXTRUDERS: "extruders",
+  NOZZLE: "nozzle",
+  MATERIAL: "material",
+  COLOUR: "colour",
+  FILAMENT: "filament",
+  HISTORY: "history",
+  FILE: "file"
+};
+
+const PLACEMENT_RESULTS = {
+  PASS: "pass",
+  WARNING: "warning",
+  FAIL: "fail",
+  UNKNOWN: "unknown"
+};
+
+// A printer that fails any of these can't run the file at all, the rest only move it down the list
+const PLACEMENT_BLOCKING_CHECKS = [
+  PLACEMENT_CHECKS.BUILD_VOLUME,
+  PLACEMENT_CHECKS.EXTRUDERS,
+  PLACEMENT_CHECKS.NOZZLE,
+  PLACEMENT_CHECKS.MATERIAL,
+  PLACEMENT_CHECKS.FILAMENT
+];
+
+// Out of 100, the history weight is scaled by the printers success rate for the file
+const PLACEMENT_WEIGHTS = {
+  [PLACEMENT_CHECKS.MATERIAL]: 20,
+  [PLACEMENT_CHECKS.COLOUR]: 15,
+  [PLACEMENT_CHECKS.FILAMENT]: 15,
+  [PLACEMENT_CHECKS.HISTORY]: 35,
+  [PLACEMENT_CHECKS.FILE]: 15
+};
+
+const PLACEMENT_RESULT_FACTORS = {
+  [PLACEMENT_RESULTS.PASS]: 1,
+  [PLACEMENT_RESULTS.WARNING]: 0.5,
+  [PLACEMENT_RESULTS.UNKNOWN]: 0.5,
+  [PLACEMENT_RESULTS.FAIL]: 0
+};
+
+const NOZZLE_DIAMETER_TOLERANCE = 0.01;
+// Distance between two hex colours, in RGB space, that still counts as the same colour
+const COLOUR_MATCH_DISTANCE = 60;
+
+module.exports = {
+  PLACEMENT_CHECKS,
+  PLACEMENT_RESULTS,
+  PLACEMENT_BLOCKING_CHECKS,
+  PLACEMENT_WEIGHTS,
+  PLACEMENT_RESULT_FACTORS,
+  NOZZLE_DIAMETER_TOLERANCE,
+  COLOUR_MATCH_DISTANCE
+};
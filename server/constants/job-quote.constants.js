@@ -0,0 +1,20 @@
+const QUOTE_FAILURE_SOURCES = {
+  FILE: "file",
+  PRINTER: "printer",
+  NONE: "none"
+};
+
+// A failure rate from fewer prints than this is too noisy to pad a customers price with
+const QUOTE_MIN_HISTORY_PRINTS = 5;
+
+// Caps the padding at the cost of one extra print for every job quoted
+const QUOTE_MAX_FAILURE_RATE = 0.5;
+
+const QUOTE_MAX_QUANTITY = 1000;
+
+module.exports = {
+  QUOTE_FAILURE_SOURCES,
+  QUOTE_MIN_HISTORY_PRINTS,
+  QUOTE_MAX_FAILURE_RATE,
+  QUOTE_MAX_QUANTITY
+};
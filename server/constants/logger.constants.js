@@ -9,12 +9,19 @@ const LOGGER_ROUTE_KEYS = {
   MIDDLEWARE_PASSPORT: "Middleware-Passport",
   MIDDLEWARE_VALIDATION: "Middleware-Validation",
   MIDDLEWARE_OCTOPRINT_PROXY: "Middleware-OctoPrint-Proxy",
+  MIDDLEWARE_MOONRAKER_PROXY: "Middleware-Moonraker-Proxy",
   ROUTE_CAMERA_PROXY: "Route-Camera-Proxy",
   ROUTE_DATABASE_ISSUE: "Route-Database-Issue",
   ROUTE_FILAMENT_MANAGER: "Route-Filament-Manager",
   ROUTE_LOCAL_SCRIPTS: "Route-Local-Scripts",
   ROUTE_NODEJS_ISSUE: "Route-NodeJS-Issue",
   ROUTE_PRINTER_MANAGER: "Route-Printer-Manager",
+  ROUTE_PRINT_QUEUE: "Route-Print-Queue",
+  ROUTE_MAINTENANCE: "Route-Maintenance",
+  ROUTE_BACKUP: "Route-Backup",
+  ROUTE_FILES_MANAGER: "Route-Files-Manager",
+  ROUTE_AUDIT: "Route-Audit",
+  ROUTE_METRICS: "Route-Metrics",
   ROUTE_SSE_OLD: "Route-SSE-Old",
   ROUTE_SYSTEM_SETTINGS: "Route-System",
   ROUTE_USERS: "Route-Users",
@@ -24,10 +31,18 @@ const LOGGER_ROUTE_KEYS = {
   SERVICE_FARM_INFORMATION: "Service-Farm-Information",
   SERVICE_FARM_PI: "Service-Farm-Pi",
   SERVICE_FILAMENT_CLEANER: "Service-Filament-Cleaner",
+  SERVICE_FILAMENT_INVENTORY: "Service-Filament-Inventory",
   SERVICE_FILE_CLEANER: "Service-File-Cleaner",
+  SERVICE_FILE_LIBRARY: "Service-File-Library",
+  SERVICE_FILE_DISTRIBUTION: "Service-File-Distribution",
   SERVICE_GITHUB_CLIENT: "Service-Github-Client",
   SERVICE_HISTORY_CAPTURE: "Service-History-Capture",
   SERVICE_HISTORY_CLEANER: "Service-History-Cleaner",
+  SERVICE_HISTORY_EXPORT: "Service-History-Export",
+  SERVICE_HISTORY_FAILURE: "Service-History-Failure",
+  SERVICE_JOB_PLACEMENT: "Service-Job-Placement",
+  SERVICE_BACKUP: "Service-Backup",
+  SERVICE_AUDIT_LOG: "Service-Audit-Log",
   SERVICE_INFLUX_CLEANER: "Service-Influx-Cleaner",
   SERVICE_INFLUX_EXPORT: "Service-Influx-Export",
   SERVICE_JOB_CLEANER: "Service-Job-Cleaner",
@@ -40,6 +55,8 @@ const LOGGER_ROUTE_KEYS = {
   SERVICE_CURRENT_OPERATIONS: "Service-Current-Operations",
   SERVICE_CAMERA_PROXY: "Service-Camera-Proxy",
   SERVICE_MJPEG_DECODER: "Service-MJPEG-Decoder",
+  SERVICE_CAMERA_HEALTH: "Service-Camera-Health",
+  SERVICE_TIMELAPSE_RECORDER: "Service-Timelapse-Recorder",
   SERVICE_PRINTER: "Service-Printer",
   SERVICE_SERVER_SCRIPTS: "Service-Server-Scripts",
   SERVICE_SERVER_LOGS: "Service-Server-Logs",
@@ -48,11 +65,21 @@ const LOGGER_ROUTE_KEYS = {
   SERVICE_SYSTEM_CONTROL: "Service-System-Control",
   SERVICE_TASK_MANAGER: "Service-Task-Manager",
   SERVICE_USER_ACTIONS: "Service-User-Actions",
+  SERVICE_API_KEYS: "Service-API-Keys",
   SERVICE_VERSION_PATCHES: "Service-Version-Patches",
+  SERVICE_WEBHOOK_ALERTS: "Service-Webhook-Alerts",
+  SERVICE_MQTT_BRIDGE: "Service-MQTT-Bridge",
+  SERVICE_THERMAL_WATCHDOG: "Service-Thermal-Watchdog",
+  SERVICE_TEMPERATURE_HISTORY: "Service-Temperature-History",
+  SERVICE_STALL_DETECTION: "Service-Stall-Detection",
   SERVICE_OCTOPRINT: "Service-OctoPrint",
+  SERVICE_MOONRAKER: "Service-Moonraker",
   SERVICE_PRINTER_DATABASE: "Service-Printer-Database",
   STORE_HEALTH_CHECKS: "Store-Health-Checks",
   STORE_PRINTERS: "Store-Printers",
+  STORE_PRINT_QUEUE: "Store-Print-Queue",
+  STORE_FILE_UPLOAD_QUEUE: "Store-File-Upload-Queue",
+  STORE_MAINTENANCE: "Store-Maintenance",
   OP_SERVICE_API: "OP-Service-API",
   OP_SERVICE_WEBSOCKET: "OP-Service-Websocket",
   OP_SERVICE_WEBSOCKET_MESSAGES: "OP-Service-Websocket-Messages",
@@ -61,6 +88,9 @@ const LOGGER_ROUTE_KEYS = {
   OP_UTIL_EVENTS: "OP-Util-Events",
   OP_UTIL_PLUGINS: "OP-Util-Plugins",
   OP_UTIL_WEBSOCKET_HELPER: "OP-Util-Websocket-Helper",
+  MR_SERVICE_API: "MR-Service-API",
+  MR_SERVICE_WEBSOCKET: "MR-Service-Websocket",
+  MR_SERVICE_WEBSOCKET_MESSAGES: "MR-Service-Websocket-Messages",
   UTILS_BENCHMARK: "Utils-Benchmark",
   UTILS_ENV_LOGGER: "Utils-Env",
   UTILS_ZIP: "Utils-Zip"
@@ -70,7 +100,8 @@ const LOGGER_FILES = {
   SYSTEM: "OctoFarm.System",
   API: "OctoFarm.Access",
   CLIENT: "OctoFarm.Client",
-  PRINTER_OCTOPRINT: "OctoFarm.Printer.OctoPrint"
+  PRINTER_OCTOPRINT: "OctoFarm.Printer.OctoPrint",
+  PRINTER_MOONRAKER: "OctoFarm.Printer.Moonraker"
 };
 
 const logRouteToFileMap = {
@@ -84,12 +115,19 @@ const logRouteToFileMap = {
   [LOGGER_ROUTE_KEYS.MIDDLEWARE_PASSPORT]: LOGGER_FILES.SYSTEM,
   [LOGGER_ROUTE_KEYS.MIDDLEWARE_VALIDATION]: LOGGER_FILES.SYSTEM,
   [LOGGER_ROUTE_KEYS.MIDDLEWARE_OCTOPRINT_PROXY]: LOGGER_FILES.SYSTEM,
+  [LOGGER_ROUTE_KEYS.MIDDLEWARE_MOONRAKER_PROXY]: LOGGER_FILES.SYSTEM,
   [LOGGER_ROUTE_KEYS.ROUTE_CAMERA_PROXY]: LOGGER_FILES.SYSTEM,
   [LOGGER_ROUTE_KEYS.ROUTE_DATABASE_ISSUE]: LOGGER_FILES.API,
   [LOGGER_ROUTE_KEYS.ROUTE_FILAMENT_MANAGER]: LOGGER_FILES.API,
   [LOGGER_ROUTE_KEYS.ROUTE_LOCAL_SCRIPTS]: LOGGER_FILES.API,
   [LOGGER_ROUTE_KEYS.ROUTE_NODEJS_ISSUE]: LOGGER_FILES.API,
   [LOGGER_ROUTE_KEYS.ROUTE_PRINTER_MANAGER]: LOGGER_FILES.API,
+  [LOGGER_ROUTE_KEYS.ROUTE_PRINT_QUEUE]: LOGGER_FILES.API,
+  [LOGGER_ROUTE_KEYS.ROUTE_MAINTENANCE]: LOGGER_FILES.API,
+  [LOGGER_ROUTE_KEYS.ROUTE_BACKUP]: LOGGER_FILES.API,
+  [LOGGER_ROUTE_KEYS.ROUTE_FILES_MANAGER]: LOGGER_FILES.API,
+  [LOGGER_ROUTE_KEYS.ROUTE_AUDIT]: LOGGER_FILES.API,
+  [LOGGER_ROUTE_KEYS.ROUTE_METRICS]: LOGGER_FILES.API,
   [LOGGER_ROUTE_KEYS.ROUTE_SSE_OLD]: LOGGER_FILES.API,
   [LOGGER_ROUTE_KEYS.ROUTE_SYSTEM_SETTINGS]: LOGGER_FILES.API,
   [LOGGER_ROUTE_KEYS.ROUTE_USERS]: LOGGER_FILES.API,
@@ -99,10 +137,18 @@ const logRouteToFileMap = {
   [LOGGER_ROUTE_KEYS.SERVICE_FARM_INFORMATION]: LOGGER_FILES.SYSTEM,
   [LOGGER_ROUTE_KEYS.SERVICE_FARM_PI]: LOGGER_FILES.SYSTEM,
   [LOGGER_ROUTE_KEYS.SERVICE_FILAMENT_CLEANER]: LOGGER_FILES.SYSTEM,
+  [LOGGER_ROUTE_KEYS.SERVICE_FILAMENT_INVENTORY]: LOGGER_FILES.SYSTEM,
   [LOGGER_ROUTE_KEYS.SERVICE_FILE_CLEANER]: LOGGER_FILES.SYSTEM,
+  [LOGGER_ROUTE_KEYS.SERVICE_FILE_LIBRARY]: LOGGER_FILES.SYSTEM,
+  [LOGGER_ROUTE_KEYS.SERVICE_FILE_DISTRIBUTION]: LOGGER_FILES.SYSTEM,
   [LOGGER_ROUTE_KEYS.SERVICE_GITHUB_CLIENT]: LOGGER_FILES.SYSTEM,
   [LOGGER_ROUTE_KEYS.SERVICE_HISTORY_CAPTURE]: LOGGER_FILES.SYSTEM,
   [LOGGER_ROUTE_KEYS.SERVICE_HISTORY_CLEANER]: LOGGER_FILES.SYSTEM,
+  [LOGGER_ROUTE_KEYS.SERVICE_HISTORY_EXPORT]: LOGGER_FILES.SYSTEM,
+  [LOGGER_ROUTE_KEYS.SERVICE_HISTORY_FAILURE]: LOGGER_FILES.SYSTEM,
+  [LOGGER_ROUTE_KEYS.SERVICE_JOB_PLACEMENT]: LOGGER_FILES.SYSTEM,
+  [LOGGER_ROUTE_KEYS.SERVICE_BACKUP]: LOGGER_FILES.SYSTEM,
+  [LOGGER_ROUTE_KEYS.SERVICE_AUDIT_LOG]: LOGGER_FILES.SYSTEM,
   [LOGGER_ROUTE_KEYS.SERVICE_INFLUX_CLEANER]: LOGGER_FILES.SYSTEM,
   [LOGGER_ROUTE_KEYS.SERVICE_INFLUX_EXPORT]: LOGGER_FILES.SYSTEM,
   [LOGGER_ROUTE_KEYS.SERVICE_JOB_CLEANER]: LOGGER_FILES.SYSTEM,
@@ -115,6 +161,8 @@ const logRouteToFileMap = {
   [LOGGER_ROUTE_KEYS.SERVICE_CURRENT_OPERATIONS]: LOGGER_FILES.SYSTEM,
   [LOGGER_ROUTE_KEYS.SERVICE_CAMERA_PROXY]: LOGGER_FILES.SYSTEM,
   [LOGGER_ROUTE_KEYS.SERVICE_MJPEG_DECODER]: LOGGER_FILES.SYSTEM,
+  [LOGGER_ROUTE_KEYS.SERVICE_CAMERA_HEALTH]: LOGGER_FILES.SYSTEM,
+  [LOGGER_ROUTE_KEYS.SERVICE_TIMELAPSE_RECORDER]: LOGGER_FILES.SYSTEM,
   [LOGGER_ROUTE_KEYS.SERVICE_PRINTER]: LOGGER_FILES.SYSTEM,
   [LOGGER_ROUTE_KEYS.SERVICE_SERVER_SCRIPTS]: LOGGER_FILES.SYSTEM,
   [LOGGER_ROUTE_KEYS.SERVICE_SERVER_LOGS]: LOGGER_FILES.SYSTEM,
@@ -123,11 +171,21 @@ const logRouteToFileMap = {
   [LOGGER_ROUTE_KEYS.SERVICE_SYSTEM_CONTROL]: LOGGER_FILES.SYSTEM,
   [LOGGER_ROUTE_KEYS.SERVICE_TASK_MANAGER]: LOGGER_FILES.SYSTEM,
   [LOGGER_ROUTE_KEYS.SERVICE_USER_ACTIONS]: LOGGER_FILES.SYSTEM,
+  [LOGGER_ROUTE_KEYS.SERVICE_API_KEYS]: LOGGER_FILES.SYSTEM,
   [LOGGER_ROUTE_KEYS.SERVICE_VERSION_PATCHES]: LOGGER_FILES.SYSTEM,
+  [LOGGER_ROUTE_KEYS.SERVICE_WEBHOOK_ALERTS]: LOGGER_FILES.SYSTEM,
+  [LOGGER_ROUTE_KEYS.SERVICE_MQTT_BRIDGE]: LOGGER_FILES.SYSTEM,
+  [LOGGER_ROUTE_KEYS.SERVICE_THERMAL_WATCHDOG]: LOGGER_FILES.SYSTEM,
+  [LOGGER_ROUTE_KEYS.SERVICE_TEMPERATURE_HISTORY]: LOGGER_FILES.SYSTEM,
+  [LOGGER_ROUTE_KEYS.SERVICE_STALL_DETECTION]: LOGGER_FILES.SYSTEM,
   [LOGGER_ROUTE_KEYS.SERVICE_OCTOPRINT]: LOGGER_FILES.SYSTEM,
+  [LOGGER_ROUTE_KEYS.SERVICE_MOONRAKER]: LOGGER_FILES.SYSTEM,
   [LOGGER_ROUTE_KEYS.SERVICE_PRINTER_DATABASE]: LOGGER_FILES.SYSTEM,
   [LOGGER_ROUTE_KEYS.STORE_HEALTH_CHECKS]: LOGGER_FILES.SYSTEM,
   [LOGGER_ROUTE_KEYS.STORE_PRINTERS]: LOGGER_FILES.SYSTEM,
+  [LOGGER_ROUTE_KEYS.STORE_PRINT_QUEUE]: LOGGER_FILES.SYSTEM,
+  [LOGGER_ROUTE_KEYS.STORE_FILE_UPLOAD_QUEUE]: LOGGER_FILES.SYSTEM,
+  [LOGGER_ROUTE_KEYS.STORE_MAINTENANCE]: LOGGER_FILES.SYSTEM,
   [LOGGER_ROUTE_KEYS.OP_SERVICE_API]: LOGGER_FILES.PRINTER_OCTOPRINT,
   [LOGGER_ROUTE_KEYS.OP_SERVICE_WEBSOCKET]: LOGGER_FILES.PRINTER_OCTOPRINT,
   [LOGGER_ROUTE_KEYS.OP_SERVICE_WEBSOCKET_MESSAGES]: LOGGER_FILES.PRINTER_OCTOPRINT,
@@ -136,6 +194,9 @@ const logRouteToFileMap = {
   [LOGGER_ROUTE_KEYS.OP_UTIL_EVENTS]: LOGGER_FILES.PRINTER_OCTOPRINT,
   [LOGGER_ROUTE_KEYS.OP_UTIL_PLUGINS]: LOGGER_FILES.PRINTER_OCTOPRINT,
   [LOGGER_ROUTE_KEYS.OP_UTIL_WEBSOCKET_HELPER]: LOGGER_FILES.PRINTER_OCTOPRINT,
+  [LOGGER_ROUTE_KEYS.MR_SERVICE_API]: LOGGER_FILES.PRINTER_MOONRAKER,
+  [LOGGER_ROUTE_KEYS.MR_SERVICE_WEBSOCKET]: LOGGER_FILES.PRINTER_MOONRAKER,
+  [LOGGER_ROUTE_KEYS.MR_SERVICE_WEBSOCKET_MESSAGES]: LOGGER_FILES.PRINTER_MOONRAKER,
   [LOGGER_ROUTE_KEYS.UTILS_BENCHMARK]: LOGGER_FILES.SYSTEM,
   [LOGGER_ROUTE_KEYS.UTILS_ENV_LOGGER]: LOGGER_FILES.SYSTEM,
   [LOGGER_ROUTE_KEYS.UTILS_ZIP]: LOGGER_FILES.SYSTEM
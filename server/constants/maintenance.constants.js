@@ -0,0 +1,20 @@
+const MAINTENANCE_INTERVAL_TYPES = {
+  HOURS: "hours",
+  FILAMENT: "filament",
+  DAYS: "days"
+};
+
+const MAINTENANCE_STATES = {
+  OK: "OK",
+  DUE: "Due",
+  OVERDUE: "Overdue"
+};
+
+// A task is reported as due once this much of its interval has been used up
+const MAINTENANCE_DUE_RATIO = 0.9;
+
+module.exports = {
+  MAINTENANCE_INTERVAL_TYPES,
+  MAINTENANCE_STATES,
+  MAINTENANCE_DUE_RATIO
+};
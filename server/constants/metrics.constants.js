@@ -0,0 +1,101 @@
+// Prometheus text exposition format
+const PROMETHEUS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+const METRIC_TYPES = {
+  GAUGE: "gauge",
+  COUNTER: "counter"
+};
+
+const METRICS = {
+  PRINTER_UP: {
+    name: "octofarm_printer_up",
+    help: "Whether OctoFarm can reach the printer, 1 online and 0 offline",
+    type: METRIC_TYPES.GAUGE
+  },
+  PRINTER_STATE: {
+    name: "octofarm_printer_state",
+    help: "Current printer state, the state and category labels carry the value",
+    type: METRIC_TYPES.GAUGE
+  },
+  PRINTER_TEMPERATURE: {
+    name: "octofarm_printer_temperature_celsius",
+    help: "Actual tool, bed and chamber temperatures",
+    type: METRIC_TYPES.GAUGE
+  },
+  PRINTER_TEMPERATURE_TARGET: {
+    name: "octofarm_printer_temperature_target_celsius",
+    help: "Target tool, bed and chamber temperatures",
+    type: METRIC_TYPES.GAUGE
+  },
+  JOB_PROGRESS: {
+    name: "octofarm_job_progress_percent",
+    help: "Progress of the current job",
+    type: METRIC_TYPES.GAUGE
+  },
+  JOB_ELAPSED: {
+    name: "octofarm_job_time_elapsed_seconds",
+    help: "Time the current job has been printing",
+    type: METRIC_TYPES.GAUGE
+  },
+  JOB_REMAINING: {
+    name: "octofarm_job_time_remaining_seconds",
+    help: "Estimated time left on the current job",
+    type: METRIC_TYPES.GAUGE
+  },
+  PRINTER_UTILISATION: {
+    name: "octofarm_printer_utilisation_percent",
+    help: "Share of the printers tracked time spent active",
+    type: METRIC_TYPES.GAUGE
+  },
+  FARM_PRINTERS: {
+    name: "octofarm_farm_printers",
+    help: "Number of printers in each state category",
+    type: METRIC_TYPES.GAUGE
+  },
+  FARM_UTILISATION: {
+    name: "octofarm_farm_utilisation_percent",
+    help: "Farm wide share of time spent active, idle, offline and on failed prints",
+    type: METRIC_TYPES.GAUGE
+  },
+  SPOOL_REMAINING: {
+    name: "octofarm_spool_remaining_grams",
+    help: "Filament left on each spool",
+    type: METRIC_TYPES.GAUGE
+  },
+  SPOOL_WEIGHT: {
+    name: "octofarm_spool_weight_grams",
+    help: "Filament weight of each spool when full",
+    type: METRIC_TYPES.GAUGE
+  },
+  SERVER_CPU: {
+    name: "octofarm_server_cpu_percent",
+    help: "CPU load of the OctoFarm host",
+    type: METRIC_TYPES.GAUGE
+  },
+  SERVER_MEMORY_TOTAL: {
+    name: "octofarm_server_memory_total_bytes",
+    help: "Total memory of the OctoFarm host",
+    type: METRIC_TYPES.GAUGE
+  },
+  SERVER_MEMORY_FREE: {
+    name: "octofarm_server_memory_free_bytes",
+    help: "Free memory on the OctoFarm host",
+    type: METRIC_TYPES.GAUGE
+  },
+  PROCESS_MEMORY: {
+    name: "octofarm_process_resident_memory_bytes",
+    help: "Resident memory used by the OctoFarm process",
+    type: METRIC_TYPES.GAUGE
+  },
+  PROCESS_UPTIME: {
+    name: "octofarm_process_uptime_seconds",
+    help: "Time since the OctoFarm process started",
+    type: METRIC_TYPES.COUNTER
+  }
+};
+
+module.exports = {
+  PROMETHEUS_CONTENT_TYPE,
+  METRIC_TYPES,
+  METRICS
+};
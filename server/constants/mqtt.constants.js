@@ -0,0 +1,28 @@
+const MQTT_TOPICS = {
+  STATE: "state",
+  TEMPERATURES: "temperatures",
+  JOB: "job",
+  EVENT: "event",
+  COMMAND: "command",
+  COMMAND_RESULT: "command/result",
+  STATUS: "status"
+};
+
+const MQTT_STATUS = {
+  ONLINE: "online",
+  OFFLINE: "offline"
+};
+
+// Printers without a group are published under this instead of an empty topic level
+const MQTT_UNGROUPED = "ungrouped";
+
+const MQTT_RECONNECT_PERIOD = 10000;
+const MQTT_CONNECT_TIMEOUT = 10000;
+
+module.exports = {
+  MQTT_TOPICS,
+  MQTT_STATUS,
+  MQTT_UNGROUPED,
+  MQTT_RECONNECT_PERIOD,
+  MQTT_CONNECT_TIMEOUT
+};
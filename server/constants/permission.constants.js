@@ -0,0 +1,40 @@
+const PERMISSIONS = {
+  CONTROL_PRINTERS: "controlPrinters",
+  MANAGE_FILES: "manageFiles",
+  EDIT_FILAMENT: "editFilament",
+  EDIT_HISTORY: "editHistory",
+  SYSTEM_SETTINGS: "systemSettings"
+};
+
+const ROLES = {
+  ADMINISTRATOR: "Administrator",
+  TECHNICIAN: "Technician",
+  OPERATOR: "Operator",
+  VIEWER: "Viewer",
+  // Legacy group from before roles existed, keeps the access it always had
+  USER: "User"
+};
+
+const ROLE_PERMISSIONS = {
+  [ROLES.ADMINISTRATOR]: Object.values(PERMISSIONS),
+  [ROLES.TECHNICIAN]: [
+    PERMISSIONS.CONTROL_PRINTERS,
+    PERMISSIONS.MANAGE_FILES,
+    PERMISSIONS.EDIT_FILAMENT,
+    PERMISSIONS.EDIT_HISTORY
+  ],
+  [ROLES.OPERATOR]: [PERMISSIONS.CONTROL_PRINTERS, PERMISSIONS.MANAGE_FILES],
+  [ROLES.VIEWER]: [],
+  [ROLES.USER]: [
+    PERMISSIONS.CONTROL_PRINTERS,
+    PERMISSIONS.MANAGE_FILES,
+    PERMISSIONS.EDIT_FILAMENT,
+    PERMISSIONS.EDIT_HISTORY
+  ]
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  ROLE_PERMISSIONS
+};
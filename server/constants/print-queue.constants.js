@@ -0,0 +1,20 @@
+const QUEUE_JOB_STATES = {
+  QUEUED: "Queued",
+  COMPLETE: "Complete",
+  CANCELLED: "Cancelled"
+};
+
+const QUEUE_ASSIGNMENT_STATES = {
+  PRINTING: "Printing",
+  COMPLETE: "Complete",
+  FAILED: "Failed"
+};
+
+// Printer states the queue is allowed to dispatch onto, bed clearance is checked separately
+const QUEUE_DISPATCHABLE_STATES = ["Operational", "Complete"];
+
+module.exports = {
+  QUEUE_JOB_STATES,
+  QUEUE_ASSIGNMENT_STATES,
+  QUEUE_DISPATCHABLE_STATES
+};
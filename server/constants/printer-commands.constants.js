@@ -0,0 +1,11 @@
+// Remote commands shared by the printer manager and the MQTT bridge, nothing outside this list runs
+const PRINTER_COMMANDS = {
+  PAUSE: "pause",
+  CANCEL: "cancel",
+  HOME: "home",
+  POWER_OFF: "poweroff"
+};
+
+module.exports = {
+  PRINTER_COMMANDS
+};
@@ -14,7 +14,8 @@ function getDefaultLayout() {
     { x: 0, y: 19, width: 12, height: 8, id: "enviroData" },
     { x: 0, y: 19, width: 12, height: 8, id: "filamentUsageOverTime" },
     { x: 0, y: 19, width: 12, height: 8, id: "filamentUsageByDay" },
-    { x: 0, y: 19, width: 12, height: 8, id: "historyCompletionByDay" }
+    { x: 0, y: 19, width: 12, height: 8, id: "historyCompletionByDay" },
+    { x: 0, y: 27, width: 12, height: 6, id: "printQueue" }
   ];
 }
 function getDefaultDashboardSettings() {
@@ -24,7 +25,8 @@ function getDefaultDashboardSettings() {
     farmActivity: {
       currentOperations: false,
       cumulativeTimes: true,
-      averageTimes: true
+      averageTimes: true,
+      printQueue: true
     },
     printerStates: {
       printerState: true,
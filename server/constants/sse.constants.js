@@ -2,9 +2,17 @@ const MESSAGE_TYPES = {
   AM_I_ALIVE: "am_i_alive",
   FILE_UPDATE: "file_update",
   CURRENT_OPERATIONS: "current_op",
-  NEW_CAMERA_IMAGE: "new_camera_image"
+  NEW_CAMERA_IMAGE: "new_camera_image",
+  FILE_DISTRIBUTION: "file_distribution"
+};
+
+// Monitoring and printer manager streams send a full snapshot, then only what changed after it
+const DELTA_MESSAGE_TYPES = {
+  SNAPSHOT: "snapshot",
+  DELTA: "delta"
 };
 
 module.exports = {
-  MESSAGE_TYPES
+  MESSAGE_TYPES,
+  DELTA_MESSAGE_TYPES
 };
@@ -0,0 +1,14 @@
+// Only these states are expected to keep moving, anything else can sit still as long as it likes
+const STALL_PRINTING_STATES = ["Printing", "Printing from SD"];
+
+// Never call a print stalled sooner than this, heating and long moves can look like a stall
+const STALL_MINIMUM_SECONDS = 900;
+
+// Fraction of the expected print time a long print can go without moving before it's stalled
+const STALL_EXPECTED_TIME_FRACTION = 0.05;
+
+module.exports = {
+  STALL_PRINTING_STATES,
+  STALL_MINIMUM_SECONDS,
+  STALL_EXPECTED_TIME_FRACTION
+};
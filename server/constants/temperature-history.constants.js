@@ -0,0 +1,20 @@
+// A reading is ~235 bytes and every third websocket update is saved, around every 1.5 seconds
+// per printer at OctoPrint's default throttle. The size cap fills first at ~1.1M readings, roughly
+// 20 printer-days: a day on a 20 printer farm, under 10 hours on 50. The history tab of the server
+// settings page quotes these figures, keep it in step if they change.
+const TEMPERATURE_HISTORY_CAPPED_SIZE = 256 * 1024 * 1024;
+const TEMPERATURE_HISTORY_MAX_DOCUMENTS = 2000000;
+
+const TEMPERATURE_HISTORY_DEFAULT_RANGE = 60 * 60 * 1000;
+const TEMPERATURE_HISTORY_MAX_RANGE = 7 * 24 * 60 * 60 * 1000;
+const TEMPERATURE_HISTORY_DEFAULT_POINTS = 300;
+const TEMPERATURE_HISTORY_MAX_POINTS = 2000;
+
+module.exports = {
+  TEMPERATURE_HISTORY_CAPPED_SIZE,
+  TEMPERATURE_HISTORY_MAX_DOCUMENTS,
+  TEMPERATURE_HISTORY_DEFAULT_RANGE,
+  TEMPERATURE_HISTORY_MAX_RANGE,
+  TEMPERATURE_HISTORY_DEFAULT_POINTS,
+  TEMPERATURE_HISTORY_MAX_POINTS
+};
@@ -0,0 +1,24 @@
+// Ids double as the printer event and, lower cased, the alert trigger
+const THERMAL_ANOMALIES = {
+  DIVERGENCE: "heaterDivergence",
+  STUCK_HEATER: "stuckHeater",
+  BED_HEAT_LOSS: "bedHeatLoss"
+};
+
+const THERMAL_ACTIONS = {
+  NONE: "none",
+  PAUSE: "pause",
+  POWER_OFF: "poweroff"
+};
+
+const THERMAL_ANOMALY_MESSAGES = {
+  [THERMAL_ANOMALIES.DIVERGENCE]: "is not holding its target temperature",
+  [THERMAL_ANOMALIES.STUCK_HEATER]: "is heating up with no target set",
+  [THERMAL_ANOMALIES.BED_HEAT_LOSS]: "is losing heat mid print"
+};
+
+module.exports = {
+  THERMAL_ANOMALIES,
+  THERMAL_ACTIONS,
+  THERMAL_ANOMALY_MESSAGES
+};
@@ -0,0 +1,32 @@
+const TIMELAPSE_MODES = {
+  INTERVAL: "interval",
+  LAYER: "layer"
+};
+
+// Z hops and vase mode change Z far more often than once a layer
+const TIMELAPSE_MIN_FRAME_GAP = 2000;
+
+// Around 80 minutes at one frame a second, anything longer stops adding frames
+const TIMELAPSE_MAX_FRAMES = 5000;
+
+const TIMELAPSE_EXTENSION = ".avi";
+
+// A camera that connects but never sends a frame would otherwise hold up every frame after it
+const TIMELAPSE_SNAPSHOT_TIMEOUT = 10000;
+
+const TIMELAPSE_LIMITS = {
+  INTERVAL_MIN: 1,
+  INTERVAL_MAX: 3600,
+  FPS_MIN: 1,
+  FPS_MAX: 60,
+  RETENTION_MAX: 3650
+};
+
+module.exports = {
+  TIMELAPSE_MODES,
+  TIMELAPSE_MIN_FRAME_GAP,
+  TIMELAPSE_MAX_FRAMES,
+  TIMELAPSE_EXTENSION,
+  TIMELAPSE_SNAPSHOT_TIMEOUT,
+  TIMELAPSE_LIMITS
+};
@@ -0,0 +1,14 @@
+const { AUDIT_RESULTS, AUDITED_METHODS } = require("./audit.constants");
+
+module.exports = {
+  AUDIT_QUERY: {
+    actor: ["string", "maxLength:50"],
+    method: ["string", `in:GET,${AUDITED_METHODS.join(",")}`],
+    targetType: ["string", "maxLength:50"],
+    result: ["string", `in:${Object.values(AUDIT_RESULTS).join(",")}`],
+    search: ["string", "maxLength:100"],
+    from: ["iso8601"],
+    to: ["iso8601"],
+    page: ["integer", "min:1"]
+  }
+};
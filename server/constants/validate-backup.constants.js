@@ -0,0 +1,10 @@
+module.exports = {
+  BACKUP_NAME: {
+    name: ["required", "string", "maxLength:100"]
+  },
+  BACKUP_SCHEDULE: {
+    scheduled: ["required", "boolean"],
+    intervalHours: ["required", "integer", "min:1", "max:720"],
+    retention: ["required", "integer", "min:1", "max:365"]
+  }
+};
@@ -0,0 +1,15 @@
+const { REORDER_EXPORT_FORMATS } = require("./filament-inventory.constants");
+
+module.exports = {
+  STOCK_THRESHOLD: {
+    profile: ["required", "string", "mongoose_object_id"],
+    colour: ["string", "maxLength:50"],
+    minimum: ["required", "numeric", "min:0"]
+  },
+  REORDER_EXPORT: {
+    format: ["string", `in:${Object.values(REORDER_EXPORT_FORMATS).join(",")}`]
+  },
+  FILAMENT_CHECK: {
+    fullPath: ["required", "string"]
+  }
+};
@@ -0,0 +1,12 @@
+module.exports = {
+  LIBRARY_FILE_NAME: {
+    name: ["required", "string", "maxLength:255"]
+  },
+  NEW_DISTRIBUTION: {
+    fileName: ["required", "string", "maxLength:255"],
+    folder: ["string", "maxLength:255"],
+    print: ["boolean"],
+    idList: ["required", "array"],
+    "idList.*": ["required", "string", "mongoose_object_id"]
+  }
+};
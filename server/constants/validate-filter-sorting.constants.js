@@ -0,0 +1,25 @@
+const { SORT_OPTIONS, STATE_FILTERS } = require("./filter-sorting.constants");
+
+const STRING_MAX_LENGTH = "maxLength:50";
+
+module.exports = {
+  SORTING: {
+    sorting: ["required", "string", `in:${SORT_OPTIONS.join(",")}`]
+  },
+  FILTER: {
+    filter: ["required", "string", "maxLength:100"]
+  },
+  VIEW_NAME: {
+    name: ["required", "string", STRING_MAX_LENGTH]
+  },
+  SAVED_VIEW: {
+    name: ["required", "string", STRING_MAX_LENGTH],
+    sortBy: ["required", "string", `in:${SORT_OPTIONS.join(",")}`],
+    groups: ["array"],
+    "groups.*": ["string", STRING_MAX_LENGTH],
+    states: ["array"],
+    "states.*": ["string", `in:${STATE_FILTERS.join(",")}`],
+    materials: ["array"],
+    "materials.*": ["string", STRING_MAX_LENGTH]
+  }
+};
@@ -0,0 +1,29 @@
+const { HISTORY_EXPORT_FORMATS } = require("./history-export.constants");
+const { TEMPERATURE_HISTORY_MAX_POINTS } = require("./temperature-history.constants");
+
+module.exports = {
+  HISTORY_EXPORT: {
+    format: ["required", "string", `in:${Object.values(HISTORY_EXPORT_FORMATS).join(",")}`],
+    from: ["iso8601"],
+    to: ["iso8601"],
+    printers: ["string"],
+    columns: ["string"],
+    currency: ["string", "minLength:3", "maxLength:3"],
+    locale: ["string", "maxLength:20"]
+  },
+  HISTORY_IMPORT_RECORD: {
+    printerName: ["required", "string"],
+    fileName: ["required", "string"],
+    success: ["required", "boolean"],
+    endDate: ["required", "iso8601"],
+    printTime: ["required", "numeric", "min:0"],
+    job: ["object"],
+    costSettings: ["object"]
+  },
+  FAILURE_REASON: {
+    failureReason: ["required", "string", "maxLength:50"]
+  },
+  HISTORY_TEMPERATURES: {
+    points: ["integer", "min:1", `max:${TEMPERATURE_HISTORY_MAX_POINTS}`]
+  }
+};
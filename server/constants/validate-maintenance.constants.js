@@ -0,0 +1,29 @@
+const { MAINTENANCE_INTERVAL_TYPES } = require("./maintenance.constants");
+
+const STRING_MAX_LENGTH = "maxLength:50";
+
+module.exports = {
+  NEW_MAINTENANCE_TASK: {
+    name: ["required", "string", STRING_MAX_LENGTH],
+    description: ["string", "maxLength:500"],
+    printerID: ["string", "mongoose_object_id"],
+    group: ["string", STRING_MAX_LENGTH],
+    intervalType: [
+      "required",
+      "string",
+      `in:${Object.values(MAINTENANCE_INTERVAL_TYPES).join(",")}`
+    ],
+    interval: ["required", "numeric", "min:1"],
+    blockWhenOverdue: ["boolean"]
+  },
+  UPDATE_MAINTENANCE_TASK: {
+    name: ["string", STRING_MAX_LENGTH],
+    description: ["string", "maxLength:500"],
+    interval: ["numeric", "min:1"],
+    blockWhenOverdue: ["boolean"]
+  },
+  COMPLETE_MAINTENANCE_TASK: {
+    printerID: ["required", "string", "mongoose_object_id"],
+    notes: ["string", "maxLength:500"]
+  }
+};
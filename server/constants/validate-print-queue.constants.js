@@ -0,0 +1,15 @@
+const STRING_MAX_LENGTH = "maxLength:50";
+
+module.exports = {
+  NEW_QUEUE_JOB: {
+    filePath: ["required", "string"],
+    copies: ["integer", "min:1", "max:1000"],
+    priority: ["integer", "min:0", "max:100"],
+    targetGroup: ["string", STRING_MAX_LENGTH],
+    targetMaterial: ["string", STRING_MAX_LENGTH]
+  },
+  UPDATE_QUEUE_JOB: {
+    copies: ["integer", "min:1", "max:1000"],
+    priority: ["integer", "min:0", "max:100"]
+  }
+};
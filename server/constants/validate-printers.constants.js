@@ -1,4 +1,9 @@
 const { getPrinterStoreCache } = require("../cache/printer-store.cache");
+const { PRINTER_CATEGORIES } = require("../services/printers/constants/printer-categories.constants");
+const { PRINTER_COMMANDS } = require("./printer-commands.constants");
+const { TEMPERATURE_HISTORY_MAX_POINTS } = require("./temperature-history.constants");
+const { QUOTE_MAX_QUANTITY } = require("./job-quote.constants");
+const { MAX_PRINTER_CAMERAS } = require("./camera.constants");
 
 const MIN_LENGTH_0 = "minLength:0";
 const MAX_PRINTER_ARRAY = `maxLength:${getPrinterStoreCache().getPrinterCount() + 100}`; //Leave some headroom incase printers are been added when action occurs
@@ -15,7 +20,8 @@ module.exports = {
     printerURL: ["required", "string", "url"],
     camURL: ["string", "url"],
     apikey: ["required", "string", API_MIN_LENGTH, API_MAX_LENGTH],
-    group: ["string", MIN_LENGTH_0, STRING_MAX_LENGTH]
+    group: ["string", MIN_LENGTH_0, STRING_MAX_LENGTH],
+    category: ["string", `in:${PRINTER_CATEGORIES.OCTOPRINT},${PRINTER_CATEGORIES.MOONRAKER}`]
   },
   PRINTER_ID_LIST: {
     idList: ["required", "array", MIN_LENGTH_0], //INVESTIGATE why max length doesn't work here!?
@@ -41,5 +47,28 @@ module.exports = {
   BULK_FILE_DELETE: {
     id: ["required", "string", "mongoose_object_id"],
     "pathList.*": ["required", "string"]
+  },
+  PRINTER_COMMAND: {
+    command: ["required", "string", `in:${Object.values(PRINTER_COMMANDS).join(",")}`]
+  },
+  PRINTER_RECOMMENDATION: {
+    fullPath: ["required", "string"],
+    material: ["string", STRING_MAX_LENGTH],
+    colour: ["string", STRING_MAX_LENGTH]
+  },
+  TEMPERATURE_HISTORY: {
+    from: ["iso8601"],
+    to: ["iso8601"],
+    points: ["integer", "min:1", `max:${TEMPERATURE_HISTORY_MAX_POINTS}`]
+  },
+  PRINTER_QUOTE: {
+    fullPath: ["required", "string"],
+    spoolID: ["string", "mongoose_object_id"],
+    quantity: ["integer", "min:1", `max:${QUOTE_MAX_QUANTITY}`],
+    customer: ["string", "maxLength:100"]
+  },
+  PRINTER_CAMERA: {
+    id: ["required", "string", "mongoose_object_id"],
+    camera: ["required", "integer", "min:0", `max:${MAX_PRINTER_CAMERAS - 1}`]
   }
 };
@@ -2,5 +2,10 @@ module.exports = {
   SCRIPT_TEST: {
     scriptLocation: ["required", "string", "system_path"],
     message: ["required", "string"]
+  },
+  WEBHOOK_TEST: {
+    webhook: ["required", "object"],
+    "webhook.url": ["required", "url"],
+    message: ["required", "string"]
   }
 };
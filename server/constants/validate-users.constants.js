@@ -0,0 +1,5 @@
+module.exports = {
+  API_KEY_SCOPE: {
+    readOnly: "boolean"
+  }
+};
@@ -0,0 +1,93 @@
+const { diffForAudit, recordAuditEntry } = require("../services/audit-log.service");
+const {
+  AUDIT_RESULTS,
+  AUDITED_METHODS,
+  AUDITED_GET_ROUTES,
+  IGNORED_AUDIT_ROUTES,
+  AUDIT_LOGIN_ROUTE
+} = require("../constants/audit.constants");
+
+const OBJECT_ID_REGEX = /^[a-f\d]{24}$/i;
+
+function isAuditedRequest(method, route) {
+  if (IGNORED_AUDIT_ROUTES.some((pattern) => pattern.test(route))) {
+    return false;
+  }
+  return (
+    AUDITED_METHODS.includes(method) ||
+    (method === "GET" && AUDITED_GET_ROUTES.some((pattern) => pattern.test(route)))
+  );
+}
+
+// Best guess at what a request touched when the route hasn't said so with auditChange
+function findTargetID(req, segments) {
+  const body = req.body || {};
+  const idList = Array.isArray(body.idList) ? body.idList.join(",") : undefined;
+  const candidate =
+    segments.find((segment) => OBJECT_ID_REGEX.test(segment)) ??
+    [body.id, body._id, body.i, body.printerID, idList].find((id) => typeof id === "string");
+  return candidate?.toString();
+}
+
+/**
+ * Lets a route hand over the document it changed so the audit entry carries a real before/after
+ * diff rather than just the request body.
+ * @param req
+ * @param targetType e.g. "ServerSettings", "User"
+ * @param targetID
+ * @param before the document as it was, leave out when creating
+ * @param after the document as saved, leave out when deleting
+ * @param failed for the older routes which answer 200 with an errors list
+ */
+function auditChange(req, { targetType, targetID, before, after, failed = false }) {
+  req.auditChange = { targetType, targetID: targetID?.toString(), before, after, failed };
+}
+
+/**
+ * Records an audit entry for every request that changes something, once the response has gone.
+ */
+function auditRequests(req, res, next) {
+  const route = req.originalUrl.split("?")[0];
+  if (!isAuditedRequest(req.method, route)) {
+    return next();
+  }
+  const started = Date.now();
+  // Logging out clears the user before the response finishes
+  const startingActor = req.user?.username;
+
+  res.on("finish", () => {
+    const isLogin = route === AUDIT_LOGIN_ROUTE;
+    const segments = route.split("/").filter((segment) => segment.length > 0);
+    const change = req.auditChange;
+    const succeeded = isLogin
+      ? !!req.isAuthenticated?.()
+      : res.statusCode < 400 && !change?.failed;
+
+    recordAuditEntry({
+      date: new Date(started),
+      actor:
+        req.user?.username ??
+        startingActor ??
+        (isLogin ? req.body?.username : undefined) ??
+        "Anonymous",
+      // Only honours X-Forwarded-For when TRUST_PROXY is set, the header is anyone's to write
+      ip: req.ip,
+      method: req.method,
+      route,
+      targetType: change?.targetType ?? segments[0],
+      targetID: change?.targetID ?? findTargetID(req, segments),
+      changes: !!change
+        ? diffForAudit(change.before, change.after)
+        : diffForAudit(undefined, req.body),
+      status: res.statusCode,
+      result: succeeded ? AUDIT_RESULTS.SUCCESS : AUDIT_RESULTS.FAILURE,
+      duration: Date.now() - started
+    });
+  });
+  next();
+}
+
+module.exports = {
+  auditChange,
+  auditRequests
+};
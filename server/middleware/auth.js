@@ -1,18 +1,129 @@
+const passport = require("passport");
 const { SettingsClean } = require("../services/settings-cleaner.service.js");
+const { ApiKeyService } = require("../services/authentication/api-key.service");
+const { getPrinterStoreCache } = require("../cache/printer-store.cache");
+const { PERMISSIONS } = require("../constants/permission.constants");
+const { userHasPermission, userCanAccessPrinter } = require("../utils/permissions.utils");
 
-module.exports = {
-  async ensureAuthenticated(req, res, next) {
-    const serverSettings = SettingsClean.returnSystemSettings();
+const READ_ONLY_METHODS = ["GET", "HEAD", "OPTIONS"];
 
-    if (serverSettings.server.loginRequired === false) {
-      return next();
+function hasApiKeyHeader(req) {
+  return !!ApiKeyService.readApiKey(req);
+}
+
+function authenticateApiKey(req, res, next, onAuthenticated) {
+  passport.authenticate("header-api-key", { session: false }, (err, user, info) => {
+    if (err) {
+      return next(err);
     }
-    if (req.isAuthenticated()) {
-      return next();
+    if (!user) {
+      return res.sendStatus(401);
+    }
+    req.logIn(user, { session: false }, (loginErr) => {
+      if (loginErr) {
+        return next(loginErr);
+      }
+      req.authInfo = info;
+      return onAuthenticated();
+    });
+  })(req, res, next);
+}
+
+function checkApiKeyScope(req, res, next) {
+  if (req?.authInfo?.apiKeyReadOnly && !READ_ONLY_METHODS.includes(req.method)) {
+    return res.sendStatus(403);
+  }
+  return next();
+}
+
+function checkAuthenticated(req, res, next, onUnauthenticated) {
+  const serverSettings = SettingsClean.returnSystemSettings();
+
+  if (serverSettings.server.loginRequired === false) {
+    return next();
+  }
+  if (req.isAuthenticated()) {
+    return checkApiKeyScope(req, res, next);
+  }
+  if (hasApiKeyHeader(req)) {
+    return authenticateApiKey(req, res, next, () => checkApiKeyScope(req, res, next));
+  }
+  return onUnauthenticated();
+}
+
+// Printer ids turn up in a few different places depending on the route...
+function listRequestedPrinterIDs(req) {
+  const idList = Array.isArray(req?.body?.idList) ? req.body.idList : [];
+  return [req?.params?.id, req?.body?.i, req?.body?.id, req?.body?.printerID, ...idList].filter(
+    (id) => typeof id === "string"
+  );
+}
+
+function canAccessRequestedPrinters(req) {
+  return listRequestedPrinterIDs(req).every((id) => {
+    const printer = getPrinterStoreCache().getPrinter(id);
+    // Not a printer id, so nothing to restrict
+    if (!printer) {
+      return true;
     }
+    return userCanAccessPrinter(req?.user, printer);
+  });
+}
+
+function checkPermission(req, res, next, permission) {
+  const serverSettings = SettingsClean.returnSystemSettings();
+
+  if (serverSettings.server.loginRequired === false) {
+    return next();
+  }
+
+  if (!!permission && !userHasPermission(req?.user, permission)) {
+    return res.sendStatus(403);
+  }
+  if (!canAccessRequestedPrinters(req)) {
+    return res.sendStatus(403);
+  }
+  return next();
+}
+
+function isFileManagementRequest(req) {
+  const item = req.params.item || "";
+  const isUpload = !!req.headers["content-type"]?.match(/^multipart\/form-data/);
+  return item.startsWith("api/files") && (req.method === "DELETE" || isUpload);
+}
 
-    req.flash("error_msg", "Please log in to view this resource");
-    res.redirect("/users/login");
+module.exports = {
+  /**
+   * Checks the users role grants the permission, and that they're allowed to see any printers referenced in the request.
+   * @param permission one of PERMISSIONS
+   * @returns {function(*, *, *): *}
+   */
+  requirePermission(permission) {
+    return function (req, res, next) {
+      return checkPermission(req, res, next, permission);
+    };
+  },
+  ensureOctoPrintProxyPermission(req, res, next) {
+    let permission;
+    if (!READ_ONLY_METHODS.includes(req.method)) {
+      permission = isFileManagementRequest(req)
+        ? PERMISSIONS.MANAGE_FILES
+        : PERMISSIONS.CONTROL_PRINTERS;
+    }
+    return checkPermission(req, res, next, permission);
+  },
+  async ensureAuthenticated(req, res, next) {
+    return checkAuthenticated(req, res, next, () => {
+      req.flash("error_msg", "Please log in to view this resource");
+      res.redirect("/users/login");
+    });
+  },
+  /**
+   * As ensureAuthenticated, but for routes only machines call, so there's a 401 instead of a
+   * redirect to the login page.
+   */
+  async ensureApiAuthenticated(req, res, next) {
+    return checkAuthenticated(req, res, next, () => res.sendStatus(401));
   },
   async ensureAdministrator(req, res, next) {
     const serverSettings = SettingsClean.returnSystemSettings();
@@ -21,12 +132,19 @@ module.exports = {
       return next();
     }
 
-    const currentUserGroup = req?.user?.group === "Administrator";
+    const checkGroup = () => {
+      const currentUserGroup = req?.user?.group === "Administrator";
 
-    if (currentUserGroup) {
-      return next();
-    } else {
-      res.sendStatus(401);
+      if (currentUserGroup) {
+        return checkApiKeyScope(req, res, next);
+      } else {
+        res.sendStatus(401);
+      }
+    };
+
+    if (!req.isAuthenticated() && hasApiKeyHeader(req)) {
+      return authenticateApiKey(req, res, next, checkGroup);
     }
+    return checkGroup();
   }
 };
@@ -0,0 +1,322 @@
+const os = require("os");
+const fs = require("fs");
+const multer = require("multer");
+const request = require("request");
+const Logger = require("../handlers/logger");
+const { LOGGER_ROUTE_KEYS } = require("../constants/logger.constants");
+const { checkApiStatusResponse } = require("../utils/api.utils");
+const { MoonrakerApiClientService } = require("../services/moonraker/moonraker-api-client.service");
+const {
+  printheadCommandToGcode,
+  toolCommandToGcode,
+  heaterCommandToGcode,
+  terminalCommandToGcode
+} = require("../services/moonraker/utils/moonraker-gcode.utils");
+
+const logger = new Logger(LOGGER_ROUTE_KEYS.MIDDLEWARE_MOONRAKER_PROXY);
+
+// Uploads are held on disk until they're forwarded to moonraker
+const upload = multer({ dest: os.tmpdir() }).fields([{ name: "file", maxCount: 1 }]);
+
+const OCTOPRINT_API_PREFIX = /^api\/+/;
+const FILES_LOCAL = "files/local";
+const SYSTEM_COMMANDS = "system/commands/core/";
+const POWER_DEVICE = "machine/device_power/device";
+
+class ProxyRequestError extends Error {
+  constructor(statusCode, message) {
+    super(message);
+    this.statusCode = statusCode;
+  }
+}
+
+const readJsonBody = async (req) => {
+  if (!req.readable) {
+    return req.body ?? {};
+  }
+  let data = "";
+  for await (const chunk of req) {
+    data += chunk;
+  }
+  try {
+    return data.length > 0 ? JSON.parse(data) : {};
+  } catch (e) {
+    throw new ProxyRequestError(400, "Request body must be valid JSON");
+  }
+};
+
+const parseMultipart = (req, res) =>
+  new Promise((resolve, reject) => {
+    upload(req, res, (err) => (err ? reject(err) : resolve()));
+  });
+
+/**
+ * Replies the way OctoPrint would for a successful command, otherwise passes moonrakers error on.
+ */
+const sendApiResponse = async (res, response, successStatus = 204, successBody = undefined) => {
+  const status = checkApiStatusResponse(response);
+  if (status >= 200 && status < 300) {
+    return successBody
+      ? res.status(successStatus).send(successBody)
+      : res.sendStatus(successStatus);
+  }
+  let error;
+  try {
+    error = await response.json();
+  } catch (e) {
+    error = undefined;
+  }
+  return res.status(status).send({ error: error?.error?.message ?? response?.statusText });
+};
+
+const runGcode = async (res, api, lines) => {
+  return sendApiResponse(res, await api.runGcode(lines.join("\n")));
+};
+
+const handleJobCommand = async (res, api, printer, { command, action }) => {
+  switch (command) {
+    case "start": {
+      const fullPath = printer.selectedFile ?? printer.job?.file?.path;
+      if (!fullPath) {
+        throw new ProxyRequestError(409, "No file has been selected to print");
+      }
+      printer.selectFile(undefined);
+      return sendApiResponse(res, await api.startPrint(fullPath));
+    }
+    case "pause": {
+      const paused = printer.printerState?.state === "Paused";
+      const resume = action === "resume" || (action === "toggle" && paused);
+      return sendApiResponse(res, await (resume ? api.resumePrint() : api.pausePrint()));
+    }
+    case "cancel":
+      return sendApiResponse(res, await api.cancelPrint());
+    default:
+      throw new ProxyRequestError(409, `Job command "${command}" is not supported by moonraker`);
+  }
+};
+
+const handleFileCommand = async (req, res, api, printer, fullPath) => {
+  const isFolder = printer.fileList.folderList.some(({ name }) => name === fullPath);
+  switch (req.method) {
+    case "GET": {
+      const response = await api.getFileMetadata(fullPath);
+      if (!response?.ok) {
+        return sendApiResponse(res, response);
+      }
+      return res.send(MoonrakerApiClientService.unwrapResult(await response.json()));
+    }
+    case "DELETE":
+      return sendApiResponse(
+        res,
+        await (isFolder ? api.deleteDirectory(fullPath) : api.deleteFile(fullPath))
+      );
+    case "POST": {
+      const { command, print, destination = "" } = await readJsonBody(req);
+      if (command === "select") {
+        if (!print) {
+          printer.selectFile(fullPath);
+          return res.sendStatus(204);
+        }
+        return sendApiResponse(res, await api.startPrint(fullPath));
+      }
+      if (command === "move") {
+        const name = fullPath.substr(fullPath.lastIndexOf("/") + 1);
+        const folder = destination.replace(/^\/+|\/+$/g, "");
+        return sendApiResponse(
+          res,
+          await api.moveFile(fullPath, folder.length > 0 ? `${folder}/${name}` : name)
+        );
+      }
+      throw new ProxyRequestError(400, `File command "${command}" is not supported by moonraker`);
+    }
+    default:
+      throw new ProxyRequestError(405, `${req.method} is not supported on files`);
+  }
+};
+
+const handleSystemCommand = async (res, api, action) => {
+  switch (action) {
+    case "restart":
+    case "restart_safe":
+      return sendApiResponse(res, await api.restartServer());
+    case "reboot":
+      return sendApiResponse(res, await api.reboot());
+    case "shutdown":
+      return sendApiResponse(res, await api.shutdown());
+    default:
+      throw new ProxyRequestError(404, `System command "${action}" is not supported by moonraker`);
+  }
+};
+
+/**
+ * The client sends its power settings as a JSON body, moonraker wants query parameters.
+ * Status requests carry no action and the result is unwrapped so it parses like PSU Control.
+ */
+const handlePowerCommand = async (req, res, api) => {
+  const body = req.method === "GET" ? {} : await readJsonBody(req);
+  const device = body.device ?? req.query.device;
+  if (!device) {
+    throw new ProxyRequestError(400, "Power device not provided");
+  }
+  const response = await (body.action
+    ? api.setPowerDevice(device, body.action)
+    : api.getPowerDevice(device));
+  if (!response?.ok) {
+    return sendApiResponse(res, response);
+  }
+  return res.send(MoonrakerApiClientService.unwrapResult(await response.json()));
+};
+
+const handleMultipart = async (req, res, api, printer) => {
+  await parseMultipart(req, res);
+  const [file] = req.files?.file ?? [];
+  const { foldername, path = "", print } = req.body;
+
+  if (!file) {
+    if (!foldername) {
+      throw new ProxyRequestError(400, "No file or folder name provided");
+    }
+    const folder = `${path.replace(/^\/+|\/+$/g, "")}/${foldername}`.replace(/^\/+/, "");
+    return sendApiResponse(res, await api.createDirectory(folder), 201, {
+      folder: { name: foldername, path: folder, origin: "local" },
+      done: true
+    });
+  }
+
+  try {
+    const { statusCode, body } = await new Promise((resolve, reject) => {
+      request.post(
+        {
+          url: `${printer.printerURL}/server/files/upload`,
+          headers: { "X-Api-Key": printer.apikey },
+          formData: {
+            file: {
+              value: fs.createReadStream(file.path),
+              options: { filename: file.originalname }
+            },
+            root: "gcodes",
+            path: path.replace(/^\/+|\/+$/g, ""),
+            print: print === "true" ? "true" : "false"
+          },
+          json: true
+        },
+        (err, response, responseBody) =>
+          err ? reject(err) : resolve({ statusCode: response.statusCode, body: responseBody })
+      );
+    });
+
+    if (statusCode !== 201 && statusCode !== 200) {
+      return res.status(statusCode).send({ error: body?.error?.message });
+    }
+    const { item, print_started } = MoonrakerApiClientService.unwrapResult(body);
+    const uploadedPath = item.path;
+    return res.status(201).send({
+      files: {
+        local: {
+          name: uploadedPath.substr(uploadedPath.lastIndexOf("/") + 1),
+          path: uploadedPath,
+          origin: "local"
+        }
+      },
+      done: true,
+      effectivePrint: !!print_started
+    });
+  } finally {
+    fs.unlink(file.path, (e) => e && logger.warning("Failed to remove upload", e.toString()));
+  }
+};
+
+const passThrough = (req, res, printer, route) => {
+  const redirectedRequest = request({
+    url: `${printer.printerURL}/${route}`,
+    method: req.method,
+    body: req.readable ? undefined : req.body,
+    headers: {
+      "Content-Type": "application/json",
+      "X-Api-Key": printer.apikey
+    },
+    json: !req.readable,
+    qs: req.query,
+    followRedirect: true
+  });
+  if (req.readable) {
+    req.pipe(redirectedRequest).pipe(res);
+  } else {
+    redirectedRequest.pipe(res);
+  }
+  redirectedRequest.on("error", function (e) {
+    logger.error("Error pipe broken on moonraker proxy", e.toString());
+  });
+};
+
+module.exports = {
+  /**
+   * Stands in for the OctoPrint proxy on moonraker printers. The OctoPrint api calls the client
+   * makes are translated onto moonraker and anything else is passed straight through.
+   * @param req
+   * @param res
+   * @param printer
+   * @returns {Promise<*>}
+   */
+  async proxyMoonrakerClientRequests(req, res, printer) {
+    const item = req.paramString("item");
+    const api = new MoonrakerApiClientService(printer.printerURL, printer.apikey);
+    const route = item.replace(OCTOPRINT_API_PREFIX, "");
+    const isOctoPrintApi = OCTOPRINT_API_PREFIX.test(item);
+
+    try {
+      if (!isOctoPrintApi || route.startsWith("server/")) {
+        return passThrough(req, res, printer, route);
+      }
+      if (route === POWER_DEVICE) {
+        return await handlePowerCommand(req, res, api);
+      }
+      if (route === FILES_LOCAL && req.method === "POST") {
+        return await handleMultipart(req, res, api, printer);
+      }
+      if (route.startsWith(`${FILES_LOCAL}/`)) {
+        return await handleFileCommand(
+          req,
+          res,
+          api,
+          printer,
+          decodeURIComponent(route.replace(`${FILES_LOCAL}/`, ""))
+        );
+      }
+      if (route.startsWith(SYSTEM_COMMANDS) && req.method === "POST") {
+        return await handleSystemCommand(res, api, route.replace(SYSTEM_COMMANDS, ""));
+      }
+      if (req.method !== "POST") {
+        throw new ProxyRequestError(404, `${item} is not supported by moonraker`);
+      }
+
+      const body = await readJsonBody(req);
+      switch (route) {
+        case "job":
+          return await handleJobCommand(res, api, printer, body);
+        case "printer/command":
+          return await runGcode(res, api, terminalCommandToGcode(body));
+        case "printer/printhead":
+          return await runGcode(res, api, printheadCommandToGcode(body));
+        case "printer/tool":
+          return await runGcode(res, api, toolCommandToGcode(body));
+        case "printer/bed":
+          return await runGcode(res, api, heaterCommandToGcode("heater_bed", body));
+        case "printer/chamber":
+          return await runGcode(res, api, heaterCommandToGcode("chamber", body));
+        case "connection":
+          if (body.command === "connect") {
+            return await sendApiResponse(res, await api.firmwareRestart());
+          }
+          // Klipper holds on to its mcu connection, nothing to disconnect
+          return res.sendStatus(204);
+        default:
+          throw new ProxyRequestError(404, `${item} is not supported by moonraker`);
+      }
+    } catch (e) {
+      const statusCode = e.statusCode ?? 400;
+      logger.error(`Moonraker proxy failed for ${req.method} ${item}`, e.message);
+      return res.status(statusCode).send({ error: e.message });
+    }
+  }
+};
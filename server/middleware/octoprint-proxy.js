@@ -2,22 +2,43 @@ const { getPrinterStoreCache } = require("../cache/printer-store.cache");
 const request = require("request");
 const Logger = require("../handlers/logger");
 const { LOGGER_ROUTE_KEYS } = require("../constants/logger.constants");
+const { PRINTER_CATEGORIES } = require("../services/printers/constants/printer-categories.constants");
+const { proxyMoonrakerClientRequests } = require("./moonraker-proxy");
 
 const logger = new Logger(LOGGER_ROUTE_KEYS.MIDDLEWARE_OCTOPRINT_PROXY);
 
+// Power plugin URLs carry this placeholder, only administrators are sent the key to fill it in
+const PRINTER_API_PLACEHOLDER = "[PrinterAPI]";
+
+const fillPrinterAPIKey = (value, apikey) =>
+  typeof value === "string" ? value.split(PRINTER_API_PLACEHOLDER).join(apikey) : value;
+
+const fillQueryPrinterAPIKey = (query, apikey) =>
+  Object.fromEntries(
+    Object.entries(query).map(([key, value]) => [key, fillPrinterAPIKey(value, apikey)])
+  );
+
 module.exports = {
   async proxyOctoPrintClientRequests(req, res) {
     const id = req.paramString("id");
     const item = req.paramString("item");
 
-    const { printerURL, apikey } = getPrinterStoreCache().getPrinter(id);
+    const printer = getPrinterStoreCache().getPrinter(id);
+    if (printer.category === PRINTER_CATEGORIES.MOONRAKER) {
+      return proxyMoonrakerClientRequests(req, res, printer);
+    }
+
+    const { printerURL, apikey } = printer;
     let redirectedRequest;
+    const qs = fillQueryPrinterAPIKey(req.query, apikey);
 
-    const redirectUrl = `${printerURL}/${item}`;
+    const redirectUrl = `${printerURL}/${fillPrinterAPIKey(item, apikey)}`;
     if (req.headers["content-type"] && req.headers["content-type"].match(/^multipart\/form-data/)) {
       let defaultHeaders = {
         "X-Api-Key": apikey
       }
+      // Only administrators are sent printer API keys, so whatever key the browser sent is dropped
+      delete req.headers["x-api-key"];
       const headers = Object.assign(req.headers, defaultHeaders);
 
       redirectedRequest = request({
@@ -26,7 +47,7 @@ module.exports = {
         body: req.readable ? undefined : req.body,
         headers,
         json: !req.readable,
-        qs: req.query,
+        qs,
         // Pass redirect back to the browser
         followRedirect: true
       });
@@ -40,7 +61,7 @@ module.exports = {
           "X-Api-Key": apikey
         },
         json: req.readable ? false : true,
-        qs: req.query,
+        qs,
         // Pass redirect back to the browser
         followRedirect: true
       });
@@ -1,12 +1,38 @@
+const { Strategy } = require("passport");
 const LocalStrategy = require("passport-local").Strategy;
 const bcrypt = require("bcryptjs");
 const RememberMeStrategy = require("passport-remember-me").Strategy;
 const User = require("../models/User.js");
 const { UserTokenService } = require("../services/authentication/user-token.service");
+const { ApiKeyService } = require("../services/authentication/api-key.service");
 const { LOGGER_ROUTE_KEYS } = require("../constants/logger.constants");
 const Logger = require("../handlers/logger");
 const logger = new Logger(LOGGER_ROUTE_KEYS.MIDDLEWARE_PASSPORT);
 
+class HeaderApiKeyStrategy extends Strategy {
+  constructor(verify) {
+    super();
+    this.name = "header-api-key";
+    this._verify = verify;
+  }
+
+  authenticate(req) {
+    const apiKey = ApiKeyService.readApiKey(req);
+    if (!apiKey) {
+      return this.fail(401);
+    }
+    this._verify(apiKey, (err, user, info) => {
+      if (err) {
+        return this.error(err);
+      }
+      if (!user) {
+        return this.fail(info, 401);
+      }
+      return this.success(user, info);
+    });
+  }
+}
+
 module.exports = function (passport) {
   passport.use(
     new RememberMeStrategy(async function (token, done) {
@@ -47,6 +73,20 @@ module.exports = function (passport) {
     })
   );
 
+  passport.use(
+    new HeaderApiKeyStrategy((apiKey, done) => {
+      ApiKeyService.findUserByApiKey(apiKey)
+        .then((user) => {
+          if (!user) {
+            logger.warning("Rejected request with an unknown API key");
+            return done(null, false, { message: "API key is not valid" });
+          }
+          return done(null, user, { apiKeyReadOnly: !!user.apiKeyReadOnly });
+        })
+        .catch((err) => done(err));
+    })
+  );
+
   passport.serializeUser((user, done) => {
     done(null, user.id);
   });
@@ -1,5 +1,7 @@
 const { SettingsClean } = require("../services/settings-cleaner.service.js");
 const { fetchFirstAdministrator } = require("../services/users.service");
+const { PERMISSIONS } = require("../constants/permission.constants");
+const { userHasPermission } = require("../utils/permissions.utils");
 
 module.exports = {
   async ensureCurrentUserAndGroup(req, res, next) {
@@ -24,6 +26,11 @@ module.exports = {
       }
     }
 
+    // Layout hides any controls tagged with a permission the user is missing
+    res.locals.missingPermissions = Object.values(PERMISSIONS).filter(
+      (permission) => !userHasPermission(req.user, permission)
+    );
+
     next();
   }
 };
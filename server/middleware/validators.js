@@ -137,10 +137,24 @@ function validateParamsMiddleware(rules) {
   };
 }
 
+function validateQueryMiddleware(rules) {
+  return function (req, res, next) {
+    validateInput(req.query, rules)
+      .then(() => {
+        logger.debug("Validated Query Middleware");
+        return next();
+      })
+      .catch((e) => {
+        dealWithError(e, req, res);
+      });
+  };
+}
+
 module.exports = {
   arrayValidator,
   validateBodyMiddleware,
   validateParamsMiddleware,
+  validateQueryMiddleware,
   validateInput,
   validateMongoURL
 };
@@ -0,0 +1,40 @@
+const { UNCLASSIFIED_FAILURE } = require("../constants/failure-reasons.constants");
+
+module.exports = {
+  async up(db, client) {
+    const session = client.startSession();
+    try {
+      // Safety first
+      await session.withTransaction(async () => {
+        // Do the migration
+        const dbCollection = db.collection("histories");
+        await dbCollection.updateMany(
+          {
+            "printHistory.success": false,
+            "printHistory.failureReason": { $exists: false }
+          },
+          { $set: { "printHistory.failureReason": UNCLASSIFIED_FAILURE } }
+        );
+      });
+    } finally {
+      await session.endSession();
+    }
+  },
+
+  async down(db, client) {
+    const session = client.startSession();
+    try {
+      // Safety first
+      await session.withTransaction(async () => {
+        // Do the inverse migration
+        const dbCollection = db.collection("histories");
+        await dbCollection.updateMany(
+          { "printHistory.failureReason": { $exists: true } },
+          { $unset: { "printHistory.failureReason": "" } }
+        );
+      });
+    } finally {
+      await session.endSession();
+    }
+  }
+};
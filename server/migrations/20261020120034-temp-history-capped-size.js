@@ -0,0 +1,33 @@
+const {
+  TEMPERATURE_HISTORY_CAPPED_SIZE,
+  TEMPERATURE_HISTORY_MAX_DOCUMENTS
+} = require("../constants/temperature-history.constants");
+
+const COLLECTION = "temphistories";
+const PREVIOUS_CAPPED_SIZE = 10000;
+const PREVIOUS_MAX_DOCUMENTS = 1000000;
+
+// A capped collection can't be resized in place on older MongoDB versions, and the readings are
+// only ever minutes old at the previous size, so it's recreated empty instead of copied over
+async function recreateCappedCollection(db, size, max) {
+  const existing = await db.listCollections({ name: COLLECTION }).toArray();
+  if (existing.length > 0) {
+    await db.collection(COLLECTION).drop();
+  }
+  await db.createCollection(COLLECTION, { capped: true, size, max });
+  await db.collection(COLLECTION).createIndex({ printer_id: 1, _id: 1 });
+}
+
+module.exports = {
+  async up(db) {
+    await recreateCappedCollection(
+      db,
+      TEMPERATURE_HISTORY_CAPPED_SIZE,
+      TEMPERATURE_HISTORY_MAX_DOCUMENTS
+    );
+  },
+
+  async down(db) {
+    await recreateCappedCollection(db, PREVIOUS_CAPPED_SIZE, PREVIOUS_MAX_DOCUMENTS);
+  }
+};
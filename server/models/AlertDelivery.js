@@ -0,0 +1,49 @@
+const mongoose = require("mongoose");
+
+const AlertDeliverySchema = new mongoose.Schema({
+  alert: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Alerts",
+    required: false
+  },
+  trigger: {
+    type: String,
+    required: true
+  },
+  printerName: {
+    type: String,
+    required: false
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  method: {
+    type: String,
+    required: true
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  attempts: {
+    type: Number,
+    required: true
+  },
+  statusCode: {
+    type: Number,
+    required: false
+  },
+  error: {
+    type: String,
+    required: false
+  },
+  date: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const AlertDelivery = mongoose.model("AlertDelivery", AlertDeliverySchema);
+
+module.exports = AlertDelivery;
@@ -18,13 +18,31 @@ const AlertsSchema = new mongoose.Schema({
     required: true
   },
   type: {
-    // Change to required true when other endpoints are setup.
+    // Alerts saved before webhooks existed have no type, they're all scripts.
     type: String,
     required: false
   },
   scriptLocation: {
     type: String,
-    required: true
+    required: false
+  },
+  webhook: {
+    url: {
+      type: String,
+      required: false
+    },
+    method: {
+      type: String,
+      required: false
+    },
+    headers: {
+      type: Object,
+      required: false
+    },
+    bodyTemplate: {
+      type: String,
+      required: false
+    }
   }
 });
 
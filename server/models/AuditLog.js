@@ -0,0 +1,60 @@
+const mongoose = require("mongoose");
+
+const auditLogSchema = new mongoose.Schema({
+  date: {
+    type: Date,
+    required: true,
+    index: true
+  },
+  actor: {
+    type: String,
+    required: true
+  },
+  ip: {
+    type: String,
+    required: false
+  },
+  method: {
+    type: String,
+    required: true
+  },
+  route: {
+    type: String,
+    required: true
+  },
+  targetType: {
+    type: String,
+    required: false
+  },
+  targetID: {
+    type: String,
+    required: false
+  },
+  changes: {
+    type: [
+      {
+        _id: false,
+        path: String,
+        before: mongoose.Schema.Types.Mixed,
+        after: mongoose.Schema.Types.Mixed
+      }
+    ],
+    default: []
+  },
+  status: {
+    type: Number,
+    required: true
+  },
+  result: {
+    type: String,
+    required: true
+  },
+  duration: {
+    type: Number,
+    required: false
+  }
+});
+
+const AuditLog = mongoose.model("AuditLog", auditLogSchema);
+
+module.exports = AuditLog;
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { defaultSortBy, defaultFilterBy } = require("../constants/filter-sorting.constants");
 
 const ClientSettingsSchema = new mongoose.Schema({
   dashboard: {
@@ -44,6 +45,11 @@ const ClientSettingsSchema = new mongoose.Schema({
         type: Boolean,
         required: true,
         default: true
+      },
+      printQueue: {
+        type: Boolean,
+        required: true,
+        default: true
       }
     },
     printerStates: {
@@ -157,6 +163,43 @@ const ClientSettingsSchema = new mongoose.Schema({
       default: 4
     }
   },
+  monitoring: {
+    sortBy: {
+      type: String,
+      required: true,
+      default: defaultSortBy
+    },
+    filterBy: {
+      type: String,
+      required: true,
+      default: defaultFilterBy
+    },
+    savedViews: [
+      {
+        name: {
+          type: String,
+          required: true
+        },
+        sortBy: {
+          type: String,
+          required: true,
+          default: defaultSortBy
+        },
+        groups: {
+          type: [String],
+          default: []
+        },
+        states: {
+          type: [String],
+          default: []
+        },
+        materials: {
+          type: [String],
+          default: []
+        }
+      }
+    ]
+  },
   fileManager: {
     currentOperations: {
       type: Boolean,
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Minimum stock for a profile and colour, a blank colour covers spools with no colour set
+const FilamentStockThresholdSchema = new mongoose.Schema({
+  profile: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Profiles',
+    required: true,
+  },
+  colour: {
+    type: String,
+    required: false,
+    default: '',
+  },
+  minimum: {
+    type: Number,
+    required: true,
+  },
+  // Set once the low stock alert has fired so it only fires again after a restock
+  lowStock: {
+    type: Boolean,
+    required: false,
+    default: false,
+  },
+  dateAdded: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+const FilamentStockThreshold = mongoose.model(
+  'FilamentStockThreshold',
+  FilamentStockThresholdSchema
+);
+
+module.exports = FilamentStockThreshold;
@@ -0,0 +1,90 @@
+const mongoose = require("mongoose");
+
+const FileDistributionSchema = new mongoose.Schema({
+  fileName: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true
+  },
+  folder: {
+    type: String,
+    required: false,
+    default: ""
+  },
+  print: {
+    type: Boolean,
+    required: true,
+    default: false
+  },
+  status: {
+    type: String,
+    required: true,
+    default: "Queued"
+  },
+  targets: [
+    {
+      printerID: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Printer",
+        required: true
+      },
+      printerName: {
+        type: String,
+        required: false
+      },
+      status: {
+        type: String,
+        required: true
+      },
+      attempts: {
+        type: Number,
+        required: true,
+        default: 0
+      },
+      fullPath: {
+        type: String,
+        required: false
+      },
+      hashVerified: {
+        type: Boolean,
+        required: false
+      },
+      printStarted: {
+        type: Boolean,
+        required: false
+      },
+      message: {
+        type: String,
+        required: false
+      },
+      finishedAt: {
+        type: Date,
+        required: false
+      }
+    }
+  ],
+  createdBy: {
+    type: String,
+    required: false
+  },
+  dateAdded: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  finishedAt: {
+    type: Date,
+    required: false
+  }
+});
+
+const FileDistribution = mongoose.model("FileDistribution", FileDistributionSchema);
+
+module.exports = FileDistribution;
@@ -0,0 +1,50 @@
+const mongoose = require("mongoose");
+
+const MaintenanceLogSchema = new mongoose.Schema({
+  taskID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "MaintenanceTask",
+    required: true
+  },
+  taskName: {
+    type: String,
+    required: true
+  },
+  printerID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Printer",
+    required: true
+  },
+  printerName: {
+    type: String,
+    required: false
+  },
+  // Usage accumulated since the task was last completed
+  printHours: {
+    type: Number,
+    required: false,
+    default: 0
+  },
+  filamentLength: {
+    type: Number,
+    required: false,
+    default: 0
+  },
+  notes: {
+    type: String,
+    required: false,
+    default: ""
+  },
+  completedBy: {
+    type: String,
+    required: false
+  },
+  date: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const MaintenanceLog = mongoose.model("MaintenanceLog", MaintenanceLogSchema);
+
+module.exports = MaintenanceLog;
@@ -0,0 +1,52 @@
+const mongoose = require("mongoose");
+const { MAINTENANCE_INTERVAL_TYPES } = require("../constants/maintenance.constants");
+
+// Applies to a single printer, every printer in a group or, with neither set, the whole farm
+const MaintenanceTaskSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  description: {
+    type: String,
+    required: false,
+    default: ""
+  },
+  printerID: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Printer",
+    required: false
+  },
+  group: {
+    type: String,
+    required: false,
+    default: ""
+  },
+  intervalType: {
+    type: String,
+    enum: Object.values(MAINTENANCE_INTERVAL_TYPES),
+    required: true
+  },
+  // Hours of printing, metres of filament or calendar days depending on intervalType
+  interval: {
+    type: Number,
+    required: true
+  },
+  blockWhenOverdue: {
+    type: Boolean,
+    required: true,
+    default: false
+  },
+  createdBy: {
+    type: String,
+    required: false
+  },
+  dateAdded: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const MaintenanceTask = mongoose.model("MaintenanceTask", MaintenanceTaskSchema);
+
+module.exports = MaintenanceTask;
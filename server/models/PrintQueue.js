@@ -0,0 +1,75 @@
+const mongoose = require("mongoose");
+
+const PrintQueueSchema = new mongoose.Schema({
+  fileName: {
+    type: String,
+    required: true
+  },
+  filePath: {
+    type: String,
+    required: true
+  },
+  copies: {
+    type: Number,
+    required: true,
+    default: 1
+  },
+  priority: {
+    type: Number,
+    required: true,
+    default: 0
+  },
+  targetGroup: {
+    type: String,
+    required: false,
+    default: ""
+  },
+  targetMaterial: {
+    type: String,
+    required: false,
+    default: ""
+  },
+  status: {
+    type: String,
+    required: true,
+    default: "Queued"
+  },
+  assignments: [
+    {
+      printerID: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Printer",
+        required: true
+      },
+      printerName: {
+        type: String,
+        required: false
+      },
+      status: {
+        type: String,
+        required: true
+      },
+      dispatchedAt: {
+        type: Date,
+        required: true
+      },
+      finishedAt: {
+        type: Date,
+        required: false
+      }
+    }
+  ],
+  createdBy: {
+    type: String,
+    required: false
+  },
+  dateAdded: {
+    type: Date,
+    required: true,
+    default: Date.now
+  }
+});
+
+const PrintQueue = mongoose.model("PrintQueue", PrintQueueSchema);
+
+module.exports = PrintQueue;
@@ -14,6 +14,17 @@ const PrinterSchema = new mongoose.Schema({
     type: String,
     required: false
   },
+  // Every camera on the printer, the first one is also kept in camURL for everything else to use
+  cameras: {
+    type: [
+      {
+        _id: false,
+        name: String,
+        url: String
+      }
+    ],
+    default: []
+  },
   printerURL: {
     type: String,
     required: true // !
@@ -241,6 +252,16 @@ const PrinterSchema = new mongoose.Schema({
   quickConnectSettings: {
     type: Object,
     required: false
+  },
+  awaitingBedClear: {
+    type: Boolean,
+    required: true,
+    default: false
+  },
+  bedClearOverride: {
+    type: Boolean,
+    required: true,
+    default: false
   }
 });
 
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { PRINTER_COMMANDS } = require('../constants/printer-commands.constants');
+const { DEFAULT_FAILURE_REASONS } = require('../constants/failure-reasons.constants');
 
 const ServerSettingsSchema = new mongoose.Schema({
   server: {
@@ -53,6 +55,16 @@ const ServerSettingsSchema = new mongoose.Schema({
       default: true,
       required: true,
     },
+    sufficiencyCheck: {
+      type: Boolean,
+      default: true,
+      required: true,
+    },
+    blockInsufficient: {
+      type: Boolean,
+      default: false,
+      required: true,
+    },
   },
   history: {
     snapshot: {
@@ -95,6 +107,33 @@ const ServerSettingsSchema = new mongoose.Schema({
         default: false,
         required: true,
       },
+      record: {
+        enabled: {
+          type: Boolean,
+          default: false,
+        },
+        mode: {
+          type: String,
+          default: 'interval',
+        },
+        interval: {
+          type: Number,
+          default: 30,
+        },
+        fps: {
+          type: Number,
+          default: 15,
+        },
+      },
+      // Days to keep timelapses for, 0 keeps them forever
+      retentionDays: {
+        type: Number,
+        default: 0,
+      },
+    },
+    failureReasons: {
+      type: [String],
+      default: DEFAULT_FAILURE_REASONS,
     },
   },
   influxExport: {
@@ -124,6 +163,46 @@ const ServerSettingsSchema = new mongoose.Schema({
       },
     },
   },
+  mqtt: {
+    enabled: {
+      type: Boolean,
+      default: false,
+      required: true,
+    },
+    brokerURL: {
+      type: String,
+      default: 'mqtt://localhost:1883',
+    },
+    username: {
+      type: String,
+      default: '',
+    },
+    password: {
+      type: String,
+      default: '',
+    },
+    clientId: {
+      type: String,
+      default: 'octofarm',
+    },
+    topicPrefix: {
+      type: String,
+      default: 'octofarm',
+    },
+    retain: {
+      type: Boolean,
+      default: true,
+    },
+    commandsEnabled: {
+      type: Boolean,
+      default: false,
+      required: true,
+    },
+    allowedCommands: {
+      type: [String],
+      default: Object.values(PRINTER_COMMANDS),
+    },
+  },
   monitoringViews: {
     panel: {
       type: Boolean,
@@ -173,6 +252,52 @@ const ServerSettingsSchema = new mongoose.Schema({
       default: 10000,
     },
   },
+  backup: {
+    scheduled: {
+      type: Boolean,
+      required: true,
+      default: false,
+    },
+    intervalHours: {
+      type: Number,
+      required: true,
+      default: 24,
+    },
+    retention: {
+      type: Number,
+      required: true,
+      default: 7,
+    },
+  },
+  quoting: {
+    currency: {
+      type: String,
+      default: '',
+    },
+    markupPercent: {
+      type: Number,
+      required: true,
+      default: 0,
+    },
+    labourPerJob: {
+      type: Number,
+      required: true,
+      default: 0,
+    },
+    failurePadding: {
+      type: Boolean,
+      required: true,
+      default: true,
+    },
+    businessName: {
+      type: String,
+      default: '',
+    },
+    terms: {
+      type: String,
+      default: '',
+    },
+  },
 });
 
 const ServerSettings = mongoose.model('ServerSettings', ServerSettingsSchema);
@@ -1,4 +1,8 @@
 const mongoose = require("mongoose");
+const {
+  TEMPERATURE_HISTORY_CAPPED_SIZE,
+  TEMPERATURE_HISTORY_MAX_DOCUMENTS
+} = require("../constants/temperature-history.constants");
 
 const TempHistorySchema = new mongoose.Schema(
   {
@@ -11,9 +15,17 @@ const TempHistorySchema = new mongoose.Schema(
       required: true
     }
   },
-  { capped: true, size: 10000, max: 1000000, autoIndexId: true }
+  {
+    capped: true,
+    size: TEMPERATURE_HISTORY_CAPPED_SIZE,
+    max: TEMPERATURE_HISTORY_MAX_DOCUMENTS,
+    autoIndexId: true
+  }
 );
 
+// Readings are always pulled out per printer over a time range
+TempHistorySchema.index({ printer_id: 1, _id: 1 });
+
 const TempHistory = mongoose.model("TempHistory", TempHistorySchema);
 
 module.exports = TempHistory;
@@ -22,6 +22,11 @@ const UserSchema = new mongoose.Schema({
     type: String,
     required: false
   },
+  printerGroups: {
+    type: [String],
+    required: false,
+    default: []
+  },
   clientSettings: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "ClientSettings",
@@ -34,6 +39,19 @@ const UserSchema = new mongoose.Schema({
   apiKey: {
     type: String,
     required: false
+  },
+  apiKeyReadOnly: {
+    type: Boolean,
+    required: false,
+    default: false
+  },
+  apiKeyCreated: {
+    type: Date,
+    required: false
+  },
+  apiKeyLastUsed: {
+    type: Date,
+    required: false
   }
 });
 
@@ -0,0 +1,56 @@
+const express = require("express");
+
+const router = express.Router();
+const { ensureAuthenticated, ensureAdministrator } = require("../middleware/auth");
+const Logger = require("../handlers/logger.js");
+const { LOGGER_ROUTE_KEYS } = require("../constants/logger.constants");
+const { listAuditLog, streamAuditExport } = require("../services/audit-log.service");
+const { validateQueryMiddleware } = require("../middleware/validators");
+const A_VALID = require("../constants/validate-audit.constants");
+
+const logger = new Logger(LOGGER_ROUTE_KEYS.ROUTE_AUDIT);
+
+const readFilters = (req) => ({
+  actor: req.queryString("actor"),
+  method: req.queryString("method"),
+  targetType: req.queryString("targetType"),
+  result: req.queryString("result"),
+  search: req.queryString("search"),
+  from: req.queryString("from"),
+  to: req.queryString("to")
+});
+
+router.get(
+  "/",
+  ensureAuthenticated,
+  ensureAdministrator,
+  validateQueryMiddleware(A_VALID.AUDIT_QUERY),
+  async (req, res, next) => {
+    try {
+      res.send(await listAuditLog(readFilters(req), parseInt(req.queryString("page")) || 1));
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+router.get(
+  "/export",
+  ensureAuthenticated,
+  ensureAdministrator,
+  validateQueryMiddleware(A_VALID.AUDIT_QUERY),
+  async (req, res, next) => {
+    logger.info("Audit log export requested by", req?.user?.username);
+    try {
+      await streamAuditExport(res, readFilters(req));
+    } catch (e) {
+      logger.error("Couldn't export the audit log...", e.message);
+      if (res.headersSent) {
+        return res.destroy(e);
+      }
+      next(e);
+    }
+  }
+);
+
+module.exports = router;
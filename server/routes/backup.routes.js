@@ -0,0 +1,161 @@
+const express = require("express");
+
+const router = express.Router();
+const { promises: fsPromises } = require("fs");
+const multer = require("multer");
+const { ensureAuthenticated, ensureAdministrator } = require("../middleware/auth");
+const Logger = require("../handlers/logger.js");
+const { LOGGER_ROUTE_KEYS } = require("../constants/logger.constants");
+const ServerSettingsDB = require("../models/ServerSettings");
+const { SettingsClean } = require("../services/settings-cleaner.service");
+const { SystemCommands } = require("../services/server-commands.service.js");
+const { getPrinterManagerCache } = require("../cache/printer-manager.cache");
+const {
+  listBackups,
+  getBackupFile,
+  createBackup,
+  deleteBackup,
+  restoreBackup
+} = require("../services/backup.service");
+const { getBackupsPath } = require("../utils/system-paths.utils");
+const { validateBodyMiddleware, validateParamsMiddleware } = require("../middleware/validators");
+const B_VALID = require("../constants/validate-backup.constants");
+const { BACKUP_UPLOAD_LIMIT } = require("../constants/backup.constants");
+
+const logger = new Logger(LOGGER_ROUTE_KEYS.ROUTE_BACKUP);
+
+// Backups can be far bigger than memory, uploads are written next to the stored backups
+const restoreUpload = multer({
+  storage: multer.diskStorage({
+    destination: getBackupsPath(),
+    filename: (req, file, cb) => cb(null, `restore-upload-${Date.now()}.zip`)
+  }),
+  limits: {
+    fileSize: BACKUP_UPLOAD_LIMIT
+  }
+});
+
+/**
+ * The restored database doesn't match anything cached in memory, so drop the printer connections
+ * and restart once the response has gone out.
+ */
+async function restartAfterRestore() {
+  getPrinterManagerCache().killAllConnections();
+  logger.warning("Backup restored.... Restarting server...");
+  await SystemCommands.rebootOctoFarm();
+}
+
+router.get("/", ensureAuthenticated, ensureAdministrator, async (req, res, next) => {
+  try {
+    res.send({
+      backups: await listBackups(),
+      schedule: SettingsClean.returnSystemSettings()?.backup
+    });
+  } catch (e) {
+    next(e);
+  }
+});
+
+router.post("/", ensureAuthenticated, ensureAdministrator, async (req, res, next) => {
+  logger.info("Backup requested by", req?.user?.name);
+  try {
+    res.send(await createBackup());
+  } catch (e) {
+    logger.error("Couldn't create backup...", e.message);
+    next(e);
+  }
+});
+
+router.post(
+  "/schedule",
+  ensureAuthenticated,
+  ensureAdministrator,
+  validateBodyMiddleware(B_VALID.BACKUP_SCHEDULE),
+  async (req, res, next) => {
+    const backup = {
+      scheduled: req.body.scheduled === true,
+      intervalHours: parseInt(req.body.intervalHours),
+      retention: parseInt(req.body.retention)
+    };
+    try {
+      const settings = await ServerSettingsDB.findOne({});
+      settings.backup = backup;
+      await settings.save();
+      await SettingsClean.start();
+      logger.info("Backup schedule updated", backup);
+      res.send(backup);
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+router.post(
+  "/restore",
+  ensureAuthenticated,
+  ensureAdministrator,
+  restoreUpload.single("backupFile"),
+  async (req, res, next) => {
+    if (!req.file) {
+      return res.status(400).send({ file: "No backup file was uploaded" });
+    }
+    logger.warning("Restore from uploaded backup requested by", req?.user?.name);
+    try {
+      res.send(await restoreBackup(req.file.path));
+    } catch (e) {
+      return next(e);
+    } finally {
+      await fsPromises.rm(req.file.path, { force: true });
+    }
+    await restartAfterRestore();
+  }
+);
+
+router.get(
+  "/:name",
+  ensureAuthenticated,
+  ensureAdministrator,
+  validateParamsMiddleware(B_VALID.BACKUP_NAME),
+  async (req, res, next) => {
+    try {
+      const name = req.paramString("name");
+      res.download(await getBackupFile(name), name);
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+router.delete(
+  "/:name",
+  ensureAuthenticated,
+  ensureAdministrator,
+  validateParamsMiddleware(B_VALID.BACKUP_NAME),
+  async (req, res, next) => {
+    try {
+      await deleteBackup(req.paramString("name"));
+      res.send({ deleted: req.paramString("name") });
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+router.post(
+  "/:name/restore",
+  ensureAuthenticated,
+  ensureAdministrator,
+  validateParamsMiddleware(B_VALID.BACKUP_NAME),
+  async (req, res, next) => {
+    const name = req.paramString("name");
+    logger.warning(`Restore from ${name} requested by`, req?.user?.name);
+    try {
+      res.send(await restoreBackup(await getBackupFile(name)));
+    } catch (e) {
+      return next(e);
+    }
+    await restartAfterRestore();
+  }
+);
+
+module.exports = router;
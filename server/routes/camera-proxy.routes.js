@@ -4,25 +4,57 @@ const { ensureAuthenticated } = require("../middleware/auth");
 const { getPrinterStoreCache } = require("../cache/printer-store.cache");
 const { validateParamsMiddleware } = require("../middleware/validators");
 const M_VALID = require("../constants/validate-mongo.constants");
+const P_VALID = require("../constants/validate-printers.constants");
+const { NotFoundException } = require("../exceptions/runtime.exceptions");
 const Logger = require("../handlers/logger");
 const { LOGGER_ROUTE_KEYS } = require("../constants/logger.constants");
 const { getMjpegProxyCache } = require("../cache/mjpeg-proxy.cache");
+const { listPrinterCameras } = require("../services/printers/utils/camera-url-generation.utils");
 
 const logger = new Logger(LOGGER_ROUTE_KEYS.ROUTE_CAMERA_PROXY);
 
+const sendNewestFrame = async (res, id, index) => {
+  const camera = listPrinterCameras(getPrinterStoreCache().getPrinter(id))[index];
+  if (!camera) {
+    throw new NotFoundException(`Printer has no camera ${index}`);
+  }
+
+  logger.debug(`Requesting new HTTP Stream for ${id} camera ${index} with ${camera.url}`);
+
+  await getMjpegProxyCache().setupNewCamera(id, camera.url, index);
+  const frame = getMjpegProxyCache().getNewestFrame(id, index);
+  // Better a broken image than a frame from whenever the stream died
+  if (!frame) {
+    res.status(503).send("Camera stream isn't sending any frames");
+    return;
+  }
+  res.contentType("image/jpeg");
+  res.send(frame);
+};
+
 router.get(
   "/:id",
   ensureAuthenticated,
   validateParamsMiddleware(M_VALID.MONGO_ID),
-  async (req, res) => {
-    const id = req.paramString("id");
-    const { camURL } = getPrinterStoreCache().getPrinter(id);
-
-    logger.debug(`Requesting new HTTP Stream for ${id} with ${camURL}`);
+  async (req, res, next) => {
+    try {
+      await sendNewestFrame(res, req.paramString("id"), 0);
+    } catch (e) {
+      next(e);
+    }
+  }
+);
 
-    await getMjpegProxyCache().setupNewCamera(id, camURL);
-    res.contentType("image/jpeg");
-    res.send(await getMjpegProxyCache().getNewestFrame(id));
+router.get(
+  "/:id/:camera",
+  ensureAuthenticated,
+  validateParamsMiddleware(P_VALID.PRINTER_CAMERA),
+  async (req, res, next) => {
+    try {
+      await sendNewestFrame(res, req.paramString("id"), parseInt(req.paramString("camera")));
+    } catch (e) {
+      next(e);
+    }
   }
 );
 
@@ -1,7 +1,9 @@
 const express = require('express');
 
 const router = express.Router();
-const { ensureAuthenticated } = require('../middleware/auth');
+const { ensureAuthenticated, requirePermission } = require('../middleware/auth');
+const { auditChange } = require('../middleware/audit');
+const { PERMISSIONS } = require('../constants/permission.constants');
 const Spool = require('../models/Filament.js');
 const Profiles = require('../models/Profiles.js');
 
@@ -24,6 +26,20 @@ const {
 } = require('../utils/filament-manager.utils');
 const { getPrinterStoreCache } = require('../cache/printer-store.cache');
 const { TaskManager } = require('../services/task-manager.service');
+const { FilamentInventory } = require('../services/filament-inventory.service');
+const { checkFilamentSufficiency } = require('../services/filament-check.service');
+const { NotFoundException } = require('../exceptions/runtime.exceptions');
+const {
+  validateBodyMiddleware,
+  validateParamsMiddleware,
+  validateQueryMiddleware,
+} = require('../middleware/validators');
+const F_VALID = require('../constants/validate-filament.constants');
+const M_VALID = require('../constants/validate-mongo.constants');
+const { REORDER_EXPORT_FORMATS } = require('../constants/filament-inventory.constants');
+
+const canEditFilament = requirePermission(PERMISSIONS.EDIT_FILAMENT);
+const canAccessPrinter = requirePermission();
 
 router.get('/get/printerList', ensureAuthenticated, (_req, res) => {
   const printerList = FilamentClean.createPrinterList();
@@ -46,7 +62,7 @@ router.get('/get/filament', ensureAuthenticated, (_req, res) => {
 router.get('/get/dropDownList', ensureAuthenticated, async (_req, res) => {
   res.send({ dropDownList: FilamentClean.getDropDown() });
 });
-router.post('/assign', ensureAuthenticated, async (req, res) => {
+router.post('/assign', ensureAuthenticated, canEditFilament, async (req, res) => {
   logger.info('Request to change selected spool:', req.body.printers);
   const multiSelectEnabled = SettingsClean.isMultipleSelectEnabled();
   await getPrinterStoreCache().assignSpoolToPrinters(
@@ -58,13 +74,14 @@ router.post('/assign', ensureAuthenticated, async (req, res) => {
   res.send({ status: 200 });
 });
 
-router.post('/save/filament', ensureAuthenticated, async (req, res) => {
+router.post('/save/filament', ensureAuthenticated, canEditFilament, async (req, res) => {
   const filament = req.body;
   const errors = [];
   logger.info('Saving Filament Manager Spool: ', filament);
 
   const toSaveSpool = {
     name: filament.spoolsName,
+    colour: filament.spoolsColour || '',
     profile: filament.spoolsProfile,
     price: parseFloat(filament.spoolsPrice),
     weight: parseFloat(filament.spoolsWeight),
@@ -86,13 +103,19 @@ router.post('/save/filament', ensureAuthenticated, async (req, res) => {
       .finally(async () => {
         logger.info('New Spool saved successfully: ', dataFilament);
         TaskManager.forceRunTask('FILAMENT_CLEAN_TASK');
+        auditChange(req, {
+          targetType: 'Spool',
+          targetID: dataFilament._id,
+          after: dataFilament.toJSON(),
+          failed: errors.length > 0,
+        });
         res.send({ errors, dataFilament });
       });
   } else {
     return res.send({ errors });
   }
 });
-router.post('/delete/filament', ensureAuthenticated, async (req, res) => {
+router.post('/delete/filament', ensureAuthenticated, canEditFilament, async (req, res) => {
   const errors = [];
   let searchId = req.bodyString('id');
   logger.info('Deleting Filament Manager Spool: ', searchId);
@@ -103,6 +126,7 @@ router.post('/delete/filament', ensureAuthenticated, async (req, res) => {
     return res.send({ errors });
   }
 
+  const deletedSpool = await Spool.findById(searchId).lean();
   await Spool.deleteOne({ _id: searchId })
     .catch((e) => {
       logger.error('Unable to delete spool... please resync!', e);
@@ -111,14 +135,21 @@ router.post('/delete/filament', ensureAuthenticated, async (req, res) => {
     .finally(() => {
       logger.info('Spool deleted successfully');
       TaskManager.forceRunTask('FILAMENT_CLEAN_TASK');
+      auditChange(req, {
+        targetType: 'Spool',
+        targetID: searchId,
+        before: deletedSpool,
+        failed: errors.length > 0,
+      });
       return res.send({ errors });
     });
 });
-router.post('/edit/filament', ensureAuthenticated, async (req, res) => {
+router.post('/edit/filament', ensureAuthenticated, canEditFilament, async (req, res) => {
   const searchId = req.bodyString('id');
   const errors = [];
   const newContent = req.body.spool;
   const oldSpoolData = await Spool.findById(searchId);
+  const spoolBefore = oldSpoolData.toJSON();
 
   logger.info('New details: ', req.body.spool);
 
@@ -129,6 +160,9 @@ router.post('/edit/filament', ensureAuthenticated, async (req, res) => {
   oldSpoolData.spools.used = parseFloat(newContent[3]);
   oldSpoolData.spools.tempOffset = parseInt(newContent[4]);
   oldSpoolData.spools.bedOffset = parseInt(newContent[5]);
+  if (typeof newContent[7] === 'string') {
+    oldSpoolData.spools.colour = newContent[7].trim();
+  }
 
   oldSpoolData.markModified('spools');
 
@@ -141,11 +175,18 @@ router.post('/edit/filament', ensureAuthenticated, async (req, res) => {
     .finally(() => {
       logger.info('Updated spool saved to database, running filament cleaner');
       TaskManager.forceRunTask('FILAMENT_CLEAN_TASK');
+      auditChange(req, {
+        targetType: 'Spool',
+        targetID: searchId,
+        before: spoolBefore,
+        after: oldSpoolData.toJSON(),
+        failed: errors.length > 0,
+      });
       return res.send({ errors });
     });
 });
 
-router.post('/save/profile', ensureAuthenticated, async (req, res) => {
+router.post('/save/profile', ensureAuthenticated, canEditFilament, async (req, res) => {
   const newProfile = req.body;
   const errors = [];
   logger.info('Saving Filament Manager Profile: ', newProfile);
@@ -168,15 +209,22 @@ router.post('/save/profile', ensureAuthenticated, async (req, res) => {
     .finally(async () => {
       logger.info('New profile saved to database, running filament cleaner');
       TaskManager.forceRunTask('FILAMENT_CLEAN_TASK');
+      auditChange(req, {
+        targetType: 'Profile',
+        targetID: dataProfile._id,
+        after: dataProfile.toJSON(),
+        failed: errors.length > 0,
+      });
       return res.send({ errors });
     });
 });
-router.post('/edit/profile', ensureAuthenticated, async (req, res) => {
+router.post('/edit/profile', ensureAuthenticated, canEditFilament, async (req, res) => {
   let searchId = req.bodyString('id');
   const newContent = req.body.profile;
   const errors = [];
 
   const oldProfileData = await Profiles.findById(searchId);
+  const profileBefore = oldProfileData.toJSON();
 
   logger.info('Profile Edit Request: ', newContent);
 
@@ -194,10 +242,17 @@ router.post('/edit/profile', ensureAuthenticated, async (req, res) => {
     .finally(() => {
       logger.info('Updated profile saved to database, running filament cleaner');
       TaskManager.forceRunTask('FILAMENT_CLEAN_TASK');
+      auditChange(req, {
+        targetType: 'Profile',
+        targetID: searchId,
+        before: profileBefore,
+        after: oldProfileData.toJSON(),
+        failed: errors.length > 0,
+      });
       return res.send({ errors });
     });
 });
-router.post('/delete/profile', ensureAuthenticated, async (req, res) => {
+router.post('/delete/profile', ensureAuthenticated, canEditFilament, async (req, res) => {
   const searchId = req.bodyString('id');
 
   const errors = [];
@@ -211,16 +266,91 @@ router.post('/delete/profile', ensureAuthenticated, async (req, res) => {
     return res.send({ errors });
   }
 
+  const deletedProfile = await Profiles.findById(searchId).lean();
   await Profiles.deleteOne({ _id: searchId })
     .catch((e) => {
       logger.error('Unable to delete profile... please resync!', e);
       errors.push('Unable to delete profile... please resync!');
     })
-    .finally(() => {
+    .finally(async () => {
+      await FilamentInventory.deleteProfileThresholds(searchId);
       logger.info('Profile deleted successfully');
       TaskManager.forceRunTask('FILAMENT_CLEAN_TASK');
+      auditChange(req, {
+        targetType: 'Profile',
+        targetID: searchId,
+        before: deletedProfile,
+        failed: errors.length > 0,
+      });
       return res.send({ errors });
     });
 });
 
+router.get('/inventory', ensureAuthenticated, (_req, res) => {
+  res.send({ inventory: FilamentInventory.getInventory() });
+});
+router.get(
+  '/inventory/reorder',
+  ensureAuthenticated,
+  validateQueryMiddleware(F_VALID.REORDER_EXPORT),
+  (req, res) => {
+    const format = req.queryString('format');
+    if (!format) {
+      return res.send({ reorderList: FilamentInventory.getReorderList() });
+    }
+    const fileName = `octofarm-reorder-list-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.type(format === REORDER_EXPORT_FORMATS.CSV ? 'text/csv; charset=utf-8' : 'application/json');
+    res.send(FilamentInventory.createReorderExport(format));
+  }
+);
+router.post(
+  '/inventory/thresholds',
+  ensureAuthenticated,
+  canEditFilament,
+  validateBodyMiddleware(F_VALID.STOCK_THRESHOLD),
+  async (req, res, next) => {
+    const threshold = {
+      profile: req.bodyString('profile'),
+      colour: req.bodyString('colour') || '',
+      minimum: parseFloat(req.body.minimum),
+    };
+    logger.info('Stock threshold request: ', threshold);
+    try {
+      res.send(await FilamentInventory.setThreshold(threshold));
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+router.delete(
+  '/inventory/thresholds/:id',
+  ensureAuthenticated,
+  canEditFilament,
+  validateParamsMiddleware(M_VALID.MONGO_ID),
+  async (req, res, next) => {
+    const id = req.paramString('id');
+    logger.info('Delete stock threshold request: ', id);
+    try {
+      res.send(await FilamentInventory.deleteThreshold(id));
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+router.get(
+  '/check/:id',
+  ensureAuthenticated,
+  canAccessPrinter,
+  validateParamsMiddleware(M_VALID.MONGO_ID),
+  validateQueryMiddleware(F_VALID.FILAMENT_CHECK),
+  (req, res, next) => {
+    const printer = getPrinterStoreCache().getPrinter(req.paramString('id'));
+    if (!printer) {
+      return next(new NotFoundException(`Printer ${req.paramString('id')} does not exist`));
+    }
+    res.send(checkFilamentSufficiency(printer, req.queryString('fullPath')));
+  }
+);
+
 module.exports = router;
@@ -0,0 +1,136 @@
+const express = require("express");
+
+const router = express.Router();
+const multer = require("multer");
+const { promises: fsPromises } = require("fs");
+const { ensureAuthenticated, requirePermission } = require("../middleware/auth");
+const Logger = require("../handlers/logger.js");
+const { LOGGER_ROUTE_KEYS } = require("../constants/logger.constants");
+const { getFileUploadQueueCache } = require("../cache/file-upload-queue.cache");
+const {
+  ensureFileLibraryFolder,
+  listLibraryFiles,
+  addLibraryFile,
+  deleteLibraryFile
+} = require("../services/file-library.service");
+const { getFileLibraryPath } = require("../utils/system-paths.utils");
+const { ValidationException } = require("../exceptions/runtime.exceptions");
+const { validateBodyMiddleware, validateParamsMiddleware } = require("../middleware/validators");
+const FD_VALID = require("../constants/validate-file-distribution.constants");
+const M_VALID = require("../constants/validate-mongo.constants");
+const { FILE_LIBRARY_UPLOAD_LIMIT } = require("../constants/file-distribution.constants");
+const { PERMISSIONS } = require("../constants/permission.constants");
+
+const logger = new Logger(LOGGER_ROUTE_KEYS.ROUTE_FILES_MANAGER);
+
+const canManageFiles = requirePermission(PERMISSIONS.MANAGE_FILES);
+
+// Written under a temporary name so a half finished upload never replaces a library file
+const libraryUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      ensureFileLibraryFolder().then(
+        () => cb(null, getFileLibraryPath()),
+        (e) => cb(e)
+      );
+    },
+    filename: (req, file, cb) => cb(null, `.upload-${Date.now()}`)
+  }),
+  limits: {
+    fileSize: FILE_LIBRARY_UPLOAD_LIMIT
+  }
+});
+
+const ensureFileNotDistributing = (name) => {
+  if (getFileUploadQueueCache().isFileInUse(name)) {
+    throw new ValidationException({ name: `${name} is still being sent to printers` });
+  }
+};
+
+router.get("/library", ensureAuthenticated, async (req, res, next) => {
+  try {
+    res.send(await listLibraryFiles());
+  } catch (e) {
+    next(e);
+  }
+});
+
+router.post(
+  "/library",
+  ensureAuthenticated,
+  canManageFiles,
+  libraryUpload.single("file"),
+  async (req, res, next) => {
+    if (!req.file) {
+      return res.status(400).send({ file: "No file was uploaded" });
+    }
+    try {
+      ensureFileNotDistributing(req.file.originalname);
+      const libraryFile = await addLibraryFile(req.file.path, req.file.originalname);
+      logger.info("Library file uploaded by", req?.user?.name);
+      res.send(libraryFile);
+    } catch (e) {
+      await fsPromises.rm(req.file.path, { force: true });
+      next(e);
+    }
+  }
+);
+
+router.delete(
+  "/library/:name",
+  ensureAuthenticated,
+  canManageFiles,
+  validateParamsMiddleware(FD_VALID.LIBRARY_FILE_NAME),
+  async (req, res, next) => {
+    const name = req.paramString("name");
+    try {
+      ensureFileNotDistributing(name);
+      await deleteLibraryFile(name);
+      res.send({ deleted: name });
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+router.get("/distributions", ensureAuthenticated, (req, res) => {
+  res.send(getFileUploadQueueCache().getQueueState());
+});
+
+router.post(
+  "/distributions",
+  ensureAuthenticated,
+  canManageFiles,
+  validateBodyMiddleware(FD_VALID.NEW_DISTRIBUTION),
+  async (req, res, next) => {
+    const distribution = {
+      fileName: req.bodyString("fileName"),
+      folder: req.bodyString("folder") || "",
+      print: req.body.print === true || req.body.print === "true",
+      idList: req.body.idList,
+      createdBy: req?.user?.name
+    };
+    logger.info("File distribution request: ", distribution);
+    try {
+      res.send(await getFileUploadQueueCache().addDistribution(distribution));
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+router.delete(
+  "/distributions/:id",
+  ensureAuthenticated,
+  canManageFiles,
+  validateParamsMiddleware(M_VALID.MONGO_ID),
+  async (req, res, next) => {
+    try {
+      res.send(await getFileUploadQueueCache().cancelDistribution(req.paramString("id")));
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+module.exports = router;
@@ -3,7 +3,9 @@ const express = require('express');
 const router = express.Router();
 const _ = require('lodash');
 const HistoryRoutes = require('../models/History.js');
-const { ensureAuthenticated } = require('../middleware/auth');
+const { ensureAuthenticated, requirePermission } = require('../middleware/auth');
+const { auditChange } = require('../middleware/audit');
+const { PERMISSIONS } = require('../constants/permission.constants');
 const Printers = require('../models/Printer.js');
 const Spools = require('../models/Filament.js');
 const Profiles = require('../models/Profiles.js');
@@ -11,15 +13,37 @@ const { getHistoryCache } = require('../cache/history.cache');
 const { sortOptions } = require('../constants/history-sort.constants');
 const { generatePrinterStatistics } = require('../services/printer-statistics.service');
 const { getPrinterStoreCache } = require('../cache/printer-store.cache');
-const { validateParamsMiddleware } = require('../middleware/validators');
+const multer = require('multer');
+const {
+  validateBodyMiddleware,
+  validateParamsMiddleware,
+  validateQueryMiddleware,
+} = require('../middleware/validators');
 const M_VALID = require('../constants/validate-mongo.constants');
+const H_VALID = require('../constants/validate-history.constants');
+const { HISTORY_IMPORT_FILE_LIMIT } = require('../constants/history-export.constants');
+const { streamHistoryExport, importHistory } = require('../services/history-export.service');
+const { classifyFailure } = require('../services/history-failure.service');
+const { getHistoryTemperatures } = require('../services/temperature-history.service');
 
-router.post('/update', ensureAuthenticated, async (req, res) => {
+const canEditHistory = requirePermission(PERMISSIONS.EDIT_HISTORY);
+const canControlPrinters = requirePermission(PERMISSIONS.CONTROL_PRINTERS);
+
+// Imports are parsed straight from memory, nothing needs to land on disk
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: HISTORY_IMPORT_FILE_LIMIT,
+  },
+});
+
+router.post('/update', ensureAuthenticated, canEditHistory, async (req, res) => {
   // Check required fields
   const note = req.bodyString('note');
   const filamentId = req.body.filamentId;
   const id = req.bodyString('id');
   const history = await HistoryRoutes.findById(id);
+  const historyBefore = history.toJSON();
   if (history.printHistory.notes !== note) {
     history.printHistory.notes = note;
   }
@@ -66,13 +90,20 @@ router.post('/update', ensureAuthenticated, async (req, res) => {
   history.save().then(() => {
     getHistoryCache().initCache();
   });
+  auditChange(req, {
+    targetType: 'History',
+    targetID: id,
+    before: historyBefore,
+    after: history.toJSON(),
+  });
   res.send('success');
 });
 //Register Handle for Saving printers
-router.post('/delete', ensureAuthenticated, async (req, res) => {
+router.post('/delete', ensureAuthenticated, canEditHistory, async (req, res) => {
   //Check required fields
   const deleteHistory = req.bodyString('id');
-  await HistoryRoutes.findOneAndDelete({ _id: deleteHistory }).then(() => {
+  await HistoryRoutes.findOneAndDelete({ _id: deleteHistory }).then((deleted) => {
+    auditChange(req, { targetType: 'History', targetID: deleteHistory, before: deleted?.toJSON() });
     getHistoryCache().initCache();
   });
   res.send('success');
@@ -102,6 +133,7 @@ router.get('/get', ensureAuthenticated, async (req, res) => {
   const printerNameFilter = req.queryString('printerNameFilter');
   const printerGroupFilter = req.queryString('printerGroupFilter');
   const printerSearch = req.queryString('printerSearch');
+  const failureReasonFilter = req.queryString('failureReasonFilter');
 
   const findOptions = {
     'printHistory.endDate': { $gte: new Date(lastDate), $lte: new Date(firstDate) },
@@ -119,6 +151,10 @@ router.get('/get', ensureAuthenticated, async (req, res) => {
     findOptions['printHistory.printerGroup'] = printerGroupFilter;
   }
 
+  if (failureReasonFilter) {
+    findOptions['printHistory.failureReason'] = failureReasonFilter;
+  }
+
   if (pathFilter) {
     findOptions['printHistory.job.file.path'] = new RegExp(pathFilter, 'g');
   }
@@ -174,7 +210,7 @@ router.get('/statisticsData', ensureAuthenticated, async (req, res) => {
 
   res.send({ history: stats });
 });
-router.post('/updateCostMatch', ensureAuthenticated, async (req, res) => {
+router.post('/updateCostMatch', ensureAuthenticated, canEditHistory, async (req, res) => {
   const latest = req.bodyString('id');
 
   // Find history and matching printer ID
@@ -229,4 +265,77 @@ router.get(
   }
 );
 
+router.get(
+  '/temperatures/:id',
+  ensureAuthenticated,
+  validateParamsMiddleware(M_VALID.MONGO_ID),
+  validateQueryMiddleware(H_VALID.HISTORY_TEMPERATURES),
+  async (req, res, next) => {
+    try {
+      res.send(await getHistoryTemperatures(req.paramString('id'), req.queryString('points')));
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+router.get(
+  '/export',
+  ensureAuthenticated,
+  validateQueryMiddleware(H_VALID.HISTORY_EXPORT),
+  async (req, res, next) => {
+    try {
+      await streamHistoryExport(res, {
+        format: req.queryString('format'),
+        from: req.queryString('from'),
+        to: req.queryString('to'),
+        printers: req.queryString('printers'),
+        columns: req.queryString('columns'),
+        currency: req.queryString('currency'),
+        locale: req.queryString('locale'),
+      });
+    } catch (e) {
+      // Once streaming has started the only thing left to do is cut the download short
+      if (res.headersSent) {
+        return res.destroy(e);
+      }
+      next(e);
+    }
+  }
+);
+
+router.post(
+  '/import',
+  ensureAuthenticated,
+  canEditHistory,
+  importUpload.single('historyFile'),
+  async (req, res, next) => {
+    if (!req.file) {
+      return res.status(400).send({ file: 'No history export file was uploaded' });
+    }
+    try {
+      res.send(await importHistory(req.file.buffer));
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+// Operators answer the failure prompt from the monitoring views, so this isn't an edit permission
+router.post(
+  '/failureReason/:id',
+  ensureAuthenticated,
+  canControlPrinters,
+  validateParamsMiddleware(M_VALID.MONGO_ID),
+  validateBodyMiddleware(H_VALID.FAILURE_REASON),
+  async (req, res, next) => {
+    try {
+      const history = await classifyFailure(req.paramString('id'), req.bodyString('failureReason'));
+      res.send({ failureReason: history.printHistory.failureReason });
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
 module.exports = router;
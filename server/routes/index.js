@@ -7,7 +7,11 @@ const prettyHelpers = require('../templates/partials/functions/pretty.js');
 const { FilamentClean } = require('../services/filament-cleaner.service.js');
 const { SettingsClean } = require('../services/settings-cleaner.service.js');
 const { FileClean } = require('../services/file-cleaner.service.js');
-const { getSorting, getFilter } = require('../services/front-end-sorting.service.js');
+const {
+  getSorting,
+  getFilter,
+  getSavedViews,
+} = require('../services/front-end-sorting.service.js');
 const { AppConstants } = require('../constants/app.constants');
 const { getDefaultDashboardSettings } = require('../constants/settings.constants');
 const { getHistoryCache } = require('../cache/history.cache');
@@ -144,8 +148,9 @@ router.get('/history', ensureAuthenticated, ensureCurrentUserAndGroup, async (re
 router.get('/mon/panel', ensureAuthenticated, ensureCurrentUserAndGroup, async (req, res) => {
   const printers = getPrinterStoreCache().listPrintersInformation();
   const dashStatistics = getDashboardStatistics();
-  const currentSort = getSorting();
-  const currentFilter = getFilter();
+  const currentSort = getSorting(req.user.clientSettings);
+  const currentFilter = getFilter(req.user.clientSettings);
+  const savedViews = getSavedViews(req.user.clientSettings);
   const serverSettings = SettingsClean.returnSystemSettings();
   getPrinterManagerCache().updateGroupList();
   let printGroups = getPrinterManagerCache().returnGroupList();
@@ -165,7 +170,7 @@ router.get('/mon/panel', ensureAuthenticated, ensureCurrentUserAndGroup, async (
     clientSettings: req.user.clientSettings,
     printGroups,
     serverSettings,
-    currentChanges: { currentSort, currentFilter },
+    currentChanges: { currentSort, currentFilter, savedViews },
     dashboardStatistics: dashStatistics,
   });
 });
@@ -174,8 +179,9 @@ router.get('/mon/camera', ensureAuthenticated, ensureCurrentUserAndGroup, async
   const printers = getPrinterStoreCache().listPrintersInformation();
   const serverSettings = SettingsClean.returnSystemSettings();
   const dashStatistics = getDashboardStatistics();
-  const currentSort = getSorting();
-  const currentFilter = getFilter();
+  const currentSort = getSorting(req.user.clientSettings);
+  const currentFilter = getFilter(req.user.clientSettings);
+  const savedViews = getSavedViews(req.user.clientSettings);
   getPrinterManagerCache().updateGroupList();
   let printGroups = getPrinterManagerCache().returnGroupList();
   if (typeof printGroups === 'undefined') {
@@ -194,7 +200,7 @@ router.get('/mon/camera', ensureAuthenticated, ensureCurrentUserAndGroup, async
     clientSettings: req.user.clientSettings,
     printGroups,
     serverSettings,
-    currentChanges: { currentSort, currentFilter },
+    currentChanges: { currentSort, currentFilter, savedViews },
     dashboardStatistics: dashStatistics,
   });
 });
@@ -202,8 +208,9 @@ router.get('/mon/group', ensureAuthenticated, ensureCurrentUserAndGroup, async (
   const printers = getPrinterStoreCache().listPrintersInformation();
   const serverSettings = SettingsClean.returnSystemSettings();
 
-  const currentSort = getSorting();
-  const currentFilter = getFilter();
+  const currentSort = getSorting(req.user.clientSettings);
+  const currentFilter = getFilter(req.user.clientSettings);
+  const savedViews = getSavedViews(req.user.clientSettings);
   getPrinterManagerCache().updateGroupList();
   let printGroups = getPrinterManagerCache().returnGroupList();
   if (typeof printGroups === 'undefined') {
@@ -222,7 +229,7 @@ router.get('/mon/group', ensureAuthenticated, ensureCurrentUserAndGroup, async (
     clientSettings: req.user.clientSettings,
     printGroups,
     serverSettings,
-    currentChanges: { currentSort, currentFilter },
+    currentChanges: { currentSort, currentFilter, savedViews },
   });
 });
 // List view  Page
@@ -231,8 +238,9 @@ router.get('/mon/list', ensureAuthenticated, ensureCurrentUserAndGroup, async (r
   const serverSettings = SettingsClean.returnSystemSettings();
   const clientSettings = SettingsClean.returnClientSettings();
   const dashStatistics = getDashboardStatistics();
-  const currentSort = getSorting();
-  const currentFilter = getFilter();
+  const currentSort = getSorting(req.user.clientSettings);
+  const currentFilter = getFilter(req.user.clientSettings);
+  const savedViews = getSavedViews(req.user.clientSettings);
   getPrinterManagerCache().updateGroupList();
   let printGroups = getPrinterManagerCache().returnGroupList();
   if (typeof printGroups === 'undefined') {
@@ -251,7 +259,7 @@ router.get('/mon/list', ensureAuthenticated, ensureCurrentUserAndGroup, async (r
     clientSettings,
     printGroups,
     serverSettings,
-    currentChanges: { currentSort, currentFilter },
+    currentChanges: { currentSort, currentFilter, savedViews },
     dashboardStatistics: dashStatistics,
   });
 });
@@ -260,8 +268,9 @@ router.get('/mon/combined', ensureAuthenticated, ensureCurrentUserAndGroup, asyn
   const printers = getPrinterStoreCache().listPrintersInformation();
   const serverSettings = SettingsClean.returnSystemSettings();
   const dashStatistics = getDashboardStatistics();
-  const currentSort = getSorting();
-  const currentFilter = getFilter();
+  const currentSort = getSorting(req.user.clientSettings);
+  const currentFilter = getFilter(req.user.clientSettings);
+  const savedViews = getSavedViews(req.user.clientSettings);
   getPrinterManagerCache().updateGroupList();
   let printGroups = getPrinterManagerCache().returnGroupList();
   if (typeof printGroups === 'undefined') {
@@ -280,7 +289,7 @@ router.get('/mon/combined', ensureAuthenticated, ensureCurrentUserAndGroup, asyn
     clientSettings: req.user.clientSettings,
     printGroups,
     serverSettings,
-    currentChanges: { currentSort, currentFilter },
+    currentChanges: { currentSort, currentFilter, savedViews },
     dashboardStatistics: dashStatistics,
   });
 });
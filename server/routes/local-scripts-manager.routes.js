@@ -9,6 +9,7 @@ const logger = new Logger(LOGGER_ROUTE_KEYS.ROUTE_LOCAL_SCRIPTS);
 const Alerts = require("../models/Alerts.js");
 
 const script = require("../services/local-scripts.service.js");
+const { WebhookRunner } = require("../services/webhook-alerts.service.js");
 const { validateBodyMiddleware, validateParamsMiddleware } = require("../middleware/validators");
 const S_VALID = require("../constants/validate-script.constants");
 const M_VALID = require("../constants/validate-mongo.constants");
@@ -54,20 +55,56 @@ router.post(
     res.send({ testFire: testFire, status: 200 });
   }
 );
-router.post("/save", ensureAuthenticated, ensureAdministrator, async (req, res) => {
+router.post(
+  "/testWebhook",
+  ensureAuthenticated,
+  ensureAdministrator,
+  validateBodyMiddleware(S_VALID.WEBHOOK_TEST),
+  async (req, res, next) => {
+    const message = req.bodyString("message");
+    try {
+      const webhook = WebhookRunner.cleanWebhook(req.body.webhook);
+      const body = await WebhookRunner.buildBody(webhook.bodyTemplate, message);
+      const delivery = await WebhookRunner.test(webhook, body);
+      res.send({ delivery, status: 200 });
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+router.get("/deliveries", ensureAuthenticated, ensureAdministrator, async (req, res) => {
+  const deliveries = await WebhookRunner.listDeliveries();
+  res.send({ deliveries, status: 200 });
+});
+router.post("/save", ensureAuthenticated, ensureAdministrator, async (req, res, next) => {
   //Grab the API body
   const opts = req.body;
   //Send Dashboard to Runner..
-  let save = await Script.save(opts.printer, opts.trigger, opts.message, opts.scriptLocation);
-  //Return printers added...
-  res.send({ message: save, status: 200 });
+  try {
+    let save = await Script.save(
+      opts.printer,
+      opts.trigger,
+      opts.message,
+      opts.scriptLocation,
+      opts.type,
+      opts.webhook
+    );
+    //Return printers added...
+    res.send({ message: save, status: 200 });
+  } catch (e) {
+    next(e);
+  }
 });
-router.post("/edit", ensureAuthenticated, ensureAdministrator, async (req, res) => {
+router.post("/edit", ensureAuthenticated, ensureAdministrator, async (req, res, next) => {
   //Grab the API body
   const opts = req.body;
   //Send Dashboard to Runner..
-  let save = await Script.edit(opts);
-  //Return printers added...
-  res.send({ message: save, status: 200 });
+  try {
+    let save = await Script.edit(opts);
+    //Return printers added...
+    res.send({ message: save, status: 200 });
+  } catch (e) {
+    next(e);
+  }
 });
 module.exports = router;
@@ -0,0 +1,133 @@
+const express = require("express");
+
+const router = express.Router();
+const { ensureAuthenticated, requirePermission } = require("../middleware/auth");
+const Logger = require("../handlers/logger.js");
+const { LOGGER_ROUTE_KEYS } = require("../constants/logger.constants");
+const { getMaintenanceCache } = require("../cache/maintenance.cache");
+const { validateBodyMiddleware, validateParamsMiddleware } = require("../middleware/validators");
+const MT_VALID = require("../constants/validate-maintenance.constants");
+const M_VALID = require("../constants/validate-mongo.constants");
+const { PERMISSIONS } = require("../constants/permission.constants");
+
+const logger = new Logger(LOGGER_ROUTE_KEYS.ROUTE_MAINTENANCE);
+
+const canChangeSettings = requirePermission(PERMISSIONS.SYSTEM_SETTINGS);
+const canControlPrinters = requirePermission(PERMISSIONS.CONTROL_PRINTERS);
+const canAccessPrinter = requirePermission();
+
+router.get("/", ensureAuthenticated, (req, res) => {
+  res.send(getMaintenanceCache().getMaintenanceState());
+});
+
+router.get("/status", ensureAuthenticated, (req, res) => {
+  res.send(getMaintenanceCache().listMaintenanceStatus());
+});
+
+router.get("/tasks", ensureAuthenticated, (req, res) => {
+  res.send(getMaintenanceCache().listTasks());
+});
+
+router.post(
+  "/tasks",
+  ensureAuthenticated,
+  canChangeSettings,
+  validateBodyMiddleware(MT_VALID.NEW_MAINTENANCE_TASK),
+  async (req, res, next) => {
+    const newTask = {
+      name: req.bodyString("name"),
+      description: req.bodyString("description") || "",
+      printerID: req.bodyString("printerID") || undefined,
+      group: req.bodyString("group") || "",
+      intervalType: req.bodyString("intervalType"),
+      interval: parseFloat(req.body.interval),
+      blockWhenOverdue: req.body.blockWhenOverdue === true,
+      createdBy: req?.user?.name
+    };
+    logger.info("New maintenance task request: ", newTask);
+    try {
+      res.send(await getMaintenanceCache().addTask(newTask));
+    } catch (e) {
+      logger.error("Couldn't add maintenance task...", e.message);
+      next(e);
+    }
+  }
+);
+
+router.patch(
+  "/tasks/:id",
+  ensureAuthenticated,
+  canChangeSettings,
+  validateParamsMiddleware(M_VALID.MONGO_ID),
+  validateBodyMiddleware(MT_VALID.UPDATE_MAINTENANCE_TASK),
+  async (req, res, next) => {
+    const id = req.paramString("id");
+    const update = {
+      name: req.bodyString("name") || undefined,
+      description: req.body.description !== undefined ? req.bodyString("description") : undefined,
+      interval: req.body.interval !== undefined ? parseFloat(req.body.interval) : undefined,
+      blockWhenOverdue: req.body.blockWhenOverdue
+    };
+    logger.info("Update maintenance task request: ", { id, ...update });
+    try {
+      res.send(await getMaintenanceCache().updateTask(id, update));
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+router.delete(
+  "/tasks/:id",
+  ensureAuthenticated,
+  canChangeSettings,
+  validateParamsMiddleware(M_VALID.MONGO_ID),
+  async (req, res, next) => {
+    const id = req.paramString("id");
+    logger.info("Delete maintenance task request: ", id);
+    try {
+      res.send(await getMaintenanceCache().deleteTask(id));
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+router.post(
+  "/tasks/:id/complete",
+  ensureAuthenticated,
+  canControlPrinters,
+  validateParamsMiddleware(M_VALID.MONGO_ID),
+  validateBodyMiddleware(MT_VALID.COMPLETE_MAINTENANCE_TASK),
+  async (req, res, next) => {
+    const id = req.paramString("id");
+    const printerID = req.bodyString("printerID");
+    const completion = {
+      notes: req.bodyString("notes") || "",
+      completedBy: req?.user?.name
+    };
+    logger.info("Maintenance completed request: ", { id, printerID, ...completion });
+    try {
+      res.send(await getMaintenanceCache().completeTask(id, printerID, completion));
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+router.get(
+  "/history/:id",
+  ensureAuthenticated,
+  canAccessPrinter,
+  validateParamsMiddleware(M_VALID.MONGO_ID),
+  async (req, res, next) => {
+    const printerID = req.paramString("id");
+    try {
+      res.send(await getMaintenanceCache().listServiceHistory(printerID));
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require("express");
+
+const router = express.Router();
+const { ensureApiAuthenticated } = require("../middleware/auth");
+const Logger = require("../handlers/logger.js");
+const { LOGGER_ROUTE_KEYS } = require("../constants/logger.constants");
+const { generatePrometheusMetrics } = require("../services/prometheus-metrics.service");
+const { PROMETHEUS_CONTENT_TYPE } = require("../constants/metrics.constants");
+
+const logger = new Logger(LOGGER_ROUTE_KEYS.ROUTE_METRICS);
+
+router.get("/", ensureApiAuthenticated, (req, res, next) => {
+  try {
+    res.setHeader("Content-Type", PROMETHEUS_CONTENT_TYPE);
+    res.send(generatePrometheusMetrics(req.user));
+  } catch (e) {
+    logger.error("Unable to generate metrics", e.toString());
+    next(e);
+  }
+});
+
+module.exports = router;
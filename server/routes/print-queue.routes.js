@@ -0,0 +1,96 @@
+const express = require("express");
+
+const router = express.Router();
+const { ensureAuthenticated, requirePermission } = require("../middleware/auth");
+const Logger = require("../handlers/logger.js");
+const { LOGGER_ROUTE_KEYS } = require("../constants/logger.constants");
+const { getPrintQueueCache } = require("../cache/print-queue.cache");
+const { getPrinterStoreCache } = require("../cache/printer-store.cache");
+const { TaskManager } = require("../services/task-manager.service");
+const { validateBodyMiddleware, validateParamsMiddleware } = require("../middleware/validators");
+const Q_VALID = require("../constants/validate-print-queue.constants");
+const M_VALID = require("../constants/validate-mongo.constants");
+const { PERMISSIONS } = require("../constants/permission.constants");
+const { filterPrintersForUser, filterQueueStateForUser } = require("../utils/permissions.utils");
+
+const logger = new Logger(LOGGER_ROUTE_KEYS.ROUTE_PRINT_QUEUE);
+
+const canControlPrinters = requirePermission(PERMISSIONS.CONTROL_PRINTERS);
+
+const listUserPrinters = (req) =>
+  filterPrintersForUser(getPrinterStoreCache().listPrintersInformation(), req.user);
+
+router.get("/", ensureAuthenticated, (req, res) => {
+  res.send(
+    filterQueueStateForUser(getPrintQueueCache().getQueueState(), listUserPrinters(req), req.user)
+  );
+});
+
+router.get("/files", ensureAuthenticated, (req, res) => {
+  res.send(getPrinterStoreCache().listUniqueFilePaths(listUserPrinters(req)));
+});
+
+router.post(
+  "/",
+  ensureAuthenticated,
+  canControlPrinters,
+  validateBodyMiddleware(Q_VALID.NEW_QUEUE_JOB),
+  async (req, res, next) => {
+    const newJob = {
+      filePath: req.bodyString("filePath"),
+      copies: parseInt(req.body.copies) || 1,
+      priority: parseInt(req.body.priority) || 0,
+      targetGroup: req.bodyString("targetGroup") || "",
+      targetMaterial: req.bodyString("targetMaterial") || "",
+      createdBy: req?.user?.name
+    };
+    logger.info("Queue job request: ", newJob);
+    try {
+      const job = await getPrintQueueCache().addJob(newJob);
+      TaskManager.forceRunTask("PRINT_QUEUE_DISPATCH_TASK");
+      res.send(job);
+    } catch (e) {
+      logger.error("Couldn't queue job...", e.message);
+      next(e);
+    }
+  }
+);
+
+router.patch(
+  "/:id",
+  ensureAuthenticated,
+  canControlPrinters,
+  validateParamsMiddleware(M_VALID.MONGO_ID),
+  validateBodyMiddleware(Q_VALID.UPDATE_QUEUE_JOB),
+  async (req, res, next) => {
+    const id = req.paramString("id");
+    const update = {
+      copies: req.body.copies !== undefined ? parseInt(req.body.copies) : undefined,
+      priority: req.body.priority !== undefined ? parseInt(req.body.priority) : undefined
+    };
+    logger.info("Update queued job request: ", { id, ...update });
+    try {
+      res.send(await getPrintQueueCache().updateJob(id, update));
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+router.delete(
+  "/:id",
+  ensureAuthenticated,
+  canControlPrinters,
+  validateParamsMiddleware(M_VALID.MONGO_ID),
+  async (req, res, next) => {
+    const id = req.paramString("id");
+    logger.info("Cancel queued job request: ", id);
+    try {
+      res.send(await getPrintQueueCache().cancelJob(id));
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+module.exports = router;
@@ -1,7 +1,7 @@
 const express = require("express");
 
 const router = express.Router();
-const { ensureAuthenticated, ensureAdministrator } = require("../middleware/auth");
+const { ensureAuthenticated, requirePermission } = require("../middleware/auth");
 const { ensureCurrentUserAndGroup } = require("../middleware/users");
 const Logger = require("../handlers/logger.js");
 const { LOGGER_ROUTE_KEYS } = require("../constants/logger.constants");
@@ -16,7 +16,14 @@ const { getPrinterStoreCache } = require("../cache/printer-store.cache");
 const { returnPrinterHealthChecks } = require("../store/printer-health-checks.store");
 const { getPluginList, getPluginNoticesList } = require("../store/octoprint-plugin-list.store");
 const { generatePrinterStatistics } = require("../services/printer-statistics.service");
-const { validateBodyMiddleware, validateParamsMiddleware } = require("../middleware/validators");
+const { getTemperatureHistory } = require("../services/temperature-history.service");
+const { recommendPrinters } = require("../services/job-placement.service");
+const { createQuote } = require("../services/job-quote.service");
+const {
+  validateBodyMiddleware,
+  validateParamsMiddleware,
+  validateQueryMiddleware
+} = require("../middleware/validators");
 const P_VALID = require("../constants/validate-printers.constants");
 const M_VALID = require("../constants/validate-mongo.constants");
 const { sortBy } = require("lodash");
@@ -24,11 +31,20 @@ const ConnectionMonitorService = require("../services/connection-monitor.service
 const { generateRandomName } = require("../services/printer-name-generator.service");
 const { getEventEmitterCache } = require("../cache/event-emitter.cache");
 const { updateUserActionLog } = require("../services/user-actions-log.service");
+const { TaskManager } = require("../services/task-manager.service");
+const { PERMISSIONS } = require("../constants/permission.constants");
+const { filterPrintersForUser, hidePrinterAPIKeys } = require("../utils/permissions.utils");
+
+const canControlPrinters = requirePermission(PERMISSIONS.CONTROL_PRINTERS);
+const canManageFiles = requirePermission(PERMISSIONS.MANAGE_FILES);
+const canChangeSettings = requirePermission(PERMISSIONS.SYSTEM_SETTINGS);
+// No permission needed, but the user must be allowed to see the printer
+const canAccessPrinter = requirePermission();
 
 router.post(
   "/add",
   ensureAuthenticated,
-  ensureAdministrator,
+  canChangeSettings,
   validateBodyMiddleware(P_VALID.NEW_PRINTER),
   async (req, res) => {
     // Grab the API body
@@ -44,7 +60,7 @@ router.post(
 router.post(
   "/update",
   ensureAuthenticated,
-  ensureAdministrator,
+  canChangeSettings,
   validateBodyMiddleware(P_VALID.UPDATE_PRINTERS),
   (req, res) => {
     // Grab the API body
@@ -59,7 +75,7 @@ router.post(
 router.post(
   "/remove",
   ensureAuthenticated,
-  ensureAdministrator,
+  canChangeSettings,
   validateBodyMiddleware(P_VALID.PRINTER_ID_LIST),
   async (req, res) => {
     // Grab the API body
@@ -73,14 +89,14 @@ router.post(
 );
 
 // Register Handle for Saving printers
-router.post("/removefile", ensureAuthenticated, async (req, res) => {
+router.post("/removefile", ensureAuthenticated, canManageFiles, async (req, res) => {
   // Check required fields
   const file = req.body;
   logger.info("File deletion request: ", file.i);
   getPrinterStoreCache().deleteFile(file.i, file.fullPath);
   res.send("success");
 });
-router.post("/removefolder", ensureAuthenticated, async (req, res) => {
+router.post("/removefolder", ensureAuthenticated, canManageFiles, async (req, res) => {
   // Check required fields
   const folder = req.body;
   logger.info("Folder deletion request: ", folder.fullPath);
@@ -90,6 +106,7 @@ router.post("/removefolder", ensureAuthenticated, async (req, res) => {
 router.post(
   "/resyncFile",
   ensureAuthenticated,
+  canManageFiles,
   validateBodyMiddleware(P_VALID.FILE_SYNC),
   async (req, res) => {
     // Check required fields
@@ -113,6 +130,7 @@ router.post(
 router.post(
   "/nukeFiles",
   ensureAuthenticated,
+  canManageFiles,
   validateBodyMiddleware(P_VALID.PRINTER_ID),
   async (req, res) => {
     // Check required fields
@@ -125,6 +143,7 @@ router.post(
 router.post(
   "/getHouseCleanList",
   ensureAuthenticated,
+  canManageFiles,
   validateBodyMiddleware(P_VALID.HOUSE_KEEPING),
   async (req, res) => {
     // Check required fields
@@ -141,6 +160,7 @@ router.post(
 router.post(
   "/houseCleanFiles",
   ensureAuthenticated,
+  canManageFiles,
   validateBodyMiddleware(P_VALID.BULK_FILE_DELETE),
   async (req, res) => {
     // Check required fields
@@ -153,25 +173,25 @@ router.post(
     res.send(deletedList);
   }
 );
-router.post("/stepChange", ensureAuthenticated, async (req, res) => {
+router.post("/stepChange", ensureAuthenticated, canControlPrinters, async (req, res) => {
   // Check required fields
   const step = req.body;
   getPrinterStoreCache().updateStepRate(step.printer, step.newSteps);
   res.send("success");
 });
-router.post("/flowChange", ensureAuthenticated, async (req, res) => {
+router.post("/flowChange", ensureAuthenticated, canControlPrinters, async (req, res) => {
   // Check required fields
   const step = req.body;
   getPrinterStoreCache().updateFlowRate(step.printer, step.newSteps);
   res.send("success");
 });
-router.post("/feedChange", ensureAuthenticated, async (req, res) => {
+router.post("/feedChange", ensureAuthenticated, canControlPrinters, async (req, res) => {
   // Check required fields
   const step = req.body;
   getPrinterStoreCache().updateFeedRate(step.printer, step.newSteps);
   res.send("success");
 });
-router.post("/editPrinter", ensureAuthenticated, ensureAdministrator, async (req, res) => {
+router.post("/editPrinter", ensureAuthenticated, canChangeSettings, async (req, res) => {
   // Check required fields
   const settings = req.body;
   logger.info("Update printers settings request: ", settings);
@@ -183,7 +203,7 @@ router.post("/editPrinter", ensureAuthenticated, ensureAdministrator, async (req
     res.send({ status: 500 });
   }
 });
-router.post("/updateSettings", ensureAuthenticated, ensureAdministrator, async (req, res) => {
+router.post("/updateSettings", ensureAuthenticated, canChangeSettings, async (req, res) => {
   // Check required fields
   const settings = req.body;
   logger.info("Update printers settings request: ", settings);
@@ -209,31 +229,36 @@ router.get("/groups", ensureAuthenticated, async (req, res) => {
   res.send(groups);
 });
 
+const returnPrinterInformation = (req, res) => {
+  const id = req?.body?.i;
+  if (!id) {
+    const onlyDisabled = req.query.disabled === "true";
+    const showFullList = req.query.fullList === "true";
+    const printers = filterPrintersForUser(
+      getPrinterStoreCache().listPrintersInformation(showFullList, onlyDisabled),
+      req.user
+    );
+    return res.send(hidePrinterAPIKeys(printers, req));
+  }
+  const [printer] = hidePrinterAPIKeys([getPrinterStoreCache().getPrinterInformation(id)], req);
+  res.send(printer);
+};
+
 router.post(
   "/printerInfo",
   ensureAuthenticated,
   validateBodyMiddleware(P_VALID.PRINTER_ID),
-  async (req, res) => {
-    const id = req.body.i;
-    let returnedPrinterInformation;
-    if (!id) {
-      const onlyDisabled = req.query.disabled === "true";
-      const showFullList = req.query.fullList === "true";
-      returnedPrinterInformation = getPrinterStoreCache().listPrintersInformation(
-        showFullList,
-        onlyDisabled
-      );
-    } else {
-      returnedPrinterInformation = getPrinterStoreCache().getPrinterInformation(id);
-    }
-    res.send(returnedPrinterInformation);
-  }
+  canAccessPrinter,
+  returnPrinterInformation
 );
 
+// Read only access for API key integrations
+router.get("/printerInfo", ensureAuthenticated, canAccessPrinter, returnPrinterInformation);
+
 router.post(
   "/updatePrinterSettings",
   ensureAuthenticated,
-  ensureAdministrator,
+  canChangeSettings,
   validateBodyMiddleware(P_VALID.PRINTER_ID),
   async (req, res) => {
     const id = req.body.i;
@@ -255,7 +280,7 @@ router.post(
   }
 );
 
-router.post("/moveFile", ensureAuthenticated, async (req, res) => {
+router.post("/moveFile", ensureAuthenticated, canManageFiles, async (req, res) => {
   const data = req.body;
   if (data.newPath === "/") {
     data.newPath = "local";
@@ -265,23 +290,23 @@ router.post("/moveFile", ensureAuthenticated, async (req, res) => {
   getPrinterStoreCache().moveFile(data.index, data.newPath, data.newFullPath, data.fileName);
   res.send({ msg: "success" });
 });
-router.post("/moveFolder", ensureAuthenticated, async (req, res) => {
+router.post("/moveFolder", ensureAuthenticated, canManageFiles, async (req, res) => {
   const data = req.body;
   logger.info("Move folder request: ", data);
   getPrinterStoreCache().moveFolder(data.index, data.oldFolder, data.newFullPath, data.folderName);
   res.send({ msg: "success" });
 });
-router.post("/newFolder", ensureAuthenticated, async (req, res) => {
+router.post("/newFolder", ensureAuthenticated, canManageFiles, async (req, res) => {
   const data = req.body;
   logger.info("New folder request: ", data);
   res.send({ msg: "success", files: getPrinterStoreCache().addNewFolder(data) });
 });
-router.post("/newFiles", ensureAuthenticated, async (req, res) => {
+router.post("/newFiles", ensureAuthenticated, canManageFiles, async (req, res) => {
   const data = req.body;
   logger.info("Adding a new file to server: ", data);
   res.send({ msg: "success", files: getPrinterStoreCache().addNewFile(data) });
 });
-router.post("/reSyncAPI", ensureAuthenticated, ensureAdministrator, async (req, res) => {
+router.post("/reSyncAPI", ensureAuthenticated, canChangeSettings, async (req, res) => {
   const id = req.body.id;
   const force = req.body.force;
   logger.info(`Rescan ${id ? id : "All"} OctoPrint Requested. Forced: `, { force: force });
@@ -290,14 +315,14 @@ router.post("/reSyncAPI", ensureAuthenticated, ensureAdministrator, async (req,
   res.send({ msg: reScanApi });
 });
 
-router.post("/forceReconnect", ensureAuthenticated, ensureAdministrator, async (req, res) => {
+router.post("/forceReconnect", ensureAuthenticated, canChangeSettings, async (req, res) => {
   const id = req.body.id;
   logger.info(`Force Reconnect ${id ? id : "no id provided..."}`);
   const forceReconnect = await getPrinterStoreCache().forceReconnectPrinter(id);
   res.send({ msg: forceReconnect });
 });
 
-router.post("/reSyncSockets", ensureAuthenticated, async (req, res) => {
+router.post("/reSyncSockets", ensureAuthenticated, canControlPrinters, async (req, res) => {
   const id = req.body.id;
   logger.info("Rescan All OctoPrint Requests: ");
   try {
@@ -311,7 +336,7 @@ router.post("/reSyncSockets", ensureAuthenticated, async (req, res) => {
     res.send({ status: "error", msg: `Couldn't Reconnect Socket! : ${e.message}` });
   }
 });
-router.post("/wakeHost", ensureAuthenticated, async (req, res) => {
+router.post("/wakeHost", ensureAuthenticated, canControlPrinters, async (req, res) => {
   const data = req.body;
   logger.info("Action wake host: ", data);
   await Script.wol(data);
@@ -320,7 +345,7 @@ router.post("/wakeHost", ensureAuthenticated, async (req, res) => {
 router.post(
   "/updateSortIndex",
   ensureAuthenticated,
-  ensureAdministrator,
+  canChangeSettings,
   validateBodyMiddleware(P_VALID.PRINTER_ID_LIST),
   async (req, res) => {
     const data = req.body.idList;
@@ -331,7 +356,7 @@ router.post(
 router.get(
   "/connectionLogs/:id",
   ensureAuthenticated,
-  ensureAdministrator,
+  canChangeSettings,
   validateParamsMiddleware(M_VALID.MONGO_ID),
   async (req, res) => {
     const id = req.paramString("id");
@@ -341,6 +366,89 @@ router.get(
     res.send(connectionLogs);
   }
 );
+router.get(
+  "/recommendations/:id",
+  ensureAuthenticated,
+  canAccessPrinter,
+  validateParamsMiddleware(M_VALID.MONGO_ID),
+  validateQueryMiddleware(P_VALID.PRINTER_RECOMMENDATION),
+  async (req, res, next) => {
+    try {
+      res.send(
+        await recommendPrinters(req.paramString("id"), req.queryString("fullPath"), {
+          material: req.queryString("material"),
+          colour: req.queryString("colour"),
+          user: req.user
+        })
+      );
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+const quoteOptions = (req) => ({
+  spoolID: req.queryString("spoolID"),
+  quantity: parseInt(req.queryString("quantity")) || 1,
+  customer: req.queryString("customer") ?? ""
+});
+
+router.get(
+  "/quote/:id",
+  ensureAuthenticated,
+  canAccessPrinter,
+  validateParamsMiddleware(M_VALID.MONGO_ID),
+  validateQueryMiddleware(P_VALID.PRINTER_QUOTE),
+  async (req, res, next) => {
+    try {
+      res.send(
+        await createQuote(req.paramString("id"), req.queryString("fullPath"), quoteOptions(req))
+      );
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+router.get(
+  "/quote/:id/print",
+  ensureAuthenticated,
+  canAccessPrinter,
+  validateParamsMiddleware(M_VALID.MONGO_ID),
+  validateQueryMiddleware(P_VALID.PRINTER_QUOTE),
+  async (req, res, next) => {
+    try {
+      const quote = await createQuote(
+        req.paramString("id"),
+        req.queryString("fullPath"),
+        quoteOptions(req)
+      );
+      // Stands on its own so it prints, or saves as a PDF, without any of the OctoFarm chrome
+      res.render("quote", { layout: false, quote });
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+router.get(
+  "/temperatureHistory/:id",
+  ensureAuthenticated,
+  canAccessPrinter,
+  validateParamsMiddleware(M_VALID.MONGO_ID),
+  validateQueryMiddleware(P_VALID.TEMPERATURE_HISTORY),
+  async (req, res, next) => {
+    try {
+      res.send(
+        await getTemperatureHistory(req.paramString("id"), {
+          from: req.queryString("from"),
+          to: req.queryString("to"),
+          points: req.queryString("points")
+        })
+      );
+    } catch (e) {
+      next(e);
+    }
+  }
+);
 router.get("/pluginList", ensureAuthenticated, async (req, res) => {
   logger.info("Grabbing global plugin list");
   res.send(getPluginList());
@@ -352,6 +460,7 @@ router.get("/pluginNoticesList", ensureAuthenticated, async (req, res) => {
 router.get(
   "/disabledPluginList/:id",
   ensureAuthenticated,
+  canAccessPrinter,
   validateParamsMiddleware(M_VALID.MONGO_ID),
   async (req, res) => {
     const id = req.paramString("id");
@@ -362,6 +471,7 @@ router.get(
 router.get(
   "/enabledPluginList/:id",
   ensureAuthenticated,
+  canAccessPrinter,
   validateParamsMiddleware(M_VALID.MONGO_ID),
   async (req, res) => {
     const id = req.paramString("id");
@@ -372,6 +482,7 @@ router.get(
 router.get(
   "/allPluginsList/:id",
   ensureAuthenticated,
+  canAccessPrinter,
   validateParamsMiddleware(M_VALID.MONGO_ID),
   async (req, res) => {
     const id = req.paramString("id");
@@ -380,7 +491,7 @@ router.get(
   }
 );
 
-router.get("/scanNetwork", ensureAuthenticated, ensureAdministrator, async (req, res) => {
+router.get("/scanNetwork", ensureAuthenticated, canChangeSettings, async (req, res) => {
   const { searchForDevicesOnNetwork } = require("../services/octoprint-auto-discovery.service.js");
 
   const devices = await searchForDevicesOnNetwork();
@@ -389,14 +500,21 @@ router.get("/scanNetwork", ensureAuthenticated, ensureAdministrator, async (req,
 });
 
 router.get("/listUniqueFolders", ensureAuthenticated, async (req, res) => {
-  const uniqueFolderPaths = getPrinterStoreCache().listUniqueFolderPaths();
+  const printers = filterPrintersForUser(
+    getPrinterStoreCache().listPrintersInformation(),
+    req.user
+  );
+  const uniqueFolderPaths = getPrinterStoreCache().listUniqueFolderPaths(printers);
   res.json(uniqueFolderPaths);
 });
 
 router.get("/listUniqueFiles", ensureAuthenticated, async (req, res) => {
-  //DISCOVER Where's this gone!?
-  const uniqueFolderPaths = getPrinterStoreCache().listUniqueFiles();
-  res.json(uniqueFolderPaths);
+  const printers = filterPrintersForUser(
+    getPrinterStoreCache().listPrintersInformation(),
+    req.user
+  );
+  const uniqueFilePaths = getPrinterStoreCache().listUniqueFilePaths(printers);
+  res.json(uniqueFilePaths);
 });
 
 router.get(
@@ -412,11 +530,11 @@ router.get(
   }
 );
 
-router.get("/healthChecks", ensureAuthenticated, ensureAdministrator, async (req, res) => {
+router.get("/healthChecks", ensureAuthenticated, canChangeSettings, async (req, res) => {
   res.send(returnPrinterHealthChecks(true));
 });
 
-router.get("/farmOverview", ensureAuthenticated, ensureAdministrator, async (req, res) => {
+router.get("/farmOverview", ensureAuthenticated, canChangeSettings, async (req, res) => {
   const returnArray = [];
   const printers = getPrinterStoreCache().listPrintersInformation();
 
@@ -439,7 +557,7 @@ router.get("/farmOverview", ensureAuthenticated, ensureAdministrator, async (req
 
   res.send(returnArray);
 });
-router.get("/connectionOverview", ensureAuthenticated, ensureAdministrator, (req, res) => {
+router.get("/connectionOverview", ensureAuthenticated, canChangeSettings, (req, res) => {
   const printerConnectionStats = sortBy(ConnectionMonitorService.returnConnectionLogs(), [
     "printerURL"
   ]);
@@ -449,7 +567,7 @@ router.get("/connectionOverview", ensureAuthenticated, ensureAdministrator, (req
 router.post(
   "/disable",
   ensureAuthenticated,
-  ensureAdministrator,
+  canChangeSettings,
   validateBodyMiddleware(P_VALID.PRINTER_ID_LIST),
   (req, res) => {
     const idList = req.body.idList;
@@ -460,7 +578,7 @@ router.post(
 router.post(
   "/enable",
   ensureAuthenticated,
-  ensureAdministrator,
+  canChangeSettings,
   validateBodyMiddleware(P_VALID.PRINTER_ID_LIST),
   async (req, res) => {
     const idList = req.body.idList;
@@ -468,14 +586,14 @@ router.post(
   }
 );
 
-router.get("/generate_printer_name", ensureAuthenticated, ensureAdministrator, async (req, res) => {
+router.get("/generate_printer_name", ensureAuthenticated, canChangeSettings, async (req, res) => {
   res.send(generateRandomName());
 });
 
 router.get(
   "/events/:id",
   ensureAuthenticated,
-  ensureAdministrator,
+  canChangeSettings,
   validateParamsMiddleware(M_VALID.MONGO_ID),
   async (req, res) => {
     const printerID = req.paramString("id");
@@ -486,6 +604,7 @@ router.get(
 router.get(
   "/selectedFilament/:id",
   ensureAuthenticated,
+  canAccessPrinter,
   validateParamsMiddleware(M_VALID.MONGO_ID),
   async (req, res) => {
     const printerID = req.paramString("id");
@@ -526,7 +645,7 @@ router.post(
 router.post(
   "/rescanOctoPrintUpdates/:id",
   ensureAuthenticated,
-  ensureAdministrator,
+  canChangeSettings,
   validateParamsMiddleware(M_VALID.MONGO_ID),
   async (req, res) => {
     const printerID = req.paramString("id");
@@ -538,6 +657,7 @@ router.post(
 router.post(
   "/overridepower/:id",
   ensureAuthenticated,
+  canControlPrinters,
   validateParamsMiddleware(M_VALID.MONGO_ID),
   async (req, res) => {
     const printerID = req.paramString("id");
@@ -547,4 +667,42 @@ router.post(
   }
 );
 
+router.post(
+  "/printerCommand/:id",
+  ensureAuthenticated,
+  canControlPrinters,
+  validateParamsMiddleware(M_VALID.MONGO_ID),
+  validateBodyMiddleware(P_VALID.PRINTER_COMMAND),
+  async (req, res, next) => {
+    const printerID = req.paramString("id");
+    const command = req.bodyString("command");
+    logger.info("Printer command request: ", { printerID, command, user: req?.user?.username });
+    try {
+      const status = await getPrinterStoreCache().runPrinterCommand(printerID, command);
+      updateUserActionLog(printerID, `Printer: ${command}`, {}, req?.user?.username, status);
+      res.send({ status });
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+router.post(
+  "/clearBed/:id",
+  ensureAuthenticated,
+  canControlPrinters,
+  validateParamsMiddleware(M_VALID.MONGO_ID),
+  (req, res, next) => {
+    const printerID = req.paramString("id");
+    logger.info("Clear bed request: ", { printerID, user: req?.user?.username });
+    try {
+      getPrinterStoreCache().clearPrinterBed(printerID);
+      TaskManager.forceRunTask("PRINT_QUEUE_DISPATCH_TASK");
+      res.sendStatus(204);
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
 module.exports = router;
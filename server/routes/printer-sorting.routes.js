@@ -2,23 +2,105 @@ const express = require("express");
 
 const router = express.Router();
 const { ensureAuthenticated } = require("../middleware/auth");
+const { ensureCurrentUserAndGroup } = require("../middleware/users.js");
+const { validateBodyMiddleware, validateParamsMiddleware } = require("../middleware/validators");
+const FS_VALID = require("../constants/validate-filter-sorting.constants");
+const { SORT_OPTIONS, STATE_FILTERS } = require("../constants/filter-sorting.constants");
+const Profiles = require("../models/Profiles.js");
 
-const { updateSorting, updateFilter } = require("../services/front-end-sorting.service.js");
+const {
+  updateSorting,
+  updateFilter,
+  getSavedViews,
+  saveView,
+  deleteView
+} = require("../services/front-end-sorting.service.js");
 const {
   returnCurrentOrdering,
   updateOrdering
 } = require("../services/current-operations-order.service");
+const { getPrinterStoreCache } = require("../cache/printer-store.cache");
+const { filterPrintersForUser } = require("../utils/permissions.utils");
 
-router.get("/updateFilter/:filter", ensureAuthenticated, async (req, res) => {
-  updateFilter(req.paramString("filter"));
-  res.sendStatus(200);
-});
+const clientSettingsID = (req) => req.user.clientSettings._id;
 
-router.get("/updateSorting/:sorting", ensureAuthenticated, async (req, res) => {
-  updateSorting(req.paramString("sorting"));
-  res.sendStatus(200);
+router.get(
+  "/updateFilter/:filter",
+  ensureAuthenticated,
+  ensureCurrentUserAndGroup,
+  validateParamsMiddleware(FS_VALID.FILTER),
+  async (req, res, next) => {
+    try {
+      res.send(await updateFilter(clientSettingsID(req), req.paramString("filter")));
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+router.get(
+  "/updateSorting/:sorting",
+  ensureAuthenticated,
+  ensureCurrentUserAndGroup,
+  validateParamsMiddleware(FS_VALID.SORTING),
+  async (req, res, next) => {
+    try {
+      res.send(await updateSorting(clientSettingsID(req), req.paramString("sorting")));
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+router.get("/views", ensureAuthenticated, ensureCurrentUserAndGroup, async (req, res) => {
+  const printers = filterPrintersForUser(getPrinterStoreCache().listPrinters(), req.user);
+  const groups = [...new Set(printers.map(({ group }) => group).filter((group) => !!group))];
+  res.send({
+    savedViews: getSavedViews(req.user.clientSettings),
+    options: {
+      sorting: SORT_OPTIONS,
+      groups: groups.sort(),
+      states: STATE_FILTERS,
+      materials: (await Profiles.distinct("profile.material")).sort()
+    }
+  });
 });
 
+router.post(
+  "/views",
+  ensureAuthenticated,
+  ensureCurrentUserAndGroup,
+  validateBodyMiddleware(FS_VALID.SAVED_VIEW),
+  async (req, res, next) => {
+    const view = {
+      name: req.bodyString("name"),
+      sortBy: req.bodyString("sortBy"),
+      groups: req.body.groups ?? [],
+      states: req.body.states ?? [],
+      materials: req.body.materials ?? []
+    };
+    try {
+      res.send(await saveView(clientSettingsID(req), view));
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+router.delete(
+  "/views/:name",
+  ensureAuthenticated,
+  ensureCurrentUserAndGroup,
+  validateParamsMiddleware(FS_VALID.VIEW_NAME),
+  async (req, res, next) => {
+    try {
+      res.send(await deleteView(clientSettingsID(req), req.paramString("name")));
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
 router.get("/currentOpSorting", ensureAuthenticated, async (req, res) => {
   res.send(returnCurrentOrdering());
 });
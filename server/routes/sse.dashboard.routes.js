@@ -6,6 +6,12 @@ const { SettingsClean } = require("../services/settings-cleaner.service.js");
 const { getDefaultDashboardSettings } = require("../constants/settings.constants");
 const { ensureCurrentUserAndGroup } = require("../middleware/users.js");
 const { getPrinterStoreCache } = require("../cache/printer-store.cache");
+const { getPrintQueueCache } = require("../cache/print-queue.cache");
+const {
+  filterPrintersForUser,
+  hidePrinterAPIKeys,
+  filterQueueStateForUser
+} = require("../utils/permissions.utils");
 const {
   getDashboardStatistics,
   generateDashboardStatistics
@@ -45,15 +51,18 @@ async function sendData() {
 
   const dashStatistics = getDashboardStatistics();
   const printerInformation = getPrinterStoreCache().listPrintersInformation();
+  const printQueue = getPrintQueueCache().getQueueState();
 
-  const cameraList = [];
-
-  printerInformation.forEach(p => {
-    if(!!p?.camURL && p.camURL.length > 0){
-      cameraList.push(p.camURL)
-    }
-  })
   for (clientId in clients) {
+    const { req } = clients[clientId];
+    const userPrinters = filterPrintersForUser(printerInformation, req?.user);
+    const cameraList = [];
+
+    userPrinters.forEach((p) => {
+      if (!!p?.camURL && p.camURL.length > 0) {
+        cameraList.push(p.camURL);
+      }
+    });
     let clientsSettingsCache = await SettingsClean.returnClientSettings(
       clients[clientId]?.req?.user?.clientSettings?._id || null
     );
@@ -70,10 +79,11 @@ async function sendData() {
     }
 
     const infoDrop = {
-      printerInformation,
+      printerInformation: hidePrinterAPIKeys(userPrinters, req),
       dashStatistics,
       dashboardSettings,
-      cameraList
+      cameraList,
+      printQueue: filterQueueStateForUser(printQueue, userPrinters, req?.user)
     };
 
     clientInformation = stringify(infoDrop);
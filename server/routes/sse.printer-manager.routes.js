@@ -3,8 +3,6 @@ const router = express.Router();
 const { ensureAuthenticated } = require("../middleware/auth");
 const { stringify } = require("flatted");
 const { getEventEmitterCache } = require("../cache/event-emitter.cache");
-//Global store of dashboard info... wonder if there's a cleaner way of doing all this?!
-let clientInformation = null;
 
 const printerTicker = require("../services/printer-connection-log.service.js");
 const { ensureCurrentUserAndGroup } = require("../middleware/users.js");
@@ -13,12 +11,49 @@ const { PrinterTicker } = printerTicker;
 
 const { getPrinterStoreCache } = require("../cache/printer-store.cache");
 const { getPrinterManagerCache } = require("../cache/printer-manager.cache");
+const { getPrintQueueCache } = require("../cache/print-queue.cache");
+const { getMaintenanceCache } = require("../cache/maintenance.cache");
 const { returnLast100Actions } = require("../services/user-actions-log.service");
+const { SharedSnapshot, SseDeltaStream } = require("../services/sse-delta.service");
+const { NotFoundException } = require("../exceptions/runtime.exceptions");
+const {
+  filterPrintersForUser,
+  hidePrinterAPIKeys,
+  filterQueueStateForUser
+} = require("../utils/permissions.utils");
+
+const PRINTERS_KEY = "printersInformation";
+const printerManagerSnapshot = new SharedSnapshot(PRINTERS_KEY);
 
 let clientId = 0;
 const clients = {}; // <- Keep a map of attached clients
 let interval = false;
 
+// Users restricted to some printer groups only hear about the printers in them
+const filterSnapshotForUser = (snapshot, req) => {
+  const printers = hidePrinterAPIKeys(
+    filterPrintersForUser(snapshot[PRINTERS_KEY], req?.user),
+    req
+  );
+  if ((req?.user?.printerGroups || []).length === 0) {
+    return { ...snapshot, [PRINTERS_KEY]: printers };
+  }
+  const printerIDs = printers.map((printer) => printer._id.toString());
+  const canSeePrinter = (printerID) => printerIDs.includes(printerID?.toString());
+  const { printerControlList, currentTickerList, currentActionList, maintenance } = snapshot;
+  return {
+    [PRINTERS_KEY]: printers,
+    printerControlList: printerControlList.filter((printer) => canSeePrinter(printer.printerID)),
+    currentTickerList: currentTickerList.filter((issue) => canSeePrinter(issue.printerID)),
+    currentActionList: currentActionList.filter((action) => canSeePrinter(action.printerID)),
+    printQueue: filterQueueStateForUser(snapshot.printQueue, printers, req?.user),
+    maintenance: {
+      due: maintenance.due.filter((entry) => canSeePrinter(entry.printerID)),
+      blocked: maintenance.blocked.filter((printer) => canSeePrinter(printer._id))
+    }
+  };
+};
+
 // Called once for each new client. Note, this response is left open!
 router.get("/get/", ensureAuthenticated, ensureCurrentUserAndGroup, function (req, res) {
   //req.socket.setTimeout(Number.MAX_VALUE);
@@ -31,7 +66,8 @@ router.get("/get/", ensureAuthenticated, ensureCurrentUserAndGroup, function (re
   });
   res.write("\n");
   (function (clientId) {
-    clients[clientId] = res; // <- Add this client to those we consider "attached"
+    // <- Add this client to those we consider "attached"
+    clients[clientId] = { req, res, stream: new SseDeltaStream(clientId, PRINTERS_KEY) };
     req.on("close", function () {
       delete clients[clientId];
     }); // <- Remove this client when he disconnects
@@ -42,6 +78,21 @@ router.get("/get/", ensureAuthenticated, ensureCurrentUserAndGroup, function (re
   //console.log("Client: " + Object.keys(clients));
 });
 
+// Client spotted a gap in the message sequence, send it a fresh snapshot on the next tick
+router.post(
+  "/resync/:clientID",
+  ensureAuthenticated,
+  ensureCurrentUserAndGroup,
+  function (req, res, next) {
+    const client = clients[req.paramString("clientID")];
+    if (!client || client.req?.user?._id?.toString() !== req.user?._id?.toString()) {
+      return next(new NotFoundException("Printer manager client is not connected"));
+    }
+    client.stream.requestResync();
+    res.sendStatus(200);
+  }
+);
+
 if (interval === false) {
   interval = setInterval(async function () {
     let printersInformation = getPrinterStoreCache().listPrintersInformationForPrinterManager();
@@ -52,17 +103,25 @@ if (interval === false) {
     const printerControlList = getPrinterManagerCache().getPrinterControlList();
     const currentTickerList = PrinterTicker.returnIssue();
     const currentActionList = returnLast100Actions();
+    const printQueue = getPrintQueueCache().getQueueState();
+    const maintenance = getMaintenanceCache().getMaintenanceState();
 
-    const infoDrop = {
-      printersInformation: printersInformation,
+    const snapshot = printerManagerSnapshot.update({
+      [PRINTERS_KEY]: printersInformation,
       printerControlList: printerControlList,
       currentTickerList: currentTickerList,
-      currentActionList: currentActionList
-    };
-    clientInformation = stringify(infoDrop);
-    for (clientId in clients) {
-      clients[clientId].write("retry:" + 10000 + "\n");
-      clients[clientId].write("data: " + clientInformation + "\n\n"); // <- Push a message to a single attached client
+      currentActionList: currentActionList,
+      printQueue: printQueue,
+      maintenance: maintenance
+    });
+    for (const id in clients) {
+      const { req, res, stream } = clients[id];
+      res.write("retry:" + 10000 + "\n");
+      const message = stream.nextMessage(filterSnapshotForUser(snapshot, req));
+      if (message) {
+        // <- Push a message to a single attached client
+        res.write("data: " + stringify(message) + "\n\n");
+      }
     }
   }, 500);
 }
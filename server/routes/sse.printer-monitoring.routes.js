@@ -2,96 +2,28 @@ const express = require("express");
 const router = express.Router();
 const { ensureAuthenticated } = require("../middleware/auth");
 const { stringify } = require("flatted");
-const _ = require("lodash");
 const Logger = require("../handlers/logger.js");
 const { LOGGER_ROUTE_KEYS } = require("../constants/logger.constants");
 
 const logger = new Logger(LOGGER_ROUTE_KEYS.ROUTE_SSE_OLD);
-//Global store of dashboard info... wonder if there's a cleaner way of doing all this?!
-let clientInformation = null;
 let clientId = 0;
 const clients = {}; // <- Keep a map of attached clients
 let interval = false;
 
 const { SettingsClean } = require("../services/settings-cleaner.service.js");
-const { getSorting, getFilter } = require("../services/front-end-sorting.service.js");
+const { filterPrinters, sortPrinters } = require("../services/front-end-sorting.service.js");
 const { getInfluxCleanerCache } = require("../cache/influx-export.cache");
 // User Modal
 const { ensureCurrentUserAndGroup } = require("../middleware/users.js");
 const { getPrinterStoreCache } = require("../cache/printer-store.cache");
 const { getPrinterManagerCache } = require("../cache/printer-manager.cache");
+const { filterPrintersForUser, hidePrinterAPIKeys } = require("../utils/permissions.utils");
+const { SharedSnapshot, SseDeltaStream } = require("../services/sse-delta.service");
+const { NotFoundException } = require("../exceptions/runtime.exceptions");
+
+const PRINTERS_KEY = "printersInformation";
+const monitoringSnapshot = new SharedSnapshot(PRINTERS_KEY);
 
-const sortMe = function (printers) {
-  const sortBy = getSorting();
-  if (sortBy === "time") {
-    return _.orderBy(printers, ["currentJob.printTimeRemaining"], "desc");
-  } else if (sortBy === "percent") {
-    return _.orderBy(printers, ["currentJob.progress"], "desc");
-  } else if (sortBy === "index") {
-    return _.orderBy(printers, ["sortIndex"], "asc");
-  } else {
-    return printers;
-  }
-};
-const filterMe = function (printers) {
-  let filterBy = getFilter();
-  let currentGroups = getPrinterManagerCache().returnGroupList();
-  if (filterBy === "All Printers") {
-    return printers;
-  } else if (filterBy === "State: Active") {
-    let i = 0,
-      len = printers.length;
-    while (i < len) {
-      printers[i].display = printers[i].printerState.colour.category === "Active";
-      i++;
-    }
-    return printers;
-  } else if (filterBy === "State: Idle") {
-    let i = 0,
-      len = printers.length;
-    while (i < len) {
-      printers[i].display = printers[i].printerState.colour.category === "Idle";
-      i++;
-    }
-    return printers;
-  } else if (filterBy === "State: Disconnected") {
-    let i = 0,
-      len = printers.length;
-    while (i < len) {
-      printers[i].display = printers[i].printerState.colour.category === "Disconnected";
-      i++;
-    }
-    return printers;
-  } else if (filterBy === "State: Complete") {
-    let i = 0,
-      len = printers.length;
-    while (i < len) {
-      printers[i].display = printers[i].printerState.colour.category === "Complete";
-      i++;
-    }
-    return printers;
-  } else {
-    //Check groups...
-    let current = null;
-    for (const element of currentGroups) {
-      if (filterBy === element) {
-        current = element;
-      }
-    }
-    if (current !== null) {
-      let i = 0,
-        len = printers.length;
-      while (i < len) {
-        printers[i].display = printers[i].group === current.replace("Group: ", "");
-        i++;
-      }
-      return printers;
-    } else {
-      //Fall back...
-      return printers;
-    }
-  }
-};
 async function sendData() {
   try {
     getInfluxCleanerCache().cleanAndWritePrintersInformationForInflux();
@@ -99,29 +31,37 @@ async function sendData() {
     logger.error("Unable to clean and write information to influx database!", e.toString());
   }
 
-  let printersInformation = getPrinterStoreCache().listPrintersInformationForMonitoringViews();
-
-  printersInformation = await filterMe(printersInformation);
-  printersInformation = sortMe(printersInformation);
-  const printerControlList = getPrinterManagerCache().getPrinterControlList();
+  const { printersInformation, printerControlList } = monitoringSnapshot.update({
+    [PRINTERS_KEY]: getPrinterStoreCache().listPrintersInformationForMonitoringViews(),
+    printerControlList: getPrinterManagerCache().getPrinterControlList()
+  });
 
-  for (clientId in clients) {
-    let clientSettings = SettingsClean.returnClientSettings(
-      clients[clientId]?.req?.user?.clientSettings._id || null
-    );
+  for (const id in clients) {
+    const { req, res, stream } = clients[id];
+    let clientSettings = SettingsClean.returnClientSettings(req?.user?.clientSettings._id || null);
     if (typeof clientSettings === "undefined") {
       await SettingsClean.start();
-      clientSettings = SettingsClean.returnClientSettings(
-        clients[clientId]?.req?.user?.clientSettings._id || null
-      );
+      clientSettings = SettingsClean.returnClientSettings(req?.user?.clientSettings._id || null);
     }
-    const infoDrop = {
-      printersInformation: printersInformation,
-      printerControlList: printerControlList,
+    // Each client sees its own filter and sort order
+    const userPrinters = hidePrinterAPIKeys(
+      sortPrinters(
+        filterPrinters(filterPrintersForUser(printersInformation, req?.user), clientSettings),
+        clientSettings
+      ),
+      req
+    );
+    const userPrinterIDs = userPrinters.map((printer) => printer._id);
+    const message = stream.nextMessage({
+      [PRINTERS_KEY]: userPrinters,
+      printerControlList: printerControlList.filter((printer) =>
+        userPrinterIDs.includes(printer.printerID)
+      ),
       clientSettings: clientSettings
-    };
-    clientInformation = stringify(infoDrop);
-    clients[clientId].res.write("data: " + clientInformation + "\n\n");
+    });
+    if (message) {
+      res.write("data: " + stringify(message) + "\n\n");
+    }
   }
 }
 
@@ -136,7 +76,8 @@ router.get("/get/", ensureAuthenticated, ensureCurrentUserAndGroup, async functi
   });
   res.write("\n");
   (function (clientId) {
-    clients[clientId] = { req, res }; // <- Add this client to those we consider "attached"
+    // <- Add this client to those we consider "attached"
+    clients[clientId] = { req, res, stream: new SseDeltaStream(clientId, PRINTERS_KEY) };
     req.on("close", function () {
       delete clients[clientId];
     }); // <- Remove this client when he disconnects
@@ -147,6 +88,21 @@ router.get("/get/", ensureAuthenticated, ensureCurrentUserAndGroup, async functi
   await sendData();
 });
 
+// Client spotted a gap in the message sequence, send it a fresh snapshot on the next tick
+router.post(
+  "/resync/:clientID",
+  ensureAuthenticated,
+  ensureCurrentUserAndGroup,
+  function (req, res, next) {
+    const client = clients[req.paramString("clientID")];
+    if (!client || client.req?.user?._id?.toString() !== req.user?._id?.toString()) {
+      return next(new NotFoundException("Monitoring client is not connected"));
+    }
+    client.stream.requestResync();
+    res.sendStatus(200);
+  }
+);
+
 if (interval === false) {
   interval = setInterval(async function () {
     await sendData();
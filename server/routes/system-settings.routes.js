@@ -3,6 +3,7 @@ const express = require('express');
 const router = express.Router();
 const { ensureCurrentUserAndGroup } = require('../middleware/users');
 const { ensureAuthenticated, ensureAdministrator } = require('../middleware/auth');
+const { auditChange } = require('../middleware/audit');
 const ServerSettingsDB = require('../models/ServerSettings.js');
 const ClientSettingsDB = require('../models/ClientSettings.js');
 const HistoryDB = require('../models/History');
@@ -20,6 +21,10 @@ const clientLogger = new Logger(LOGGER_ROUTE_KEYS.SERVER_CLIENT);
 const multer = require('multer');
 const { isEqual } = require('lodash');
 const { SettingsClean } = require('../services/settings-cleaner.service.js');
+const { MqttBridge } = require('../services/mqtt-bridge.service');
+const { cleanFailureReasons } = require('../services/history-failure.service');
+const { TimelapseRecorder } = require('../services/timelapse-recorder.service');
+const { isValidCurrency, cleanQuotingSettings } = require('../services/job-quote.service');
 const { Logs } = require('../services/server-logs.service.js');
 const { SystemCommands } = require('../services/server-commands.service.js');
 const { fetchUsers } = require('../services/users.service');
@@ -256,7 +261,13 @@ router.post('/client/update', ensureCurrentUserAndGroup, ensureAuthenticated, as
   }
 
   ClientSettingsDB.findByIdAndUpdate(req.user.clientSettings._id, req.body)
-    .then(async () => {
+    .then(async (previous) => {
+      auditChange(req, {
+        targetType: 'ClientSettings',
+        targetID: previous?._id,
+        before: previous?.toJSON(),
+        after: await ClientSettingsDB.findById(req.user.clientSettings._id).lean(),
+      });
       await SettingsClean.start();
       await fetchUsers(true);
       res.send({ msg: 'Settings Saved' });
@@ -290,6 +301,9 @@ router.post('/server/update', ensureAuthenticated, ensureAdministrator, (req, re
 
     const sentOnline = JSON.parse(JSON.stringify(req.body));
     const actualOnline = JSON.parse(JSON.stringify(checked[0]));
+    // Clients from before these blocks existed don't send them, keep what's saved
+    sentOnline.mqtt = sentOnline.mqtt ?? actualOnline.mqtt;
+    sentOnline.quoting = sentOnline.quoting ?? actualOnline.quoting;
 
     const serverChanges = isEqual(actualOnline.server, sentOnline.server);
     const timeoutChanges = isEqual(actualOnline.timeout, sentOnline.timeout);
@@ -299,14 +313,21 @@ router.post('/server/update', ensureAuthenticated, ensureAdministrator, (req, re
       parseInt(actualOnline.cameras.updateInterval) === parseInt(sentOnline.cameras.updateInterval);
     const cameraProxyChanges =
       actualOnline.cameras.proxyEnabled === sentOnline.cameras.proxyEnabled;
+    const mqttChanges = isEqual(actualOnline.mqtt, sentOnline.mqtt);
 
     checked[0].server = sentOnline.server;
     checked[0].timeout = sentOnline.timeout;
     checked[0].filament = sentOnline.filament;
-    checked[0].history = sentOnline.history;
+    checked[0].history = {
+      ...sentOnline.history,
+      failureReasons: cleanFailureReasons(sentOnline.history?.failureReasons),
+      timelapse: TimelapseRecorder.cleanTimelapseSettings(sentOnline.history?.timelapse),
+    };
     checked[0].influxExport = sentOnline.influxExport;
     checked[0].monitoringViews = sentOnline.monitoringViews;
     checked[0].cameras = sentOnline.cameras;
+    checked[0].mqtt = sentOnline.mqtt;
+    checked[0].quoting = cleanQuotingSettings(sentOnline.quoting);
 
     if (
       [serverChanges, timeoutChanges, cameraUpdateIntervalChanges, cameraProxyChanges].includes(
@@ -350,10 +371,48 @@ router.post('/server/update', ensureAuthenticated, ensureAdministrator, (req, re
         checked[0].markModified('influxExport');
       }
     }
-    await checked[0].save().then(() => {
-      SettingsClean.start();
+
+    let shouldDisableMqtt = false;
+    const mqtt = sentOnline.mqtt;
+    if (mqtt.enabled && !/^(mqtts?|wss?):\/\/[^\s]+$/.test(mqtt.brokerURL)) {
+      shouldDisableMqtt = true;
+      returnMsg += 'Issue: MQTT broker URL needs a mqtt(s):// or ws(s):// scheme! <br>';
+      checked[0].mqtt.enabled = false;
+      checked[0].markModified('mqtt');
+    }
+    if (mqtt.topicPrefix.trim().length === 0 || /[+#]/.test(mqtt.topicPrefix)) {
+      shouldDisableMqtt = true;
+      returnMsg += 'Issue: MQTT topic prefix is empty or contains a wildcard! <br>';
+      checked[0].mqtt.enabled = false;
+      checked[0].mqtt.topicPrefix = actualOnline.mqtt.topicPrefix;
+      checked[0].markModified('mqtt');
+    }
+
+    const keepCurrency = !isValidCurrency(checked[0].quoting.currency);
+    if (keepCurrency) {
+      returnMsg += 'Issue: Quote currency must be a 3 letter code, kept the previous one! <br>';
+      checked[0].quoting.currency = actualOnline.quoting?.currency ?? '';
+    }
+
+    const keepFailureReasons = checked[0].history.failureReasons.length === 0;
+    if (keepFailureReasons) {
+      returnMsg += 'Issue: At least one failure reason is needed, kept the previous list! <br>';
+      checked[0].history.failureReasons = actualOnline.history.failureReasons;
+    }
+
+    await checked[0].save().then(() => SettingsClean.start());
+    auditChange(req, {
+      targetType: 'ServerSettings',
+      targetID: checked[0]._id,
+      before: actualOnline,
+      after: checked[0].toJSON(),
     });
-    if (shouldDisableInflux) {
+    if (!mqttChanges) {
+      MqttBridge.restart().catch((e) => {
+        logger.error('Unable to restart the MQTT bridge', e.toString());
+      });
+    }
+    if (shouldDisableInflux || shouldDisableMqtt || keepFailureReasons || keepCurrency) {
       res.send({
         msg: returnMsg,
         status: 'warning',
@@ -381,6 +440,7 @@ router.get(
 );
 router.post('/customGcode/edit', ensureAuthenticated, async (req, res) => {
   const script = await GcodeDB.findById(req.bodyString('id'));
+  const scriptBefore = script.toJSON();
   script.gcode = req.body.gcode;
   script.name = req.bodyString('name');
   script.description = req.bodyString('description');
@@ -393,6 +453,12 @@ router.post('/customGcode/edit', ensureAuthenticated, async (req, res) => {
   script.printerIds = printerIDList;
   script.buttonColour = req.bodyString('buttonColour');
   script.save();
+  auditChange(req, {
+    targetType: 'CustomGcode',
+    targetID: script._id,
+    before: scriptBefore,
+    after: script.toJSON(),
+  });
   res.send(script);
 });
 
@@ -10,6 +10,7 @@ const ServerSettingsDB = require("../models/ServerSettings.js");
 const User = require("../models/User.js");
 const { UserTokenService } = require("../services/authentication/user-token.service");
 const { ensureAuthenticated, ensureAdministrator } = require("../middleware/auth");
+const { auditChange } = require("../middleware/audit");
 const {
   fetchUsers,
   createUser,
@@ -17,8 +18,10 @@ const {
   resetPassword,
   editUser
 } = require("../services/users.service");
-const { validateParamsMiddleware } = require("../middleware/validators");
+const { ApiKeyService } = require("../services/authentication/api-key.service");
+const { validateBodyMiddleware, validateParamsMiddleware } = require("../middleware/validators");
 const M_VALID = require("../constants/validate-mongo.constants");
+const U_VALID = require("../constants/validate-users.constants");
 const { LOGGER_ROUTE_KEYS } = require("../constants/logger.constants");
 const Logger = require("../handlers/logger");
 const logger = new Logger(LOGGER_ROUTE_KEYS.ROUTE_USERS);
@@ -230,24 +233,45 @@ router.patch(
       name: req.bodyString("name"),
       username: req.bodyString("username"),
       group: req.bodyString("group"),
+      printerGroups: req.body.printerGroups,
       password: req.bodyString("password"),
       password2: req.bodyString("password2")
     };
     const id = req.paramString("id");
+    const before = await User.findById(id).lean();
 
-    if ("password" in newUserInformation) {
-      return res.send(await resetPassword(id, newUserInformation));
-    }
-    if ("username" in newUserInformation) {
-      return res.send(await editUser(id, newUserInformation));
+    let result;
+    if (!!newUserInformation.password) {
+      result = await resetPassword(id, newUserInformation);
+    } else if (!!newUserInformation.username) {
+      result = await editUser(id, newUserInformation);
+    } else {
+      return res.status(400).send({
+        errors: [{ msg: "Please supply either a new password or the user's details..." }]
+      });
     }
+    auditChange(req, {
+      targetType: "User",
+      targetID: id,
+      before,
+      after: result.user?.toJSON?.() ?? before,
+      failed: result.errors.length > 0
+    });
+    return res.send(result);
   }
 );
 
 // New user
 router.post("/users", ensureAuthenticated, ensureAdministrator, async (req, res) => {
   const user = req.body;
-  res.send(await createUser(user));
+  const result = await createUser(user);
+  auditChange(req, {
+    targetType: "User",
+    targetID: result.createdNewUser?._id,
+    after: result.createdNewUser?.toJSON?.() ?? user,
+    failed: result.errors.length > 0
+  });
+  res.send(result);
 });
 
 // Delete User
@@ -258,7 +282,81 @@ router.delete(
   validateParamsMiddleware(M_VALID.MONGO_ID),
   async (req, res) => {
     const id = req.paramString("id");
-    res.send(await deleteUser(id));
+    const result = await deleteUser(id);
+    auditChange(req, {
+      targetType: "User",
+      targetID: id,
+      before: result.userDeleted?.toJSON?.(),
+      failed: result.errors.length > 0 || !result.userDeleted
+    });
+    res.send(result);
+  }
+);
+
+const parseReadOnly = (req) => {
+  if (typeof req.body.readOnly === "undefined") {
+    return undefined;
+  }
+  return req.body.readOnly === true || req.body.readOnly === "true";
+};
+
+// List API keys
+router.get("/apikeys", ensureAuthenticated, ensureAdministrator, async (req, res, next) => {
+  try {
+    res.send(await ApiKeyService.listApiKeys());
+  } catch (e) {
+    next(e);
+  }
+});
+
+// Generate API key
+router.post(
+  "/users/:id/apikey",
+  ensureAuthenticated,
+  ensureAdministrator,
+  validateParamsMiddleware(M_VALID.MONGO_ID),
+  validateBodyMiddleware(U_VALID.API_KEY_SCOPE),
+  async (req, res, next) => {
+    const id = req.paramString("id");
+    try {
+      res.send(await ApiKeyService.createApiKey(id, !!parseReadOnly(req)));
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+// Rotate API key
+router.post(
+  "/users/:id/apikey/rotate",
+  ensureAuthenticated,
+  ensureAdministrator,
+  validateParamsMiddleware(M_VALID.MONGO_ID),
+  validateBodyMiddleware(U_VALID.API_KEY_SCOPE),
+  async (req, res, next) => {
+    const id = req.paramString("id");
+    try {
+      res.send(await ApiKeyService.rotateApiKey(id, parseReadOnly(req)));
+    } catch (e) {
+      next(e);
+    }
+  }
+);
+
+// Revoke API key
+router.delete(
+  "/users/:id/apikey",
+  ensureAuthenticated,
+  ensureAdministrator,
+  validateParamsMiddleware(M_VALID.MONGO_ID),
+  async (req, res, next) => {
+    const id = req.paramString("id");
+    try {
+      await ApiKeyService.revokeApiKey(id);
+      res.sendStatus(204);
+    } catch (e) {
+      next(e);
+    }
   }
 );
 
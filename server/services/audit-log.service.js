@@ -0,0 +1,209 @@
+const { once } = require("events");
+const { isEqual } = require("lodash");
+const AuditLog = require("../models/AuditLog");
+const Logger = require("../handlers/logger.js");
+const { toCsvRow } = require("../utils/csv.utils");
+const {
+  AUDIT_REDACTED_KEYS,
+  AUDIT_REDACTED_VALUE,
+  AUDIT_MAX_CHANGES,
+  AUDIT_MAX_VALUE_LENGTH,
+  AUDIT_PAGE_SIZE,
+  AUDIT_EXPORT_COLUMNS
+} = require("../constants/audit.constants");
+const { LOGGER_ROUTE_KEYS } = require("../constants/logger.constants");
+
+const logger = new Logger(LOGGER_ROUTE_KEYS.SERVICE_AUDIT_LOG);
+
+const isPlainObject = (value) =>
+  !!value && typeof value === "object" && !Array.isArray(value) && !(value instanceof Date);
+
+const isObjectOrEmpty = (value) => isPlainObject(value) || value === undefined || value === null;
+
+const normalise = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Keeps a value small enough to sit in an audit entry, documents are flattened to JSON first.
+ */
+function toAuditValue(value) {
+  if (value === undefined || value === null || ["boolean", "number"].includes(typeof value)) {
+    return value;
+  }
+  const text =
+    typeof value === "string"
+      ? value
+      : JSON.stringify(value, (key, nested) =>
+          AUDIT_REDACTED_KEYS.test(key) ? AUDIT_REDACTED_VALUE : nested
+        );
+  return text.length > AUDIT_MAX_VALUE_LENGTH
+    ? `${text.slice(0, AUDIT_MAX_VALUE_LENGTH)}...`
+    : text;
+}
+
+/**
+ * Flattens two versions of a document into the list of paths that differ. Secrets only ever show
+ * up as redacted, so the log can say a password changed without saying what to.
+ * @param before undefined when something was created
+ * @param after undefined when something was deleted
+ * @returns {{path: string, before: *, after: *}[]}
+ */
+function diffForAudit(before, after) {
+  const changes = [];
+  const walk = (previous, next, path) => {
+    if (changes.length >= AUDIT_MAX_CHANGES || isEqual(previous, next)) {
+      return;
+    }
+    const key = path.split(".").pop();
+    if (AUDIT_REDACTED_KEYS.test(key)) {
+      changes.push({
+        path,
+        before: previous === undefined ? undefined : AUDIT_REDACTED_VALUE,
+        after: next === undefined ? undefined : AUDIT_REDACTED_VALUE
+      });
+      return;
+    }
+    if (
+      (isPlainObject(previous) || isPlainObject(next)) &&
+      isObjectOrEmpty(previous) &&
+      isObjectOrEmpty(next)
+    ) {
+      const previousObject = previous ?? {};
+      const nextObject = next ?? {};
+      const keys = new Set([...Object.keys(previousObject), ...Object.keys(nextObject)]);
+      for (const child of keys) {
+        if (child === "__v") {
+          continue;
+        }
+        walk(previousObject[child], nextObject[child], path ? `${path}.${child}` : child);
+      }
+      return;
+    }
+    changes.push({ path, before: toAuditValue(previous), after: toAuditValue(next) });
+  };
+  walk(normalise(before), normalise(after), "");
+  return changes;
+}
+
+/**
+ * Writes an entry without holding up the request, a failed audit write is logged and dropped.
+ * @param entry
+ */
+function recordAuditEntry(entry) {
+  AuditLog.create(entry).catch((e) => {
+    logger.error("Failed to record audit entry", {
+      route: entry.route,
+      error: e.toString()
+    });
+  });
+}
+
+function buildAuditQuery({ actor, method, targetType, result, search, from, to }) {
+  const query = {};
+  if (!!actor) {
+    query.actor = actor;
+  }
+  if (!!method) {
+    query.method = method;
+  }
+  if (!!targetType) {
+    query.targetType = targetType;
+  }
+  if (!!result) {
+    query.result = result;
+  }
+  if (!!from || !!to) {
+    query.date = {
+      ...(!!from && { $gte: new Date(from) }),
+      ...(!!to && { $lte: new Date(to) })
+    };
+  }
+  if (!!search) {
+    const pattern = new RegExp(escapeRegex(search), "i");
+    query.$or = [{ route: pattern }, { targetID: pattern }, { "changes.path": pattern }];
+  }
+  return query;
+}
+
+/**
+ * A page of the audit log, newest first, along with what the viewer can filter on.
+ * @param filters actor, method, targetType, result, search, from, to
+ * @param page 1 based
+ * @returns {Promise<{entries: *[], total: number, page: number, pages: number, actors: *[]}>}
+ */
+async function listAuditLog(filters, page = 1) {
+  const query = buildAuditQuery(filters);
+  const [entries, total, actors, targetTypes] = await Promise.all([
+    AuditLog.find(query)
+      .sort({ date: -1 })
+      .skip((page - 1) * AUDIT_PAGE_SIZE)
+      .limit(AUDIT_PAGE_SIZE)
+      .lean(),
+    AuditLog.countDocuments(query),
+    AuditLog.distinct("actor"),
+    AuditLog.distinct("targetType")
+  ]);
+  return {
+    entries,
+    total,
+    page,
+    pages: Math.max(Math.ceil(total / AUDIT_PAGE_SIZE), 1),
+    actors: actors.sort(),
+    targetTypes: targetTypes.filter((targetType) => !!targetType).sort()
+  };
+}
+
+const formatChange = ({ path, before, after }) =>
+  `${path || "(value)"}: ${before ?? "(none)"} -> ${after ?? "(none)"}`;
+
+const AUDIT_COLUMN_VALUES = {
+  date: (entry) => entry.date.toISOString(),
+  actor: (entry) => entry.actor,
+  ip: (entry) => entry.ip || "",
+  method: (entry) => entry.method,
+  route: (entry) => entry.route,
+  targetType: (entry) => entry.targetType || "",
+  targetID: (entry) => entry.targetID || "",
+  status: (entry) => entry.status,
+  result: (entry) => entry.result,
+  changes: (entry) => (entry.changes || []).map(formatChange).join("; ")
+};
+
+async function writeChunk(res, chunk) {
+  if (!res.write(chunk)) {
+    await once(res, "drain");
+  }
+}
+
+/**
+ * Streams the filtered audit log out as a CSV, oldest first so it reads as a timeline.
+ * @param res
+ * @param filters same as listAuditLog
+ * @returns {Promise<void>}
+ */
+async function streamAuditExport(res, filters) {
+  const query = buildAuditQuery(filters);
+  const columns = Object.keys(AUDIT_EXPORT_COLUMNS);
+  const fileName = `octofarm-audit-${new Date().toISOString().slice(0, 10)}.csv`;
+
+  res.status(200);
+  res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+
+  await writeChunk(res, toCsvRow(Object.values(AUDIT_EXPORT_COLUMNS)));
+  let count = 0;
+  for await (const entry of AuditLog.find(query).sort({ date: 1 }).lean().cursor()) {
+    await writeChunk(res, toCsvRow(columns.map((column) => AUDIT_COLUMN_VALUES[column](entry))));
+    count++;
+  }
+  res.end();
+  logger.info(`Exported ${count} audit entries`, query);
+}
+
+module.exports = {
+  diffForAudit,
+  recordAuditEntry,
+  listAuditLog,
+  streamAuditExport
+};
@@ -0,0 +1,139 @@
+const crypto = require("crypto");
+const User = require("../../models/User.js");
+const { fetchUsers } = require("../users.service");
+const { NotFoundException, ValidationException } = require("../../exceptions/runtime.exceptions");
+const { LOGGER_ROUTE_KEYS } = require("../../constants/logger.constants");
+const Logger = require("../../handlers/logger");
+const logger = new Logger(LOGGER_ROUTE_KEYS.SERVICE_API_KEYS);
+
+// Don't hammer the database on every request, last used is only a rough guide
+const LAST_USED_UPDATE_INTERVAL = 60000;
+
+class ApiKeyService {
+  static API_KEY_HEADER = "x-api-key";
+
+  static #generateApiKey() {
+    return crypto.randomBytes(24).toString("hex");
+  }
+
+  /**
+   * Keys are only stored as a hash, the plain key is shown to the user once on creation.
+   * @param apiKey
+   * @returns {string}
+   */
+  static hashApiKey(apiKey) {
+    return crypto.createHash("sha256").update(apiKey).digest("hex");
+  }
+
+  /**
+   * The key from the x-api-key header, or a bearer token for clients like Prometheus which can
+   * only send an authorization header.
+   * @param req
+   * @returns {string|undefined}
+   */
+  static readApiKey(req) {
+    const apiKey = req.get(this.API_KEY_HEADER);
+    if (!!apiKey) {
+      return apiKey;
+    }
+    const [scheme, token] = (req.get("authorization") || "").trim().split(/\s+/);
+    return scheme?.toLowerCase() === "bearer" && !!token ? token : undefined;
+  }
+
+  static async #findMeUser(userId) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new NotFoundException(`User ${userId} does not exist`);
+    }
+    return user;
+  }
+
+  static async #saveNewApiKey(user, readOnly) {
+    const apiKey = this.#generateApiKey();
+    user.apiKey = this.hashApiKey(apiKey);
+    user.apiKeyReadOnly = readOnly;
+    user.apiKeyCreated = new Date();
+    user.apiKeyLastUsed = undefined;
+    await user.save();
+    await fetchUsers(true);
+    return {
+      _id: user._id,
+      username: user.username,
+      apiKey,
+      readOnly: user.apiKeyReadOnly,
+      created: user.apiKeyCreated
+    };
+  }
+
+  static async listApiKeys() {
+    const users = await User.find({ apiKey: { $exists: true, $ne: null } });
+    return users.map((user) => {
+      return {
+        _id: user._id,
+        name: user.name,
+        username: user.username,
+        group: user.group,
+        readOnly: !!user.apiKeyReadOnly,
+        created: user.apiKeyCreated,
+        lastUsed: user.apiKeyLastUsed
+      };
+    });
+  }
+
+  static async createApiKey(userId, readOnly = false) {
+    const user = await this.#findMeUser(userId);
+    if (!!user.apiKey) {
+      throw new ValidationException({
+        apiKey: "User already has an API key, rotate or revoke it instead"
+      });
+    }
+    logger.warning(`Generating new ${readOnly ? "read only " : ""}API key for ${user.username}`);
+    return this.#saveNewApiKey(user, readOnly);
+  }
+
+  static async rotateApiKey(userId, readOnly) {
+    const user = await this.#findMeUser(userId);
+    if (!user.apiKey) {
+      throw new NotFoundException(`User ${user.username} doesn't have an API key to rotate`);
+    }
+    logger.warning(`Rotating API key for ${user.username}`);
+    return this.#saveNewApiKey(
+      user,
+      typeof readOnly === "boolean" ? readOnly : !!user.apiKeyReadOnly
+    );
+  }
+
+  static async revokeApiKey(userId) {
+    const user = await this.#findMeUser(userId);
+    if (!user.apiKey) {
+      throw new NotFoundException(`User ${user.username} doesn't have an API key to revoke`);
+    }
+    logger.warning(`Revoking API key for ${user.username}`);
+    user.apiKey = undefined;
+    user.apiKeyReadOnly = false;
+    user.apiKeyCreated = undefined;
+    user.apiKeyLastUsed = undefined;
+    await user.save();
+    await fetchUsers(true);
+  }
+
+  static async findUserByApiKey(apiKey) {
+    if (!apiKey) {
+      return null;
+    }
+    const user = await User.findOne({ apiKey: this.hashApiKey(apiKey) });
+    if (!user) {
+      return null;
+    }
+
+    const now = new Date();
+    if (!user.apiKeyLastUsed || now - user.apiKeyLastUsed > LAST_USED_UPDATE_INTERVAL) {
+      await User.updateOne({ _id: user._id }, { apiKeyLastUsed: now });
+    }
+    return user;
+  }
+}
+
+module.exports = {
+  ApiKeyService
+};
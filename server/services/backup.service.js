@@ -0,0 +1,503 @@
+const { createReadStream, promises: fsPromises } = require("fs");
+const { Readable, pipeline } = require("stream");
+const { join, relative, sep } = require("path");
+const mongoose = require("mongoose");
+const StreamArray = require("stream-json/streamers/StreamArray");
+const { up } = require("migrate-mongo");
+const Logger = require("../handlers/logger.js");
+const { SettingsClean } = require("./settings-cleaner.service");
+const { createZipFile, extractZipFile } = require("../utils/zip.utils");
+const { getBackupsPath, getImagesPath } = require("../utils/system-paths.utils");
+const { NotFoundException, ValidationException } = require("../exceptions/runtime.exceptions");
+const { AppConstants } = require("../constants/app.constants");
+const {
+  BACKUP_VERSION,
+  BACKUP_EXCLUDED_COLLECTIONS,
+  BACKUP_MANIFEST_FILE,
+  BACKUP_COLLECTIONS_FOLDER,
+  BACKUP_IMAGES_FOLDER,
+  BACKUP_FILE_PREFIX,
+  BACKUP_SCHEDULED_SUFFIX,
+  BACKUP_FILE_REGEX,
+  BACKUP_COLLECTION_NAME_REGEX,
+  BACKUP_STAGING_PREFIX,
+  BACKUP_RESTORE_BATCH_SIZE
+} = require("../constants/backup.constants");
+const { LOGGER_ROUTE_KEYS } = require("../constants/logger.constants");
+
+const logger = new Logger(LOGGER_ROUTE_KEYS.SERVICE_BACKUP);
+
+const { EJSON } = mongoose.mongo.BSON;
+
+const HOUR_MS = 3600 * 1000;
+const MIGRATIONS_COLLECTION = "_migrations";
+const migrationsPath = join(__dirname, "../migrations");
+// Same folder history-capture.service.js writes thumbnails, snapshots and timelapses into
+const historyCollectionFolder = "historyCollection";
+const historyCollectionPath = join(getImagesPath(), historyCollectionFolder);
+
+let backupInProgress = false;
+
+async function ensureBackupsFolder() {
+  await fsPromises.mkdir(getBackupsPath(), { recursive: true });
+}
+
+async function listFilesRecursive(folder) {
+  let entries;
+  try {
+    entries = await fsPromises.readdir(folder, { withFileTypes: true });
+  } catch (e) {
+    if (e.code === "ENOENT") {
+      return [];
+    }
+    throw e;
+  }
+  const files = [];
+  for (const entry of entries) {
+    const entryPath = join(folder, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...(await listFilesRecursive(entryPath)));
+    } else if (entry.isFile()) {
+      files.push(entryPath);
+    }
+  }
+  return files;
+}
+
+async function listBackupCollections(db) {
+  const collections = await db.listCollections({}, { nameOnly: true }).toArray();
+  return collections
+    .map((collection) => collection.name)
+    .filter(
+      (name) =>
+        !BACKUP_EXCLUDED_COLLECTIONS.includes(name) &&
+        !name.startsWith("system.") &&
+        !name.startsWith(BACKUP_STAGING_PREFIX)
+    )
+    .sort();
+}
+
+// Only the options a restore has to recreate, a capped collection comes back uncapped without them
+function pickCollectionOptions(options = {}) {
+  const picked = {};
+  if (options.capped === true) {
+    picked.capped = true;
+    if (Number.isInteger(options.size) && options.size > 0) {
+      picked.size = options.size;
+    }
+    if (Number.isInteger(options.max) && options.max > 0) {
+      picked.max = options.max;
+    }
+  }
+  return picked;
+}
+
+async function readCollectionOptions(db) {
+  const collections = await db.listCollections().toArray();
+  return Object.fromEntries(
+    collections.map(({ name, options }) => [name, pickCollectionOptions(options)])
+  );
+}
+
+// Mongoose creates model collections on start up, but one could have been dropped by hand since
+async function listRestorableCollections(db) {
+  const modelCollections = Object.values(mongoose.models)
+    .map((model) => model.collection.collectionName)
+    .filter((name) => !BACKUP_EXCLUDED_COLLECTIONS.includes(name));
+  return [...new Set([...(await listBackupCollections(db)), ...modelCollections])];
+}
+
+/**
+ * Writes a collection out as a canonical EJSON array one document at a time, the cursor is only
+ * opened once the archive gets round to this entry.
+ */
+async function* streamCollection(db, name) {
+  yield "[";
+  let first = true;
+  for await (const document of db.collection(name).find({})) {
+    yield (first ? "" : ",") + EJSON.stringify(document, { relaxed: false });
+    first = false;
+  }
+  yield "]";
+}
+
+function withBackupLock(action) {
+  return async (...args) => {
+    if (backupInProgress) {
+      throw new ValidationException({ backup: "A backup or restore is already running" });
+    }
+    backupInProgress = true;
+    try {
+      return await action(...args);
+    } finally {
+      backupInProgress = false;
+    }
+  };
+}
+
+async function describeBackup(name) {
+  const stats = await fsPromises.stat(join(getBackupsPath(), name));
+  return {
+    name,
+    size: stats.size,
+    created: stats.mtime,
+    scheduled: name.endsWith(`${BACKUP_SCHEDULED_SUFFIX}.zip`)
+  };
+}
+
+/**
+ * Lists the backups kept on the server, newest first.
+ * @returns {Promise<{name: string, size: number, created: Date, scheduled: boolean}[]>}
+ */
+async function listBackups() {
+  await ensureBackupsFolder();
+  const files = (await fsPromises.readdir(getBackupsPath())).filter((file) =>
+    BACKUP_FILE_REGEX.test(file)
+  );
+  const backups = await Promise.all(files.map(describeBackup));
+  return backups.sort((a, b) => b.created - a.created);
+}
+
+/**
+ * Resolves a backup name to its file, refusing anything that isn't one of our backup archives.
+ * @param name
+ * @returns {Promise<string>}
+ */
+async function getBackupFile(name) {
+  if (!BACKUP_FILE_REGEX.test(name)) {
+    throw new ValidationException({ name: "Not a backup file name" });
+  }
+  const backupFile = join(getBackupsPath(), name);
+  try {
+    await fsPromises.access(backupFile);
+  } catch (e) {
+    throw new NotFoundException(`Backup ${name} does not exist`);
+  }
+  return backupFile;
+}
+
+/**
+ * Archives every collection, the applied migrations and the history images into one zip. The
+ * manifest records what went in so a restore can check it before touching the database.
+ * @param scheduled marks the backup as one the retention policy may prune
+ * @returns {Promise<{name: string, size: number, created: Date, scheduled: boolean}>}
+ */
+const createBackup = withBackupLock(async function ({ scheduled = false } = {}) {
+  await ensureBackupsFolder();
+  const db = mongoose.connection.db;
+  const created = new Date();
+  const name = `${BACKUP_FILE_PREFIX}${created.toISOString().replace(/[:.]/g, "-")}${
+    scheduled ? BACKUP_SCHEDULED_SUFFIX : ""
+  }.zip`;
+
+  const collections = [];
+  const zipEntries = [];
+  const collectionOptions = await readCollectionOptions(db);
+  for (const collection of await listBackupCollections(db)) {
+    collections.push({
+      name: collection,
+      count: await db.collection(collection).countDocuments(),
+      options: collectionOptions[collection] ?? {}
+    });
+    zipEntries.push({
+      name: `${BACKUP_COLLECTIONS_FOLDER}/${collection}.json`,
+      content: Readable.from(streamCollection(db, collection))
+    });
+  }
+
+  const images = await listFilesRecursive(historyCollectionPath);
+  for (const image of images) {
+    zipEntries.push({
+      name: [
+        BACKUP_IMAGES_FOLDER,
+        historyCollectionFolder,
+        ...relative(historyCollectionPath, image).split(sep)
+      ].join("/"),
+      path: image
+    });
+  }
+
+  const migrations = await db
+    .collection(MIGRATIONS_COLLECTION)
+    .find({}, { projection: { _id: 0, fileName: 1, appliedAt: 1 } })
+    .sort({ appliedAt: 1 })
+    .toArray();
+
+  const manifest = {
+    version: BACKUP_VERSION,
+    created,
+    octofarmVersion: process.env[AppConstants.VERSION_KEY],
+    collections,
+    migrations,
+    images: images.length
+  };
+  zipEntries.unshift({ name: BACKUP_MANIFEST_FILE, content: JSON.stringify(manifest, null, 2) });
+
+  await createZipFile(name, zipEntries, getBackupsPath());
+  logger.info(`Created backup ${name}`, {
+    collections: collections.length,
+    images: images.length
+  });
+  return describeBackup(name);
+});
+
+async function deleteBackup(name) {
+  const backupFile = await getBackupFile(name);
+  await fsPromises.unlink(backupFile);
+  logger.warning(`Deleted backup ${name}`);
+}
+
+const collectionFile = (folder, name) => join(folder, BACKUP_COLLECTIONS_FOLDER, `${name}.json`);
+
+/**
+ * Reads a collection back out of its EJSON array one document at a time, a history collection
+ * can run to gigabytes and would never fit in memory whole.
+ */
+async function* readCollectionDocuments(folder, name) {
+  const documents = pipeline(
+    createReadStream(collectionFile(folder, name)),
+    StreamArray.withParser(),
+    () => {}
+  );
+  try {
+    for await (const { value } of documents) {
+      yield EJSON.deserialize(value, { relaxed: false });
+    }
+  } catch (e) {
+    throw new ValidationException({ collections: `Collection ${name} is missing or corrupt` });
+  }
+}
+
+/**
+ * Checks an extracted backup is one we can restore: the manifest is there and not from a newer
+ * backup format, it only names collections this server has, every collection file is there, and
+ * it wasn't taken after migrations we don't have. The documents themselves are only parsed as
+ * they're loaded into staging.
+ * @returns {Promise<*>} the manifest
+ */
+async function validateBackup(db, folder) {
+  let manifest;
+  try {
+    manifest = JSON.parse(await fsPromises.readFile(join(folder, BACKUP_MANIFEST_FILE), "utf8"));
+  } catch (e) {
+    throw new ValidationException({ file: "The archive is not an OctoFarm backup" });
+  }
+  if (!Number.isInteger(manifest?.version) || !Array.isArray(manifest.collections)) {
+    throw new ValidationException({ file: "The backup manifest is corrupt" });
+  }
+  if (manifest.version > BACKUP_VERSION) {
+    throw new ValidationException({
+      version: `Backup version ${manifest.version} is newer than this server supports`
+    });
+  }
+
+  const localMigrations = await fsPromises.readdir(migrationsPath);
+  const unknownMigrations = (manifest.migrations || [])
+    .map((migration) => migration.fileName)
+    .filter((fileName) => !localMigrations.includes(fileName));
+  if (unknownMigrations.length > 0) {
+    throw new ValidationException({
+      migrations: `Backup was taken by a newer OctoFarm (${manifest.octofarmVersion}), update before restoring`
+    });
+  }
+
+  const restorableCollections = await listRestorableCollections(db);
+  for (const collection of manifest.collections) {
+    if (
+      typeof collection?.name !== "string" ||
+      !BACKUP_COLLECTION_NAME_REGEX.test(collection.name)
+    ) {
+      throw new ValidationException({ collections: "The backup manifest is corrupt" });
+    }
+    if (!restorableCollections.includes(collection.name)) {
+      throw new ValidationException({
+        collections: `Collection ${collection.name} doesn't belong to this OctoFarm server`
+      });
+    }
+    try {
+      await fsPromises.access(collectionFile(folder, collection.name));
+    } catch (e) {
+      throw new ValidationException({ collections: `Collection ${collection.name} is missing` });
+    }
+  }
+  return manifest;
+}
+
+const stagingName = (name) => `${BACKUP_STAGING_PREFIX}${name}`;
+
+async function dropStagingCollections(db) {
+  const collections = await db.listCollections({}, { nameOnly: true }).toArray();
+  for (const { name } of collections) {
+    if (name.startsWith(BACKUP_STAGING_PREFIX)) {
+      await db.dropCollection(name);
+    }
+  }
+}
+
+/**
+ * Loads documents into the staging copy of a collection, created with the options it was backed
+ * up with. The live collections indexes are copied across first so a duplicate key fails here,
+ * before anything live has been touched.
+ * @param documents any iterable, batches are written as they fill
+ * @returns {Promise<number>} documents loaded
+ */
+async function stageCollection(db, name, documents, options = {}) {
+  const staging = await db.createCollection(stagingName(name), options);
+  // A collection which doesn't exist yet has no indexes to copy
+  const indexes = await db
+    .collection(name)
+    .indexes()
+    .catch(() => []);
+  for (const { key, name: indexName, v, ns, ...options } of indexes) {
+    if (indexName !== "_id_") {
+      await staging.createIndex(key, { name: indexName, ...options });
+    }
+  }
+  let batch = [];
+  let count = 0;
+  for await (const document of documents) {
+    batch.push(document);
+    if (batch.length === BACKUP_RESTORE_BATCH_SIZE) {
+      await staging.insertMany(batch);
+      count += batch.length;
+      batch = [];
+    }
+  }
+  if (batch.length > 0) {
+    await staging.insertMany(batch);
+    count += batch.length;
+  }
+  return count;
+}
+
+async function replaceHistoryImages(folder) {
+  const restoredImages = join(folder, BACKUP_IMAGES_FOLDER, historyCollectionFolder);
+  await fsPromises.rm(historyCollectionPath, { recursive: true, force: true });
+  try {
+    await fsPromises.rename(restoredImages, historyCollectionPath);
+  } catch (e) {
+    if (e.code === "ENOENT") {
+      await fsPromises.mkdir(historyCollectionPath, { recursive: true });
+    } else if (e.code === "EXDEV") {
+      await fsPromises.cp(restoredImages, historyCollectionPath, { recursive: true });
+    } else {
+      throw e;
+    }
+  }
+}
+
+/**
+ * Replaces the whole database and the history images with the contents of a backup, then runs
+ * any migrations the backup predates. Every collection is loaded into a staging collection first,
+ * so a backup which fails to load leaves the database as it was. OctoFarm needs a restart
+ * afterwards to reload its caches.
+ * @param zipPath
+ * @returns {Promise<{collections: number, documents: number, images: number, migrations: string[]}>}
+ */
+const restoreBackup = withBackupLock(async function (zipPath) {
+  await ensureBackupsFolder();
+  const folder = join(getBackupsPath(), `restore-${Date.now()}`);
+  try {
+    try {
+      await extractZipFile(zipPath, folder);
+    } catch (e) {
+      throw new ValidationException({ file: `The backup couldn't be unpacked: ${e.message}` });
+    }
+    const db = mongoose.connection.db;
+    const manifest = await validateBackup(db, folder);
+    logger.warning(`Restoring backup taken ${manifest.created}`, {
+      version: manifest.version,
+      octofarmVersion: manifest.octofarmVersion
+    });
+
+    const backupCollections = manifest.collections.map((collection) => collection.name);
+    // Backups from before options were recorded fall back to how the collection is set up now
+    const liveOptions = await readCollectionOptions(db);
+    // Anything left over from a restore which died part way through
+    await dropStagingCollections(db);
+    let documents = 0;
+    try {
+      for (const { name, options } of manifest.collections) {
+        documents += await stageCollection(
+          db,
+          name,
+          readCollectionDocuments(folder, name),
+          options ? pickCollectionOptions(options) : liveOptions[name]
+        );
+      }
+      await stageCollection(
+        db,
+        MIGRATIONS_COLLECTION,
+        (manifest.migrations || []).map(({ fileName, appliedAt }) => ({
+          fileName,
+          appliedAt: new Date(appliedAt)
+        }))
+      );
+    } catch (e) {
+      await dropStagingCollections(db);
+      logger.error("Backup failed to load, the database was left untouched", e.toString());
+      throw new ValidationException({
+        collections: `The backup couldn't be loaded, nothing was changed: ${e.message}`
+      });
+    }
+
+    for (const name of [...backupCollections, MIGRATIONS_COLLECTION]) {
+      await db.renameCollection(stagingName(name), name, { dropTarget: true });
+    }
+    for (const name of await listBackupCollections(db)) {
+      if (!backupCollections.includes(name)) {
+        await db.collection(name).deleteMany({});
+      }
+    }
+
+    await replaceHistoryImages(folder);
+
+    const migrations = await up(db, mongoose.connection.getClient());
+    logger.warning("Backup restored", {
+      collections: backupCollections.length,
+      documents,
+      migrations
+    });
+    return {
+      collections: backupCollections.length,
+      documents,
+      images: manifest.images ?? 0,
+      migrations
+    };
+  } finally {
+    await fsPromises.rm(folder, { recursive: true, force: true });
+  }
+});
+
+/**
+ * Takes a scheduled backup once the configured interval has passed since the last one, then
+ * prunes scheduled backups past the retention count. Manual backups are never pruned.
+ * @returns {Promise<void>}
+ */
+async function runScheduledBackup() {
+  const schedule = SettingsClean.returnSystemSettings()?.backup;
+  if (!schedule?.scheduled || backupInProgress) {
+    return;
+  }
+  let scheduledBackups = (await listBackups()).filter((backup) => backup.scheduled);
+  const [lastBackup] = scheduledBackups;
+  if (!!lastBackup && Date.now() - lastBackup.created < schedule.intervalHours * HOUR_MS) {
+    return;
+  }
+
+  const backup = await createBackup({ scheduled: true });
+  scheduledBackups = [backup, ...scheduledBackups];
+  for (const expired of scheduledBackups.slice(schedule.retention)) {
+    await fsPromises.unlink(join(getBackupsPath(), expired.name));
+    logger.info(`Pruned scheduled backup ${expired.name}`);
+  }
+}
+
+module.exports = {
+  listBackups,
+  getBackupFile,
+  createBackup,
+  deleteBackup,
+  restoreBackup,
+  runScheduledBackup
+};
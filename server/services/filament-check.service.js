@@ -0,0 +1,90 @@
+'use strict';
+
+const { FilamentClean } = require('./filament-cleaner.service');
+const { SettingsClean } = require('./settings-cleaner.service');
+const { floatOrZero } = require('../utils/number.util');
+const { calcSpoolWeightAsString } = require('../utils/spool.utils');
+const { getToolMaterial, isSameMaterial } = require('../utils/slicer-material.utils');
+const {
+  FILAMENT_CHECK_MARGIN,
+  FILAMENT_CHECK_ISSUES,
+} = require('../constants/filament-check.constants');
+
+const findFile = (printer, fullPath) =>
+  (printer?.fileList?.fileList || []).find((file) => file.fullPath === fullPath);
+
+/**
+ * The printers copy of a spool is a snapshot from when it was assigned, prefer the cleaned spool
+ * list as that carries usage from any jobs since.
+ * @param spool
+ * @returns {number}
+ */
+const getRemainingWeight = (spool) => {
+  const cleanSpool = FilamentClean.getSpools().find(
+    (sp) => sp._id.toString() === spool._id.toString()
+  );
+  if (!!cleanSpool) {
+    return floatOrZero(cleanSpool.remaining);
+  }
+  return floatOrZero(spool.spools.weight) - floatOrZero(spool.spools.used);
+};
+
+/**
+ * Compares what a file needs per tool against the spools assigned to the printer, before the job
+ * is started. Tools without a spool assigned or files without an analysis aren't checked.
+ * @param printer
+ * @param fullPath
+ * @returns {{canPrint: boolean, issues: *[]}}
+ */
+function checkFilamentSufficiency(printer, fullPath) {
+  const settings = SettingsClean.returnSystemSettings()?.filament;
+  const issues = [];
+  const file = findFile(printer, fullPath);
+  if (!settings?.sufficiencyCheck || !file) {
+    return { canPrint: true, issues };
+  }
+
+  const lengths = file.filamentLength ?? file.length;
+  const toolLengths = Array.isArray(lengths) ? lengths : [lengths];
+  const selectedFilament = printer.selectedFilament || [];
+
+  toolLengths.forEach((length, tool) => {
+    const spool = selectedFilament[tool];
+    if (!spool?.spools?.profile || !length) {
+      return;
+    }
+    const required = parseFloat(
+      calcSpoolWeightAsString(floatOrZero(length) / 1000, spool, FILAMENT_CHECK_MARGIN)
+    );
+    const remaining = getRemainingWeight(spool);
+    if (remaining < required) {
+      issues.push({
+        tool,
+        type: FILAMENT_CHECK_ISSUES.INSUFFICIENT,
+        message: `Tool ${tool}: ${spool.spools.name} has ${remaining.toFixed(
+          2
+        )}g left, the file needs around ${required.toFixed(2)}g`,
+      });
+    }
+
+    const fileMaterial = getToolMaterial(file.material, tool);
+    const spoolMaterial = spool.spools.profile.material || '';
+    if (!!fileMaterial && !!spoolMaterial && !isSameMaterial(fileMaterial, spoolMaterial)) {
+      issues.push({
+        tool,
+        type: FILAMENT_CHECK_ISSUES.MATERIAL_MISMATCH,
+        message: `Tool ${tool}: the file was sliced for ${fileMaterial} but ${spool.spools.name} is ${spoolMaterial}`,
+      });
+    }
+  });
+
+  const blocked =
+    settings.blockInsufficient &&
+    issues.some((issue) => issue.type === FILAMENT_CHECK_ISSUES.INSUFFICIENT);
+  return { canPrint: !blocked, issues };
+}
+
+module.exports = {
+  checkFilamentSufficiency,
+  getRemainingWeight,
+};
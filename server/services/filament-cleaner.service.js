@@ -5,6 +5,7 @@ const Logger = require('../handlers/logger.js');
 const Spools = require('../models/Filament.js');
 const Profiles = require('../models/Profiles.js');
 const { SettingsClean } = require('./settings-cleaner.service');
+const { FilamentInventory } = require('./filament-inventory.service');
 const { getPrinterStoreCache } = require('../cache/printer-store.cache');
 const { LOGGER_ROUTE_KEYS } = require('../constants/logger.constants');
 const { findIndex } = require('lodash');
@@ -61,6 +62,7 @@ class FilamentCleanerService {
       const spool = {
         _id: sp._id,
         name: sp.spools.name,
+        colour: sp.spools.colour || '',
         profile: sp.spools.profile,
         price: sp.spools.price,
         weight: sp.spools.weight,
@@ -86,6 +88,7 @@ class FilamentCleanerService {
     );
     FilamentCleanerService.createPrinterList();
     await FilamentCleanerService.dropDownList(spools, profiles, selectedFilamentList);
+    await FilamentInventory.start(spoolsArray, profilesArray);
   }
 
   static removeSelectedSpoolsFromList(selectedFilament) {
@@ -0,0 +1,246 @@
+'use strict';
+
+const Logger = require('../handlers/logger.js');
+const Profiles = require('../models/Profiles.js');
+const FilamentStockThreshold = require('../models/FilamentStockThreshold.js');
+const { ScriptRunner } = require('./local-scripts.service');
+const { NotFoundException } = require('../exceptions/runtime.exceptions');
+const { floatOrZero } = require('../utils/number.util');
+const { toCsvRow } = require('../utils/csv.utils');
+const { FARM_ALERT_TRIGGERS } = require('../constants/alert.constants');
+const {
+  DEFAULT_REORDER_SPOOL_WEIGHT,
+  REORDER_EXPORT_FORMATS,
+  REORDER_LIST_COLUMNS,
+} = require('../constants/filament-inventory.constants');
+const { LOGGER_ROUTE_KEYS } = require('../constants/logger.constants');
+
+const logger = new Logger(LOGGER_ROUTE_KEYS.SERVICE_FILAMENT_INVENTORY);
+
+let inventoryClean = [];
+let lastSpools = [];
+let lastProfiles = [];
+
+const normaliseColour = (colour) => (colour || '').trim().toLowerCase();
+
+const stockKey = (profileID, colour) => `${profileID.toString()}:${normaliseColour(colour)}`;
+
+const roundTwo = (value) => Math.round(value * 100) / 100;
+
+class FilamentInventoryService {
+  static getInventory() {
+    return inventoryClean;
+  }
+
+  /**
+   * Everything under its minimum stock, with a rough idea of how many spools it'll take to get
+   * back above it. Spool weight and price are averaged from the spools already in stock.
+   * @returns {*[]}
+   */
+  static getReorderList() {
+    return inventoryClean
+      .filter((stock) => stock.lowStock)
+      .map((stock) => {
+        const spoolWeight =
+          stock.spoolCount > 0 ? stock.weight / stock.spoolCount : DEFAULT_REORDER_SPOOL_WEIGHT;
+        const spoolPrice = stock.spoolCount > 0 ? stock.price / stock.spoolCount : 0;
+        const shortfall = stock.minimum - stock.remaining;
+        const spoolsToOrder = Math.ceil(shortfall / spoolWeight);
+        return {
+          profile: stock.profile,
+          manufacturer: stock.manufacturer,
+          material: stock.material,
+          colour: stock.colour,
+          remaining: stock.remaining,
+          minimum: stock.minimum,
+          shortfall: roundTwo(shortfall),
+          spoolsToOrder,
+          estimatedCost: roundTwo(spoolsToOrder * spoolPrice),
+        };
+      });
+  }
+
+  /**
+   * The reorder list as a CSV or JSON file body, ready to hand off to a supplier.
+   * @param format one of REORDER_EXPORT_FORMATS
+   * @returns {string}
+   */
+  static createReorderExport(format) {
+    const reorderList = FilamentInventoryService.getReorderList();
+    const columns = Object.keys(REORDER_LIST_COLUMNS);
+    if (format === REORDER_EXPORT_FORMATS.JSON) {
+      return JSON.stringify(
+        reorderList.map((item) =>
+          Object.fromEntries(columns.map((column) => [column, item[column]]))
+        )
+      );
+    }
+    return (
+      toCsvRow(Object.values(REORDER_LIST_COLUMNS)) +
+      reorderList.map((item) => toCsvRow(columns.map((column) => item[column]))).join('')
+    );
+  }
+
+  /**
+   * Rebuilds the inventory from the cleaned spools and profiles, then fires the low stock alert
+   * for anything that has just dropped under its minimum.
+   * @param spools
+   * @param profiles
+   * @returns {Promise<void>}
+   */
+  static async start(spools, profiles) {
+    lastSpools = spools;
+    lastProfiles = profiles;
+    const thresholds = await FilamentStockThreshold.find({});
+    inventoryClean = FilamentInventoryService.createInventory(spools, profiles, thresholds);
+    await FilamentInventoryService.checkStockLevels(thresholds);
+  }
+
+  static async refresh() {
+    await FilamentInventoryService.start(lastSpools, lastProfiles);
+  }
+
+  static createInventory(spools, profiles, thresholds) {
+    const stockList = new Map();
+    const findProfile = (id) =>
+      profiles.find((profile) => profile._id.toString() === id.toString());
+    const getStock = (profile, colour) => {
+      const key = stockKey(profile._id, colour);
+      if (!stockList.has(key)) {
+        stockList.set(key, {
+          key,
+          profile: profile._id,
+          manufacturer: profile.manufacturer,
+          material: profile.material,
+          colour: (colour || '').trim(),
+          spoolCount: 0,
+          weight: 0,
+          remaining: 0,
+          price: 0,
+          threshold: null,
+          minimum: 0,
+          lowStock: false,
+        });
+      }
+      return stockList.get(key);
+    };
+
+    for (const spool of spools) {
+      const profile = findProfile(spool.profile);
+      if (!profile) {
+        continue;
+      }
+      const stock = getStock(profile, spool.colour);
+      const weight = floatOrZero(spool.weight);
+      stock.spoolCount++;
+      stock.weight += weight;
+      stock.price += floatOrZero(spool.price);
+      stock.remaining += Math.max(weight - floatOrZero(spool.used), 0);
+    }
+
+    for (const threshold of thresholds) {
+      const profile = findProfile(threshold.profile);
+      if (!profile) {
+        continue;
+      }
+      const stock = getStock(profile, threshold.colour);
+      stock.threshold = threshold._id;
+      stock.minimum = threshold.minimum;
+    }
+
+    return [...stockList.values()]
+      .map((stock) => ({
+        ...stock,
+        weight: roundTwo(stock.weight),
+        remaining: roundTwo(stock.remaining),
+        price: roundTwo(stock.price),
+        lowStock: !!stock.threshold && stock.remaining < stock.minimum,
+      }))
+      .sort(
+        (a, b) =>
+          a.material.localeCompare(b.material) ||
+          a.manufacturer.localeCompare(b.manufacturer) ||
+          a.colour.localeCompare(b.colour)
+      );
+  }
+
+  static async checkStockLevels(thresholds) {
+    for (const threshold of thresholds) {
+      const stock = inventoryClean.find(
+        (entry) => entry.key === stockKey(threshold.profile, threshold.colour)
+      );
+      if (!stock || stock.lowStock === threshold.lowStock) {
+        continue;
+      }
+      // Only the first check to flip the flag fires the alert, filament cleans can overlap
+      const flipped = await FilamentStockThreshold.findOneAndUpdate(
+        { _id: threshold._id, lowStock: !stock.lowStock },
+        { lowStock: stock.lowStock }
+      );
+      if (!flipped || !stock.lowStock) {
+        continue;
+      }
+      logger.warning('Filament stock is below its minimum', {
+        material: stock.material,
+        colour: stock.colour,
+        remaining: stock.remaining,
+        minimum: stock.minimum,
+      });
+      ScriptRunner.checkFarm(FARM_ALERT_TRIGGERS.LOW_STOCK, {
+        Manufacturer: stock.manufacturer,
+        Material: stock.material,
+        Colour: stock.colour || 'Unspecified',
+        RemainingStock: `${stock.remaining}g`,
+        MinimumStock: `${stock.minimum}g`,
+      }).catch((e) => {
+        logger.error('Unable to fire low stock alerts', e.toString());
+      });
+    }
+  }
+
+  /**
+   * Sets the minimum stock for a profile and colour, replacing any existing minimum.
+   * @param profile
+   * @param colour
+   * @param minimum grams
+   * @returns {Promise<*>}
+   */
+  static async setThreshold({ profile, colour, minimum }) {
+    if (!(await Profiles.exists({ _id: profile }))) {
+      throw new NotFoundException(`Filament profile ${profile} does not exist`);
+    }
+    const existing = (await FilamentStockThreshold.find({ profile })).find(
+      (threshold) => normaliseColour(threshold.colour) === normaliseColour(colour)
+    );
+    let threshold;
+    if (!!existing) {
+      existing.minimum = minimum;
+      threshold = await existing.save();
+    } else {
+      threshold = await FilamentStockThreshold.create({
+        profile,
+        colour: (colour || '').trim(),
+        minimum,
+      });
+    }
+    await FilamentInventoryService.refresh();
+    return threshold;
+  }
+
+  static async deleteThreshold(id) {
+    const threshold = await FilamentStockThreshold.findByIdAndDelete(id);
+    if (!threshold) {
+      throw new NotFoundException(`Stock threshold ${id} does not exist`);
+    }
+    await FilamentInventoryService.refresh();
+    return threshold;
+  }
+
+  static async deleteProfileThresholds(profile) {
+    await FilamentStockThreshold.deleteMany({ profile });
+  }
+}
+
+module.exports = {
+  FilamentInventory: FilamentInventoryService,
+};
@@ -116,6 +116,7 @@ class FileCleanerService {
           last: file.last,
           expectedPrintTime: file.time,
           filamentLength: file?.length || 0,
+          material: file.material || "",
           printCost,
           electricityCosts,
           maintenanceCosts
@@ -165,6 +166,7 @@ class FileCleanerService {
       last: file.last,
       expectedPrintTime: file.time,
       filamentLength: file.length,
+      material: file.material || "",
       printCost,
       electricityCosts,
       maintenanceCosts
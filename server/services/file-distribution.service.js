@@ -0,0 +1,149 @@
+const { createReadStream } = require("fs");
+const request = require("request");
+const Logger = require("../handlers/logger.js");
+const { getPrinterStoreCache } = require("../cache/printer-store.cache");
+const { OctoprintApiClientService } = require("./octoprint/octoprint-api-client.service");
+const { MoonrakerApiClientService } = require("./moonraker/moonraker-api-client.service");
+const { PRINTER_CATEGORIES } = require("./printers/constants/printer-categories.constants");
+const { checkApiStatusResponse } = require("../utils/api.utils");
+const { DISTRIBUTION_UPLOAD_TIMEOUT } = require("../constants/file-distribution.constants");
+const { LOGGER_ROUTE_KEYS } = require("../constants/logger.constants");
+
+const logger = new Logger(LOGGER_ROUTE_KEYS.SERVICE_FILE_DISTRIBUTION);
+
+const isMoonraker = (printer) => printer.category === PRINTER_CATEGORIES.MOONRAKER;
+
+const postMultipart = (url, apikey, formData) =>
+  new Promise((resolve, reject) => {
+    request.post(
+      {
+        url,
+        headers: { "X-Api-Key": apikey },
+        formData,
+        json: true,
+        timeout: DISTRIBUTION_UPLOAD_TIMEOUT
+      },
+      (err, response, body) =>
+        err ? reject(err) : resolve({ statusCode: response.statusCode, body })
+    );
+  });
+
+const describeRefusal = (statusCode, body) =>
+  `Printer refused the upload with status ${statusCode}${
+    body?.error ? `: ${body.error?.message ?? body.error}` : ""
+  }`;
+
+/**
+ * Creates any part of the folder the printer doesn't have yet. Moonraker makes the folders as
+ * part of the upload so only OctoFarms copy of the folder list needs updating there.
+ * @param printer
+ * @param folder e.g. "parts/brackets", empty for the root
+ * @returns {Promise<void>}
+ */
+async function ensurePrinterFolder(printer, folder) {
+  const segments = folder.split("/").filter((segment) => segment.length > 0);
+  let parent = "";
+  for (const segment of segments) {
+    const current = parent.length > 0 ? `${parent}/${segment}` : segment;
+    const exists = getPrinterStoreCache().doesFolderExist(printer._id, current).length > 0;
+    if (!exists) {
+      if (!isMoonraker(printer)) {
+        const { statusCode } = await postMultipart(
+          `${printer.printerURL}/api/files/local`,
+          printer.apikey,
+          { foldername: segment, path: parent }
+        );
+        // 409 means it was already there, OctoFarm just hadn't seen it yet
+        if (statusCode !== 201 && statusCode !== 409) {
+          throw new Error(`Couldn't create folder ${current}, status ${statusCode}`);
+        }
+      }
+      getPrinterStoreCache().addNewFolder({ i: printer._id, foldername: segment, path: parent });
+    }
+    parent = current;
+  }
+}
+
+/**
+ * Streams a library file up to the printer.
+ * @param printer
+ * @param filePath library file on disk
+ * @param fileName name it should have on the printer
+ * @param folder folder on the printer, empty for the root
+ * @param onProgress called with the bytes sent so far
+ * @returns {Promise<string>} full path the printer stored the file under
+ */
+async function uploadFileToPrinter(printer, { filePath, fileName, folder }, onProgress) {
+  const stream = createReadStream(filePath);
+  let sent = 0;
+  stream.on("data", (chunk) => {
+    sent += chunk.length;
+    onProgress(sent);
+  });
+  const file = { value: stream, options: { filename: fileName } };
+
+  if (isMoonraker(printer)) {
+    const { statusCode, body } = await postMultipart(
+      `${printer.printerURL}/server/files/upload`,
+      printer.apikey,
+      { file, root: "gcodes", path: folder }
+    );
+    if (statusCode !== 201 && statusCode !== 200) {
+      throw new Error(describeRefusal(statusCode, body));
+    }
+    return MoonrakerApiClientService.unwrapResult(body).item.path;
+  }
+
+  const { statusCode, body } = await postMultipart(
+    `${printer.printerURL}/api/files/local`,
+    printer.apikey,
+    { file, path: folder }
+  );
+  if (statusCode !== 201) {
+    throw new Error(describeRefusal(statusCode, body));
+  }
+  return body.files.local.path;
+}
+
+async function fetchPrinterFileEntry(printer, fullPath) {
+  const response = isMoonraker(printer)
+    ? await new MoonrakerApiClientService(printer.printerURL, printer.apikey).getFileMetadata(
+        fullPath
+      )
+    : await new OctoprintApiClientService(printer.printerURL, printer.apikey).getFile(fullPath);
+  const status = checkApiStatusResponse(response);
+  if (status !== 200) {
+    throw new Error(`Couldn't read ${fullPath} back from the printer, status ${status}`);
+  }
+  return MoonrakerApiClientService.unwrapResult(await response.json());
+}
+
+/**
+ * Reads the file back from the printers file listing and compares it with the library copy.
+ * Moonraker doesn't report a hash, so only the size can be checked there.
+ * @param printer
+ * @param fullPath
+ * @param size expected size in bytes
+ * @param hash expected SHA1
+ * @returns {Promise<{hashVerified: boolean}>}
+ */
+async function verifyPrinterFile(printer, fullPath, { size, hash }) {
+  const entry = await fetchPrinterFileEntry(printer, fullPath);
+  if (entry.size !== size) {
+    throw new Error(`Size mismatch, printer has ${entry.size} bytes, expected ${size}`);
+  }
+  if (!entry.hash) {
+    logger.debug(`${printer.printerName} reported no hash for ${fullPath}, size matched`);
+    return { hashVerified: false };
+  }
+  if (entry.hash !== hash) {
+    throw new Error(`Hash mismatch, printer has ${entry.hash}, expected ${hash}`);
+  }
+  return { hashVerified: true };
+}
+
+module.exports = {
+  ensurePrinterFolder,
+  uploadFileToPrinter,
+  verifyPrinterFile
+};
@@ -0,0 +1,109 @@
+const { createReadStream, promises: fsPromises } = require("fs");
+const { createHash } = require("crypto");
+const { pipeline } = require("stream/promises");
+const { join, basename, extname } = require("path");
+const Logger = require("../handlers/logger.js");
+const { getFileLibraryPath } = require("../utils/system-paths.utils");
+const { NotFoundException, ValidationException } = require("../exceptions/runtime.exceptions");
+const { FILE_LIBRARY_ALLOWED_EXTENSIONS } = require("../constants/file-distribution.constants");
+const { LOGGER_ROUTE_KEYS } = require("../constants/logger.constants");
+
+const logger = new Logger(LOGGER_ROUTE_KEYS.SERVICE_FILE_LIBRARY);
+
+async function ensureFileLibraryFolder() {
+  await fsPromises.mkdir(getFileLibraryPath(), { recursive: true });
+}
+
+function isLibraryFileName(name) {
+  return (
+    typeof name === "string" &&
+    name.length > 0 &&
+    basename(name) === name &&
+    !name.startsWith(".") &&
+    FILE_LIBRARY_ALLOWED_EXTENSIONS.includes(extname(name).toLowerCase())
+  );
+}
+
+/**
+ * OctoPrint compares hashes as SHA1, so that's what the library keeps too.
+ * @param filePath
+ * @returns {Promise<string>}
+ */
+async function hashFile(filePath) {
+  const hash = createHash("sha1");
+  await pipeline(createReadStream(filePath), hash);
+  return hash.digest("hex");
+}
+
+async function describeLibraryFile(name) {
+  const stats = await fsPromises.stat(join(getFileLibraryPath(), name));
+  return {
+    name,
+    size: stats.size,
+    modified: stats.mtime
+  };
+}
+
+/**
+ * Lists the files held in the library, newest first.
+ * @returns {Promise<{name: string, size: number, modified: Date}[]>}
+ */
+async function listLibraryFiles() {
+  await ensureFileLibraryFolder();
+  const files = (await fsPromises.readdir(getFileLibraryPath())).filter(isLibraryFileName);
+  const described = await Promise.all(files.map(describeLibraryFile));
+  return described.sort((a, b) => b.modified - a.modified);
+}
+
+/**
+ * Resolves a library file name to its path, refusing anything that could escape the library.
+ * @param name
+ * @returns {Promise<string>}
+ */
+async function getLibraryFile(name) {
+  if (!isLibraryFileName(name)) {
+    throw new ValidationException({ name: "Not a printable file name" });
+  }
+  const libraryFile = join(getFileLibraryPath(), name);
+  try {
+    await fsPromises.access(libraryFile);
+  } catch (e) {
+    throw new NotFoundException(`Library file ${name} does not exist`);
+  }
+  return libraryFile;
+}
+
+/**
+ * Moves a finished upload into the library under its original name, replacing any older copy.
+ * @param uploadPath where multer wrote the upload
+ * @param originalName
+ * @returns {Promise<{name: string, size: number, modified: Date, hash: string}>}
+ */
+async function addLibraryFile(uploadPath, originalName) {
+  const name = basename(originalName ?? "");
+  if (!isLibraryFileName(name)) {
+    await fsPromises.rm(uploadPath, { force: true });
+    throw new ValidationException({ file: `${name} is not a printable file` });
+  }
+  await fsPromises.rename(uploadPath, join(getFileLibraryPath(), name));
+  logger.info(`Added ${name} to the file library`);
+  return {
+    ...(await describeLibraryFile(name)),
+    hash: await hashFile(join(getFileLibraryPath(), name))
+  };
+}
+
+async function deleteLibraryFile(name) {
+  await fsPromises.unlink(await getLibraryFile(name));
+  logger.info(`Removed ${name} from the file library`);
+}
+
+module.exports = {
+  ensureFileLibraryFolder,
+  isLibraryFileName,
+  hashFile,
+  listLibraryFiles,
+  getLibraryFile,
+  addLibraryFile,
+  deleteLibraryFile
+};
@@ -1,25 +1,161 @@
-const { defaultSortBy, defaultFilterBy } = require("../constants/filter-sorting.constants");
+const { orderBy } = require("lodash");
+const ClientSettingsDB = require("../models/ClientSettings.js");
+const { SettingsClean } = require("./settings-cleaner.service.js");
+const { NotFoundException } = require("../exceptions/runtime.exceptions");
+const {
+  defaultSortBy,
+  defaultFilterBy,
+  FILTER_PREFIXES
+} = require("../constants/filter-sorting.constants");
 
-let filterBy = defaultFilterBy;
+const getSorting = function (clientSettings) {
+  return clientSettings?.monitoring?.sortBy ?? defaultSortBy;
+};
 
-let sortBy = defaultSortBy;
+const getFilter = function (clientSettings) {
+  return clientSettings?.monitoring?.filterBy ?? defaultFilterBy;
+};
 
-const getSorting = function () {
-  return sortBy;
+const getSavedViews = function (clientSettings) {
+  return clientSettings?.monitoring?.savedViews ?? [];
 };
 
-const getFilter = function () {
-  return filterBy;
+const updateMonitoringSettings = async function (clientSettingsID, update) {
+  const updated = await ClientSettingsDB.findByIdAndUpdate(clientSettingsID, update, {
+    new: true
+  });
+  if (!updated) {
+    throw new NotFoundException("Client settings do not exist");
+  }
+  // Monitoring SSE reads from the settings cache, refresh it so the next push uses the change
+  await SettingsClean.start();
+  return updated.monitoring;
 };
 
-const updateSorting = function (sorting) {
-  sortBy = sorting;
+const updateSorting = async function (clientSettingsID, sorting) {
+  return updateMonitoringSettings(clientSettingsID, { "monitoring.sortBy": sorting });
 };
-const updateFilter = function (filter) {
-  filterBy = filter;
+
+/**
+ * Picking a saved view also brings across the sort order it was saved with.
+ * @param clientSettingsID
+ * @param filter one of the printer group list entries or "View: <name>"
+ * @returns {Promise<*>}
+ */
+const updateFilter = async function (clientSettingsID, filter) {
+  const update = { "monitoring.filterBy": filter };
+  if (filter.startsWith(FILTER_PREFIXES.VIEW)) {
+    const clientSettings = SettingsClean.returnClientSettings(clientSettingsID);
+    const view = getSavedViews(clientSettings).find(
+      ({ name }) => name === filter.replace(FILTER_PREFIXES.VIEW, "")
+    );
+    if (!view) {
+      throw new NotFoundException(`Saved view ${filter} does not exist`);
+    }
+    update["monitoring.sortBy"] = view.sortBy;
+  }
+  return updateMonitoringSettings(clientSettingsID, update);
+};
+
+/**
+ * Saves a named view, replacing any existing view with the same name.
+ * @param clientSettingsID
+ * @param view {name, sortBy, groups, states, materials}
+ * @returns {Promise<*>}
+ */
+const saveView = async function (clientSettingsID, view) {
+  const clientSettings = SettingsClean.returnClientSettings(clientSettingsID);
+  const savedViews = getSavedViews(clientSettings).filter(({ name }) => name !== view.name);
+  savedViews.push(view);
+  return updateMonitoringSettings(clientSettingsID, { "monitoring.savedViews": savedViews });
+};
+
+const deleteView = async function (clientSettingsID, viewName) {
+  const clientSettings = SettingsClean.returnClientSettings(clientSettingsID);
+  const update = {
+    $pull: { "monitoring.savedViews": { name: viewName } }
+  };
+  if (getFilter(clientSettings) === `${FILTER_PREFIXES.VIEW}${viewName}`) {
+    update.$set = { "monitoring.filterBy": defaultFilterBy };
+  }
+  return updateMonitoringSettings(clientSettingsID, update);
+};
+
+/**
+ * Turns the selected filter into the criteria a printer has to meet, an empty list matches
+ * everything.
+ * @param clientSettings
+ * @returns {{groups: string[], states: string[], materials: string[]}}
+ */
+const getFilterCriteria = function (clientSettings) {
+  const filterBy = getFilter(clientSettings);
+  const criteria = { groups: [], states: [], materials: [] };
+  if (filterBy.startsWith(FILTER_PREFIXES.STATE)) {
+    criteria.states.push(filterBy.replace(FILTER_PREFIXES.STATE, ""));
+  } else if (filterBy.startsWith(FILTER_PREFIXES.GROUP)) {
+    criteria.groups.push(filterBy.replace(FILTER_PREFIXES.GROUP, ""));
+  } else if (filterBy.startsWith(FILTER_PREFIXES.VIEW)) {
+    const view = getSavedViews(clientSettings).find(
+      ({ name }) => name === filterBy.replace(FILTER_PREFIXES.VIEW, "")
+    );
+    if (view) {
+      criteria.groups.push(...view.groups);
+      criteria.states.push(...view.states);
+      criteria.materials.push(...view.materials);
+    }
+  }
+  return criteria;
+};
+
+const printerMaterials = function (printer) {
+  return (printer.selectedFilament ?? [])
+    .map((spool) => spool?.spools?.profile?.material)
+    .filter((material) => !!material);
+};
+
+const matchesCriteria = function (printer, { groups, states, materials }) {
+  return (
+    (groups.length === 0 || groups.includes(printer.group)) &&
+    (states.length === 0 || states.includes(printer.printerState?.colour?.category)) &&
+    (materials.length === 0 ||
+      printerMaterials(printer).some((material) => materials.includes(material)))
+  );
+};
+
+/**
+ * Flags which printers the client should display, copies are returned because the same
+ * printer list is shared between every connected client.
+ * @param printers
+ * @param clientSettings
+ * @returns {*[]}
+ */
+const filterPrinters = function (printers, clientSettings) {
+  const criteria = getFilterCriteria(clientSettings);
+  return printers.map((printer) => ({
+    ...printer,
+    display: matchesCriteria(printer, criteria)
+  }));
+};
+
+const sortPrinters = function (printers, clientSettings) {
+  const sortBy = getSorting(clientSettings);
+  if (sortBy === "time") {
+    return orderBy(printers, ["currentJob.printTimeRemaining"], "desc");
+  } else if (sortBy === "percent") {
+    return orderBy(printers, ["currentJob.progress"], "desc");
+  } else if (sortBy === "index") {
+    return orderBy(printers, ["sortIndex"], "asc");
+  } else {
+    return printers;
+  }
 };
 
 exports.getSorting = getSorting;
 exports.getFilter = getFilter;
+exports.getSavedViews = getSavedViews;
 exports.updateSorting = updateSorting;
 exports.updateFilter = updateFilter;
+exports.saveView = saveView;
+exports.deleteView = deleteView;
+exports.filterPrinters = filterPrinters;
+exports.sortPrinters = sortPrinters;
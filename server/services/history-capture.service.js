@@ -16,6 +16,9 @@ const { getPrinterStoreCache } = require('../cache/printer-store.cache');
 const { getInfluxCleanerCache } = require('../cache/influx-export.cache');
 const { LOGGER_ROUTE_KEYS } = require('../constants/logger.constants');
 const { FilamentClean } = require('../services/filament-cleaner.service');
+const { UNCLASSIFIED_FAILURE } = require('../constants/failure-reasons.constants');
+const { TIMELAPSE_EXTENSION } = require('../constants/timelapse.constants');
+const { TimelapseRecorder } = require('./timelapse-recorder.service');
 
 const logger = new Logger(LOGGER_ROUTE_KEYS.SERVICE_HISTORY_CAPTURE);
 
@@ -123,6 +126,7 @@ class HistoryCaptureService {
       costSettings: this.#costSettings,
       success: this.#success,
       reason: this.#reason,
+      ...(!this.#success && { failureReason: UNCLASSIFIED_FAILURE }),
       fileName: this.#fileName,
       filePath: this.#filePath,
       startDate: this.#startDate,
@@ -162,6 +166,7 @@ class HistoryCaptureService {
       });
     }
     if (!this.#success) {
+      this.flagUnclassifiedFailure();
       this.checkForAdditionalFailureProperties().catch((e) => {
         logger.error("Couldn't check for additional failed properties", e.toString());
       });
@@ -452,6 +457,35 @@ class HistoryCaptureService {
     return filePath;
   }
 
+  /**
+   * Finishes off OctoFarm's own recording of the print, if one was running
+   * @param keep whether the timelapse setting for this outcome is on, otherwise it's thrown away
+   * @returns {Promise<boolean>} true when a recording was saved to the history record
+   */
+  async recordedTimelapseCheck(keep) {
+    if (!keep) {
+      await TimelapseRecorder.discardRecording(this.#printerID);
+      return false;
+    }
+    ensureBaseFolderExists();
+    ensureFolderExists(PATHS.timelapses);
+
+    const filePath = await TimelapseRecorder.finishRecording(
+      this.#printerID,
+      `${PATHS.timelapses}/${this.#historyRecordID}-${this.#fileName}${TIMELAPSE_EXTENSION}`
+    );
+    if (!filePath) {
+      return false;
+    }
+    this.#timelapse = filePath;
+    await History.findByIdAndUpdate(this.#historyRecordID, {
+      $set: { 'printHistory.timelapse': filePath },
+    });
+    await getHistoryCache().initCache();
+    logger.info('Saved recorded timelapse to: ', { filePath });
+    return true;
+  }
+
   async deleteTimeLapse(fileName) {
     return fetch(`${this.#printerURL}/api/timelapse/${fileName}`, {
       method: 'DELETE',
@@ -578,6 +612,12 @@ class HistoryCaptureService {
 
   async checkForAdditionalSuccessProperties() {
     const serverSettingsCache = SettingsClean.returnSystemSettings();
+    const recordedTimelapse = await this.recordedTimelapseCheck(
+      serverSettingsCache.history.timelapse.onComplete
+    ).catch((e) => {
+      logger.error('Unable to save recorded timelapse on success', e.toString());
+      return false;
+    });
     if (serverSettingsCache.filament.downDateSuccess) {
       // Capture success amount
       try {
@@ -622,7 +662,8 @@ class HistoryCaptureService {
       }
     }
 
-    if (serverSettingsCache.history.timelapse.onComplete) {
+    // OctoPrint's own timelapse is only a fallback when OctoFarm wasn't recording
+    if (serverSettingsCache.history.timelapse.onComplete && !recordedTimelapse) {
       try {
       await this.timelapseCheck();
       } catch (e) {
@@ -631,8 +672,32 @@ class HistoryCaptureService {
     }
   }
 
+  /**
+   * Leaves the failure on the printer so the monitoring views can ask an operator what went wrong.
+   */
+  flagUnclassifiedFailure() {
+    try {
+      getPrinterStoreCache().updatePrinterLiveValue(this.#printerID, {
+        unclassifiedFailure: {
+          historyID: this.#historyRecordID,
+          fileName: this.#fileName,
+          cancelled: this.#reason === 'cancelled',
+          endDate: this.#endDate,
+        },
+      });
+    } catch (e) {
+      logger.error('Unable to flag the failure for classification', e.toString());
+    }
+  }
+
   async checkForAdditionalFailureProperties() {
     const serverSettingsCache = SettingsClean.returnSystemSettings();
+    const recordedTimelapse = await this.recordedTimelapseCheck(
+      serverSettingsCache.history.timelapse.onFailure
+    ).catch((e) => {
+      logger.error('Unable to save recorded timelapse on failure', e.toString());
+      return false;
+    });
 
     if (serverSettingsCache.filament.downDateFailed) {
       try {
@@ -684,7 +749,7 @@ class HistoryCaptureService {
       }
     }
 
-    if (serverSettingsCache.history.timelapse.onFailure) {
+    if (serverSettingsCache.history.timelapse.onFailure && !recordedTimelapse) {
       try {
         await this.timelapseCheck();
       } catch (e) {
@@ -18,6 +18,7 @@ const { last12Month } = require('../utils/date.utils');
 const { orderBy } = require('lodash');
 const { SettingsClean } = require('./settings-cleaner.service');
 const { LOGGER_ROUTE_KEYS } = require('../constants/logger.constants');
+const { UNCLASSIFIED_FAILURE } = require('../constants/failure-reasons.constants');
 let logger;
 
 class HistoryCleanerService {
@@ -321,6 +322,85 @@ class HistoryCleanerService {
     };
   }
 
+  /**
+   * The filament profiles a print ran with, as "Manufacturer Material".
+   * @param spools summary spools from getSpool
+   * @returns {string[]}
+   */
+  static getSpoolProfiles(spools) {
+    const profiles = (spools || [])
+      .filter((spool) => !!spool)
+      .map((spool) => Object.values(spool)[0])
+      .filter((spool) => !!spool?.type)
+      .map((spool) => `${spool.manufacturer || ''} ${spool.type}`.trim());
+    return profiles.length > 0 ? [...new Set(profiles)] : ['No Spool'];
+  }
+
+  /**
+   * Breaks the failed and cancelled prints down by reason, then shows the failure rate and the
+   * reasons behind it for each printer, filament profile and file.
+   * @param history summaries from generateDataSummary
+   * @returns {{reasons: *[], byPrinter: *[], byProfile: *[], byFile: *[]}}
+   */
+  static generateFailureAnalysis(history) {
+    const reasonCounts = {};
+    const groups = {
+      byPrinter: {},
+      byProfile: {},
+      byFile: {},
+    };
+    let failedTotal = 0;
+
+    const countPrint = (group, name, failureReason) => {
+      if (!group[name]) {
+        group[name] = { name, prints: 0, failed: 0, reasons: {} };
+      }
+      const entry = group[name];
+      entry.prints++;
+      if (!!failureReason) {
+        entry.failed++;
+        entry.reasons[failureReason] = (entry.reasons[failureReason] || 0) + 1;
+      }
+    };
+
+    for (const { printer, file, spools, failureReason } of history) {
+      if (!!failureReason) {
+        failedTotal++;
+        reasonCounts[failureReason] = (reasonCounts[failureReason] || 0) + 1;
+      }
+      countPrint(groups.byPrinter, printer, failureReason);
+      countPrint(groups.byFile, file?.name || 'Unknown', failureReason);
+      for (const profile of HistoryCleanerService.getSpoolProfiles(spools)) {
+        countPrint(groups.byProfile, profile, failureReason);
+      }
+    }
+
+    const toSortedList = (group) =>
+      orderBy(
+        Object.values(group).map((entry) => ({
+          ...entry,
+          failureRate: ((entry.failed / entry.prints) * 100).toFixed(2),
+        })),
+        ['failed', 'prints'],
+        ['desc', 'desc']
+      );
+
+    return {
+      reasons: orderBy(
+        Object.entries(reasonCounts).map(([reason, count]) => ({
+          reason,
+          count,
+          percent: ((count / failedTotal) * 100).toFixed(2),
+        })),
+        ['count'],
+        ['desc']
+      ),
+      byPrinter: toSortedList(groups.byPrinter),
+      byProfile: toSortedList(groups.byProfile),
+      byFile: toSortedList(groups.byFile),
+    };
+  }
+
   generateStatistics(historyData) {
     let completedJobsCount = 0;
     let cancelledCount = 0;
@@ -569,6 +649,7 @@ class HistoryCleanerService {
       usageOverTime: usageOverTime,
       historyByDay: historyByDay,
       totalOverTime,
+      failureAnalysis: HistoryCleanerService.generateFailureAnalysis(currentHistory),
     };
   }
 
@@ -639,9 +720,13 @@ class HistoryCleanerService {
     const historyPrinterGroups = [];
     const historySpoolsManu = [];
     const historySpoolsMat = [];
+    const historyFailureReasons = [];
     if (history) {
       history.forEach((hist) => {
         historyPrinterNames.push(hist.printer.replace(/ /g, '_'));
+        if (!!hist?.failureReason) {
+          historyFailureReasons.push(hist.failureReason);
+        }
         if (hist?.printerGroup) {
           historyPrinterGroups.push(hist.printerGroup);
         }
@@ -684,6 +769,9 @@ class HistoryCleanerService {
       spoolsManu: historySpoolsManu.filter(function (item, i, ar) {
         return ar.indexOf(item) === i;
       }),
+      failureReasons: historyFailureReasons.filter(function (item, i, ar) {
+        return ar.indexOf(item) === i;
+      }),
     };
   };
 
@@ -711,6 +799,9 @@ class HistoryCleanerService {
         endDate: printHistory.endDate,
         printTime: printHistory.printTime,
         notes: printHistory.notes,
+        failureReason: printHistory.success
+          ? ''
+          : printHistory.failureReason || UNCLASSIFIED_FAILURE,
         printerCost: printCost?.toFixed(2),
         maintenanceCosts,
         electricityCosts,
@@ -0,0 +1,285 @@
+const { once } = require('events');
+const mongoose = require('mongoose');
+const History = require('../models/History');
+const Logger = require('../handlers/logger.js');
+const { getHistoryCache } = require('../cache/history.cache');
+const { validateInput } = require('../middleware/validators');
+const { ValidationException } = require('../exceptions/runtime.exceptions');
+const { floatOrZero } = require('../utils/number.util');
+const { toCsvRow } = require('../utils/csv.utils');
+const {
+  HISTORY_EXPORT_FORMATS,
+  HISTORY_EXPORT_VERSION,
+  HISTORY_EXPORT_COLUMNS,
+  HISTORY_CURRENCY_COLUMNS,
+} = require('../constants/history-export.constants');
+const { HISTORY_IMPORT_RECORD } = require('../constants/validate-history.constants');
+const { LOGGER_ROUTE_KEYS } = require('../constants/logger.constants');
+
+const logger = new Logger(LOGGER_ROUTE_KEYS.SERVICE_HISTORY_EXPORT);
+
+const toISOStringOrEmpty = (date) => {
+  const parsed = new Date(date);
+  return isNaN(parsed.getTime()) ? '' : parsed.toISOString();
+};
+
+const roundTwo = (value) => Math.round(floatOrZero(value) * 100) / 100;
+
+const listSpoolEntries = (summary) =>
+  (summary.spools || [])
+    .filter((spool) => !!spool)
+    .map((spool) => Object.values(spool)[0])
+    .filter((spool) => !!spool);
+
+const uniqueJoin = (values) => [...new Set(values.filter((value) => !!value))].join('; ');
+
+const COLUMN_VALUES = {
+  id: (summary) => summary._id.toString(),
+  state: (summary, printHistory) => {
+    if (printHistory.success) {
+      return 'Success';
+    }
+    return printHistory.reason === 'cancelled' ? 'Cancelled' : 'Failed';
+  },
+  failureReason: (summary) => summary.failureReason,
+  printer: (summary) => summary.printer,
+  printerGroup: (summary, printHistory) => printHistory.printerGroup || '',
+  file: (summary) => summary.file?.name || '',
+  filePath: (summary) => summary.file?.path || '',
+  startDate: (summary) => toISOStringOrEmpty(summary.startDate),
+  endDate: (summary) => toISOStringOrEmpty(summary.endDate),
+  printTime: (summary) => floatOrZero(summary.printTime),
+  printHours: (summary) => roundTwo(summary.printTime / 3600),
+  user: (summary, printHistory) => printHistory.activeControlUser || summary.job?.user || '',
+  spools: (summary) => uniqueJoin(listSpoolEntries(summary).map((spool) => spool.spoolName)),
+  materials: (summary) => uniqueJoin(listSpoolEntries(summary).map((spool) => spool.type)),
+  filamentLength: (summary) => roundTwo(summary.totalLength),
+  filamentWeight: (summary) => roundTwo(summary.totalWeight),
+  filamentVolume: (summary) => roundTwo(summary.totalVolume),
+  spoolCost: (summary) => roundTwo(summary.spoolCost),
+  electricityCost: (summary) => roundTwo(summary.electricityCosts),
+  maintenanceCost: (summary) => roundTwo(summary.maintenanceCosts),
+  printerCost: (summary) => roundTwo(summary.printerCost),
+  totalCost: (summary) => roundTwo(summary.totalCost),
+  costPerHour: (summary) => roundTwo(summary.costPerHour),
+  notes: (summary) => summary.notes || '',
+};
+
+/**
+ * Splits the comma separated column list from the request, all columns when none are given.
+ * @param columns
+ * @returns {string[]}
+ */
+function parseExportColumns(columns) {
+  if (!columns) {
+    return Object.keys(HISTORY_EXPORT_COLUMNS);
+  }
+  const columnList = columns
+    .split(',')
+    .map((column) => column.trim())
+    .filter((column) => column.length > 0);
+  const unknownColumns = columnList.filter((column) => !HISTORY_EXPORT_COLUMNS[column]);
+  if (unknownColumns.length > 0 || columnList.length === 0) {
+    throw new ValidationException({
+      columns: `Unknown column(s): ${unknownColumns.join(', ')}`,
+    });
+  }
+  return columnList;
+}
+
+function createCurrencyFormatter(currency, locale) {
+  if (!currency) {
+    return (value) => value;
+  }
+  try {
+    const formatter = new Intl.NumberFormat(locale || undefined, {
+      style: 'currency',
+      currency: currency.toUpperCase(),
+    });
+    return (value) => formatter.format(value);
+  } catch (e) {
+    throw new ValidationException({ currency: e.message });
+  }
+}
+
+/**
+ * Builds the history query for an export, printers can be given by name or id.
+ * @param from
+ * @param to
+ * @param printers comma separated list
+ * @returns {{}}
+ */
+function buildExportQuery({ from, to, printers }) {
+  const query = {};
+  if (!!from || !!to) {
+    query['printHistory.endDate'] = {
+      ...(!!from && { $gte: new Date(from) }),
+      ...(!!to && { $lte: new Date(to) }),
+    };
+  }
+  const printerList = (printers || '')
+    .split(',')
+    .map((printer) => printer.trim())
+    .filter((printer) => printer.length > 0);
+  if (printerList.length > 0) {
+    const printerIDs = printerList
+      .filter((printer) => mongoose.Types.ObjectId.isValid(printer))
+      .map((printer) => new mongoose.Types.ObjectId(printer));
+    query.$or = [
+      { 'printHistory.printerName': { $in: printerList } },
+      { 'printHistory.printerID': { $in: [...printerList, ...printerIDs] } },
+    ];
+  }
+  return query;
+}
+
+function createExportRow(record, columns, formatCurrency) {
+  const [summary] = getHistoryCache().generateDataSummary([record]);
+  const row = {};
+  for (const column of columns) {
+    const value = COLUMN_VALUES[column](summary, record.printHistory);
+    row[column] = HISTORY_CURRENCY_COLUMNS.includes(column) ? formatCurrency(value) : value;
+  }
+  return row;
+}
+
+async function writeChunk(res, chunk) {
+  if (!res.write(chunk)) {
+    await once(res, 'drain');
+  }
+}
+
+/**
+ * Streams the matching history straight out of the database so large farms don't have to hold
+ * their whole history in memory. JSON exports carry the raw record alongside the chosen columns
+ * so they can be imported into another OctoFarm instance.
+ * @param res
+ * @param format one of HISTORY_EXPORT_FORMATS
+ * @param from
+ * @param to
+ * @param printers
+ * @param columns
+ * @param currency ISO 4217 code
+ * @param locale
+ * @returns {Promise<void>}
+ */
+async function streamHistoryExport(
+  res,
+  { format, from, to, printers, columns, currency, locale }
+) {
+  const columnList = parseExportColumns(columns);
+  const formatCurrency = createCurrencyFormatter(currency, locale);
+  const query = buildExportQuery({ from, to, printers });
+  const fileName = `octofarm-history-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+  res.status(200);
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+  res.setHeader(
+    'Content-Type',
+    format === HISTORY_EXPORT_FORMATS.CSV ? 'text/csv; charset=utf-8' : 'application/json'
+  );
+
+  const cursor = History.find(query).sort({ 'printHistory.endDate': 1 }).lean().cursor();
+  let count = 0;
+
+  if (format === HISTORY_EXPORT_FORMATS.CSV) {
+    await writeChunk(res, toCsvRow(columnList.map((column) => HISTORY_EXPORT_COLUMNS[column])));
+    for await (const record of cursor) {
+      const row = createExportRow(record, columnList, formatCurrency);
+      await writeChunk(res, toCsvRow(columnList.map((column) => row[column])));
+      count++;
+    }
+  } else {
+    await writeChunk(
+      res,
+      `{"version":${HISTORY_EXPORT_VERSION},"exported":"${new Date().toISOString()}",` +
+        `"columns":${JSON.stringify(columnList)},"records":[`
+    );
+    for await (const record of cursor) {
+      const row = createExportRow(record, columnList, formatCurrency);
+      row.record = record.printHistory;
+      await writeChunk(res, (count > 0 ? ',' : '') + JSON.stringify(row));
+      count++;
+    }
+    await writeChunk(res, ']}');
+  }
+
+  res.end();
+  logger.info(`Exported ${count} history record(s) as ${format}`, query);
+}
+
+function parseImportFile(buffer) {
+  let data;
+  try {
+    data = JSON.parse(buffer.toString());
+  } catch (e) {
+    throw new ValidationException({ file: 'The import file is not valid JSON' });
+  }
+  if (!Array.isArray(data?.records)) {
+    throw new ValidationException({ file: 'The import file is not an OctoFarm history export' });
+  }
+  if (data.version > HISTORY_EXPORT_VERSION) {
+    throw new ValidationException({
+      version: `Export version ${data.version} is newer than this server supports`,
+    });
+  }
+  return data.records;
+}
+
+/**
+ * Imports the records from a JSON history export. Each record is validated on its own, records
+ * already in the database (same printer, file and end date) are skipped.
+ * @param buffer uploaded export file
+ * @returns {Promise<{imported: number, skipped: number, failed: *[]}>}
+ */
+async function importHistory(buffer) {
+  const records = parseImportFile(buffer);
+  const result = {
+    imported: 0,
+    skipped: 0,
+    failed: [],
+  };
+
+  for (const [index, row] of records.entries()) {
+    const record = row?.record;
+    try {
+      await validateInput(record ?? {}, HISTORY_IMPORT_RECORD);
+    } catch (e) {
+      result.failed.push({ index, errors: e.errors ?? e.message });
+      continue;
+    }
+
+    const printHistory = {
+      ...record,
+      endDate: new Date(record.endDate),
+      ...(typeof record.startDate === 'string' && { startDate: new Date(record.startDate) }),
+    };
+    const exists = await History.exists({
+      'printHistory.printerName': printHistory.printerName,
+      'printHistory.fileName': printHistory.fileName,
+      'printHistory.endDate': printHistory.endDate,
+    });
+    if (exists) {
+      result.skipped++;
+      continue;
+    }
+
+    await History.create({ printHistory });
+    result.imported++;
+  }
+
+  if (result.imported > 0) {
+    await getHistoryCache().initCache();
+  }
+  logger.info('Imported history records', {
+    imported: result.imported,
+    skipped: result.skipped,
+    failed: result.failed.length,
+  });
+  return result;
+}
+
+module.exports = {
+  streamHistoryExport,
+  importHistory,
+};
@@ -0,0 +1,83 @@
+const History = require("../models/History");
+const Logger = require("../handlers/logger.js");
+const { LOGGER_ROUTE_KEYS } = require("../constants/logger.constants");
+const { SettingsClean } = require("./settings-cleaner.service");
+const { getHistoryCache } = require("../cache/history.cache");
+const { getPrinterStoreCache } = require("../cache/printer-store.cache");
+const { NotFoundException, ValidationException } = require("../exceptions/runtime.exceptions");
+const {
+  UNCLASSIFIED_FAILURE,
+  DEFAULT_FAILURE_REASONS
+} = require("../constants/failure-reasons.constants");
+
+const logger = new Logger(LOGGER_ROUTE_KEYS.SERVICE_HISTORY_FAILURE);
+
+/**
+ * The failure reasons configured under the history server settings.
+ * @returns {string[]}
+ */
+function listFailureReasons() {
+  const failureReasons = SettingsClean.returnSystemSettings()?.history?.failureReasons;
+  return failureReasons?.length > 0 ? failureReasons : DEFAULT_FAILURE_REASONS;
+}
+
+/**
+ * Trims and de-duplicates a failure reason list from the settings page. Unclassified is reserved
+ * for records nobody has looked at yet so it can't be picked as a reason of its own.
+ * @param failureReasons
+ * @returns {string[]}
+ */
+function cleanFailureReasons(failureReasons) {
+  if (!Array.isArray(failureReasons)) {
+    return [];
+  }
+  const cleanReasons = failureReasons
+    .filter((reason) => typeof reason === "string")
+    .map((reason) => reason.trim())
+    .filter((reason) => reason.length > 0 && reason !== UNCLASSIFIED_FAILURE);
+  return [...new Set(cleanReasons)];
+}
+
+/**
+ * Records why a failed or cancelled print went wrong, then drops the prompt from its printer.
+ * @param historyID
+ * @param failureReason one of the configured reasons, or Unclassified to reset it
+ * @returns {Promise<*>}
+ */
+async function classifyFailure(historyID, failureReason) {
+  if (failureReason !== UNCLASSIFIED_FAILURE && !listFailureReasons().includes(failureReason)) {
+    throw new ValidationException({
+      failureReason: `${failureReason} is not a configured failure reason`
+    });
+  }
+
+  const history = await History.findById(historyID);
+  if (!history) {
+    throw new NotFoundException(`History record ${historyID} does not exist`);
+  }
+  if (history.printHistory.success) {
+    throw new ValidationException({
+      failureReason: "Only failed or cancelled prints can be given a failure reason"
+    });
+  }
+
+  history.printHistory.failureReason = failureReason;
+  history.markModified("printHistory");
+  await history.save();
+  logger.info(`Classified ${history.printHistory.fileName} as ${failureReason}`, { historyID });
+
+  const { printerID } = history.printHistory;
+  const printer = !!printerID ? getPrinterStoreCache().getPrinter(printerID) : undefined;
+  if (printer?.unclassifiedFailure?.historyID === historyID) {
+    getPrinterStoreCache().updatePrinterLiveValue(printer._id, { unclassifiedFailure: null });
+  }
+
+  await getHistoryCache().initCache();
+  return history;
+}
+
+module.exports = {
+  listFailureReasons,
+  cleanFailureReasons,
+  classifyFailure
+};
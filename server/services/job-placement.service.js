@@ -0,0 +1,354 @@
+const History = require("../models/History");
+const Logger = require("../handlers/logger.js");
+const { LOGGER_ROUTE_KEYS } = require("../constants/logger.constants");
+const { getPrinterStoreCache } = require("../cache/printer-store.cache");
+const { getRemainingWeight } = require("./filament-check.service");
+const { floatOrZero } = require("../utils/number.util");
+const { calcSpoolWeightAsString } = require("../utils/spool.utils");
+const { getToolMaterial, isSameMaterial } = require("../utils/slicer-material.utils");
+const { filterPrintersForUser } = require("../utils/permissions.utils");
+const { NotFoundException } = require("../exceptions/runtime.exceptions");
+const { FILAMENT_CHECK_MARGIN } = require("../constants/filament-check.constants");
+const { QUEUE_DISPATCHABLE_STATES } = require("../constants/print-queue.constants");
+const {
+  PLACEMENT_CHECKS,
+  PLACEMENT_RESULTS,
+  PLACEMENT_BLOCKING_CHECKS,
+  PLACEMENT_WEIGHTS,
+  PLACEMENT_RESULT_FACTORS,
+  NOZZLE_DIAMETER_TOLERANCE,
+  COLOUR_MATCH_DISTANCE
+} = require("../constants/job-placement.constants");
+
+const logger = new Logger(LOGGER_ROUTE_KEYS.SERVICE_JOB_PLACEMENT);
+
+// Worst first, a check across several tools reports the worst of them
+const RESULT_SEVERITY = [
+  PLACEMENT_RESULTS.FAIL,
+  PLACEMENT_RESULTS.WARNING,
+  PLACEMENT_RESULTS.UNKNOWN,
+  PLACEMENT_RESULTS.PASS
+];
+
+const HEX_COLOUR = /^#?([0-9a-f]{6})$/i;
+
+const findFile = (printer, fullPath) =>
+  (printer?.fileList?.fileList || []).find((file) => file.fullPath === fullPath);
+
+const formatSize = (...sizes) => sizes.map((size) => size ?? "?").join(" x ");
+
+const placementResult = (check, result, message) => ({ check, result, message });
+
+function isPrinterIdle(printer) {
+  return (
+    !printer.disabled &&
+    QUEUE_DISPATCHABLE_STATES.includes(printer?.printerState?.state) &&
+    !getPrinterStoreCache().isAwaitingBedClear(printer._id) &&
+    !getPrinterStoreCache().isMaintenanceBlocked(printer._id)
+  );
+}
+
+/**
+ * What the file needs from a printer, material and colour can be overridden by whoever asked.
+ * @param file
+ * @param material
+ * @param colour
+ */
+function getFileRequirements(file, { material, colour } = {}) {
+  const lengths = file.filamentLength ?? file.length;
+  const toolLengths = (Array.isArray(lengths) ? lengths : [lengths]).map(floatOrZero);
+  const usedTools = toolLengths
+    .map((length, tool) => (length > 0 ? tool : -1))
+    .filter((tool) => tool >= 0);
+  const tools = usedTools.length > 0 ? usedTools : [0];
+  return {
+    dimensions: file.dimensions ?? null,
+    nozzleDiameter: file.nozzleDiameter ?? null,
+    extruders: Math.max(...tools) + 1,
+    tools: tools.map((tool) => ({
+      tool,
+      length: toolLengths[tool] ?? 0,
+      material: material || getToolMaterial(file.material, tool),
+      colour: colour || file.colours?.[tool] || ""
+    }))
+  };
+}
+
+function isSameColour(a, b) {
+  const hexA = a.trim().match(HEX_COLOUR);
+  const hexB = b.trim().match(HEX_COLOUR);
+  if (!!hexA && !!hexB) {
+    const channels = (hex) => [0, 2, 4].map((i) => parseInt(hex.slice(i, i + 2), 16));
+    const [rA, gA, bA] = channels(hexA[1]);
+    const [rB, gB, bB] = channels(hexB[1]);
+    return Math.hypot(rA - rB, gA - gB, bA - bB) <= COLOUR_MATCH_DISTANCE;
+  }
+  return a.trim().toLowerCase() === b.trim().toLowerCase();
+}
+
+function checkBuildVolume(profile, dimensions) {
+  const volume = profile?.volume;
+  if (!dimensions) {
+    return placementResult(
+      PLACEMENT_CHECKS.BUILD_VOLUME,
+      PLACEMENT_RESULTS.UNKNOWN,
+      "The file has no analysed dimensions"
+    );
+  }
+  if (!volume?.width) {
+    return placementResult(
+      PLACEMENT_CHECKS.BUILD_VOLUME,
+      PLACEMENT_RESULTS.UNKNOWN,
+      "The printer profile has no build volume"
+    );
+  }
+  const { width, depth, height } = dimensions;
+  // Circular beds use the width as the diameter, so the models footprint has to fit across it
+  const footprintFits =
+    volume.formFactor === "circular"
+      ? Math.hypot(width ?? 0, depth ?? 0) <= volume.width
+      : (width ?? 0) <= volume.width && (depth ?? 0) <= (volume.depth ?? Infinity);
+  const heightFits = (height ?? 0) <= (volume.height ?? Infinity);
+  if (!footprintFits || !heightFits) {
+    return placementResult(
+      PLACEMENT_CHECKS.BUILD_VOLUME,
+      PLACEMENT_RESULTS.FAIL,
+      `${formatSize(width, depth, height)}mm doesn't fit the ${formatSize(
+        volume.width,
+        volume.depth,
+        volume.height
+      )}mm build volume`
+    );
+  }
+  return placementResult(
+    PLACEMENT_CHECKS.BUILD_VOLUME,
+    PLACEMENT_RESULTS.PASS,
+    `${formatSize(width, depth, height)}mm fits the build volume`
+  );
+}
+
+function checkExtruders(profile, extruders) {
+  const count = profile?.extruder?.count ?? 1;
+  if (count < extruders) {
+    return placementResult(
+      PLACEMENT_CHECKS.EXTRUDERS,
+      PLACEMENT_RESULTS.FAIL,
+      `The file uses ${extruders} tools, the printer has ${count}`
+    );
+  }
+  return placementResult(
+    PLACEMENT_CHECKS.EXTRUDERS,
+    PLACEMENT_RESULTS.PASS,
+    `${count} of ${extruders} tools available`
+  );
+}
+
+function checkNozzle(profile, nozzleDiameter) {
+  const printerNozzle = profile?.extruder?.nozzleDiameter;
+  if (!nozzleDiameter || !printerNozzle) {
+    return placementResult(
+      PLACEMENT_CHECKS.NOZZLE,
+      PLACEMENT_RESULTS.UNKNOWN,
+      "The files nozzle diameter isn't known"
+    );
+  }
+  if (Math.abs(nozzleDiameter - printerNozzle) > NOZZLE_DIAMETER_TOLERANCE) {
+    return placementResult(
+      PLACEMENT_CHECKS.NOZZLE,
+      PLACEMENT_RESULTS.FAIL,
+      `Sliced for a ${nozzleDiameter}mm nozzle, the printer has ${printerNozzle}mm`
+    );
+  }
+  return placementResult(
+    PLACEMENT_CHECKS.NOZZLE,
+    PLACEMENT_RESULTS.PASS,
+    `${printerNozzle}mm nozzle matches`
+  );
+}
+
+function checkMaterial(spool, { tool, material }) {
+  const spoolMaterial = spool?.spools?.profile?.material;
+  if (!spoolMaterial) {
+    return [PLACEMENT_RESULTS.WARNING, `Tool ${tool} has no spool loaded`];
+  }
+  if (!material) {
+    return [PLACEMENT_RESULTS.UNKNOWN, `Tool ${tool}: the files material isn't known`];
+  }
+  if (!isSameMaterial(material, spoolMaterial)) {
+    return [PLACEMENT_RESULTS.FAIL, `Tool ${tool}: needs ${material}, ${spoolMaterial} is loaded`];
+  }
+  return [PLACEMENT_RESULTS.PASS, `Tool ${tool}: ${spoolMaterial} loaded`];
+}
+
+function checkColour(spool, { tool, colour }) {
+  const spoolColour = spool?.spools?.colour;
+  if (!colour) {
+    return [PLACEMENT_RESULTS.UNKNOWN, `Tool ${tool}: no colour asked for`];
+  }
+  if (!spool) {
+    return [PLACEMENT_RESULTS.WARNING, `Tool ${tool} has no spool loaded`];
+  }
+  if (!spoolColour) {
+    return [PLACEMENT_RESULTS.UNKNOWN, `Tool ${tool}: ${spool.spools.name} has no colour set`];
+  }
+  if (!isSameColour(colour, spoolColour)) {
+    return [PLACEMENT_RESULTS.FAIL, `Tool ${tool}: wants ${colour}, ${spoolColour} is loaded`];
+  }
+  return [PLACEMENT_RESULTS.PASS, `Tool ${tool}: ${spoolColour} loaded`];
+}
+
+function checkFilament(spool, { tool, length }) {
+  if (!spool?.spools?.profile) {
+    return [PLACEMENT_RESULTS.UNKNOWN, `Tool ${tool} has no spool to check`];
+  }
+  if (!length) {
+    return [PLACEMENT_RESULTS.UNKNOWN, `Tool ${tool}: the files filament usage isn't known`];
+  }
+  const required = parseFloat(calcSpoolWeightAsString(length / 1000, spool, FILAMENT_CHECK_MARGIN));
+  const remaining = getRemainingWeight(spool);
+  const message = `Tool ${tool}: ${remaining.toFixed(2)}g left, needs around ${required.toFixed(
+    2
+  )}g`;
+  return [remaining < required ? PLACEMENT_RESULTS.FAIL : PLACEMENT_RESULTS.PASS, message];
+}
+
+/**
+ * Runs a spool check against every tool the file uses, reporting the worst result.
+ */
+function checkSpools(check, printer, tools, checkTool) {
+  const selectedFilament = printer.selectedFilament || [];
+  const results = tools.map((tool) => checkTool(selectedFilament[tool.tool], tool));
+  const result = RESULT_SEVERITY.find((severity) => results.some(([r]) => r === severity));
+  return placementResult(check, result, results.map(([, message]) => message).join(", "));
+}
+
+function checkHistory(stats) {
+  if (!stats || stats.prints === 0) {
+    return placementResult(
+      PLACEMENT_CHECKS.HISTORY,
+      PLACEMENT_RESULTS.UNKNOWN,
+      "The printer has never printed this file"
+    );
+  }
+  const rate = stats.successes / stats.prints;
+  return {
+    ...placementResult(
+      PLACEMENT_CHECKS.HISTORY,
+      rate >= 0.5 ? PLACEMENT_RESULTS.PASS : PLACEMENT_RESULTS.WARNING,
+      `${stats.successes} of ${stats.prints} prints of this file succeeded`
+    ),
+    rate
+  };
+}
+
+function checkFileOnPrinter(printer, fullPath) {
+  return !!findFile(printer, fullPath)
+    ? placementResult(PLACEMENT_CHECKS.FILE, PLACEMENT_RESULTS.PASS, "File is on the printer")
+    : placementResult(
+        PLACEMENT_CHECKS.FILE,
+        PLACEMENT_RESULTS.WARNING,
+        "File needs uploading to the printer first"
+      );
+}
+
+function scoreChecks(checks) {
+  const score = checks.reduce((total, check) => {
+    const weight = PLACEMENT_WEIGHTS[check.check] ?? 0;
+    const factor = check.rate ?? PLACEMENT_RESULT_FACTORS[check.result];
+    return total + weight * factor;
+  }, 0);
+  return Math.round(score);
+}
+
+/**
+ * How often each printer has succeeded with a file, from the print history.
+ * @param fileName
+ * @returns {Promise<Map<string, {prints: number, successes: number}>>}
+ */
+async function getFileSuccessRates(fileName) {
+  const results = await History.aggregate([
+    { $match: { "printHistory.fileName": fileName } },
+    {
+      $group: {
+        _id: "$printHistory.printerID",
+        prints: { $sum: 1 },
+        successes: { $sum: { $cond: ["$printHistory.success", 1, 0] } }
+      }
+    }
+  ]);
+  return new Map(results.map(({ _id, prints, successes }) => [String(_id), { prints, successes }]));
+}
+
+/**
+ * Ranks the idle printers a user can see for a file stored on one of them. Printers that can't
+ * run the file at all are kept in the list, marked as unsuitable and sorted to the bottom.
+ * @param printerID printer the file was picked from
+ * @param fullPath
+ * @param options material and colour to override what the file asks for, user to restrict to
+ * @returns {Promise<{file: *, requirements: *, busyPrinters: number, recommendations: *[]}>}
+ */
+async function recommendPrinters(printerID, fullPath, { material, colour, user } = {}) {
+  const sourcePrinter = getPrinterStoreCache().getPrinter(printerID);
+  const file = findFile(sourcePrinter, fullPath);
+  if (!file) {
+    throw new NotFoundException(`File ${fullPath} does not exist on printer ${printerID}`);
+  }
+  const requirements = getFileRequirements(file, { material, colour });
+  const successRates = await getFileSuccessRates(file.name);
+
+  const printers = filterPrintersForUser(getPrinterStoreCache().listPrinters(), user);
+  const idlePrinters = printers.filter(isPrinterIdle);
+
+  const recommendations = idlePrinters
+    .map((printer) => {
+      const profile = printer.currentProfile;
+      const checks = [
+        checkBuildVolume(profile, requirements.dimensions),
+        checkExtruders(profile, requirements.extruders),
+        checkNozzle(profile, requirements.nozzleDiameter),
+        checkSpools(PLACEMENT_CHECKS.MATERIAL, printer, requirements.tools, checkMaterial),
+        checkSpools(PLACEMENT_CHECKS.COLOUR, printer, requirements.tools, checkColour),
+        checkSpools(PLACEMENT_CHECKS.FILAMENT, printer, requirements.tools, checkFilament),
+        checkHistory(successRates.get(printer._id.toString())),
+        checkFileOnPrinter(printer, fullPath)
+      ];
+      return {
+        printerID: printer._id,
+        printerName: printer.printerName,
+        group: printer.group,
+        hasFile: !!findFile(printer, fullPath),
+        suitable: !checks.some(
+          (check) =>
+            PLACEMENT_BLOCKING_CHECKS.includes(check.check) &&
+            check.result === PLACEMENT_RESULTS.FAIL
+        ),
+        score: scoreChecks(checks),
+        checks
+      };
+    })
+    .sort(
+      (a, b) =>
+        b.suitable - a.suitable || b.score - a.score || a.printerName.localeCompare(b.printerName)
+    );
+
+  logger.info(`Ranked ${recommendations.length} idle printers for ${fullPath}`, {
+    suitable: recommendations.filter((recommendation) => recommendation.suitable).length
+  });
+
+  return {
+    file: {
+      fullPath: file.fullPath,
+      name: file.name,
+      display: file.display
+    },
+    requirements,
+    busyPrinters: printers.length - idlePrinters.length,
+    recommendations
+  };
+}
+
+module.exports = {
+  findFile,
+  getFileRequirements,
+  recommendPrinters
+};
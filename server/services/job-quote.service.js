@@ -0,0 +1,216 @@
+const mongoose = require("mongoose");
+const History = require("../models/History");
+const Spools = require("../models/Filament");
+const { getPrinterStoreCache } = require("../cache/printer-store.cache");
+const { SettingsClean } = require("./settings-cleaner.service");
+const { findFile, getFileRequirements } = require("./job-placement.service");
+const { calcSpoolWeightAsString, attachProfileToSpool } = require("../utils/spool.utils");
+const {
+  getElectricityCosts,
+  getDepreciationCosts,
+  getUpkeepCosts
+} = require("../utils/print-cost.util");
+const { floatOrZero } = require("../utils/number.util");
+const { NotFoundException } = require("../exceptions/runtime.exceptions");
+const {
+  QUOTE_FAILURE_SOURCES,
+  QUOTE_MIN_HISTORY_PRINTS,
+  QUOTE_MAX_FAILURE_RATE
+} = require("../constants/job-quote.constants");
+
+const roundCost = (cost) => Math.round(cost * 100) / 100;
+
+async function findSpool(spoolID) {
+  const spool = await Spools.findById(spoolID).lean();
+  if (!spool) {
+    throw new NotFoundException(`Spool ${spoolID} does not exist`);
+  }
+  spool.spools.profile = await attachProfileToSpool(spool.spools.profile);
+  return spool;
+}
+
+function getMaterialCosts(tools, printer, spool) {
+  return tools.map(({ tool, length }) => {
+    const toolSpool = spool ?? printer.selectedFilament?.[tool];
+    const grams = parseFloat(calcSpoolWeightAsString(length / 1000, toolSpool, 1)) || 0;
+    const price = floatOrZero(toolSpool?.spools?.price);
+    const weight = floatOrZero(toolSpool?.spools?.weight);
+    return {
+      tool,
+      spoolName: toolSpool?.spools?.name ?? null,
+      material: toolSpool?.spools?.profile?.material ?? null,
+      length: roundCost(length / 1000),
+      grams: roundCost(grams),
+      cost: roundCost(weight > 0 ? (price / weight) * grams : 0)
+    };
+  });
+}
+
+/**
+ * Failure rate of the file on the printer, or of the printer as a whole when the file hasn't
+ * been printed there enough to go on.
+ * @param printerID
+ * @param fileName
+ * @returns {Promise<{source: string, prints: number, failures: number, rate: number}>}
+ */
+async function getFailureRate(printerID, fileName) {
+  const printerIDs = [printerID, new mongoose.Types.ObjectId(printerID)];
+  const results = await History.aggregate([
+    { $match: { "printHistory.printerID": { $in: printerIDs } } },
+    {
+      $group: {
+        _id: { $eq: ["$printHistory.fileName", fileName] },
+        prints: { $sum: 1 },
+        failures: { $sum: { $cond: ["$printHistory.success", 0, 1] } }
+      }
+    }
+  ]);
+  const fileStats = results.find(({ _id }) => _id === true) ?? { prints: 0, failures: 0 };
+  const printerStats = results.reduce(
+    (total, { prints, failures }) => ({
+      prints: total.prints + prints,
+      failures: total.failures + failures
+    }),
+    { prints: 0, failures: 0 }
+  );
+
+  const [source, stats] =
+    fileStats.prints >= QUOTE_MIN_HISTORY_PRINTS
+      ? [QUOTE_FAILURE_SOURCES.FILE, fileStats]
+      : printerStats.prints >= QUOTE_MIN_HISTORY_PRINTS
+      ? [QUOTE_FAILURE_SOURCES.PRINTER, printerStats]
+      : [QUOTE_FAILURE_SOURCES.NONE, { prints: 0, failures: 0 }];
+  const rate = stats.prints > 0 ? stats.failures / stats.prints : 0;
+  return {
+    source,
+    prints: stats.prints,
+    failures: stats.failures,
+    rate: Math.min(rate, QUOTE_MAX_FAILURE_RATE)
+  };
+}
+
+/**
+ * Empty leaves quotes as plain numbers, anything else has to be a code Intl can format with.
+ * @param currency
+ * @returns {boolean}
+ */
+function isValidCurrency(currency) {
+  if (currency === "") {
+    return true;
+  }
+  if (!/^[A-Z]{3}$/.test(currency)) {
+    return false;
+  }
+  try {
+    new Intl.NumberFormat(undefined, { style: "currency", currency });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Tidies the quoting section sent from the server settings page, negative amounts are dropped.
+ * @param quoting
+ * @returns {{}}
+ */
+function cleanQuotingSettings(quoting = {}) {
+  const amount = (value) => Math.max(floatOrZero(value), 0);
+  const text = (value) => (typeof value === "string" ? value.trim() : "");
+  return {
+    currency: text(quoting.currency).toUpperCase(),
+    markupPercent: amount(quoting.markupPercent),
+    labourPerJob: amount(quoting.labourPerJob),
+    failurePadding: quoting.failurePadding === true,
+    businessName: text(quoting.businessName),
+    terms: text(quoting.terms)
+  };
+}
+
+/**
+ * Prices up printing a file stored on a printer. Everything is worked out for a single print
+ * first, the quantity only multiplies the final price.
+ * @param printerID
+ * @param fullPath
+ * @param options spoolID to price every tool with instead of the loaded spools, quantity of
+ * prints and the customer it's for
+ * @returns {Promise<{}>}
+ */
+async function createQuote(printerID, fullPath, { spoolID, quantity = 1, customer = "" } = {}) {
+  const printer = getPrinterStoreCache().getPrinter(printerID);
+  const file = findFile(printer, fullPath);
+  if (!file) {
+    throw new NotFoundException(`File ${fullPath} does not exist on printer ${printerID}`);
+  }
+  const settings = SettingsClean.returnSystemSettings()?.quoting ?? {};
+  const spool = !!spoolID ? await findSpool(spoolID) : null;
+  const { tools } = getFileRequirements(file);
+  const printTime = floatOrZero(file.expectedPrintTime);
+  const costSettings = printer.costSettings;
+
+  const warnings = [];
+  if (!printTime) {
+    warnings.push("The file has no estimated print time, time based costs are missing");
+  }
+  if (!costSettings) {
+    warnings.push("The printer has no cost settings, time based costs are missing");
+  }
+  const materials = getMaterialCosts(tools, printer, spool);
+  materials
+    .filter(({ spoolName }) => !spoolName)
+    .forEach(({ tool }) => warnings.push(`Tool ${tool} has no spool to price the material with`));
+  if (materials.every(({ length }) => !length)) {
+    warnings.push("The file has no filament usage, material costs are missing");
+  }
+
+  // Every line is rounded as it's worked out so the printed quote adds up to the penny
+  const timeCost = (calculate) =>
+    !!costSettings ? roundCost(calculate(printTime, costSettings)) : 0;
+  const costs = {
+    material: roundCost(materials.reduce((total, { cost }) => total + cost, 0)),
+    electricity: timeCost(getElectricityCosts),
+    depreciation: timeCost(getDepreciationCosts),
+    maintenance: timeCost(getUpkeepCosts)
+  };
+  const production = Object.values(costs).reduce((total, cost) => total + cost, 0);
+
+  const failureRate = await getFailureRate(printerID, file.name);
+  // Expected cost of the reprints needed to end up with one good print
+  costs.failurePadding = settings.failurePadding
+    ? roundCost(production * (failureRate.rate / (1 - failureRate.rate)))
+    : 0;
+  costs.labour = roundCost(floatOrZero(settings.labourPerJob));
+  const subtotal = production + costs.failurePadding + costs.labour;
+  costs.markup = roundCost(subtotal * (floatOrZero(settings.markupPercent) / 100));
+  const unitPrice = roundCost(subtotal + costs.markup);
+
+  return {
+    printerID: printer._id,
+    printerName: printer.printerName,
+    file: {
+      name: file.name,
+      display: file.display,
+      fullPath: file.fullPath,
+      printTime
+    },
+    customer,
+    quantity,
+    currency: settings.currency ?? "",
+    businessName: settings.businessName ?? "",
+    terms: settings.terms ?? "",
+    markupPercent: floatOrZero(settings.markupPercent),
+    failureRate,
+    materials,
+    costs,
+    unitPrice,
+    total: roundCost(unitPrice * quantity),
+    warnings,
+    createdAt: new Date()
+  };
+}
+
+module.exports = {
+  isValidCurrency,
+  cleanQuotingSettings,
+  createQuote
+};
@@ -4,6 +4,8 @@ const logger = new Logger(LOGGER_ROUTE_KEYS.SERVICE_LOCAL_SCRIPT);
 const serverScripts = require("./server-scripts.service.js");
 const Script = serverScripts.Script;
 const Alerts = require("../models/Alerts.js");
+const { WebhookRunner } = require("./webhook-alerts.service.js");
+const { ALERT_TYPES } = require("../constants/alert.constants");
 
 class ScriptRunner {
   /**
@@ -12,20 +14,28 @@ class ScriptRunner {
    * @param trigger
    * @param message
    * @param scriptLocation
+   * @param type one of ALERT_TYPES, defaults to a script
+   * @param webhook only used by webhook alerts
    * @returns {Promise<string>}
    */
-  static async save(printer, trigger, message, scriptLocation) {
+  static async save(printer, trigger, message, scriptLocation, type = ALERT_TYPES.SCRIPT, webhook) {
     let alert = {
       active: true,
       trigger: trigger,
       message: message,
-      scriptLocation: scriptLocation,
+      type: type,
       printers: printer
     };
+    if (type === ALERT_TYPES.WEBHOOK) {
+      alert.webhook = WebhookRunner.cleanWebhook(webhook);
+    } else {
+      alert.scriptLocation = scriptLocation;
+    }
+    const target = alert.scriptLocation || alert.webhook.url;
     let newAlert = await new Alerts(alert);
-    logger.info("Saving: " + trigger + " " + scriptLocation + " " + message);
+    logger.info("Saving: " + trigger + " " + target + " " + message);
     await newAlert.save().then((e) => {
-      logger.info("Saved: " + trigger + " " + scriptLocation + " " + message);
+      logger.info("Saved: " + trigger + " " + target + " " + message);
     });
     return "saved";
   }
@@ -40,8 +50,12 @@ class ScriptRunner {
 
     old.active = newAlert.active;
     old.trigger = newAlert.trigger;
-    old.scriptLocation = newAlert.scriptLocation;
     old.message = newAlert.message;
+    if (old.type === ALERT_TYPES.WEBHOOK) {
+      old.webhook = WebhookRunner.cleanWebhook(newAlert.webhook);
+    } else {
+      old.scriptLocation = newAlert.scriptLocation;
+    }
     old.save();
 
     return "saved";
@@ -59,6 +73,19 @@ class ScriptRunner {
     for (let i = 0; i < currentAlerts.length; i++) {
       if (currentAlerts[i].printer === printer._id || currentAlerts[i].printer.length === 0) {
         if (currentAlerts[i].trigger === trigger && currentAlerts[i].active) {
+          if (currentAlerts[i].type === ALERT_TYPES.WEBHOOK) {
+            const body = await ScriptRunner.convertWebhookBody(
+              printer,
+              currentAlerts[i],
+              historyID
+            );
+            // Retries can take a while, don't hold up the rest of the alerts waiting on them
+            WebhookRunner.fire(currentAlerts[i], body, printer.printerName).catch((e) => {
+              logger.error("Failed to record webhook delivery!", e.message);
+            });
+            continue;
+          }
+
           let newMessage = await ScriptRunner.convertMessage(
             printer,
             currentAlerts[i].message,
@@ -71,6 +98,43 @@ class ScriptRunner {
     }
   }
 
+  /**
+   * Fires the alerts for a farm wide trigger. There's no printer to fill the usual variables from
+   * so only the given variables and [CurrentTime] are replaced.
+   * @param trigger one of FARM_ALERT_TRIGGERS
+   * @param variables e.g. { Material: "PLA" } replaces [Material]
+   * @returns {Promise<void>}
+   */
+  static async checkFarm(trigger, variables = {}) {
+    const currentAlerts = await Alerts.find({ trigger, active: true });
+    const convertText = async (text) => ScriptRunner.convertFarmMessage(text, variables);
+    for (const alert of currentAlerts) {
+      if (alert.type === ALERT_TYPES.WEBHOOK) {
+        const body = await WebhookRunner.buildBody(
+          alert.webhook?.bodyTemplate,
+          alert.message,
+          convertText
+        );
+        WebhookRunner.fire(alert, body).catch((e) => {
+          logger.error("Failed to record webhook delivery!", e.message);
+        });
+        continue;
+      }
+
+      await ScriptRunner.fire(
+        alert.scriptLocation,
+        JSON.stringify(ScriptRunner.convertFarmMessage(alert.message, variables))
+      );
+    }
+  }
+
+  static convertFarmMessage(message, variables) {
+    for (const key of Object.keys(variables)) {
+      message = message.split(`[${key}]`).join(variables[key]);
+    }
+    return message.replace(/\[CurrentTime\]/g, new Date().toLocaleString());
+  }
+
   static async test(scriptLocation, message) {
     logger.info("Testing Alerts: " + scriptLocation + " " + message);
     return Script.fire(scriptLocation, JSON.stringify(message));
@@ -81,6 +145,19 @@ class ScriptRunner {
     return Script.fire(scriptLocation, message);
   }
 
+  /**
+   * Fills the variables into every string of the webhooks JSON body template.
+   * @param printer
+   * @param alert
+   * @param historyID
+   * @returns {Promise<*>}
+   */
+  static async convertWebhookBody(printer, alert, historyID) {
+    return WebhookRunner.buildBody(alert.webhook?.bodyTemplate, alert.message, async (text) =>
+      JSON.parse(await ScriptRunner.convertMessage(printer, text, historyID))
+    );
+  }
+
   static async convertMessage(printer, message, historyID) {
     let job = "";
     if (typeof printer.job != "undefined") {
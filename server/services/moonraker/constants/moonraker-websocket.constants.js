@@ -0,0 +1,67 @@
+const MR_WS_METHODS = {
+  identify: 'server.connection.identify',
+  serverInfo: 'server.info',
+  objectsList: 'printer.objects.list',
+  objectsSubscribe: 'printer.objects.subscribe',
+};
+
+const MR_WS_MSG = {
+  statusUpdate: 'notify_status_update',
+  klippyReady: 'notify_klippy_ready',
+  klippyShutdown: 'notify_klippy_shutdown',
+  klippyDisconnected: 'notify_klippy_disconnected',
+  gcodeResponse: 'notify_gcode_response',
+  filelistChanged: 'notify_filelist_changed',
+  powerChanged: 'notify_power_changed',
+  // Not sent by moonraker, raised by OctoFarm with the initial snapshot of a subscription
+  subscribed: 'octofarm_subscribed',
+};
+
+const MR_KLIPPY_STATES = {
+  ready: 'ready',
+  startup: 'startup',
+  shutdown: 'shutdown',
+  error: 'error',
+  disconnected: 'disconnected',
+};
+
+const MR_PRINT_STATES = {
+  standby: 'standby',
+  printing: 'printing',
+  paused: 'paused',
+  complete: 'complete',
+  cancelled: 'cancelled',
+  error: 'error',
+};
+
+const MR_FILE_ACTIONS = {
+  createFile: 'create_file',
+  deleteFile: 'delete_file',
+  moveFile: 'move_file',
+  modifyFile: 'modify_file',
+  createDir: 'create_dir',
+  deleteDir: 'delete_dir',
+  moveDir: 'move_dir',
+};
+
+// Only the objects OctoFarm maps into its printer state, heaters are added from the objects list
+const MR_SUBSCRIBED_OBJECTS = [
+  'webhooks',
+  'print_stats',
+  'virtual_sdcard',
+  'display_status',
+  'gcode_move',
+  'heater_bed',
+];
+
+const MR_CHAMBER_OBJECTS = ['heater_generic chamber', 'temperature_sensor chamber'];
+
+module.exports = {
+  MR_WS_METHODS,
+  MR_WS_MSG,
+  MR_KLIPPY_STATES,
+  MR_PRINT_STATES,
+  MR_FILE_ACTIONS,
+  MR_SUBSCRIBED_OBJECTS,
+  MR_CHAMBER_OBJECTS,
+};
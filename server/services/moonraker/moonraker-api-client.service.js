@@ -0,0 +1,162 @@
+const { OctoprintApiService } = require('../octoprint/octoprint-api.service');
+
+const gcodesRoot = 'gcodes';
+const gcodesPath = (path = '') => (path.length > 0 ? `${gcodesRoot}/${path}` : gcodesRoot);
+const query = (params) => '?' + new URLSearchParams(params).toString();
+
+const apiServerInfo = '/server/info';
+const apiPrinterInfo = '/printer/info';
+const apiObjectsList = '/printer/objects/list';
+const apiObjectsQuery = (objects) =>
+  '/printer/objects/query' +
+  query(
+    Object.fromEntries(
+      Object.entries(objects).map(([object, attributes]) => [object, attributes.join(',')])
+    )
+  );
+const apiDirectoryBase = '/server/files/directory';
+const apiDirectory = (path, extended = true) =>
+  apiDirectoryBase + query({ path: gcodesPath(path), extended });
+const apiFileMetadata = (path) => '/server/files/metadata' + query({ filename: path });
+const apiFile = (path) => '/server/files/' + encodeURI(gcodesPath(path));
+const apiFilesMove = '/server/files/move';
+const apiPrintStart = (path) => '/printer/print/start' + query({ filename: path });
+const apiPrintPause = '/printer/print/pause';
+const apiPrintResume = '/printer/print/resume';
+const apiPrintCancel = '/printer/print/cancel';
+const apiGcodeScript = (script) => '/printer/gcode/script' + query({ script });
+const apiFirmwareRestart = '/printer/firmware_restart';
+const apiServerRestart = '/server/restart';
+const apiMachineReboot = '/machine/reboot';
+const apiMachineShutdown = '/machine/shutdown';
+const apiPowerDevices = '/machine/device_power/devices';
+const apiPowerDevice = (device, action) =>
+  '/machine/device_power/device' + query(action ? { device, action } : { device });
+const apiWebcams = '/server/webcams/list';
+
+/**
+ * Talks to the moonraker http api, only what's needed to fill in OctoFarms printer state.
+ * Moonraker accepts the same X-Api-Key header as OctoPrint so the base service is shared.
+ */
+class MoonrakerApiClientService extends OctoprintApiService {
+  constructor(printerURL, apikey, timeoutSettings) {
+    super(printerURL, apikey, timeoutSettings);
+  }
+
+  static unwrapResult(json) {
+    return json?.result ?? json;
+  }
+
+  async pingTest() {
+    return this.get(apiServerInfo, 5000);
+  }
+
+  async getServerInfo() {
+    return this.get(apiServerInfo);
+  }
+
+  async getPrinterInfo() {
+    return this.get(apiPrinterInfo);
+  }
+
+  async getObjectsList() {
+    return this.get(apiObjectsList);
+  }
+
+  /**
+   * Query the current status of klipper objects
+   * @param objects e.g. { toolhead: ['axis_maximum', 'max_velocity'] }
+   */
+  async queryObjects(objects) {
+    return this.get(apiObjectsQuery(objects));
+  }
+
+  /**
+   * List a directory below the gcodes root, extended includes the file metadata.
+   * @param path relative to the gcodes root
+   * @param extended
+   */
+  async getDirectory(path = '', extended = true) {
+    return this.get(apiDirectory(path, extended));
+  }
+
+  async getFileMetadata(path) {
+    return this.get(apiFileMetadata(path));
+  }
+
+  async deleteFile(path) {
+    return this.delete(apiFile(path));
+  }
+
+  async deleteDirectory(path) {
+    return this.delete(apiDirectoryBase + query({ path: gcodesPath(path), force: true }));
+  }
+
+  async createDirectory(path) {
+    return this.post(apiDirectoryBase, { path: gcodesPath(path) });
+  }
+
+  async moveFile(source, destination) {
+    return this.post(apiFilesMove, {
+      source: gcodesPath(source),
+      dest: gcodesPath(destination),
+    });
+  }
+
+  async startPrint(path) {
+    return this.post(apiPrintStart(path));
+  }
+
+  async pausePrint() {
+    return this.post(apiPrintPause);
+  }
+
+  async resumePrint() {
+    return this.post(apiPrintResume);
+  }
+
+  async cancelPrint() {
+    return this.post(apiPrintCancel);
+  }
+
+  async runGcode(script) {
+    return this.post(apiGcodeScript(script));
+  }
+
+  async firmwareRestart() {
+    return this.post(apiFirmwareRestart);
+  }
+
+  async restartServer() {
+    return this.post(apiServerRestart);
+  }
+
+  async reboot() {
+    return this.post(apiMachineReboot);
+  }
+
+  async shutdown() {
+    return this.post(apiMachineShutdown);
+  }
+
+  async getPowerDevices() {
+    return this.get(apiPowerDevices);
+  }
+
+  async getPowerDevice(device) {
+    return this.get(apiPowerDevice(device));
+  }
+
+  async setPowerDevice(device, action) {
+    return this.post(apiPowerDevice(device, action));
+  }
+
+  async getWebcams() {
+    return this.get(apiWebcams);
+  }
+}
+
+module.exports = {
+  MoonrakerApiClientService,
+  gcodesPath,
+};
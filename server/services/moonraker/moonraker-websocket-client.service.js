@@ -0,0 +1,181 @@
+const WebSocketClient = require('../octoprint/octoprint-websocket-client.service');
+const { PrinterTicker } = require('../printer-connection-log.service');
+const { getPrinterStoreCache } = require('../../cache/printer-store.cache');
+const { AppConstants } = require('../../constants/app.constants');
+const Logger = require('../../handlers/logger');
+const { LOGGER_ROUTE_KEYS } = require('../../constants/logger.constants');
+const {
+  MR_WS_METHODS,
+  MR_WS_MSG,
+  MR_KLIPPY_STATES,
+  MR_SUBSCRIBED_OBJECTS,
+  MR_CHAMBER_OBJECTS,
+} = require('./constants/moonraker-websocket.constants');
+const MoonrakerWebsocketMessageService = require('./moonraker-websocket-message.service');
+const logger = new Logger(LOGGER_ROUTE_KEYS.MR_SERVICE_WEBSOCKET);
+
+// Moonraker reports requests authorised by api key as this user
+const MOONRAKER_API_USER = '_API';
+const REQUEST_TIMEOUT = 10000;
+
+/**
+ * Moonraker speaks JSON-RPC over a plain websocket, the connection handling is shared with
+ * OctoPrint and only the authentication, subscription and message parsing differ.
+ */
+class MoonrakerWebSocketClient extends WebSocketClient {
+  static ENDPOINT = '/websocket';
+  static API_USER = MOONRAKER_API_USER;
+
+  #requestID = 0;
+  #pendingRequests = new Map();
+
+  constructor(webSocketURL = undefined, id = undefined, apikey = undefined) {
+    super(webSocketURL, id, MOONRAKER_API_USER, apikey, (printerID, data) =>
+      this.#handleMessage(printerID, data)
+    );
+  }
+
+  /**
+   * Send a JSON-RPC request, resolves with the result or rejects with moonrakers error.
+   * @param method
+   * @param params
+   * @returns {Promise<unknown>}
+   */
+  call(method, params = {}) {
+    const id = ++this.#requestID;
+    return new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => {
+        this.#pendingRequests.delete(id);
+        reject(new Error(`${method} timed out after ${REQUEST_TIMEOUT}ms`));
+      }, REQUEST_TIMEOUT);
+      this.#pendingRequests.set(id, { resolve, reject, timeout });
+      this.send(JSON.stringify({ jsonrpc: '2.0', method, params, id }));
+    });
+  }
+
+  #settleRequest({ id, result, error }) {
+    const request = this.#pendingRequests.get(id);
+    if (!request) {
+      return;
+    }
+    clearTimeout(request.timeout);
+    this.#pendingRequests.delete(id);
+    if (!!error) {
+      request.reject(new Error(`${error.code}: ${error.message}`));
+    } else {
+      request.resolve(result);
+    }
+  }
+
+  #rejectPendingRequests(reason) {
+    for (const request of this.#pendingRequests.values()) {
+      clearTimeout(request.timeout);
+      request.reject(new Error(reason));
+    }
+    this.#pendingRequests.clear();
+  }
+
+  async #handleMessage(printerID, data) {
+    let packet;
+    try {
+      packet = JSON.parse(data);
+    } catch (e) {
+      logger.error('Failed to parse moonraker message', e.toString());
+      return;
+    }
+
+    if (packet?.id !== undefined && this.#pendingRequests.has(packet.id)) {
+      this.#settleRequest(packet);
+      return;
+    }
+
+    if (packet?.method === MR_WS_MSG.klippyReady) {
+      this.subscribe().catch((e) => logger.error('Failed to re-subscribe after klippy ready', e));
+    }
+
+    await MoonrakerWebsocketMessageService.handleMessage(printerID, packet);
+  }
+
+  async sendAuth() {
+    logger.debug(`${this.url}: Identifying websocket connection with api key`);
+    PrinterTicker.addIssue(
+      new Date(),
+      this.url,
+      'Identifying websocket connection with moonraker',
+      'Active',
+      this.id
+    );
+    try {
+      await this.call(MR_WS_METHODS.identify, {
+        client_name: 'OctoFarm',
+        version: process.env[AppConstants.VERSION_KEY] || '0.0.0',
+        type: 'other',
+        url: 'https://github.com/OctoFarm/OctoFarm',
+        api_key: this.sessionKey,
+      });
+      await this.subscribe();
+    } catch (e) {
+      logger.error(`${this.url}: Failed to setup moonraker connection`, e.toString());
+      PrinterTicker.addIssue(
+        new Date(),
+        this.url,
+        `Failed to setup moonraker connection: ${e.message}`,
+        'Offline',
+        this.id
+      );
+    }
+  }
+
+  /**
+   * Klipper objects can only be subscribed to once klippy is ready, otherwise we just report
+   * its state and wait for notify_klippy_ready.
+   * @returns {Promise<void>}
+   */
+  async subscribe() {
+    const serverInfo = await this.call(MR_WS_METHODS.serverInfo);
+    if (serverInfo?.klippy_state !== MR_KLIPPY_STATES.ready) {
+      await MoonrakerWebsocketMessageService.handleMessage(this.id, {
+        method: MR_WS_MSG.klippyDisconnected,
+        params: [serverInfo],
+      });
+      return;
+    }
+
+    const { objects } = await this.call(MR_WS_METHODS.objectsList);
+    const subscribedObjects = [
+      ...MR_SUBSCRIBED_OBJECTS,
+      ...objects.filter((object) => /^extruder\d*$/.test(object)),
+      ...objects.filter((object) => MR_CHAMBER_OBJECTS.includes(object)),
+    ].filter((object) => objects.includes(object));
+
+    const { status } = await this.call(MR_WS_METHODS.objectsSubscribe, {
+      objects: Object.fromEntries(subscribedObjects.map((object) => [object, null])),
+    });
+
+    await MoonrakerWebsocketMessageService.handleMessage(this.id, {
+      method: MR_WS_MSG.subscribed,
+      params: [status],
+    });
+  }
+
+  // Moonraker has no message throttle, status updates come as diffs at its own rate
+  checkMessageSpeed() {}
+
+  sendThrottle() {
+    getPrinterStoreCache().updatePrinterLiveValue(this.id, {
+      websocket_throttle: this.currentThrottleRate,
+    });
+  }
+
+  reconnect(e) {
+    this.#rejectPendingRequests('Websocket is reconnecting');
+    super.reconnect(e);
+  }
+
+  killAllConnectionsAndListeners() {
+    this.#rejectPendingRequests('Websocket was closed');
+    return super.killAllConnectionsAndListeners();
+  }
+}
+
+module.exports = MoonrakerWebSocketClient;
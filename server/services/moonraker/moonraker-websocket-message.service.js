@@ -0,0 +1,406 @@
+const {
+  MR_WS_MSG,
+  MR_KLIPPY_STATES,
+  MR_PRINT_STATES,
+  MR_FILE_ACTIONS,
+} = require('./constants/moonraker-websocket.constants');
+const { EVENT_TYPES } = require('../octoprint/constants/octoprint-websocket.constants');
+const {
+  captureTemperatureData,
+  captureJobData,
+  captureLogData,
+  setWebsocketAlive,
+  capturePrinterProgress,
+  captureCurrentZ,
+} = require('../octoprint/utils/octoprint-websocket-helpers.utils');
+const OctoprintWebsocketMessageService = require('../octoprint/octoprint-websocket-message.service');
+const { DEFAULT_SPOOL_RATIO } = require('../../constants/cleaner.constants');
+const { mapStateToCategory } = require('../printers/utils/printer-state.utils');
+const { getPrinterStoreCache } = require('../../cache/printer-store.cache');
+const Logger = require('../../handlers/logger');
+const { LOGGER_ROUTE_KEYS } = require('../../constants/logger.constants');
+const logger = new Logger(LOGGER_ROUTE_KEYS.MR_SERVICE_WEBSOCKET_MESSAGES);
+
+// Moonraker only sends what changed, so the full status is kept here per printer
+const printerStatus = {};
+const lastPrintStates = {};
+const lastCaptures = {};
+// Highest Z reached by the running print, Z hops and the bed dropping at the end aren't layers
+const layerHeights = {};
+// The print is over, the next one starts counting layers from the bed again
+const LAYER_RESET_STATES = [
+  MR_PRINT_STATES.standby,
+  MR_PRINT_STATES.complete,
+  MR_PRINT_STATES.cancelled,
+  MR_PRINT_STATES.error,
+];
+const fileListTimers = {};
+const FILE_LIST_RESYNC_DELAY = 1000;
+// Matches the rate OctoPrint sends current data at, moonraker pushes updates up to every 250ms
+const STATUS_CAPTURE_INTERVAL = 500;
+
+const printStateMap = {
+  [MR_PRINT_STATES.printing]: {
+    state: 'Printing',
+    stateDescription: 'Current status from Klipper',
+  },
+  [MR_PRINT_STATES.paused]: {
+    state: 'Paused',
+    stateDescription: 'Current status from Klipper',
+  },
+  [MR_PRINT_STATES.complete]: {
+    state: 'Complete',
+    stateDescription: 'Your current print is Completed!',
+  },
+  [MR_PRINT_STATES.cancelled]: {
+    state: 'Operational',
+    stateDescription: 'Print was cancelled',
+  },
+  [MR_PRINT_STATES.standby]: {
+    state: 'Operational',
+    stateDescription: 'Current status from Klipper',
+  },
+};
+
+const fileEventMap = {
+  [MR_FILE_ACTIONS.createFile]: EVENT_TYPES.FileAdded,
+  [MR_FILE_ACTIONS.deleteFile]: EVENT_TYPES.FileRemoved,
+  [MR_FILE_ACTIONS.createDir]: EVENT_TYPES.FolderAdded,
+  [MR_FILE_ACTIONS.deleteDir]: EVENT_TYPES.FolderRemoved,
+};
+
+const fileName = (path) => path.substring(path.lastIndexOf('/') + 1);
+
+class MoonrakerWebsocketMessageService {
+  static async handleMessage(printerID, packet) {
+    const MR_EM = MoonrakerWebsocketMessageService;
+    const { method, params = [] } = packet;
+
+    switch (method) {
+      case MR_WS_MSG.subscribed:
+        MR_EM.handleSubscribed(printerID, params[0]);
+        break;
+      case MR_WS_MSG.statusUpdate:
+        await MR_EM.handleStatusUpdate(printerID, params[0]);
+        break;
+      case MR_WS_MSG.klippyShutdown:
+      case MR_WS_MSG.klippyDisconnected:
+        MR_EM.handleKlippyNotReady(printerID, method, params[0]);
+        break;
+      case MR_WS_MSG.klippyReady:
+        logger.info('Klippy is ready, waiting for subscription', printerID);
+        break;
+      case MR_WS_MSG.gcodeResponse:
+        captureLogData(printerID, params);
+        break;
+      case MR_WS_MSG.filelistChanged:
+        await MR_EM.handleFileListChanged(printerID, params[0]);
+        break;
+      case MR_WS_MSG.powerChanged:
+        getPrinterStoreCache().getPrinter(printerID).updatePowerDeviceState(params[0]);
+        break;
+      default:
+        logger.silly('No case matched... ignoring data', method);
+    }
+  }
+
+  static handleSubscribed(printerID, status = {}) {
+    printerStatus[printerID] = status;
+    // The snapshot doesn't count as a change, history would capture a print twice on reconnect
+    lastPrintStates[printerID] = status?.print_stats?.state;
+    MoonrakerWebsocketMessageService.captureStatus(printerID, status);
+  }
+
+  static async handleStatusUpdate(printerID, update = {}) {
+    const MR_EM = MoonrakerWebsocketMessageService;
+    const status = printerStatus[printerID] || {};
+    for (const key of Object.keys(update)) {
+      status[key] = Object.assign({}, status[key], update[key]);
+    }
+    printerStatus[printerID] = status;
+
+    const previousState = lastPrintStates[printerID];
+    const currentState = status?.print_stats?.state;
+    const printStateChanged = !!currentState && currentState !== previousState;
+
+    const captureDue = Date.now() - (lastCaptures[printerID] || 0) >= STATUS_CAPTURE_INTERVAL;
+    if (printStateChanged || captureDue) {
+      MR_EM.captureStatus(printerID, status);
+    }
+
+    if (printStateChanged) {
+      lastPrintStates[printerID] = currentState;
+      await MR_EM.handlePrintStateChange(printerID, previousState, currentState, status);
+    }
+
+    await MR_EM.handleLayerChange(printerID, status);
+  }
+
+  /**
+   * Klipper has no layer change event, raise OctoPrint's ZChange whenever a print climbs higher.
+   * The height is kept while paused, a pause macro parking the head isn't a new layer.
+   */
+  static async handleLayerChange(printerID, status) {
+    const currentZ = status?.gcode_move?.gcode_position?.[2];
+    const state = status?.print_stats?.state;
+    if (state !== MR_PRINT_STATES.printing) {
+      if (LAYER_RESET_STATES.includes(state)) {
+        delete layerHeights[printerID];
+      }
+      return;
+    }
+    if (typeof currentZ !== 'number' || currentZ <= (layerHeights[printerID] ?? 0)) {
+      return;
+    }
+    const previousZ = layerHeights[printerID] ?? null;
+    layerHeights[printerID] = currentZ;
+    await OctoprintWebsocketMessageService.handleEventData(printerID, {
+      event: { type: EVENT_TYPES.ZChange, payload: { new: currentZ, old: previousZ } },
+    });
+  }
+
+  static handleKlippyNotReady(printerID, method, serverInfo) {
+    delete printerStatus[printerID];
+    delete lastPrintStates[printerID];
+    delete layerHeights[printerID];
+    const shutdown =
+      method === MR_WS_MSG.klippyShutdown ||
+      serverInfo?.klippy_state === MR_KLIPPY_STATES.shutdown ||
+      serverInfo?.klippy_state === MR_KLIPPY_STATES.error;
+    const returnState = shutdown ? 'Error!' : 'Disconnected';
+
+    setWebsocketAlive(printerID);
+    getPrinterStoreCache().updatePrinterState(printerID, {
+      state: returnState,
+      stateColour: mapStateToCategory(returnState),
+      stateDescription: shutdown
+        ? 'Klipper has shutdown, a firmware restart is required'
+        : "Moonraker isn't connected to Klipper",
+    });
+  }
+
+  static captureStatus(printerID, status) {
+    const MR_EM = MoonrakerWebsocketMessageService;
+    lastCaptures[printerID] = Date.now();
+    setWebsocketAlive(printerID);
+
+    getPrinterStoreCache().updatePrinterState(printerID, MR_EM.convertPrinterState(status));
+
+    const temperatures = MR_EM.convertTemperatures(status);
+    if (!!temperatures) {
+      captureTemperatureData(printerID, [temperatures]);
+    }
+
+    capturePrinterProgress(printerID, MR_EM.convertProgress(printerID, status));
+
+    const currentZ = status?.gcode_move?.gcode_position?.[2];
+    if (typeof currentZ === 'number') {
+      captureCurrentZ(printerID, Math.round(currentZ * 100) / 100);
+    }
+
+    captureJobData(printerID, MR_EM.convertJob(printerID, status));
+  }
+
+  static convertPrinterState(status) {
+    const { webhooks, print_stats } = status;
+    let currentState;
+
+    if (!!webhooks?.state && webhooks.state !== MR_KLIPPY_STATES.ready) {
+      currentState =
+        webhooks.state === MR_KLIPPY_STATES.startup
+          ? { state: 'Disconnected', stateDescription: 'Klipper is starting up' }
+          : { state: 'Error!', stateDescription: webhooks.state_message };
+    } else if (print_stats?.state === MR_PRINT_STATES.error) {
+      currentState = { state: 'Error!', stateDescription: print_stats.message };
+    } else {
+      currentState = printStateMap[print_stats?.state] || printStateMap[MR_PRINT_STATES.standby];
+    }
+
+    return {
+      state: currentState.state,
+      stateColour: mapStateToCategory(currentState.state),
+      stateDescription: currentState.stateDescription || 'Current status from Klipper',
+    };
+  }
+
+  /**
+   * Converts klipper heaters into OctoPrints temperature shape, extruders become tool0, tool1...
+   * @param status
+   * @returns {{}|undefined}
+   */
+  static convertTemperatures(status) {
+    const heater = (object) => ({
+      actual: Math.round((object?.temperature ?? 0) * 10) / 10,
+      target: object?.target ?? 0,
+      offset: 0,
+    });
+
+    const temperatures = {};
+    for (const key of Object.keys(status)) {
+      const extruder = key.match(/^extruder(\d*)$/);
+      if (!!extruder) {
+        temperatures[`tool${extruder[1] || 0}`] = heater(status[key]);
+      }
+    }
+    if (!temperatures.tool0) {
+      return undefined;
+    }
+
+    temperatures.bed = heater(status.heater_bed);
+    const chamber = status['heater_generic chamber'] || status['temperature_sensor chamber'];
+    if (!!chamber) {
+      temperatures.chamber = heater(chamber);
+    }
+    temperatures.time = Math.round(Date.now() / 1000);
+    return temperatures;
+  }
+
+  static convertProgress(printerID, status) {
+    const { print_stats, virtual_sdcard, display_status } = status;
+    if (!print_stats?.filename) {
+      return {
+        completion: null,
+        filepos: null,
+        printTime: null,
+        printTimeLeft: null,
+        printTimeLeftOrigin: null,
+      };
+    }
+
+    const fraction = virtual_sdcard?.progress ?? display_status?.progress ?? 0;
+    const printTime = Math.round(print_stats.print_duration || 0);
+    const file = MoonrakerWebsocketMessageService.findFile(printerID, print_stats.filename);
+
+    let printTimeLeft = null;
+    let printTimeLeftOrigin = null;
+    if (typeof file?.time === 'number') {
+      printTimeLeft = Math.max(Math.round(file.time - printTime), 0);
+      printTimeLeftOrigin = 'estimate';
+    } else if (fraction > 0) {
+      printTimeLeft = Math.round(printTime / fraction - printTime);
+      printTimeLeftOrigin = 'linear';
+    }
+
+    return {
+      completion: print_stats.state === MR_PRINT_STATES.complete ? 100 : fraction * 100,
+      filepos: virtual_sdcard?.file_position ?? null,
+      printTime,
+      printTimeLeft,
+      printTimeLeftOrigin,
+    };
+  }
+
+  static convertJob(printerID, status) {
+    const path = status?.print_stats?.filename;
+    if (!path) {
+      return undefined;
+    }
+    const file = MoonrakerWebsocketMessageService.findFile(printerID, path);
+    const name = fileName(path);
+
+    let filament = null;
+    if (Array.isArray(file?.length)) {
+      filament = {};
+      file.length.forEach((length, i) => {
+        filament[`tool${i}`] = {
+          length,
+          volume: (Math.PI * DEFAULT_SPOOL_RATIO ** 2 * length) / 1000,
+        };
+      });
+    }
+
+    return {
+      file: {
+        name,
+        path,
+        display: name,
+        origin: 'local',
+        size: file?.size ?? status?.virtual_sdcard?.file_size ?? null,
+        date: file?.date ?? null,
+      },
+      estimatedPrintTime: typeof file?.time === 'number' ? file.time : null,
+      averagePrintTime: null,
+      lastPrintTime: null,
+      filament,
+      user: null,
+    };
+  }
+
+  static findFile(printerID, path) {
+    const { fileList } = getPrinterStoreCache().getPrinter(printerID).fileList;
+    return fileList.find((file) => file.fullPath === path);
+  }
+
+  static createEventPayload(printerID, status) {
+    const { print_stats, virtual_sdcard } = status;
+    const path = print_stats?.filename || '';
+    const file = MoonrakerWebsocketMessageService.findFile(printerID, path);
+    return {
+      name: fileName(path),
+      path,
+      origin: 'local',
+      size: file?.size ?? virtual_sdcard?.file_size,
+      time: print_stats?.print_duration || 0,
+    };
+  }
+
+  /**
+   * Klipper only reports print_stats.state, raise the OctoPrint events those transitions stand for
+   * so history, scripts and the print queue don't need to know which printer type they're on.
+   */
+  static async handlePrintStateChange(printerID, previousState, currentState, status) {
+    const payload = MoonrakerWebsocketMessageService.createEventPayload(printerID, status);
+    const events = [{ type: EVENT_TYPES.PrinterStateChanged, payload: { state_id: currentState } }];
+
+    switch (currentState) {
+      case MR_PRINT_STATES.printing:
+        // Resuming from a pause is just a state change
+        if (previousState !== MR_PRINT_STATES.paused) {
+          events.push({ type: EVENT_TYPES.PrintStarted, payload });
+        }
+        break;
+      case MR_PRINT_STATES.paused:
+        events.push({ type: EVENT_TYPES.PrintPaused, payload });
+        break;
+      case MR_PRINT_STATES.complete:
+        events.push({ type: EVENT_TYPES.PrintDone, payload });
+        break;
+      case MR_PRINT_STATES.cancelled:
+        events.push({ type: EVENT_TYPES.PrintCancelled, payload });
+        events.push({
+          type: EVENT_TYPES.PrintFailed,
+          payload: { ...payload, reason: 'cancelled' },
+        });
+        break;
+      case MR_PRINT_STATES.error:
+        events.push({ type: EVENT_TYPES.PrintFailed, payload: { ...payload, reason: 'error' } });
+        break;
+    }
+
+    for (const event of events) {
+      await OctoprintWebsocketMessageService.handleEventData(printerID, { event });
+    }
+  }
+
+  static async handleFileListChanged(printerID, change) {
+    if (change?.item?.root !== 'gcodes') {
+      return;
+    }
+    const eventType = fileEventMap[change.action] || EVENT_TYPES.UpdatedFiles;
+    await OctoprintWebsocketMessageService.handleEventData(printerID, {
+      event: { type: eventType, payload: { path: change.item.path, storage: 'local' } },
+    });
+
+    // Uploads and deletes come in bursts, only re-scan once they've settled
+    clearTimeout(fileListTimers[printerID]);
+    fileListTimers[printerID] = setTimeout(() => {
+      delete fileListTimers[printerID];
+      getPrinterStoreCache()
+        .getPrinter(printerID)
+        .acquireOctoPrintFilesData(true)
+        .catch((e) => logger.error('Failed to resync moonraker file list', e.toString()));
+    }, FILE_LIST_RESYNC_DELAY);
+  }
+}
+
+module.exports = MoonrakerWebsocketMessageService;
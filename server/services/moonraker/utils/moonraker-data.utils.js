@@ -0,0 +1,177 @@
+const { MR_CHAMBER_OBJECTS } = require('../constants/moonraker-websocket.constants');
+
+const PRINTABLE_EXTENSIONS = ['.gcode', '.g', '.gco', '.ufp'];
+const KLIPPER_PORT = 'Klipper';
+const KLIPPER_PROFILE_ID = '_default';
+
+const isPrintableFile = (filename = '') =>
+  PRINTABLE_EXTENSIONS.some((extension) => filename.toLowerCase().endsWith(extension));
+
+const joinPath = (directory, name) => (directory.length > 0 ? `${directory}/${name}` : name);
+
+/**
+ * Converts a moonraker file entry into the shape OctoPrint returns from /api/files,
+ * so the existing file list cleaners can be re-used.
+ * @param directory relative to the gcodes root
+ * @param file moonraker file entry with extended metadata
+ * @returns {{type: string, path: string, name, display, size, date: number}}
+ */
+const convertFileEntry = (directory, file) => {
+  const path = joinPath(directory, file.filename);
+  const entry = {
+    type: 'machinecode',
+    path,
+    name: file.filename,
+    display: file.filename,
+    size: file.size,
+    date: Math.round(file.modified),
+  };
+
+  if (typeof file.estimated_time === 'number') {
+    entry.gcodeAnalysis = {
+      estimatedPrintTime: file.estimated_time,
+      filament: {
+        tool0: { length: file.filament_total ?? 0 },
+      },
+    };
+  }
+
+  if (typeof file.filament_type === 'string') {
+    entry.material = file.filament_type;
+  }
+  if (typeof file.object_height === 'number') {
+    entry.dimensions = { height: file.object_height };
+  }
+  if (typeof file.nozzle_diameter === 'number') {
+    entry.nozzleDiameter = file.nozzle_diameter;
+  }
+  if (Array.isArray(file.filament_colors)) {
+    entry.colours = file.filament_colors;
+  }
+
+  if (Array.isArray(file.thumbnails) && file.thumbnails.length > 0) {
+    const [largest] = [...file.thumbnails].sort((a, b) => b.size - a.size);
+    const thumbnailDirectory = directory.length > 0 ? `${directory}/` : '';
+    entry.thumbnail =
+      'server/files/gcodes/' + encodeURI(thumbnailDirectory + largest.relative_path);
+  }
+
+  return entry;
+};
+
+const convertFolderEntry = (directory, folder, children = []) => {
+  const path = joinPath(directory, folder.dirname);
+  return {
+    type: 'folder',
+    path,
+    name: folder.dirname,
+    display: folder.dirname,
+    children,
+  };
+};
+
+/**
+ * Klipper has no printer profiles, build the single OctoPrint style profile the client
+ * reads heaters, axes speeds and the build volume from.
+ * @param name
+ * @param color
+ * @param objects list of klipper objects
+ * @param toolhead
+ * @returns {{_default: {}}}
+ */
+const createPrinterProfile = (name, color, objects = [], toolhead = {}) => {
+  const extruderCount = objects.filter((object) => /^extruder\d*$/.test(object)).length;
+  const [maxX = 0, maxY = 0, maxZ = 0] = toolhead?.axis_maximum ?? [];
+  const axisSpeed = Math.round((toolhead?.max_velocity ?? 100) * 60);
+
+  return {
+    [KLIPPER_PROFILE_ID]: {
+      id: KLIPPER_PROFILE_ID,
+      name,
+      model: KLIPPER_PORT,
+      color,
+      extruder: {
+        count: Math.max(extruderCount, 1),
+        nozzleDiameter: 0.4,
+        offsets: Array.from({ length: Math.max(extruderCount, 1) }, () => [0, 0]),
+        sharedNozzle: false,
+        defaultExtrusionLength: 5,
+      },
+      heatedBed: objects.includes('heater_bed'),
+      heatedChamber: objects.some((object) => MR_CHAMBER_OBJECTS.includes(object)),
+      axes: {
+        x: { speed: axisSpeed, inverted: false },
+        y: { speed: axisSpeed, inverted: false },
+        z: { speed: axisSpeed, inverted: false },
+        e: { speed: 300, inverted: false },
+      },
+      volume: {
+        width: maxX,
+        depth: maxY,
+        height: maxZ,
+        formFactor: 'rectangular',
+        origin: 'lowerleft',
+        custom_box: false,
+      },
+    },
+  };
+};
+
+const createConnectionState = (state, name) => {
+  return {
+    current: {
+      state,
+      port: KLIPPER_PORT,
+      baudrate: 0,
+      printerProfile: KLIPPER_PROFILE_ID,
+    },
+    options: {
+      ports: [KLIPPER_PORT],
+      baudrates: [],
+      printerProfiles: [{ id: KLIPPER_PROFILE_ID, name }],
+      portPreference: KLIPPER_PORT,
+      baudratePreference: 0,
+      printerProfilePreference: KLIPPER_PROFILE_ID,
+      autoconnect: true,
+    },
+  };
+};
+
+/**
+ * Fills in the power settings from moonrakers power devices, the same way the PSU Control
+ * plugin is picked up for OctoPrint. Prefers a device called "printer".
+ * @param powerSettings
+ * @param devices
+ * @returns {*}
+ */
+const testAndCollectPowerDevices = (powerSettings, devices = []) => {
+  if (!powerSettings?.default || devices.length === 0) {
+    return powerSettings;
+  }
+
+  const { device } =
+    devices.find(({ device }) => device.toLowerCase() === 'printer') ?? devices[0];
+  const deviceURL = '[PrinterURL]/machine/device_power/device';
+  const actionCommand = (action) => JSON.stringify({ device, action });
+
+  return {
+    powerOnCommand: actionCommand('on'),
+    powerOnURL: deviceURL,
+    powerOffCommand: actionCommand('off'),
+    powerOffURL: deviceURL,
+    powerToggleCommand: actionCommand('toggle'),
+    powerToggleURL: deviceURL,
+    powerStatusCommand: JSON.stringify({ device }),
+    powerStatusURL: `${deviceURL}?device=${encodeURIComponent(device)}`,
+    wol: powerSettings.wol,
+  };
+};
+
+module.exports = {
+  isPrintableFile,
+  convertFileEntry,
+  convertFolderEntry,
+  createPrinterProfile,
+  createConnectionState,
+  testAndCollectPowerDevices,
+};
@@ -0,0 +1,93 @@
+const JOG_STATE = 'OCTOFARM_JOG';
+const DEFAULT_EXTRUDE_SPEED = 300;
+
+// OctoPrint tools are tool0..n, klipper names them extruder, extruder1..n
+const toolToExtruder = (tool = 'tool0') => {
+  const index = parseInt(String(tool).replace('tool', '')) || 0;
+  return index === 0 ? 'extruder' : `extruder${index}`;
+};
+
+const setHeaterTemperature = (heater, target) =>
+  `SET_HEATER_TEMPERATURE HEATER=${heater} TARGET=${parseFloat(target) || 0}`;
+
+// OctoPrint accepts a factor as either 0.5-2.0 or 50-200
+const factorToPercentage = (factor) => {
+  const value = parseFloat(factor);
+  return Math.round(value <= 2 ? value * 100 : value);
+};
+
+const withGcodeState = (lines) => [
+  `SAVE_GCODE_STATE NAME=${JOG_STATE}`,
+  ...lines,
+  `RESTORE_GCODE_STATE NAME=${JOG_STATE}`,
+];
+
+/**
+ * Translates an OctoPrint /api/printer/printhead command into klipper gcode
+ * @param body
+ * @returns {string[]}
+ */
+const printheadCommandToGcode = ({ command, x, y, z, absolute, speed, axes = [], factor }) => {
+  switch (command) {
+    case 'jog': {
+      const moves = Object.entries({ X: x, Y: y, Z: z })
+        .filter(([, distance]) => typeof distance === 'number')
+        .map(([axis, distance]) => `${axis}${distance}`);
+      if (typeof speed === 'number') {
+        moves.push(`F${speed}`);
+      }
+      return withGcodeState([absolute ? 'G90' : 'G91', `G1 ${moves.join(' ')}`]);
+    }
+    case 'home':
+      return [`G28 ${axes.map((axis) => axis.toUpperCase()).join(' ')}`.trim()];
+    case 'feedrate':
+      return [`M220 S${factorToPercentage(factor)}`];
+    default:
+      throw new Error(`Unsupported printhead command: ${command}`);
+  }
+};
+
+/**
+ * Translates an OctoPrint /api/printer/tool command into klipper gcode
+ * @param body
+ * @returns {string[]}
+ */
+const toolCommandToGcode = ({ command, targets = {}, tool, amount, speed, factor }) => {
+  switch (command) {
+    case 'target':
+      return Object.entries(targets).map(([target, temperature]) =>
+        setHeaterTemperature(toolToExtruder(target), temperature)
+      );
+    case 'select':
+      return [`ACTIVATE_EXTRUDER EXTRUDER=${toolToExtruder(tool)}`];
+    case 'extrude':
+      return withGcodeState(['M83', `G1 E${amount} F${speed || DEFAULT_EXTRUDE_SPEED}`]);
+    case 'flowrate':
+      return [`M221 S${factorToPercentage(factor)}`];
+    default:
+      throw new Error(`Unsupported tool command: ${command}`);
+  }
+};
+
+/**
+ * Translates an OctoPrint /api/printer/bed or /api/printer/chamber command into klipper gcode
+ * @param heater klipper heater name
+ * @param body
+ * @returns {string[]}
+ */
+const heaterCommandToGcode = (heater, { command, target }) => {
+  if (command !== 'target') {
+    throw new Error(`Unsupported ${heater} command: ${command}`);
+  }
+  return [setHeaterTemperature(heater, target)];
+};
+
+const terminalCommandToGcode = ({ command, commands = [] }) =>
+  !!command ? [command] : commands;
+
+module.exports = {
+  printheadCommandToGcode,
+  toolCommandToGcode,
+  heaterCommandToGcode,
+  terminalCommandToGcode,
+};
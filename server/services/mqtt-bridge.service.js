@@ -0,0 +1,252 @@
+const mqtt = require("mqtt");
+const Logger = require("../handlers/logger.js");
+const { LOGGER_ROUTE_KEYS } = require("../constants/logger.constants");
+const { SettingsClean } = require("./settings-cleaner.service");
+const { getPrinterStoreCache } = require("../cache/printer-store.cache");
+const { updateUserActionLog } = require("./user-actions-log.service");
+const { PRINTER_COMMANDS } = require("../constants/printer-commands.constants");
+const {
+  MQTT_TOPICS,
+  MQTT_STATUS,
+  MQTT_UNGROUPED,
+  MQTT_RECONNECT_PERIOD,
+  MQTT_CONNECT_TIMEOUT
+} = require("../constants/mqtt.constants");
+
+const logger = new Logger(LOGGER_ROUTE_KEYS.SERVICE_MQTT_BRIDGE);
+
+let client = null;
+let mqttSettings = null;
+// Retained topics are only republished when their payload changes
+const lastPublished = new Map();
+
+// "/", "+" and "#" would change the topic structure if they made it into a topic level
+const topicLevel = (value) =>
+  String(value ?? "")
+    .trim()
+    .replace(/[/+#]/g, "_");
+
+// The prefix may span several levels, e.g. "farm/site1", so only the wildcards are stripped
+const topicPrefix = () =>
+  String(mqttSettings.topicPrefix ?? "")
+    .trim()
+    .replace(/[+#]/g, "")
+    .replace(/^\/+|\/+$/g, "");
+
+const printerTopicBase = (printer) =>
+  `${topicPrefix()}/${topicLevel(printer.group) || MQTT_UNGROUPED}/${topicLevel(
+    printer.printerName
+  )}`;
+
+const createStatePayload = (printer) => ({
+  state: printer?.printerState?.state,
+  category: printer?.printerState?.colour?.category,
+  description: printer?.printerState?.desc,
+  host: printer?.hostState?.state
+});
+
+const createTemperaturePayload = (printer) => {
+  const temperatures = {};
+  const tools = Array.isArray(printer.tools) ? printer.tools[0] : null;
+  for (const [heater, reading] of Object.entries(tools || {})) {
+    if (heater !== "time" && !!reading) {
+      temperatures[heater] = { actual: reading.actual, target: reading.target };
+    }
+  }
+  return temperatures;
+};
+
+const createJobPayload = (printer) => {
+  const job = printer.currentJob;
+  if (!job) {
+    return {};
+  }
+  return {
+    file: job.fileDisplay || job.fileName,
+    filePath: job.filePath,
+    progress: job.progress,
+    printTimeElapsed: job.printTimeElapsed,
+    printTimeRemaining: job.printTimeRemaining,
+    expectedPrintTime: job.expectedPrintTime
+  };
+};
+
+const parseCommandPayload = (payload) => {
+  const message = payload.toString().trim();
+  try {
+    const parsed = JSON.parse(message);
+    return String(parsed?.action ?? parsed).toLowerCase();
+  } catch (e) {
+    return message.toLowerCase();
+  }
+};
+
+class MqttBridge {
+  static isConnected() {
+    return !!client?.connected;
+  }
+
+  /**
+   * Connects to the broker from the server settings, does nothing when the bridge is disabled.
+   */
+  static start() {
+    mqttSettings = SettingsClean.returnSystemSettings()?.mqtt;
+    if (!mqttSettings?.enabled || !!client) {
+      return;
+    }
+    const statusTopic = `${topicPrefix()}/${MQTT_TOPICS.STATUS}`;
+
+    try {
+      client = mqtt.connect(mqttSettings.brokerURL, {
+        clientId: mqttSettings.clientId || undefined,
+        username: mqttSettings.username || undefined,
+        password: mqttSettings.password || undefined,
+        reconnectPeriod: MQTT_RECONNECT_PERIOD,
+        connectTimeout: MQTT_CONNECT_TIMEOUT,
+        will: { topic: statusTopic, payload: MQTT_STATUS.OFFLINE, qos: 1, retain: true }
+      });
+    } catch (e) {
+      client = null;
+      logger.error("Unable to connect to the MQTT broker", e.toString());
+      return;
+    }
+
+    client.on("connect", () => {
+      logger.info(`Connected to MQTT broker ${mqttSettings.brokerURL}`);
+      lastPublished.clear();
+      client.publish(statusTopic, MQTT_STATUS.ONLINE, { qos: 1, retain: true });
+      if (mqttSettings.commandsEnabled) {
+        client.subscribe(`${topicPrefix()}/+/+/${MQTT_TOPICS.COMMAND}`, { qos: 1 }, (e) => {
+          if (!!e) {
+            logger.error("Unable to subscribe to the MQTT command topic", e.toString());
+          }
+        });
+      }
+    });
+    client.on("message", (topic, payload) => {
+      MqttBridge.handleCommand(topic, payload).catch((e) => {
+        logger.error("MQTT command failed", e.toString());
+      });
+    });
+    client.on("offline", () => {
+      logger.warning("MQTT broker is offline, retrying...");
+    });
+    client.on("error", (e) => {
+      logger.error("MQTT client error", e.toString());
+    });
+  }
+
+  static async stop() {
+    if (!client) {
+      return;
+    }
+    const closingClient = client;
+    client = null;
+    if (closingClient.connected) {
+      closingClient.publish(`${topicPrefix()}/${MQTT_TOPICS.STATUS}`, MQTT_STATUS.OFFLINE, {
+        qos: 1,
+        retain: true
+      });
+    }
+    await new Promise((resolve) => closingClient.end(false, {}, resolve));
+    logger.info("Disconnected from MQTT broker");
+  }
+
+  static async restart() {
+    await MqttBridge.stop();
+    MqttBridge.start();
+  }
+
+  static publish(topic, payload, retain = mqttSettings.retain) {
+    const message = JSON.stringify(payload);
+    if (retain && lastPublished.get(topic) === message) {
+      return;
+    }
+    lastPublished.set(topic, message);
+    client.publish(topic, message, { qos: 0, retain });
+  }
+
+  /**
+   * Publishes the state, temperatures and job of every printer under
+   * <prefix>/<group>/<printer>/<topic>
+   */
+  static publishFarmState() {
+    if (!MqttBridge.isConnected()) {
+      return;
+    }
+    const printers = getPrinterStoreCache().listPrintersInformationForMonitoringViews();
+    for (const printer of printers) {
+      const base = printerTopicBase(printer);
+      MqttBridge.publish(`${base}/${MQTT_TOPICS.STATE}`, createStatePayload(printer));
+      MqttBridge.publish(`${base}/${MQTT_TOPICS.TEMPERATURES}`, createTemperaturePayload(printer));
+      MqttBridge.publish(`${base}/${MQTT_TOPICS.JOB}`, createJobPayload(printer));
+    }
+  }
+
+  static publishPrinterEvent(printer, event) {
+    if (!MqttBridge.isConnected() || !printer) {
+      return;
+    }
+    MqttBridge.publish(
+      `${printerTopicBase(printer)}/${MQTT_TOPICS.EVENT}`,
+      { event, date: new Date().toISOString() },
+      false
+    );
+  }
+
+  /**
+   * Runs a whitelisted command sent to <prefix>/<group>/<printer>/command, the payload is either
+   * the action on its own or {"action": "pause"}. The outcome goes back out on command/result.
+   * @param topic
+   * @param payload
+   * @returns {Promise<void>}
+   */
+  static async handleCommand(topic, payload) {
+    const [group, printerName, command] = topic.slice(topicPrefix().length + 1).split("/");
+    if (command !== MQTT_TOPICS.COMMAND || !mqttSettings.commandsEnabled) {
+      return;
+    }
+    const printer = getPrinterStoreCache()
+      .listPrintersInformationForMonitoringViews()
+      .find(
+        (p) =>
+          (topicLevel(p.group) || MQTT_UNGROUPED) === group &&
+          topicLevel(p.printerName) === printerName
+      );
+    if (!printer) {
+      logger.warning("MQTT command sent to an unknown printer", { topic });
+      return;
+    }
+
+    const action = parseCommandPayload(payload);
+    const resultTopic = `${printerTopicBase(printer)}/${MQTT_TOPICS.COMMAND_RESULT}`;
+    const allowed =
+      Object.values(PRINTER_COMMANDS).includes(action) &&
+      mqttSettings.allowedCommands.includes(action);
+    if (!allowed) {
+      logger.warning(`Rejected MQTT command "${action}" for ${printer.printerName}`);
+      MqttBridge.publish(
+        resultTopic,
+        { action, success: false, error: "Command is not allowed" },
+        false
+      );
+      return;
+    }
+
+    logger.info(`Running MQTT command "${action}" on ${printer.printerName}`);
+    let status;
+    let error;
+    try {
+      status = await getPrinterStoreCache().runPrinterCommand(printer._id, action);
+    } catch (e) {
+      error = e.message;
+    }
+    const success = !error && status >= 200 && status < 300;
+    updateUserActionLog(printer._id, `MQTT: ${action}`, { topic }, "MQTT", success ? 204 : status);
+    MqttBridge.publish(resultTopic, { action, success, status, ...(!!error && { error }) }, false);
+  }
+}
+
+module.exports = {
+  MqttBridge
+};
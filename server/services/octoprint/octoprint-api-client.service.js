@@ -8,6 +8,8 @@ const apiSettingsPart = apiBase + '/settings';
 const apiFile = (path) => apiBase + '/files/local/' + encodeURI(path);
 const apiFiles = (recursive = true) => apiBase + '/files?recursive=' + recursive;
 const apiConnection = apiBase + '/connection';
+const apiJob = apiBase + '/job';
+const apiPrinthead = apiBase + '/printer/printhead';
 const apiPrinterProfiles = apiBase + '/printerprofiles';
 const apiSystem = apiBase + '/system';
 const apiSystemInfo = apiSystem + '/info';
@@ -76,10 +78,34 @@ class OctoprintApiClientService extends OctoprintApiService {
     return this.get(apiFile(path));
   }
 
+  /**
+   * Select a file on OctoPrint's local storage, optionally starting the print straight away
+   * @param path
+   * @param print
+   * @returns {}
+   */
+  async selectFile(path, print = false) {
+    return this.post(apiFile(path), { command: 'select', print });
+  }
+
   async deleteFile(path) {
     return this.deletePrinter(apiFile(path));
   }
 
+  /**
+   * Start, pause, resume or cancel the current job
+   * @param command
+   * @param action pause only: pause, resume or toggle
+   * @returns {}
+   */
+  async postJobCommand(command, action = undefined) {
+    return this.post(apiJob, { command, ...(!!action && { action }) });
+  }
+
+  async homeAxes(axes = ['x', 'y', 'z']) {
+    return this.post(apiPrinthead, { command: 'home', axes });
+  }
+
   async getConnection() {
     return this.get(apiConnection);
   }
@@ -16,8 +16,6 @@ const { mapStateToCategory } = require('../printers/utils/printer-state.utils');
 const { LOGGER_ROUTE_KEYS } = require('../../constants/logger.constants');
 const logger = new Logger(LOGGER_ROUTE_KEYS.OP_SERVICE_WEBSOCKET);
 
-const ENDPOINT = '/sockjs/websocket';
-
 const defaultWebsocketOptions = {
   handshakeTimeout: 10000,
   followRedirects: true,
@@ -26,6 +24,7 @@ const defaultWebsocketOptions = {
 };
 
 class WebSocketClient {
+  static ENDPOINT = '/sockjs/websocket';
   #messageNumber = 0;
   #retryNumber = 0;
   #lastMessage = new Date();
@@ -71,7 +70,7 @@ class WebSocketClient {
 
     this.autoReconnectInterval = this.systemSettings.timeout.webSocketRetry;
     this.id = id;
-    this.url = webSocketURL + ENDPOINT;
+    this.url = webSocketURL + this.constructor.ENDPOINT;
     this.currentUser = currentUser;
     this.sessionKey = sessionKey;
     this.#onMessage = onMessageFunction;
@@ -562,7 +561,7 @@ class WebSocketClient {
   }
 
   updateConnectionInformation(webSocketURL, currentUser) {
-    this.url = webSocketURL + ENDPOINT;
+    this.url = webSocketURL + this.constructor.ENDPOINT;
     this.currentUser = currentUser;
   }
 }
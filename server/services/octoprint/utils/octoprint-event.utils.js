@@ -6,8 +6,10 @@ const { AppConstants } = require("../../../constants/app.constants");
 const { ScriptRunner } = require("../../local-scripts.service");
 const { parseOutIPAddress } = require("../../../utils/url.utils");
 const { HistoryCaptureService } = require("../../history-capture.service.js");
+const { TimelapseRecorder } = require("../../timelapse-recorder.service");
 const { matchRemoteAddressToOctoFarm } = require("../../../utils/find-predicate.utils");
 const { ErrorCaptureService } = require("../../error-capture.service");
+const { getPrintQueueCache } = require("../../../cache/print-queue.cache");
 const { LOGGER_ROUTE_KEYS } = require("../../../constants/logger.constants");
 const logger = new Logger(LOGGER_ROUTE_KEYS.OP_UTIL_EVENTS);
 
@@ -314,6 +316,7 @@ const capturePrintCancelling = (id, data) => {
 const printCaptureHelper = (id, data, state) => {
   const currentPrinterInfo = getPrinterStoreCache().getPrinterInformation(id);
   getPrinterStoreCache().resetThrottleRate(id);
+  getPrinterStoreCache().flagBedAsOccupied(id);
   const historyCaptureService = new HistoryCaptureService(data, currentPrinterInfo, state);
   const scriptCheckTrigger = state ? "done" : "failed";
   historyCaptureService
@@ -331,6 +334,11 @@ const printCaptureHelper = (id, data, state) => {
     .finally(() => {
       getPrinterStoreCache().resetActiveControlUser(id);
     });
+  getPrintQueueCache()
+    .captureJobFinished(id, state)
+    .catch((e) => {
+      logger.error("Failed to update print queue with finished job", e.toString());
+    });
 };
 
 const capturePrintFailed = (id, data) => {
@@ -350,6 +358,10 @@ const capturePrintPaused = (id) => {
     });
 };
 const capturePrintStarted = (id, data) => {
+  // A print has been started directly on OctoPrint, so the bed must have been cleared
+  if (getPrinterStoreCache().isAwaitingBedClear(id)) {
+    getPrinterStoreCache().clearPrinterBed(id);
+  }
   ScriptRunner.check(getPrinterStoreCache().getPrinter(id), "started", undefined)
     .then((res) => {
       logger.info("Successfully checked started script", res);
@@ -358,6 +370,9 @@ const capturePrintStarted = (id, data) => {
     .catch((e) => {
       logger.error("Failed to check started script", e);
     });
+  TimelapseRecorder.startRecording(id).catch((e) => {
+    logger.error("Failed to start timelapse recording", e.toString());
+  });
 };
 const capturePrinterStateChanged = (id, data) => {
   ScriptRunner.check(getPrinterStoreCache().getPrinter(id), "statechange", undefined)
@@ -454,6 +469,9 @@ const captureZChange = (id, data) => {
     .catch((e) => {
       logger.error("Failed to check zchange script", e);
     });
+  TimelapseRecorder.captureLayer(id).catch((e) => {
+    logger.error("Failed to capture timelapse layer", e.toString());
+  });
 };
 
 module.exports = {
@@ -5,6 +5,10 @@ const { JobClean } = require("../../job-cleaner.service");
 const TempHistoryDB = require("../../../models/TempHistory");
 const { mapStateToCategory } = require("../../printers/utils/printer-state.utils");
 const { eventListConstants } = require("../../../constants/event.constants");
+const {
+  checkThermalAnomalies,
+  resetThermalWatchdog
+} = require("../../thermal-watchdog.service");
 
 const Logger = require("../../../handlers/logger");
 const { LOGGER_ROUTE_KEYS } = require("../../../constants/logger.constants");
@@ -60,11 +64,13 @@ const captureTemperatureData = (id, data) => {
     }
 
     coolDownEvent(id, temps);
+    checkThermalAnomalies(id, temps);
   }
 };
 
 const deleteTemperatureData = async (id) => {
   delete tempTimers[id];
+  resetThermalWatchdog(id);
   await TempHistoryDB.deleteMany({ printer_id: id });
 };
 
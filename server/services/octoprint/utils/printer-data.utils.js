@@ -1,4 +1,8 @@
 const { each } = require("lodash");
+const {
+  getSlicerMaterial,
+  getSlicerRequirements
+} = require("../../../utils/slicer-material.utils");
 /**
  * Function to convert octoprints camera data to usable stream
  * @param currentURL
@@ -83,6 +87,8 @@ const acquirePrinterFilesAndFolderData = function (fileList) {
         fullPath: entry.path,
         display: entry.display,
         length: filament,
+        material: getSlicerMaterial(entry),
+        ...getSlicerRequirements(entry),
         name: entry.name,
         size: entry.size,
         time: timeStat,
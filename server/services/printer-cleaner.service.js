@@ -216,7 +216,7 @@ class PrinterCleanerService {
       system: systemCommands()
     };
     if (typeof temp !== "undefined") {
-      otherSettings.temperatureTriggers = temp;
+      otherSettings.temperatureTriggers = { ...otherSettings.temperatureTriggers, ...temp };
     }
     if (typeof webcam !== "undefined") {
       otherSettings.webCamSettings = webcam;
@@ -2,6 +2,8 @@ const Logger = require('../handlers/logger.js');
 
 const PrinterService = require('./printer.service');
 const { OctoPrintPrinter } = require('../services/printers/create-octoprint.service');
+const { MoonrakerPrinter } = require('../services/printers/create-moonraker.service');
+const { PRINTER_CATEGORIES } = require('./printers/constants/printer-categories.constants');
 const { CATEGORIES } = require('./printers/constants/printer-state.constants');
 const { getPrinterStoreCache } = require('../cache/printer-store.cache');
 const { patchPrinterValues } = require('../services/version-patches.service');
@@ -17,6 +19,13 @@ const { LOGGER_ROUTE_KEYS } = require('../constants/logger.constants');
 
 const logger = new Logger(LOGGER_ROUTE_KEYS.SERVICE_PRINTER_MANAGER);
 
+const createPrinter = (printer) => {
+  if (printer?.category === PRINTER_CATEGORIES.MOONRAKER) {
+    return new MoonrakerPrinter(printer);
+  }
+  return new OctoPrintPrinter(printer);
+};
+
 class PrinterManagerService {
   #printerGroupList = [];
   #printerControlList = [];
@@ -38,7 +47,7 @@ class PrinterManagerService {
     //Parse out enabled printers and disable any disabled printers straight away...
     for (let p of pList) {
       await patchPrinterValues(p);
-      const printer = new OctoPrintPrinter(p);
+      const printer = createPrinter(p);
       getPrinterStoreCache().addPrinter(printer);
       if (!printer?.disabled) {
         this.#enablePrintersQueue.push(printer._id);
@@ -70,7 +79,7 @@ class PrinterManagerService {
       printerValues = await PrinterService.create(printerValues);
     }
     await patchPrinterValues(printerValues);
-    const newPrinter = new OctoPrintPrinter(printerValues);
+    const newPrinter = createPrinter(printerValues);
     getPrinterStoreCache().addPrinter(newPrinter);
     this.#enablePrintersQueue.push(newPrinter._id);
 
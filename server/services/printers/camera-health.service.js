@@ -0,0 +1,207 @@
+const MjpegDecoder = require("mjpeg-decoder");
+const Logger = require("../../handlers/logger");
+const { LOGGER_ROUTE_KEYS } = require("../../constants/logger.constants");
+const { getPrinterStoreCache } = require("../../cache/printer-store.cache");
+const { listPrinterCameras } = require("./utils/camera-url-generation.utils");
+const { sleep } = require("../../utils/promise.utils");
+const {
+  CAMERA_STALE_AFTER,
+  CAMERA_PROBE_DURATION,
+  CAMERA_PROBE_TIMEOUT,
+  CAMERA_PROBE_CONCURRENCY,
+  CAMERA_PROBE_STAGGER,
+  CAMERA_FRAME_RATE_WINDOW,
+  CAMERA_STATES
+} = require("../../constants/camera.constants");
+
+const logger = new Logger(LOGGER_ROUTE_KEYS.SERVICE_CAMERA_HEALTH);
+
+// "<printerID>:<camera index>" to what has been seen of that stream
+const streams = new Map();
+let checkRunning = false;
+
+const streamKey = (printerID, index) => `${printerID}:${index}`;
+
+const getStream = (printerID, index) => {
+  const key = streamKey(printerID, index);
+  if (!streams.has(key)) {
+    streams.set(key, {
+      frameTimes: [],
+      lastFrameAt: null,
+      frameRate: null,
+      error: null,
+      errorAt: null,
+      checkedAt: null
+    });
+  }
+  return streams.get(key);
+};
+
+const returnStreamState = (stream) => {
+  if (!stream || (!stream.checkedAt && !stream.lastFrameAt)) {
+    return CAMERA_STATES.UNCHECKED;
+  }
+  if (!!stream.error && (!stream.lastFrameAt || stream.errorAt >= stream.lastFrameAt)) {
+    return CAMERA_STATES.ERROR;
+  }
+  // Sent frames the last time it was looked at, a big farm can take a while to get back round
+  if (!!stream.checkedAt && stream.lastFrameAt >= stream.checkedAt) {
+    return CAMERA_STATES.ONLINE;
+  }
+  if (!stream.lastFrameAt || Date.now() - stream.lastFrameAt > CAMERA_STALE_AFTER) {
+    return CAMERA_STATES.STALE;
+  }
+  return CAMERA_STATES.ONLINE;
+};
+
+/**
+ * Keeps track of when each printer camera last produced a frame, how fast it's producing them and
+ * the last error it gave. Frames come from the camera proxy while it's streaming, anything it
+ * isn't watching gets a short look by the periodic health check instead.
+ */
+class CameraHealth {
+  static recordFrame(printerID, index, at = Date.now()) {
+    const stream = getStream(printerID, index);
+    stream.lastFrameAt = at;
+    stream.frameTimes = [
+      ...stream.frameTimes.filter((time) => at - time <= CAMERA_FRAME_RATE_WINDOW),
+      at
+    ];
+    const [firstFrame] = stream.frameTimes;
+    if (stream.frameTimes.length > 1 && at > firstFrame) {
+      const frameRate = ((stream.frameTimes.length - 1) * 1000) / (at - firstFrame);
+      stream.frameRate = Math.round(frameRate * 10) / 10;
+    }
+  }
+
+  static recordError(printerID, index, error) {
+    const stream = getStream(printerID, index);
+    stream.error = error;
+    stream.errorAt = Date.now();
+  }
+
+  static isStale(printerID, index) {
+    return returnStreamState(streams.get(streamKey(printerID, index))) !== CAMERA_STATES.ONLINE;
+  }
+
+  /**
+   * Watches a stream for a few seconds to see if it's alive and how many frames it's sending
+   * @param printerID
+   * @param index
+   * @param url
+   * @returns {Promise<void>} resolves once the stream has been watched, never rejects
+   */
+  static probeCamera(printerID, index, url) {
+    const stream = getStream(printerID, index);
+    stream.checkedAt = Date.now();
+    return new Promise((resolve) => {
+      const decoder = new MjpegDecoder(url, { timeout: CAMERA_PROBE_TIMEOUT });
+      let frames = 0;
+      let finished = false;
+      const finish = () => {
+        if (finished) {
+          return;
+        }
+        finished = true;
+        clearTimeout(giveUp);
+        // Connection errors are more use than this, so they're kept
+        if (frames === 0 && !(stream.errorAt >= stream.checkedAt)) {
+          CameraHealth.recordError(printerID, index, "No frames received from the stream");
+        }
+        decoder.stop();
+        resolve();
+      };
+      // A stream that connects but never sends anything doesn't trip the decoders own timeout
+      const giveUp = setTimeout(finish, CAMERA_PROBE_TIMEOUT + CAMERA_PROBE_DURATION);
+
+      decoder.on("frame", () => {
+        frames++;
+        CameraHealth.recordFrame(printerID, index);
+        if (frames === 1) {
+          setTimeout(finish, CAMERA_PROBE_DURATION);
+        }
+      });
+      decoder.on("abort", (reason, error) => {
+        if (reason !== "end") {
+          CameraHealth.recordError(printerID, index, error?.message ?? reason);
+        }
+        finish();
+      });
+      try {
+        decoder.start();
+      } catch (e) {
+        CameraHealth.recordError(printerID, index, e.message);
+        finish();
+      }
+    });
+  }
+
+  /**
+   * Checks every camera on the farm which hasn't been seen sending frames recently, a few at a
+   * time. A pass which outlasts the task interval isn't overlapped by the next one.
+   */
+  static async checkCameraStreams() {
+    if (checkRunning) {
+      return;
+    }
+    checkRunning = true;
+    try {
+      const checkedKeys = new Set();
+      const probes = [];
+      for (const printer of getPrinterStoreCache().listPrintersInformation()) {
+        listPrinterCameras(printer).forEach(({ url }, index) => {
+          checkedKeys.add(streamKey(printer._id, index));
+          const lastFrameAt = streams.get(streamKey(printer._id, index))?.lastFrameAt;
+          // The proxy is already watching this one
+          if (!!lastFrameAt && Date.now() - lastFrameAt < CAMERA_FRAME_RATE_WINDOW) {
+            return;
+          }
+          probes.push({ printerID: printer._id, index, url });
+        });
+      }
+      // Removed printers and cameras shouldn't hang around in here forever
+      for (const key of streams.keys()) {
+        if (!checkedKeys.has(key)) {
+          streams.delete(key);
+        }
+      }
+      const queue = [...probes];
+      const runProbes = async (worker) => {
+        await sleep(worker * CAMERA_PROBE_STAGGER);
+        let probe;
+        while ((probe = queue.shift())) {
+          await CameraHealth.probeCamera(probe.printerID, probe.index, probe.url);
+          await sleep(CAMERA_PROBE_STAGGER);
+        }
+      };
+      const workers = Math.min(CAMERA_PROBE_CONCURRENCY, probes.length);
+      await Promise.all(Array.from({ length: workers }, (_, worker) => runProbes(worker)));
+      logger.debug("Checked camera streams", { probed: probes.length, cameras: checkedKeys.size });
+    } finally {
+      checkRunning = false;
+    }
+  }
+
+  /**
+   * @param printer
+   * @returns {{name: string, url: string, state: string, lastFrameAt: number|null,
+   * frameRate: number|null, error: string|null}[]}
+   */
+  static getPrinterCameraHealth(printer) {
+    return listPrinterCameras(printer).map(({ name, url }, index) => {
+      const stream = streams.get(streamKey(printer._id, index));
+      return {
+        name,
+        url,
+        state: returnStreamState(stream),
+        lastFrameAt: stream?.lastFrameAt ?? null,
+        frameRate: stream?.frameRate ?? null,
+        error: stream?.error ?? null
+      };
+    });
+  }
+}
+
+module.exports = {
+  CameraHealth
+};
@@ -3,7 +3,8 @@ const PRINTER_CATEGORIES = {
   GLOBAL_CAMERAL: "GlobalCamera",
   OCTOPRINT_RESING: "OctoPrintResin",
   OCTOPRINT_CNC: "OctoPrintCNC",
-  OCTOPRINT_KLIPPER: "OctoPrintKlipper"
+  OCTOPRINT_KLIPPER: "OctoPrintKlipper",
+  MOONRAKER: "Moonraker"
 };
 
 module.exports = {
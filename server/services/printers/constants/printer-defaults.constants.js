@@ -1,3 +1,5 @@
+const { THERMAL_ACTIONS } = require("../../../constants/thermal-watchdog.constants");
+
 const ALLOWED_SYSTEM_CHECKS = () => {
   return Object.assign(
     {},
@@ -74,7 +76,14 @@ const tempTriggersDefaults = () => {
     {},
     {
       heatingVariation: 1,
-      coolDown: 30
+      coolDown: 30,
+      watchdogEnabled: true,
+      divergenceTolerance: 10,
+      divergenceTime: 120,
+      heatUpTime: 900,
+      idleRiseLimit: 15,
+      bedDropTolerance: 10,
+      anomalyAction: THERMAL_ACTIONS.NONE
     }
   );
 };
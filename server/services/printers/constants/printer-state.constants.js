@@ -32,7 +32,8 @@ const OF_S_STATE = {
   API_FAIL: "API Check Fail",
   GLOBAL_API_FAIL: "Global API Fail",
   WEBSOCKET_FAIL: "Websocket Fail",
-  DISCONNECTED: "Disconnected"
+  DISCONNECTED: "Disconnected",
+  STALLED: "Stalled"
 };
 //Host States
 const OF_H_STATE = {
@@ -63,7 +64,8 @@ const OF_WS_DESC = {
 };
 //Printer State Descriptions
 const OF_S_DESC = {
-  OFFLINE: "OctoPrint is Offline"
+  OFFLINE: "OctoPrint is Offline",
+  STALLED: "Printing, but progress, file position and Z have stopped moving"
 };
 //Host Descriptions
 const OF_H_DESC = {
@@ -132,6 +134,11 @@ const PRINTER_STATES = (customStates = {}) => {
       webSocket: OF_COLOURS.INFO,
       webSocketDescription: "Checking if websocket is still alive!"
     },
+    PRINTER_STALLED: {
+      state: OF_S_STATE.STALLED,
+      stateColour: mapStateToCategory(OF_S_STATE.STALLED),
+      stateDescription: stateDescription ? stateDescription : OF_S_DESC.STALLED
+    },
     PRINTER_TENTATIVE: {
       state: OF_S_STATE.DISCONNECTED,
       stateColour: mapStateToCategory(OF_S_STATE.DISCONNECTED),
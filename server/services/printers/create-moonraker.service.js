@@ -0,0 +1,622 @@
+const { ALLOWED_SYSTEM_CHECKS } = require('./constants/printer-defaults.constants');
+const { PRINTER_STATES } = require('./constants/printer-state.constants');
+const { OctoPrintPrinter } = require('./create-octoprint.service');
+const { MoonrakerApiClientService } = require('../moonraker/moonraker-api-client.service');
+const MoonrakerWebSocketClient = require('../moonraker/moonraker-websocket-client.service');
+const { MR_KLIPPY_STATES } = require('../moonraker/constants/moonraker-websocket.constants');
+const {
+  isPrintableFile,
+  convertFileEntry,
+  convertFolderEntry,
+  createPrinterProfile,
+  createConnectionState,
+  testAndCollectPowerDevices,
+} = require('../moonraker/utils/moonraker-data.utils');
+const { findIndex } = require('lodash');
+const { checkApiStatusResponse } = require('../../utils/api.utils');
+const {
+  acquireWebCamData,
+  acquirePrinterFilesAndFolderData,
+} = require('../octoprint/utils/printer-data.utils');
+const {
+  createPrinterPowerURL,
+  parseOctoPrintPowerResponse,
+  canWeDetectPrintersPowerState,
+} = require('../octoprint/utils/printer-power-plugins.utils');
+const { PrinterTicker } = require('../printer-connection-log.service');
+const { PrinterClean } = require('../printer-cleaner.service');
+const Logger = require('../../handlers/logger');
+const { LOGGER_ROUTE_KEYS } = require('../../constants/logger.constants');
+const logger = new Logger(LOGGER_ROUTE_KEYS.SERVICE_MOONRAKER);
+
+const unwrap = MoonrakerApiClientService.unwrapResult;
+const PLACEHOLDER_NAME = 'Grabbing from OctoPrint...';
+
+// Health checks that only make sense against OctoPrint, moonraker passes them by default
+const OCTOPRINT_ONLY_CHECKS = [
+  ALLOWED_SYSTEM_CHECKS().VERSION,
+  ALLOWED_SYSTEM_CHECKS().USERS,
+  ALLOWED_SYSTEM_CHECKS().SYSTEM,
+  ALLOWED_SYSTEM_CHECKS().SYSTEM_INFO,
+  ALLOWED_SYSTEM_CHECKS().PLUGINS,
+  ALLOWED_SYSTEM_CHECKS().UPDATES,
+  ALLOWED_SYSTEM_CHECKS().OCTOPI,
+];
+
+/**
+ * A Klipper printer behind moonraker. Keeps the OctoPrint printers state shape so the store,
+ * history and client don't need to know the difference, only the communications are replaced.
+ */
+class MoonrakerPrinter extends OctoPrintPrinter {
+  #api = undefined;
+  #ws = undefined;
+  #retryNumber = 0;
+  // Klipper can't select a file without printing it, the client "load" action is remembered here
+  selectedFile = undefined;
+
+  constructor(printer) {
+    super(printer);
+    this.currentUser = MoonrakerWebSocketClient.API_USER;
+  }
+
+  #apiPrinterTickerWrap(message, state, additional = '') {
+    this.lastConnectionStatus = {
+      state,
+      message: `${message} ${additional}`,
+    };
+    PrinterTicker.addIssue(
+      new Date(),
+      this.printerURL,
+      `${message} ${additional}`,
+      state,
+      this._id
+    );
+  }
+
+  #apiChecksUpdateWrap(apiCall, status, dateUpdate = false) {
+    this.systemChecks.scanning[apiCall].status = status;
+    if (dateUpdate || this.systemChecks.scanning[apiCall].date === null) {
+      this.systemChecks.scanning[apiCall].date = new Date();
+    }
+  }
+
+  async #fetchJson(apiCall) {
+    const response = await apiCall.catch((e) => {
+      logger.http('Failed moonraker api call', e.toString());
+      return false;
+    });
+    const status = checkApiStatusResponse(response);
+    if (status !== 200) {
+      return { status };
+    }
+    return { status, result: unwrap(await response.json()) };
+  }
+
+  async setupClient() {
+    await super.setupClient();
+
+    if (!this?.#api) {
+      logger.debug(this.printerURL + ': Creating moonraker api client');
+      this.#api = new MoonrakerApiClientService(this.printerURL, this.apikey);
+    }
+
+    return true;
+  }
+
+  async enablePrinter() {
+    this.enabling = true;
+    if (this.disabled) {
+      this.updatePrinterData({ disabled: false });
+    }
+
+    await this.setupClient();
+
+    if (this.#retryNumber === 0) {
+      this.#apiPrinterTickerWrap('Testing the high sea!', 'Active');
+    }
+
+    const pingTestResults = await this.#api.pingTest();
+
+    const statusCheck = this.checkStatusNumber(pingTestResults?.status);
+    if (statusCheck !== true) {
+      if (this.#retryNumber === 0) {
+        this.#apiPrinterTickerWrap(
+          'Failed to find moonraker on the high seas! Marking offline...',
+          'Offline'
+        );
+      }
+      const failedHighSeas = {
+        hostState: 'Offline',
+        hostDescription: 'Failed to test the waters! Cannot find moonraker on the high seas!',
+      };
+      this.setAllPrinterStates(PRINTER_STATES(failedHighSeas).SHUTDOWN);
+      this.reconnectAPI();
+      this.#retryNumber++;
+      return 'Failed to test the waters! Cannot find moonraker on the high seas!';
+    }
+    this.#retryNumber = 0;
+    this.#apiPrinterTickerWrap('Moonraker found on the high seas!', 'Complete');
+
+    // State first, it replaces the placeholder name the profile is created with
+    await this.acquireOctoPrintStateData(true);
+    await Promise.allSettled([
+      this.acquireOctoPrintProfileData(true),
+      this.acquireOctoPrintSettingsData(true),
+      this.acquireOctoPrintFilesData(true),
+    ]);
+
+    OCTOPRINT_ONLY_CHECKS.forEach((check) => this.#apiChecksUpdateWrap(check, 'success', true));
+
+    this.cleanPrintersInformation();
+
+    this.onboarding.fullyScanned = true;
+    this.updatePrinterData({ onboarding: this.onboarding });
+
+    this.#setupWebsocket();
+
+    this.#apiPrinterTickerWrap('Printer enabled!', 'Complete');
+
+    return 'Successfully enabled printer...';
+  }
+
+  #setupWebsocket() {
+    if (!!this?.#ws) {
+      this.killAllConnections();
+      this.#ws = undefined;
+    }
+    logger.debug(this.printerURL + ': Opening moonraker websocket');
+    this.#ws = new MoonrakerWebSocketClient(this.webSocketURL, this._id, this.apikey);
+  }
+
+  reConnectWebsocket() {
+    this.resetJobInformation();
+    if (!!this?.#ws) {
+      this.#ws.terminate();
+      return 'Successfully terminated websocket! Please wait for reconnect.';
+    }
+    throw new Error('No websocket to reconnect!');
+  }
+
+  throttleWebSocket(seconds) {
+    this.#ws?.forceUpdateThrottleRate(seconds);
+  }
+
+  // Moonraker authorises the websocket with the api key, there's no session to log into
+  async getSessionkey() {
+    return this.apikey;
+  }
+
+  async acquireOctoPrintSessionKey() {
+    return this.apikey;
+  }
+
+  async acquireOctoPrintPiPluginData() {
+    return true;
+  }
+
+  async acquireOctoPrintSystemData() {
+    this.#apiChecksUpdateWrap(ALLOWED_SYSTEM_CHECKS().SYSTEM, 'success', true);
+    return true;
+  }
+
+  async acquireOctoPrintPluginsListData() {
+    this.#apiChecksUpdateWrap(ALLOWED_SYSTEM_CHECKS().PLUGINS, 'success', true);
+    return true;
+  }
+
+  async acquireOctoPrintUpdatesData() {
+    this.#apiChecksUpdateWrap(ALLOWED_SYSTEM_CHECKS().UPDATES, 'success', true);
+    return true;
+  }
+
+  async acquireOctoPrintStateData() {
+    this.#apiPrinterTickerWrap('Acquiring klipper state', 'Info');
+    this.#apiChecksUpdateWrap(ALLOWED_SYSTEM_CHECKS().STATE, 'warning');
+
+    const { status, result } = await this.#fetchJson(this.#api.getPrinterInfo());
+    if (status !== 200) {
+      this.#apiPrinterTickerWrap('Failed to acquire klipper state', 'Offline', status);
+      this.#apiChecksUpdateWrap(ALLOWED_SYSTEM_CHECKS().STATE, 'danger', true);
+      return status;
+    }
+
+    const { state, hostname, software_version } = result;
+    this.klipperState = state;
+    this.printerFirmware = `Klipper ${software_version}`;
+    if (this.settingsAppearance.name === PLACEHOLDER_NAME) {
+      this.settingsAppearance.name = hostname || this.printerURL;
+    }
+    this.printerName = PrinterClean.grabPrinterName(this.settingsAppearance, this.printerURL);
+
+    const { current, options } = createConnectionState(
+      state === MR_KLIPPY_STATES.ready ? 'Operational' : 'Closed',
+      this.printerName
+    );
+    this.current = current;
+    this.options = options;
+    this.currentConnection = PrinterClean.sortConnection(current);
+    this.connectionOptions = PrinterClean.sortOptions(options);
+
+    this.updatePrinterData({
+      current,
+      options,
+      printerFirmware: this.printerFirmware,
+      settingsAppearance: this.settingsAppearance,
+      printerName: this.printerName,
+    });
+
+    this.#apiPrinterTickerWrap('Acquired klipper state!', 'Complete');
+    this.#apiChecksUpdateWrap(ALLOWED_SYSTEM_CHECKS().STATE, 'success', true);
+    return true;
+  }
+
+  async acquireOctoPrintProfileData() {
+    this.#apiPrinterTickerWrap('Acquiring klipper configuration', 'Info');
+    this.#apiChecksUpdateWrap(ALLOWED_SYSTEM_CHECKS().PROFILE, 'warning');
+
+    const objectsList = await this.#fetchJson(this.#api.getObjectsList());
+    const toolhead = await this.#fetchJson(
+      this.#api.queryObjects({ toolhead: ['axis_maximum', 'max_velocity'] })
+    );
+    if (objectsList.status !== 200) {
+      this.#apiPrinterTickerWrap(
+        'Failed to acquire klipper configuration',
+        'Offline',
+        objectsList.status
+      );
+      this.#apiChecksUpdateWrap(ALLOWED_SYSTEM_CHECKS().PROFILE, 'danger', true);
+      return objectsList.status;
+    }
+
+    this.profiles = createPrinterProfile(
+      this.settingsAppearance.name,
+      this.settingsAppearance.color,
+      objectsList.result?.objects,
+      toolhead.result?.status?.toolhead
+    );
+    this.updatePrinterData({ profiles: this.profiles });
+
+    this.#apiPrinterTickerWrap('Acquired klipper configuration!', 'Complete');
+    this.#apiChecksUpdateWrap(ALLOWED_SYSTEM_CHECKS().PROFILE, 'success', true);
+    return true;
+  }
+
+  async acquireOctoPrintSettingsData() {
+    this.#apiPrinterTickerWrap('Acquiring webcam and power device data', 'Info');
+    this.#apiChecksUpdateWrap(ALLOWED_SYSTEM_CHECKS().SETTINGS, 'warning');
+
+    const [webcams, powerDevices] = await Promise.all([
+      this.#fetchJson(this.#api.getWebcams()),
+      this.#fetchJson(this.#api.getPowerDevices()),
+    ]);
+
+    const [webcam] = webcams.result?.webcams ?? [];
+    if (!!webcam?.stream_url && (this.camURL || '').trim().length === 0) {
+      this.camURL = acquireWebCamData('', this.printerURL, webcam.stream_url);
+    }
+    this.powerSettings = testAndCollectPowerDevices(
+      this.powerSettings,
+      powerDevices.result?.devices
+    );
+    this.updatePrinterData({
+      camURL: this.camURL,
+      powerSettings: this.powerSettings,
+    });
+
+    this.#apiPrinterTickerWrap('Acquired webcam and power device data!', 'Complete');
+    this.#apiChecksUpdateWrap(ALLOWED_SYSTEM_CHECKS().SETTINGS, 'success', true);
+    return true;
+  }
+
+  async #acquireDirectoryTree(directory = '') {
+    const { status, result } = await this.#fetchJson(this.#api.getDirectory(directory));
+    if (status !== 200) {
+      throw new Error(`Failed to list directory "${directory}": ${status}`);
+    }
+
+    const entries = [];
+    for (const folder of result.dirs ?? []) {
+      if (folder.dirname.startsWith('.')) {
+        continue;
+      }
+      const folderPath = directory.length > 0 ? `${directory}/${folder.dirname}` : folder.dirname;
+      const { entries: children } = await this.#acquireDirectoryTree(folderPath);
+      entries.push(convertFolderEntry(directory, folder, children));
+    }
+    for (const file of result.files ?? []) {
+      if (isPrintableFile(file.filename)) {
+        entries.push(convertFileEntry(directory, file));
+      }
+    }
+
+    return { entries, diskUsage: result.disk_usage };
+  }
+
+  async acquireOctoPrintFileData(fullPath) {
+    const { status, result } = await this.#fetchJson(this.#api.getFileMetadata(fullPath));
+    if (status !== 200) {
+      logger.http('File could not be re-synced', fullPath);
+      return false;
+    }
+
+    const directory = fullPath.includes('/') ? fullPath.substr(0, fullPath.lastIndexOf('/')) : '';
+    const entry = convertFileEntry(directory, {
+      ...result,
+      filename: fullPath.substr(fullPath.lastIndexOf('/') + 1),
+    });
+    const {
+      printerFiles: [fileInformation],
+    } = acquirePrinterFilesAndFolderData([entry]);
+
+    const fileIndex = findIndex(this.fileList.fileList, function (o) {
+      return o.fullPath === fileInformation.fullPath;
+    });
+    if (fileIndex > -1) {
+      this.fileList.fileList[fileIndex] = fileInformation;
+    } else {
+      this.fileList.fileList.push(fileInformation);
+      this.fileList.filecount = this.fileList.fileList.length;
+    }
+
+    this.updatePrinterData({ fileList: this.fileList });
+
+    return fileInformation;
+  }
+
+  async acquireOctoPrintFilesData(force = false, returnObject = false) {
+    this.#apiPrinterTickerWrap('Acquiring file list data', 'Info');
+    this.#apiChecksUpdateWrap(ALLOWED_SYSTEM_CHECKS().FILES, 'warning');
+
+    if (!force && this?.fileList?.fileList?.length > 0) {
+      this.#apiPrinterTickerWrap('File list data acquired previously... skipped!', 'Complete');
+      this.#apiChecksUpdateWrap(ALLOWED_SYSTEM_CHECKS().FILES, 'success');
+      return true;
+    }
+
+    let tree;
+    try {
+      tree = await this.#acquireDirectoryTree();
+    } catch (e) {
+      logger.http('Failed to acquire file list data...', e.toString());
+      this.#apiPrinterTickerWrap('Failed to acquire file list data', 'Offline');
+      this.#apiChecksUpdateWrap(ALLOWED_SYSTEM_CHECKS().FILES, 'danger', true);
+      return false;
+    }
+
+    this.storage = {
+      free: tree.diskUsage?.free ?? 0,
+      total: tree.diskUsage?.total ?? 0,
+    };
+    const { printerFiles, printerLocations } = acquirePrinterFilesAndFolderData(tree.entries);
+
+    this.fileList = {
+      fileList: printerFiles,
+      filecount: printerFiles.length,
+      folderList: printerLocations,
+      folderCount: printerLocations.length,
+    };
+
+    this.updatePrinterData({
+      storage: this.storage,
+      fileList: this.fileList,
+    });
+
+    this.#apiPrinterTickerWrap('Acquired file list data!', 'Complete');
+    this.#apiChecksUpdateWrap(ALLOWED_SYSTEM_CHECKS().FILES, 'success', true);
+    return returnObject ? this.fileList : true;
+  }
+
+  async updateOctoPrintProfileData() {
+    logger.warning(this.printerURL + ': Klipper profiles are set in printer.cfg, ignoring update');
+    return 501;
+  }
+
+  async updateOctoPrintSettingsData() {
+    logger.warning(this.printerURL + ': Moonraker has no OctoPrint settings, ignoring update');
+    return 501;
+  }
+
+  selectFile(fullPath) {
+    this.selectedFile = fullPath;
+  }
+
+  async selectAndPrintFile(fullPath) {
+    this.#apiPrinterTickerWrap(`Selecting and printing file: ${fullPath}`, 'Info');
+    const printPost = await this.#api.startPrint(fullPath).catch((e) => {
+      logger.http('Failed to select and print file', e.toString());
+      return 900;
+    });
+    const status = checkApiStatusResponse(printPost);
+    this.selectedFile = undefined;
+    // Callers expect OctoPrints "No Content" response for a successful start
+    return status === 200 ? 204 : status;
+  }
+
+  async #runPrinterCommand(message, command) {
+    this.#apiPrinterTickerWrap(message, 'Info');
+    const response = await command().catch((e) => {
+      logger.http(`Failed printer command: ${message}`, e.toString());
+      return 900;
+    });
+    const status = checkApiStatusResponse(response);
+    // Keep OctoPrints "No Content" response so callers don't need to know the difference
+    return status === 200 ? 204 : status;
+  }
+
+  async pausePrint() {
+    return this.#runPrinterCommand('Pausing print', () => this.#api.pausePrint());
+  }
+
+  async cancelPrint() {
+    return this.#runPrinterCommand('Cancelling print', () => this.#api.cancelPrint());
+  }
+
+  async homePrinter() {
+    return this.#runPrinterCommand('Homing all axes', () => this.#api.runGcode('G28'));
+  }
+
+  async powerOffPrinter() {
+    const { powerOffCommand } = this.powerSettings;
+    let device;
+    try {
+      device = JSON.parse(powerOffCommand)?.device;
+    } catch (e) {
+      device = undefined;
+    }
+    if (!device) {
+      throw new Error('No moonraker power device has been set up for this printer');
+    }
+    return this.#runPrinterCommand('Powering off printer', () =>
+      this.#api.setPowerDevice(device, 'off')
+    );
+  }
+
+  resetConnectionInformation(force = true) {
+    if (!!this?.#api) {
+      this.#api.updateConnectionInformation(this.printerURL, this.apikey);
+    }
+
+    if (!!this?.#ws) {
+      this.#ws.updateConnectionInformation(this.webSocketURL, this.currentUser);
+    }
+
+    return this.resetSocketConnection(force);
+  }
+
+  async acquirePrinterPowerState() {
+    const { powerStatusURL } = this.powerSettings;
+
+    if (!canWeDetectPrintersPowerState(powerStatusURL)) {
+      return;
+    }
+
+    const { status, result } = await this.#fetchJson(
+      this.#api.get(createPrinterPowerURL(powerStatusURL))
+    );
+    if (status === 200) {
+      this.printerPowerState = parseOctoPrintPowerResponse(result);
+    }
+
+    return this.printerPowerState;
+  }
+
+  /**
+   * Keeps the power state in sync from notify_power_changed
+   * @param device moonraker power device
+   */
+  updatePowerDeviceState(device) {
+    const { powerStatusURL } = this.powerSettings;
+    if (!device?.device || !powerStatusURL?.includes(`device=${encodeURIComponent(device.device)}`)) {
+      return;
+    }
+    this.printerPowerState = device.status === 'on';
+  }
+
+  killAllConnections() {
+    this.killApiTimeout();
+    if (!this?.#ws) {
+      return false;
+    }
+
+    return this.#ws.killAllConnectionsAndListeners();
+  }
+
+  sendThrottle(seconds) {
+    if (!!this?.#ws) {
+      this.#ws.sendThrottle(seconds);
+    }
+  }
+
+  ping() {
+    if (!!this?.#ws) {
+      this.#ws.ping();
+    }
+  }
+
+  async #deletePath(path, isFolder = false) {
+    const pathDeleted = await (isFolder
+      ? this.#api.deleteDirectory(path)
+      : this.#api.deleteFile(path)
+    ).catch((e) => {
+      logger.http('Error deleting path!', e.toString());
+      return false;
+    });
+    return checkApiStatusResponse(pathDeleted) === 200;
+  }
+
+  async deleteAllFilesAndFolders() {
+    const deletedFiles = [];
+    const deletedFolders = [];
+
+    const fileList = JSON.parse(JSON.stringify(this.fileList.fileList));
+    // Shallowest first, deleting a folder takes everything below it along
+    const folderList = JSON.parse(JSON.stringify(this.fileList.folderList)).sort(
+      (a, b) => a.name.split('/').length - b.name.split('/').length
+    );
+
+    for (const folder of folderList) {
+      if (deletedFolders.some((deleted) => folder.name.startsWith(`${deleted}/`))) {
+        deletedFolders.push(folder.name);
+        continue;
+      }
+      logger.warning('Deleting Folder: ', folder.name);
+      if (await this.#deletePath(folder.name, true)) {
+        deletedFolders.push(folder.name);
+        logger.info('Deleted Folder: ', folder.name);
+      } else {
+        logger.error('Failed to delete folder...', folder.name);
+      }
+    }
+
+    for (const file of fileList) {
+      if (deletedFolders.includes(file.path)) {
+        deletedFiles.push(file.fullPath);
+        continue;
+      }
+      logger.warning('Deleting File: ', file.fullPath);
+      if (await this.#deletePath(file.fullPath)) {
+        deletedFiles.push(file.fullPath);
+        logger.info('Deleted: ', file.fullPath);
+      } else {
+        logger.error('Failed to delete file...', file.fullPath);
+      }
+    }
+
+    this.fileList.fileList = this.fileList.fileList.filter(
+      ({ fullPath }) => !deletedFiles.includes(fullPath)
+    );
+    this.fileList.folderList = this.fileList.folderList.filter(
+      ({ name }) => !deletedFolders.includes(name)
+    );
+    this.fileList.filecount = this.fileList.fileList.length;
+    this.fileList.folderCount = this.fileList.folderList.length;
+    this.updatePrinterData({ fileList: this.fileList });
+    logger.info('Deleted files... ', deletedFiles);
+    logger.info('Deleted folders... ', deletedFolders);
+    return { deletedFiles, deletedFolders };
+  }
+
+  async houseKeepFiles(pathList) {
+    const deletedList = [];
+    for (const path of pathList) {
+      if (await this.#deletePath(path)) {
+        deletedList.push(path);
+      } else {
+        logger.error('Failed to delete file...', path);
+      }
+    }
+
+    this.fileList.fileList = this.fileList.fileList.filter(
+      ({ fullPath }) => !deletedList.includes(fullPath)
+    );
+    this.fileList.filecount = this.fileList.fileList.length;
+    this.fileList.folderCount = this.fileList.folderList.length;
+
+    this.updatePrinterData({ fileList: this.fileList });
+    return deletedList;
+  }
+}
+
+module.exports = {
+  MoonrakerPrinter,
+};
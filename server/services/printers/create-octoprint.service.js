@@ -37,11 +37,20 @@ const apiConfig = require('../octoprint/constants/octoprint-api-config.constants
 const { MESSAGE_TYPES } = require('../../constants/sse.constants');
 const { LOGGER_ROUTE_KEYS } = require('../../constants/logger.constants');
 const { FilamentClean } = require('../filament-cleaner.service');
+const {
+  getSlicerMaterial,
+  getSlicerRequirements,
+} = require('../../utils/slicer-material.utils');
+const { STALL_PRINTING_STATES } = require('../../constants/stall-detection.constants');
 const logger = new Logger(LOGGER_ROUTE_KEYS.SERVICE_OCTOPRINT);
 
 class OctoPrintPrinter {
   //OctoFarm state
   disabled = false;
+  awaitingBedClear = false;
+  bedClearOverride = false;
+  // Set by the maintenance scheduler when an overdue task should stop new jobs
+  maintenanceBlocked = false;
   display = true;
   #retryNumber = 0;
   multiUserIssue = undefined;
@@ -72,6 +81,7 @@ class OctoPrintPrinter {
   apikey = undefined;
   webSocketURL = undefined;
   camURL = '';
+  cameras = [];
   clientCamURL = '';
   settingsAppearance = undefined;
   // Always database
@@ -188,6 +198,9 @@ class OctoPrintPrinter {
     this.settingsServer
   );
   websocket_throttle = 1;
+  stalledSince = null;
+  stalledDescription = undefined;
+  unclassifiedFailure = null;
 
   constructor(printer) {
     if (
@@ -214,6 +227,7 @@ class OctoPrintPrinter {
     this.printerURL = printer.printerURL;
     this.webSocketURL = printer.webSocketURL;
     this.camURL = printer.camURL;
+    this.cameras = printer.cameras ?? [];
     this.category = printer.category;
     this.group = printer.group;
     this.settingsAppearance = printer.settingsAppearance;
@@ -227,6 +241,8 @@ class OctoPrintPrinter {
   #updatePrinterRecordsFromDatabase(printer) {
     const {
       disabled,
+      awaitingBedClear,
+      bedClearOverride,
       onboarding,
       _id,
       settingsAppearance,
@@ -393,6 +409,12 @@ class OctoPrintPrinter {
     if (typeof disabled === 'boolean') {
       this.disabled = disabled;
     }
+    if (typeof awaitingBedClear === 'boolean') {
+      this.awaitingBedClear = awaitingBedClear;
+    }
+    if (typeof bedClearOverride === 'boolean') {
+      this.bedClearOverride = bedClearOverride;
+    }
     if (!!octoPi) {
       this.octoPi = octoPi;
     }
@@ -501,6 +523,10 @@ class OctoPrintPrinter {
   setPrinterState(state) {
     if (!state?.state || !state?.stateColour || !state?.stateDescription)
       throw new Error('Missing keys required!' + JSON.stringify(state));
+    // The printer keeps reporting it's printing through a stall, hold it as stalled until cleared
+    if (!!this.stalledSince && STALL_PRINTING_STATES.includes(state.state)) {
+      state = PRINTER_STATES({ stateDescription: this.stalledDescription }).PRINTER_STALLED;
+    }
     this.printerState = {
       state: state.state,
       colour: state.stateColour,
@@ -1318,6 +1344,8 @@ class OctoPrintPrinter {
         fullPath: fileEntry.path,
         display: fileEntry.display,
         length: filament,
+        material: getSlicerMaterial(fileEntry),
+        ...getSlicerRequirements(fileEntry),
         name: fileEntry.name,
         size: fileEntry.size,
         time: timeStat,
@@ -1428,6 +1456,56 @@ class OctoPrintPrinter {
     return checkApiStatusResponse(settingsPost);
   }
 
+  async selectAndPrintFile(fullPath) {
+    this.#apiPrinterTickerWrap(`Selecting and printing file: ${fullPath}`, 'Info');
+    const printPost = await this.#api.selectFile(fullPath, true).catch((e) => {
+      logger.http('Failed to select and print file', e.toString());
+      return 900;
+    });
+    return checkApiStatusResponse(printPost);
+  }
+
+  async #runPrinterCommand(message, command) {
+    this.#apiPrinterTickerWrap(message, 'Info');
+    const response = await command().catch((e) => {
+      logger.http(`Failed printer command: ${message}`, e.toString());
+      return 900;
+    });
+    return checkApiStatusResponse(response);
+  }
+
+  async pausePrint() {
+    return this.#runPrinterCommand('Pausing print', () =>
+      this.#api.postJobCommand('pause', 'pause')
+    );
+  }
+
+  async cancelPrint() {
+    return this.#runPrinterCommand('Cancelling print', () => this.#api.postJobCommand('cancel'));
+  }
+
+  async homePrinter() {
+    return this.#runPrinterCommand('Homing all axes', () => this.#api.homeAxes());
+  }
+
+  /**
+   * Fires the power off command from the printers power settings, the same one the client's power
+   * button uses.
+   * @returns {Promise<number>}
+   */
+  async powerOffPrinter() {
+    const { powerOffURL, powerOffCommand } = this.powerSettings;
+    if (!powerOffURL) {
+      throw new Error('No power off command has been set up for this printer');
+    }
+    const powerURL = createPrinterPowerURL(powerOffURL);
+    return this.#runPrinterCommand('Powering off printer', () =>
+      !powerOffCommand
+        ? this.#api.getPrinterPowerState(powerURL)
+        : this.#api.postPrinterPowerState(powerURL, JSON.parse(powerOffCommand))
+    );
+  }
+
   updateStateTrackingCounters(counter, value) {
     const allowedCounters = [CATEGORIES.IDLE, CATEGORIES.ACTIVE, CATEGORIES.OFFLINE];
 
@@ -4,6 +4,8 @@ const Logger = require("../../handlers/logger");
 const { LOGGER_ROUTE_KEYS } = require("../../constants/logger.constants");
 const { notifySubscribers, listActiveClientsCount } = require("../server-side-events.service");
 const { MESSAGE_TYPES } = require("../../constants/sse.constants");
+const { CAMERA_PROBE_TIMEOUT } = require("../../constants/camera.constants");
+const { CameraHealth } = require("./camera-health.service");
 const logger = new Logger(LOGGER_ROUTE_KEYS.SERVICE_MJPEG_DECODER);
 
 class MjpegDecoderService {
@@ -11,14 +13,14 @@ class MjpegDecoderService {
   #cameraInterval;
 
   constructor() {
-    this.#currentStreams = [];
+    this.#currentStreams = new Map();
     this.#setupCameraInterval();
   }
 
   #setupCameraInterval() {
     logger.info("Setting up camera interval...");
     this.#cameraInterval = setInterval(async () => {
-      for (const [key] of Object.entries(this.#currentStreams)) {
+      for (const key of this.#currentStreams.keys()) {
         if (listActiveClientsCount() > 0) {
           await this.#fireNewCameraImageEvent(key);
         }
@@ -32,31 +34,91 @@ class MjpegDecoderService {
     return "Destroyed camera interval...";
   }
 
-  #isCameraURLDecodingAlready(id) {
-    return !!this.#currentStreams[id];
+  #isCameraURLDecodingAlready(key, camURL) {
+    const stream = this.#currentStreams.get(key);
+    return !!stream && !stream.aborted && stream.camURL === camURL;
   }
 
-  async #fireNewCameraImageEvent(id) {
-    this.#currentStreams[id].lastFrame = await this.#currentStreams[id].decoder.takeSnapshot();
+  async #fireNewCameraImageEvent(key) {
+    const { printerID, index, aborted } = this.#currentStreams.get(key);
+    // A dead stream is dropped, the next request for it starts a fresh one
+    if (aborted) {
+      this.#currentStreams.delete(key);
+      return;
+    }
+    if (CameraHealth.isStale(printerID, index)) {
+      return;
+    }
     logger.debug("Captured last frame, updating client...");
     notifySubscribers("cameraURL", MESSAGE_TYPES.NEW_CAMERA_IMAGE, {
-      printerID: id,
-      cameraURL: `/camera/${id}?${Date.now()}`
+      printerID,
+      cameraIndex: index,
+      cameraURL: `/camera/${printerID}/${index}?${Date.now()}`
     });
   }
 
-  async setupNewCamera(id, camURL) {
-    if (!this.#isCameraURLDecodingAlready(id)) {
-      this.#currentStreams[id] = {
-        decoder: new MjpegDecoder(camURL),
-        lastFrame: null
+  #waitForFirstFrame(stream) {
+    return new Promise((resolve) => {
+      const timeout = setTimeout(resolve, CAMERA_PROBE_TIMEOUT);
+      const done = () => {
+        clearTimeout(timeout);
+        resolve();
       };
-      this.#currentStreams[id].lastFrame = await this.#currentStreams[id].decoder.takeSnapshot();
+      stream.decoder.once("frame", done);
+      stream.decoder.once("abort", done);
+    });
+  }
+
+  async setupNewCamera(id, camURL, index = 0) {
+    const key = `${id}:${index}`;
+    if (this.#isCameraURLDecodingAlready(key, camURL)) {
+      return;
     }
+    this.#currentStreams.get(key)?.decoder.stop();
+
+    const stream = {
+      printerID: id,
+      index,
+      camURL,
+      decoder: new MjpegDecoder(camURL),
+      lastFrame: null,
+      aborted: false
+    };
+    stream.decoder.on("frame", (frame) => {
+      stream.lastFrame = frame;
+      CameraHealth.recordFrame(id, index);
+    });
+    stream.decoder.on("abort", (reason, error) => {
+      stream.aborted = true;
+      if (reason !== "end") {
+        logger.warning("Camera stream stopped", { id, index, reason });
+        CameraHealth.recordError(id, index, error?.message ?? reason);
+      }
+    });
+    this.#currentStreams.set(key, stream);
+    // takeSnapshot never settles if the stream times out, so wait on the events instead
+    const firstFrame = this.#waitForFirstFrame(stream);
+    try {
+      stream.decoder.start();
+    } catch (e) {
+      stream.aborted = true;
+      CameraHealth.recordError(id, index, e.message);
+      return;
+    }
+    await firstFrame;
   }
 
-  getNewestFrame(id) {
-    return this.#currentStreams[id].lastFrame;
+  /**
+   * @param id
+   * @param index
+   * @returns {Buffer|null} null when the stream has stopped sending frames
+   */
+  getNewestFrame(id, index = 0) {
+    const stream = this.#currentStreams.get(`${id}:${index}`);
+    if (!stream?.lastFrame || stream.aborted || CameraHealth.isStale(id, index)) {
+      return null;
+    }
+    return stream.lastFrame;
   }
 }
 
@@ -1,4 +1,5 @@
 const { SettingsClean } = require("../../settings-cleaner.service");
+const { DEFAULT_CAMERA_NAME, MAX_PRINTER_CAMERAS } = require("../../../constants/camera.constants");
 
 const generateOctoFarmCameraURL = (printer, live) => {
   const { camURL, _id } = printer;
@@ -18,6 +19,61 @@ const generateOctoFarmCameraURL = (printer, live) => {
   return `/camera/${_id}`;
 };
 
+/**
+ * Printers saved before multiple cameras were supported only have a camURL, that becomes their
+ * one and only camera.
+ * @param printer
+ * @returns {{name: string, url: string}[]}
+ */
+const listPrinterCameras = (printer) => {
+  const cameras = (printer?.cameras ?? []).filter((camera) => !!camera?.url);
+  if (cameras.length > 0) {
+    return cameras.map(({ name, url }) => ({ name: name || DEFAULT_CAMERA_NAME, url }));
+  }
+  if (!printer?.camURL) {
+    return [];
+  }
+  return [{ name: DEFAULT_CAMERA_NAME, url: printer.camURL }];
+};
+
+/**
+ * The cameras the client should display, pointed at the proxy when it's turned on
+ * @param printer
+ * @returns {{name: string, url: string}[]}
+ */
+const generateOctoFarmCameraList = (printer) => {
+  const cameras = listPrinterCameras(printer);
+  if (!SettingsClean.isProxyCamerasEnabled()) {
+    return cameras;
+  }
+  return cameras.map(({ name }, index) => ({ name, url: `/camera/${printer._id}/${index}` }));
+};
+
+/**
+ * Tidies the camera list sent from the printer settings modal, blank rows are dropped
+ * @param cameras
+ * @returns {{name: string, url: string}[]}
+ */
+const cleanPrinterCameras = (cameras) => {
+  if (!Array.isArray(cameras)) {
+    return [];
+  }
+  return cameras
+    .map((camera) => ({
+      name: typeof camera?.name === "string" ? camera.name.trim() : "",
+      url: typeof camera?.url === "string" ? camera.url.trim() : ""
+    }))
+    .filter((camera) => camera.url.length > 0)
+    .slice(0, MAX_PRINTER_CAMERAS)
+    .map((camera, index) => ({
+      name: camera.name || (index === 0 ? DEFAULT_CAMERA_NAME : `Camera ${index + 1}`),
+      url: /^https?:\/\//i.test(camera.url) ? camera.url : `http://${camera.url}`
+    }));
+};
+
 module.exports = {
-  generateOctoFarmCameraURL
+  generateOctoFarmCameraURL,
+  listPrinterCameras,
+  generateOctoFarmCameraList,
+  cleanPrinterCameras
 };
@@ -14,6 +14,9 @@ const mapStateToCategory = (state) => {
   if (state === "Pausing") {
     return { name: "warning text-dark", category: "Active" };
   }
+  if (state === "Stalled") {
+    return { name: "stalled", hex: "#3d1c4f", category: "Active" };
+  }
   if (state === "Cancelling") {
     return { name: "warning text-dark", hex: "#583c0e", category: "Active" };
   }
@@ -0,0 +1,175 @@
+const { getPrinterStoreCache } = require("../cache/printer-store.cache");
+const { getDashboardStatistics } = require("./printer-statistics.service");
+const { getCurrentOperations } = require("./current-operations.service");
+const { FilamentClean } = require("./filament-cleaner.service");
+const { SystemRunner } = require("./system-information.service");
+const { filterPrintersForUser } = require("../utils/permissions.utils");
+const { formatMetric } = require("../utils/prometheus.utils");
+const { METRICS } = require("../constants/metrics.constants");
+
+const printerLabels = (printer) => ({
+  printer: printer.printerName,
+  group: printer.group || ""
+});
+
+const isOnline = (printer) => printer?.printerState?.colour?.category !== "Offline";
+
+function createPrinterMetrics(printers) {
+  const samples = {
+    up: [],
+    state: [],
+    temperature: [],
+    temperatureTarget: [],
+    progress: [],
+    elapsed: [],
+    remaining: [],
+    utilisation: []
+  };
+
+  for (const printer of printers) {
+    const labels = printerLabels(printer);
+    samples.up.push({ labels, value: isOnline(printer) ? 1 : 0 });
+    samples.state.push({
+      labels: {
+        ...labels,
+        state: printer?.printerState?.state || "Unknown",
+        category: printer?.printerState?.colour?.category || "Unknown"
+      },
+      value: 1
+    });
+
+    // Tools are only worth reporting whilst OctoPrint is sending them
+    const tools = isOnline(printer) && Array.isArray(printer.tools) ? printer.tools[0] : null;
+    for (const [heater, reading] of Object.entries(tools || {})) {
+      if (heater === "time" || !reading) {
+        continue;
+      }
+      samples.temperature.push({ labels: { ...labels, heater }, value: reading.actual });
+      samples.temperatureTarget.push({ labels: { ...labels, heater }, value: reading.target });
+    }
+
+    if (!!printer.currentJob) {
+      samples.progress.push({ labels, value: printer.currentJob.progress });
+      samples.elapsed.push({ labels, value: printer.currentJob.printTimeElapsed });
+      samples.remaining.push({ labels, value: printer.currentJob.printTimeRemaining });
+    }
+
+    const trackedTime = printer.currentActive + printer.currentIdle + printer.currentOffline;
+    if (trackedTime > 0) {
+      samples.utilisation.push({ labels, value: (printer.currentActive / trackedTime) * 100 });
+    }
+  }
+
+  return [
+    formatMetric(METRICS.PRINTER_UP, samples.up),
+    formatMetric(METRICS.PRINTER_STATE, samples.state),
+    formatMetric(METRICS.PRINTER_TEMPERATURE, samples.temperature),
+    formatMetric(METRICS.PRINTER_TEMPERATURE_TARGET, samples.temperatureTarget),
+    formatMetric(METRICS.JOB_PROGRESS, samples.progress),
+    formatMetric(METRICS.JOB_ELAPSED, samples.elapsed),
+    formatMetric(METRICS.JOB_REMAINING, samples.remaining),
+    formatMetric(METRICS.PRINTER_UTILISATION, samples.utilisation)
+  ];
+}
+
+function createFarmMetrics() {
+  const { count } = getCurrentOperations();
+  const { farmUtilisation } = getDashboardStatistics();
+  const categories = ["active", "complete", "idle", "disconnected", "offline"];
+  const utilisation = {
+    active: farmUtilisation?.activeHoursPercent,
+    idle: farmUtilisation?.idleHoursPercent,
+    offline: farmUtilisation?.offlineHoursPercent,
+    failed: farmUtilisation?.failedHoursPercent
+  };
+
+  return [
+    formatMetric(
+      METRICS.FARM_PRINTERS,
+      categories.map((category) => ({ labels: { category }, value: count?.[category] }))
+    ),
+    formatMetric(
+      METRICS.FARM_UTILISATION,
+      Object.entries(utilisation).map(([category, value]) => ({ labels: { category }, value }))
+    )
+  ];
+}
+
+/**
+ * One sample per printer and tool a spool is assigned to so the printer and group labels line up
+ * with the printer metrics, spools on the shelf are reported with both labels left empty.
+ * @param printers
+ * @returns {string[]}
+ */
+function createSpoolMetrics(printers) {
+  const profiles = FilamentClean.getProfiles();
+  const remaining = [];
+  const weight = [];
+
+  for (const spool of FilamentClean.getSpools()) {
+    const profile = profiles.find((p) => p._id.toString() === spool.profile?.toString());
+    // Spool names aren't unique, without the id two of them on the shelf would clash
+    const spoolLabels = {
+      spool_id: spool._id.toString(),
+      spool: spool.name,
+      material: profile?.material || "",
+      manufacturer: profile?.manufacturer || "",
+      colour: spool.colour || ""
+    };
+    const assignments = spool.printerAssignment
+      .map((assignment) => ({
+        ...assignment,
+        printer: printers.find((p) => p._id.toString() === assignment.id.toString())
+      }))
+      .filter((assignment) => !!assignment.printer);
+    const labelSets = assignments.map(({ printer, tool }) => ({
+      ...spoolLabels,
+      ...printerLabels(printer),
+      tool
+    }));
+    if (labelSets.length === 0) {
+      labelSets.push({ ...spoolLabels, printer: "", group: "", tool: "" });
+    }
+
+    for (const labels of labelSets) {
+      remaining.push({ labels, value: spool.remaining });
+      weight.push({ labels, value: spool.weight });
+    }
+  }
+
+  return [
+    formatMetric(METRICS.SPOOL_REMAINING, remaining),
+    formatMetric(METRICS.SPOOL_WEIGHT, weight)
+  ];
+}
+
+function createServerMetrics() {
+  const load = SystemRunner.returnCurrentLoad();
+  return [
+    formatMetric(METRICS.SERVER_CPU, [{ value: load.cpuPercent }]),
+    formatMetric(METRICS.SERVER_MEMORY_TOTAL, [{ value: load.memoryTotal }]),
+    formatMetric(METRICS.SERVER_MEMORY_FREE, [{ value: load.memoryFree }]),
+    formatMetric(METRICS.PROCESS_MEMORY, [{ value: load.processMemory }]),
+    formatMetric(METRICS.PROCESS_UPTIME, [{ value: load.processUptime }])
+  ];
+}
+
+/**
+ * Builds the farm metrics in the Prometheus text format. Printer and spool metrics only cover
+ * the printers the user is allowed to see.
+ * @param user
+ * @returns {string}
+ */
+function generatePrometheusMetrics(user) {
+  const printers = filterPrintersForUser(getPrinterStoreCache().listPrintersInformation(), user);
+  return [
+    ...createPrinterMetrics(printers),
+    ...createFarmMetrics(),
+    ...createSpoolMetrics(printers),
+    ...createServerMetrics()
+  ].join("");
+}
+
+module.exports = {
+  generatePrometheusMetrics
+};
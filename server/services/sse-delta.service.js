@@ -0,0 +1,167 @@
+const { createPatch } = require("../utils/json-patch.utils");
+const { DELTA_MESSAGE_TYPES } = require("../constants/sse.constants");
+
+/**
+ * Turns a streams data into plain JSON once per tick, shared by every client of that stream.
+ * Anything which serialises the same as last tick keeps its old reference, so the per client diff
+ * in SseDeltaStream skips it with a reference check instead of walking it again.
+ */
+class SharedSnapshot {
+  #collectionKey;
+  #idKey;
+  #values = new Map();
+
+  constructor(collectionKey, idKey = "_id") {
+    this.#collectionKey = collectionKey;
+    this.#idKey = idKey;
+  }
+
+  #intern(key, value, seen) {
+    seen.add(key);
+    const json = JSON.stringify(value);
+    const previous = this.#values.get(key);
+    if (previous?.json === json) {
+      return previous.value;
+    }
+    const parsed = typeof json === "undefined" ? undefined : JSON.parse(json);
+    this.#values.set(key, { json, value: parsed });
+    return parsed;
+  }
+
+  /**
+   * @param data top level fields of the stream, the collection is interned printer by printer
+   * @returns {{}} the same fields as plain JSON
+   */
+  update(data) {
+    const seen = new Set();
+    const snapshot = {};
+    for (const [field, value] of Object.entries(data)) {
+      if (field !== this.#collectionKey) {
+        snapshot[field] = this.#intern(field, value, seen);
+        continue;
+      }
+      snapshot[field] = value.map((item) => {
+        const prefix = `${field}.${item[this.#idKey]}`;
+        const interned = {};
+        for (const [key, itemValue] of Object.entries(item)) {
+          interned[key] = this.#intern(`${prefix}.${key}`, itemValue, seen);
+        }
+        return interned;
+      });
+    }
+    // Printers which were removed shouldn't hang around in here forever
+    for (const key of this.#values.keys()) {
+      if (!seen.has(key)) {
+        this.#values.delete(key);
+      }
+    }
+    return snapshot;
+  }
+}
+
+/**
+ * Remembers what one client was last sent and works out the next message for it. The first
+ * message, and the first after a resync request, is a full snapshot. After that each message only
+ * carries a JSON patch per changed printer, added/removed printers, the new order when it changed
+ * and any other top level field which changed. Every message is numbered so the client can spot
+ * one going missing.
+ */
+class SseDeltaStream {
+  #clientID;
+  #collectionKey;
+  #idKey;
+  #seq = 0;
+  #resyncRequested = true;
+  #items = new Map();
+  #order = [];
+  #fields = new Map();
+
+  constructor(clientID, collectionKey, idKey = "_id") {
+    this.#clientID = clientID;
+    this.#collectionKey = collectionKey;
+    this.#idKey = idKey;
+  }
+
+  requestResync() {
+    this.#resyncRequested = true;
+  }
+
+  #createDelta(items, order, fields, data) {
+    const patches = {};
+    const added = [];
+    for (const [id, item] of items) {
+      const previous = this.#items.get(id);
+      if (!previous) {
+        added.push(item);
+        continue;
+      }
+      const operations = createPatch(previous, item);
+      if (operations.length > 0) {
+        patches[id] = operations;
+      }
+    }
+    const removed = [...this.#items.keys()].filter((id) => !items.has(id));
+    const changedFields = {};
+    for (const [field, json] of fields) {
+      if (this.#fields.get(field) !== json) {
+        changedFields[field] = data[field];
+      }
+    }
+    const orderChanged =
+      order.length !== this.#order.length || order.some((id, index) => id !== this.#order[index]);
+
+    if (
+      Object.keys(patches).length === 0 &&
+      added.length === 0 &&
+      removed.length === 0 &&
+      Object.keys(changedFields).length === 0 &&
+      !orderChanged
+    ) {
+      return null;
+    }
+    return {
+      type: DELTA_MESSAGE_TYPES.DELTA,
+      patches,
+      added,
+      removed,
+      ...(orderChanged && { order }),
+      fields: changedFields
+    };
+  }
+
+  /**
+   * @param data snapshot from SharedSnapshot, filtered down for this client if needed
+   * @returns {null|{}} the message to send, null when nothing changed
+   */
+  nextMessage(data) {
+    const order = data[this.#collectionKey].map((item) => item[this.#idKey].toString());
+    const items = new Map(data[this.#collectionKey].map((item, index) => [order[index], item]));
+    const fields = new Map(
+      Object.entries(data)
+        .filter(([field]) => field !== this.#collectionKey)
+        .map(([field, value]) => [field, JSON.stringify(value)])
+    );
+
+    let message;
+    if (this.#resyncRequested) {
+      message = { type: DELTA_MESSAGE_TYPES.SNAPSHOT, clientID: this.#clientID, ...data };
+      this.#resyncRequested = false;
+    } else {
+      message = this.#createDelta(items, order, fields, data);
+    }
+
+    this.#items = items;
+    this.#order = order;
+    this.#fields = fields;
+    if (!message) {
+      return null;
+    }
+    message.seq = ++this.#seq;
+    return message;
+  }
+}
+
+module.exports = {
+  SharedSnapshot,
+  SseDeltaStream
+};
@@ -0,0 +1,98 @@
+const { isEqual } = require("lodash");
+const Logger = require("../handlers/logger.js");
+const { LOGGER_ROUTE_KEYS } = require("../constants/logger.constants");
+const { getPrinterStoreCache } = require("../cache/printer-store.cache");
+const { PrinterTicker } = require("./printer-connection-log.service");
+const { PRINTER_STATES } = require("./printers/constants/printer-state.constants");
+const { eventListConstants } = require("../constants/event.constants");
+const { floatOrZero } = require("../utils/number.util");
+const {
+  STALL_PRINTING_STATES,
+  STALL_MINIMUM_SECONDS,
+  STALL_EXPECTED_TIME_FRACTION
+} = require("../constants/stall-detection.constants");
+
+const logger = new Logger(LOGGER_ROUTE_KEYS.SERVICE_STALL_DETECTION);
+
+const STALLED_STATE = PRINTER_STATES().PRINTER_STALLED.state;
+
+// printerID -> last progress, file position and Z seen, and when they last moved
+const progressSnapshots = {};
+
+/**
+ * How long a print can sit still before it's stalled, scaled to the expected print time from
+ * JobClean so a 20 hour print isn't held to the same limit as a 20 minute one.
+ * @param expectedPrintTime seconds
+ * @returns {number} milliseconds
+ */
+const returnStallTimeout = (expectedPrintTime) =>
+  Math.max(STALL_MINIMUM_SECONDS, floatOrZero(expectedPrintTime) * STALL_EXPECTED_TIME_FRACTION) *
+  1000;
+
+function markPrinterStalled(printer, lastMoved) {
+  const stalledSince = new Date(lastMoved);
+  const minutes = Math.round((Date.now() - lastMoved) / 60000);
+  const description = `Progress, file position and Z haven't moved for ${minutes} minutes`;
+  logger.warning(`${printer.printerName}: print has stalled`, { stalledSince, minutes });
+  PrinterTicker.addIssue(new Date(), printer.printerURL, description, "Offline", printer._id);
+
+  const store = getPrinterStoreCache();
+  store.updatePrinterLiveValue(printer._id, { stalledSince, stalledDescription: description });
+  store.updatePrinterState(
+    printer._id,
+    PRINTER_STATES({ stateDescription: description }).PRINTER_STALLED
+  );
+  store.addPrinterEvent(printer._id, eventListConstants.PRINT_STALLED.id);
+  store.emitPrinterEvent(printer._id, eventListConstants.PRINT_STALLED.id);
+}
+
+function clearPrinterStall(printer) {
+  logger.info(`${printer.printerName}: no longer stalled`);
+  // The next state update from the printer replaces the stalled state
+  getPrinterStoreCache().updatePrinterLiveValue(printer._id, {
+    stalledSince: null,
+    stalledDescription: undefined
+  });
+}
+
+/**
+ * Compares every printing printers progress, file position and Z with what was seen last time,
+ * flagging it as stalled once none of them have moved for too long.
+ */
+function checkForStalledPrints() {
+  const now = Date.now();
+  for (const printer of getPrinterStoreCache().listPrinters()) {
+    const id = `${printer._id}`;
+    const state = printer.printerState?.state;
+    if (!STALL_PRINTING_STATES.includes(state) && state !== STALLED_STATE) {
+      delete progressSnapshots[id];
+      if (!!printer.stalledSince) {
+        clearPrinterStall(printer);
+      }
+      continue;
+    }
+
+    const position = {
+      completion: printer.progress?.completion,
+      filepos: printer.progress?.filepos,
+      currentZ: printer.currentZ
+    };
+    const snapshot = progressSnapshots[id];
+    if (!snapshot || !isEqual(snapshot.position, position)) {
+      progressSnapshots[id] = { position, changedAt: now };
+      if (!!printer.stalledSince) {
+        clearPrinterStall(printer);
+      }
+      continue;
+    }
+
+    const stallTimeout = returnStallTimeout(printer.currentJob?.expectedPrintTime);
+    if (!printer.stalledSince && now - snapshot.changedAt > stallTimeout) {
+      markPrinterStalled(printer, snapshot.changedAt);
+    }
+  }
+}
+
+module.exports = {
+  checkForStalledPrints
+};
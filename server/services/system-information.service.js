@@ -37,6 +37,21 @@ class SystemRunner {
     return systemInformationService;
   }
 
+  /**
+   * Latest CPU reading from the profiler alongside live memory figures, used by the metrics export
+   * @returns {{cpuPercent: number, memoryTotal: number, memoryFree: number, processMemory: number, processUptime: number}}
+   */
+  static returnCurrentLoad() {
+    const lastCPUReading = cpuUsageHistory[cpuUsageHistory.length - 1];
+    return {
+      cpuPercent: lastCPUReading ? parseFloat(lastCPUReading.y) : null,
+      memoryTotal: os.totalmem(),
+      memoryFree: os.freemem(),
+      processMemory: process.memoryUsage().rss,
+      processUptime: process.uptime()
+    };
+  }
+
   static async profileCPUUsagePercent() {
     const CPUPercent = await getCPULoadAVG(1000, 100);
     logger.debug("Current CPU Usage", { CPUPercent });
@@ -0,0 +1,156 @@
+const mongoose = require("mongoose");
+const TempHistory = require("../models/TempHistory");
+const History = require("../models/History");
+const Logger = require("../handlers/logger.js");
+const { LOGGER_ROUTE_KEYS } = require("../constants/logger.constants");
+const { NotFoundException, ValidationException } = require("../exceptions/runtime.exceptions");
+const {
+  TEMPERATURE_HISTORY_DEFAULT_RANGE,
+  TEMPERATURE_HISTORY_MAX_RANGE,
+  TEMPERATURE_HISTORY_DEFAULT_POINTS,
+  TEMPERATURE_HISTORY_MAX_POINTS
+} = require("../constants/temperature-history.constants");
+
+const logger = new Logger(LOGGER_ROUTE_KEYS.SERVICE_TEMPERATURE_HISTORY);
+
+const roundTemperature = (value) => Math.round(value * 10) / 10;
+
+// OctoPrint stamps readings in seconds, fall back to when the reading was saved
+const readingTime = (reading) =>
+  !!reading.currentTemp?.time
+    ? reading.currentTemp.time * 1000
+    : reading._id.getTimestamp().getTime();
+
+/**
+ * Works out the window to read, defaulting to the last hour and refusing anything silly.
+ * @param from
+ * @param to
+ * @returns {{from: number, to: number}} epoch milliseconds
+ */
+function resolveRange(from, to) {
+  const end = !!to ? new Date(to).getTime() : Date.now();
+  const start = !!from ? new Date(from).getTime() : end - TEMPERATURE_HISTORY_DEFAULT_RANGE;
+  if (isNaN(start) || isNaN(end) || start >= end) {
+    throw new ValidationException({ from: "The temperature range must start before it ends" });
+  }
+  if (end - start > TEMPERATURE_HISTORY_MAX_RANGE) {
+    throw new ValidationException({
+      from: `The temperature range can't be longer than ${
+        TEMPERATURE_HISTORY_MAX_RANGE / (24 * 60 * 60 * 1000)
+      } days`
+    });
+  }
+  return { from: start, to: end };
+}
+
+/**
+ * Reads a printers temperature readings for a time range and squashes them into buckets, so a
+ * week long range charts as easily as an hour. Actual temperatures are averaged across the
+ * bucket, the target is whatever was set last in it.
+ * @param printerID
+ * @param from ISO date, defaults to an hour before "to"
+ * @param to ISO date, defaults to now
+ * @param points how many buckets to squash the readings into
+ * @returns {Promise<{printerID: string, from: Date, to: Date, readings: number, series: *[]}>}
+ */
+async function getTemperatureHistory(printerID, { from, to, points } = {}) {
+  const range = resolveRange(from, to);
+  const bucketCount = Math.min(
+    Math.max(parseInt(points) || TEMPERATURE_HISTORY_DEFAULT_POINTS, 1),
+    TEMPERATURE_HISTORY_MAX_POINTS
+  );
+  const bucketWidth = (range.to - range.from) / bucketCount;
+
+  const heaters = new Map();
+  let readings = 0;
+  const cursor = TempHistory.find({
+    printer_id: printerID,
+    _id: {
+      $gte: mongoose.Types.ObjectId.createFromTime(Math.floor(range.from / 1000)),
+      $lte: mongoose.Types.ObjectId.createFromTime(Math.ceil(range.to / 1000))
+    }
+  })
+    .sort({ _id: 1 })
+    .lean()
+    .cursor();
+
+  for await (const reading of cursor) {
+    const time = readingTime(reading);
+    if (time < range.from || time > range.to) {
+      continue;
+    }
+    readings++;
+    const bucket = Math.min(Math.floor((time - range.from) / bucketWidth), bucketCount - 1);
+    for (const [heater, values] of Object.entries(reading.currentTemp)) {
+      if (typeof values?.actual !== "number") {
+        continue;
+      }
+      if (!heaters.has(heater)) {
+        heaters.set(heater, new Map());
+      }
+      const buckets = heaters.get(heater);
+      const current = buckets.get(bucket) ?? { total: 0, count: 0, target: 0 };
+      current.total += values.actual;
+      current.count++;
+      current.target = values.target ?? current.target;
+      buckets.set(bucket, current);
+    }
+  }
+
+  const series = [...heaters.keys()].sort().map((heater) => {
+    const buckets = [...heaters.get(heater).entries()].sort(([a], [b]) => a - b);
+    const x = (bucket) => Math.round(range.from + (bucket + 0.5) * bucketWidth);
+    return {
+      name: heater,
+      actual: buckets.map(([bucket, { total, count }]) => ({
+        x: x(bucket),
+        y: roundTemperature(total / count)
+      })),
+      target: buckets.map(([bucket, { target }]) => ({ x: x(bucket), y: target }))
+    };
+  });
+
+  logger.debug(`Read ${readings} temperature readings for ${printerID}`, {
+    from: new Date(range.from),
+    to: new Date(range.to),
+    points: bucketCount
+  });
+
+  return {
+    printerID,
+    from: new Date(range.from),
+    to: new Date(range.to),
+    readings,
+    series
+  };
+}
+
+/**
+ * The temperature trace captured between a history records start and end dates.
+ * @param historyID
+ * @param points
+ * @returns {Promise<{printerID: string, from: Date, to: Date, readings: number, series: *[]}>}
+ */
+async function getHistoryTemperatures(historyID, points) {
+  const history = await History.findById(historyID).lean();
+  if (!history) {
+    throw new NotFoundException(`History record ${historyID} does not exist`);
+  }
+  const { printerID, startDate, endDate } = history.printHistory;
+  if (!printerID || !startDate || !endDate) {
+    throw new ValidationException({
+      historyID: "History record has no printer or print dates to match temperatures against"
+    });
+  }
+  // Marathon prints only get their final stretch, the end is where a failure shows up
+  const to = new Date(endDate);
+  const from = new Date(
+    Math.max(new Date(startDate).getTime(), to.getTime() - TEMPERATURE_HISTORY_MAX_RANGE)
+  );
+  return getTemperatureHistory(printerID, { from, to, points });
+}
+
+module.exports = {
+  getTemperatureHistory,
+  getHistoryTemperatures
+};
@@ -0,0 +1,163 @@
+const Logger = require("../handlers/logger.js");
+const { LOGGER_ROUTE_KEYS } = require("../constants/logger.constants");
+const { getPrinterStoreCache } = require("../cache/printer-store.cache");
+const { PrinterTicker } = require("./printer-connection-log.service");
+const { updateUserActionLog } = require("./user-actions-log.service");
+const { PRINTER_COMMANDS } = require("../constants/printer-commands.constants");
+const {
+  THERMAL_ANOMALIES,
+  THERMAL_ACTIONS,
+  THERMAL_ANOMALY_MESSAGES
+} = require("../constants/thermal-watchdog.constants");
+
+const logger = new Logger(LOGGER_ROUTE_KEYS.SERVICE_THERMAL_WATCHDOG);
+
+// printerID -> heater -> what the watchdog has seen of it so far
+const heaterStates = {};
+
+const isReading = (reading) =>
+  !!reading && Number.isFinite(reading.actual) && Number.isFinite(reading.target);
+
+function getHeaterState(id, heater, reading, now) {
+  if (!heaterStates[id]) {
+    heaterStates[id] = {};
+  }
+  const state = heaterStates[id][heater];
+  if (!state || state.target !== reading.target) {
+    // A new target starts the heater over, it gets the full heat up time again
+    heaterStates[id][heater] = {
+      target: reading.target,
+      targetSetAt: now,
+      reachedTarget: false,
+      divergingSince: null,
+      idleMinimum: reading.actual,
+      raised: new Set()
+    };
+  }
+  return heaterStates[id][heater];
+}
+
+async function runAnomalyAction(id, printerName, action, printing) {
+  if (action === THERMAL_ACTIONS.NONE || (action === THERMAL_ACTIONS.PAUSE && !printing)) {
+    return;
+  }
+  const command =
+    action === THERMAL_ACTIONS.PAUSE ? PRINTER_COMMANDS.PAUSE : PRINTER_COMMANDS.POWER_OFF;
+  let status;
+  try {
+    status = await getPrinterStoreCache().runPrinterCommand(id, command);
+    logger.warning(`${printerName}: Thermal watchdog sent ${command}`, { status });
+  } catch (e) {
+    logger.error(`${printerName}: Thermal watchdog couldn't ${command} the printer`, e.toString());
+  }
+  updateUserActionLog(id, `Thermal Watchdog: ${command}`, {}, "Thermal Watchdog", status);
+}
+
+function raiseAnomaly(id, heater, state, anomaly, reading, triggers, printing) {
+  if (state.raised.has(anomaly)) {
+    return;
+  }
+  state.raised.add(anomaly);
+
+  const printer = getPrinterStoreCache().getPrinter(id);
+  const message =
+    `${heater} ${THERMAL_ANOMALY_MESSAGES[anomaly]} ` +
+    `(actual ${reading.actual}°C, target ${reading.target}°C)`;
+  logger.warning(`${printer.printerName}: ${message}`);
+  PrinterTicker.addIssue(new Date(), printer.printerURL, message, "Offline", id);
+
+  getPrinterStoreCache().addPrinterEvent(id, anomaly);
+  getPrinterStoreCache().emitPrinterEvent(id, anomaly);
+
+  runAnomalyAction(id, printer.printerName, triggers.anomalyAction, printing).catch((e) => {
+    logger.error("Thermal watchdog action failed", e.toString());
+  });
+}
+
+/**
+ * Checks a heater that has a target, it should reach it within the heat up time and then hold it
+ * within the divergence tolerance. A bed dropping away from its target mid print is raised
+ * straight away rather than waiting out the divergence time.
+ */
+function checkHeatingHeater(id, heater, state, reading, triggers, printing, now) {
+  const difference = reading.actual - reading.target;
+  if (Math.abs(difference) <= triggers.divergenceTolerance) {
+    state.reachedTarget = true;
+    state.divergingSince = null;
+    state.raised.delete(THERMAL_ANOMALIES.DIVERGENCE);
+    state.raised.delete(THERMAL_ANOMALIES.BED_HEAT_LOSS);
+    return;
+  }
+
+  const bedDropped = heater === "bed" && -difference > triggers.bedDropTolerance;
+  if (bedDropped && printing && state.reachedTarget) {
+    raiseAnomaly(id, heater, state, THERMAL_ANOMALIES.BED_HEAT_LOSS, reading, triggers, printing);
+    return;
+  }
+
+  if (!state.divergingSince) {
+    state.divergingSince = state.reachedTarget ? now : state.targetSetAt;
+  }
+  const allowedTime = state.reachedTarget ? triggers.divergenceTime : triggers.heatUpTime;
+  if (now - state.divergingSince > allowedTime * 1000) {
+    raiseAnomaly(id, heater, state, THERMAL_ANOMALIES.DIVERGENCE, reading, triggers, printing);
+  }
+}
+
+/**
+ * A heater with no target should only ever cool down, track the coolest it has been and raise
+ * when it climbs too far above that. Only used while nothing else on the printer is heating.
+ */
+function checkIdleHeater(id, heater, state, reading, triggers, printing) {
+  state.idleMinimum = Math.min(state.idleMinimum, reading.actual);
+  if (reading.actual - state.idleMinimum > triggers.idleRiseLimit) {
+    raiseAnomaly(id, heater, state, THERMAL_ANOMALIES.STUCK_HEATER, reading, triggers, printing);
+  } else {
+    state.raised.delete(THERMAL_ANOMALIES.STUCK_HEATER);
+  }
+}
+
+/**
+ * Runs every temperature reading from the websocket past the printers watchdog thresholds.
+ * @param id printer id
+ * @param temps temperature history from the websocket, the first entry is the latest
+ */
+function checkThermalAnomalies(id, temps) {
+  const triggers = getPrinterStoreCache().getTempTriggers(id);
+  if (!triggers.watchdogEnabled || !temps?.[0]) {
+    return;
+  }
+  const { printerState } = getPrinterStoreCache().getPrinterState(id);
+  const printing = printerState?.colour?.category === "Active";
+  const now = Date.now();
+
+  const readings = Object.entries(temps[0]).filter(
+    ([heater, reading]) => heater !== "time" && isReading(reading)
+  );
+  for (const [heater, reading] of readings) {
+    const state = getHeaterState(id, heater, reading, now);
+    if (reading.target > 0) {
+      checkHeatingHeater(id, heater, state, reading, triggers, printing, now);
+      continue;
+    }
+    // A nozzle parked over a hot bed, or a chamber warmed by the print, heats up without a target
+    const otherHeaterActive = readings.some(
+      ([other, { target }]) => other !== heater && target > 0
+    );
+    if (printing || otherHeaterActive) {
+      state.idleMinimum = reading.actual;
+      state.raised.delete(THERMAL_ANOMALIES.STUCK_HEATER);
+    } else {
+      checkIdleHeater(id, heater, state, reading, triggers, printing);
+    }
+  }
+}
+
+function resetThermalWatchdog(id) {
+  delete heaterStates[id];
+}
+
+module.exports = {
+  checkThermalAnomalies,
+  resetThermalWatchdog
+};
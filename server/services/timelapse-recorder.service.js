@@ -0,0 +1,235 @@
+const fs = require("fs");
+const { join } = require("path");
+const MjpegDecoder = require("mjpeg-decoder");
+const History = require("../models/History");
+const Logger = require("../handlers/logger.js");
+const { LOGGER_ROUTE_KEYS } = require("../constants/logger.constants");
+const { SettingsClean } = require("./settings-cleaner.service");
+const { getPrinterStoreCache } = require("../cache/printer-store.cache");
+const { getHistoryCache } = require("../cache/history.cache");
+const { MjpegAviWriter } = require("../utils/mjpeg-avi.utils");
+const { getImagesPath } = require("../utils/system-paths.utils");
+const { floatOrZero } = require("../utils/number.util");
+const {
+  TIMELAPSE_MODES,
+  TIMELAPSE_MIN_FRAME_GAP,
+  TIMELAPSE_MAX_FRAMES,
+  TIMELAPSE_SNAPSHOT_TIMEOUT,
+  TIMELAPSE_LIMITS
+} = require("../constants/timelapse.constants");
+
+const logger = new Logger(LOGGER_ROUTE_KEYS.SERVICE_TIMELAPSE_RECORDER);
+
+const DAY_MS = 24 * 3600 * 1000;
+
+// Dot folders aren't served by express static, so half recorded prints stay private
+const scratchFolder = () => join(getImagesPath(), "historyCollection", "timelapses", ".recording");
+
+const clamp = (value, min, max) => Math.min(Math.max(Math.round(floatOrZero(value)), min), max);
+
+// Printer id to its running recording
+const recordings = new Map();
+
+const recordingSettings = () => SettingsClean.returnSystemSettings()?.history?.timelapse?.record;
+
+class TimelapseRecorder {
+  /**
+   * Starts recording the printers camera for a print that has just started. Only one recording
+   * runs per printer, a leftover one from a print that never reported finishing is thrown away.
+   * @param printerID
+   */
+  static async startRecording(printerID) {
+    const settings = recordingSettings();
+    const camURL = getPrinterStoreCache().getPrinter(printerID)?.camURL;
+    if (!settings?.enabled || !camURL) {
+      return;
+    }
+    await TimelapseRecorder.discardRecording(printerID);
+    await fs.promises.mkdir(scratchFolder(), { recursive: true });
+
+    const recording = {
+      camURL,
+      mode: settings.mode,
+      fps: settings.fps,
+      writer: new MjpegAviWriter(join(scratchFolder(), `${printerID}-${Date.now()}.frames`)),
+      interval: null,
+      lastFrameAt: 0,
+      capturing: false
+    };
+    if (recording.mode === TIMELAPSE_MODES.INTERVAL) {
+      recording.interval = setInterval(
+        () => TimelapseRecorder.#captureFrame(printerID, recording),
+        settings.interval * 1000
+      );
+    }
+    recordings.set(printerID.toString(), recording);
+    logger.info("Started recording timelapse", { printerID, mode: recording.mode });
+    await TimelapseRecorder.#captureFrame(printerID, recording);
+  }
+
+  /**
+   * Takes a frame for the new layer when the printer is recording per layer
+   * @param printerID
+   */
+  static async captureLayer(printerID) {
+    const recording = recordings.get(printerID.toString());
+    if (recording?.mode !== TIMELAPSE_MODES.LAYER) {
+      return;
+    }
+    if (Date.now() - recording.lastFrameAt < TIMELAPSE_MIN_FRAME_GAP) {
+      return;
+    }
+    await TimelapseRecorder.#captureFrame(printerID, recording);
+  }
+
+  /**
+   * takeSnapshot never settles when the camera refuses the connection or times out, so the
+   * decoders events are watched with a timeout of our own instead.
+   * @param camURL
+   * @returns {Promise<Buffer>}
+   */
+  static #takeSnapshot(camURL) {
+    return new Promise((resolve, reject) => {
+      const decoder = new MjpegDecoder(camURL, { timeout: TIMELAPSE_SNAPSHOT_TIMEOUT });
+      const timeout = setTimeout(() => {
+        reject(new Error("Timed out waiting for a frame"));
+        decoder.stop();
+      }, TIMELAPSE_SNAPSHOT_TIMEOUT);
+      decoder.once("frame", (frame) => {
+        clearTimeout(timeout);
+        resolve(frame);
+        decoder.stop();
+      });
+      decoder.once("abort", (reason, error) => {
+        clearTimeout(timeout);
+        reject(error ?? new Error(`Camera stream stopped: ${reason}`));
+      });
+      try {
+        decoder.start();
+      } catch (e) {
+        clearTimeout(timeout);
+        reject(e);
+      }
+    });
+  }
+
+  static async #captureFrame(printerID, recording) {
+    // A slow camera can take longer than the interval, frames shouldn't pile up behind it
+    if (recording.capturing || recording.writer.frameCount >= TIMELAPSE_MAX_FRAMES) {
+      return;
+    }
+    recording.capturing = true;
+    recording.lastFrameAt = Date.now();
+    try {
+      const frame = await TimelapseRecorder.#takeSnapshot(recording.camURL);
+      const added = await recording.writer.addFrame(frame);
+      if (!added) {
+        logger.debug("Skipped timelapse frame, not a JPEG or the camera size changed", printerID);
+      }
+    } catch (e) {
+      logger.debug("Unable to capture timelapse frame", { printerID, error: e.toString() });
+    } finally {
+      recording.capturing = false;
+    }
+  }
+
+  static #stopRecording(printerID) {
+    const recording = recordings.get(printerID.toString());
+    if (!recording) {
+      return null;
+    }
+    clearInterval(recording.interval);
+    recordings.delete(printerID.toString());
+    return recording;
+  }
+
+  static isRecording(printerID) {
+    return recordings.has(printerID.toString());
+  }
+
+  /**
+   * Stops the printers recording and writes it out as a motion JPEG AVI
+   * @param printerID
+   * @param outputPath
+   * @returns {Promise<string|null>} the path written to, null when there was nothing recorded
+   */
+  static async finishRecording(printerID, outputPath) {
+    const recording = TimelapseRecorder.#stopRecording(printerID);
+    if (!recording) {
+      return null;
+    }
+    const written = await recording.writer.finish(outputPath, recording.fps);
+    logger.info("Finished recording timelapse", {
+      printerID,
+      frames: recording.writer.frameCount,
+      outputPath: written ? outputPath : null
+    });
+    return written ? outputPath : null;
+  }
+
+  static async discardRecording(printerID) {
+    const recording = TimelapseRecorder.#stopRecording(printerID);
+    if (!recording) {
+      return;
+    }
+    await recording.writer.discard();
+    logger.info("Discarded timelapse recording", printerID);
+  }
+
+  /**
+   * Deletes timelapses from prints older than the retention period, OctoPrint's included, and
+   * clears them off their history records.
+   */
+  static async pruneTimelapses() {
+    const retentionDays = SettingsClean.returnSystemSettings()?.history?.timelapse?.retentionDays;
+    if (!retentionDays) {
+      return;
+    }
+    const expired = await History.find(
+      {
+        "printHistory.timelapse": { $nin: ["", null] },
+        "printHistory.endDate": { $lt: new Date(Date.now() - retentionDays * DAY_MS) }
+      },
+      { "printHistory.timelapse": 1 }
+    ).lean();
+    if (expired.length === 0) {
+      return;
+    }
+    for (const { _id, printHistory } of expired) {
+      await fs.promises.rm(printHistory.timelapse, { force: true }).catch((e) => {
+        logger.error("Unable to delete expired timelapse", e.toString());
+      });
+      await History.findByIdAndUpdate(_id, { $set: { "printHistory.timelapse": "" } });
+    }
+    logger.info(`Pruned ${expired.length} timelapses older than ${retentionDays} days`);
+    await getHistoryCache().initCache();
+  }
+
+  /**
+   * Tidies the timelapse section sent from the server settings page
+   * @param timelapse
+   * @returns {{}}
+   */
+  static cleanTimelapseSettings(timelapse = {}) {
+    const record = timelapse.record ?? {};
+    const { INTERVAL_MIN, INTERVAL_MAX, FPS_MIN, FPS_MAX, RETENTION_MAX } = TIMELAPSE_LIMITS;
+    return {
+      onComplete: timelapse.onComplete === true,
+      onFailure: timelapse.onFailure === true,
+      deleteAfter: timelapse.deleteAfter === true,
+      record: {
+        enabled: record.enabled === true,
+        mode: Object.values(TIMELAPSE_MODES).includes(record.mode)
+          ? record.mode
+          : TIMELAPSE_MODES.INTERVAL,
+        interval: clamp(record.interval, INTERVAL_MIN, INTERVAL_MAX),
+        fps: clamp(record.fps, FPS_MIN, FPS_MAX)
+      },
+      retentionDays: clamp(timelapse.retentionDays, 0, RETENTION_MAX)
+    };
+  }
+}
+
+module.exports = {
+  TimelapseRecorder
+};
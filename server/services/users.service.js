@@ -3,6 +3,7 @@ const ClientSettings = require("../models/ClientSettings.js");
 const { SettingsClean } = require("../services/settings-cleaner.service")
 const bcrypt = require("bcryptjs");
 const { findIndex } = require("lodash");
+const { ROLES } = require("../constants/permission.constants");
 
 let currentUsers;
 
@@ -27,6 +28,19 @@ async function checkLastAdministrator() {
   return userIndex === -1;
 }
 
+function isRecognisedGroup(group) {
+  return Object.values(ROLES).includes(group);
+}
+
+// Accepts either an array or the comma separated string the user modals send
+function cleanPrinterGroups(printerGroups) {
+  if (!printerGroups) {
+    return [];
+  }
+  const groupList = Array.isArray(printerGroups) ? printerGroups : String(printerGroups).split(",");
+  return [...new Set(groupList.map((group) => String(group).trim()).filter((group) => !!group))];
+}
+
 async function checkLastExistingUser() {
   const currentUserList = await fetchUsers();
   return currentUserList.length < 2;
@@ -36,6 +50,7 @@ async function createUser({
   name = undefined,
   username = undefined,
   group = undefined,
+  printerGroups = undefined,
   password = undefined,
   password2 = undefined
 }) {
@@ -56,8 +71,7 @@ async function createUser({
     errors.push({ msg: "Password should be at least 6 characters..." });
   }
 
-  // Group must be Administrator or User
-  if (!["Administrator", "User"].includes(group)) {
+  if (!isRecognisedGroup(group)) {
     errors.push({ msg: "Group is not recognised!" });
   }
 
@@ -76,6 +90,7 @@ async function createUser({
       username,
       password,
       group,
+      printerGroups: cleanPrinterGroups(printerGroups),
       clientSettings: userSettings._id
     });
     newUser.password = await new Promise((resolve, reject) => {
@@ -186,7 +201,10 @@ async function resetPassword(id, { password = undefined, password2 = undefined }
   };
 }
 
-async function editUser(id, { name = undefined, username = undefined, group = undefined }) {
+async function editUser(
+  id,
+  { name = undefined, username = undefined, group = undefined, printerGroups = undefined }
+) {
   const errors = [];
   let createdNewUser = false;
   // Check required fields
@@ -198,8 +216,7 @@ async function editUser(id, { name = undefined, username = undefined, group = un
     errors.push({ msg: "Cannot set this user's group, this is your last administrator!" });
   }
 
-  // Group must be Administrator or User
-  if (!["Administrator", "User"].includes(group)) {
+  if (!isRecognisedGroup(group)) {
     errors.push({ msg: "Group is not recognised!" });
   }
 
@@ -215,6 +232,7 @@ async function editUser(id, { name = undefined, username = undefined, group = un
     user.name = name;
     user.username = username;
     user.group = group;
+    user.printerGroups = cleanPrinterGroups(printerGroups);
     await user.save();
     await fetchUsers(true);
   } catch (e) {
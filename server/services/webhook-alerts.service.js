@@ -0,0 +1,194 @@
+const fetch = require("node-fetch");
+const Logger = require("../handlers/logger.js");
+const { LOGGER_ROUTE_KEYS } = require("../constants/logger.constants");
+const logger = new Logger(LOGGER_ROUTE_KEYS.SERVICE_WEBHOOK_ALERTS);
+const AlertDelivery = require("../models/AlertDelivery.js");
+const { WEBHOOK_METHODS } = require("../constants/alert.constants");
+const { ValidationException } = require("../exceptions/runtime.exceptions");
+const { sleep } = require("../utils/promise.utils");
+
+const MAX_DELIVERY_ATTEMPTS = 4;
+// Doubles after every failed attempt, 5s -> 10s -> 20s
+const RETRY_BASE_DELAY = 5000;
+const REQUEST_TIMEOUT = 10000;
+const DELIVERY_LOG_LIMIT = 500;
+
+class WebhookRunner {
+  /**
+   * Checks and tidies up the webhook settings from the client before they're saved.
+   * @param webhook
+   * @returns {{headers: {}, method: string, bodyTemplate: string, url: string}}
+   */
+  static cleanWebhook(webhook = {}) {
+    const errors = {};
+
+    const url = (webhook.url || "").trim();
+    if (!/^https?:\/\//i.test(url)) {
+      errors.url = "Webhook URL must start with http:// or https://";
+    }
+
+    const method = (webhook.method || "POST").toUpperCase();
+    if (!WEBHOOK_METHODS.includes(method)) {
+      errors.method = `Webhook method must be one of ${WEBHOOK_METHODS.join(", ")}`;
+    }
+
+    let headers = webhook.headers || {};
+    if (typeof headers === "string") {
+      try {
+        headers = headers.trim().length > 0 ? JSON.parse(headers) : {};
+      } catch (e) {
+        errors.headers = "Webhook headers must be valid JSON";
+      }
+    }
+    if (typeof headers !== "object" || Array.isArray(headers)) {
+      errors.headers = "Webhook headers must be a JSON object";
+    }
+
+    const bodyTemplate = (webhook.bodyTemplate || "").trim();
+    if (bodyTemplate.length > 0) {
+      try {
+        JSON.parse(bodyTemplate);
+      } catch (e) {
+        errors.bodyTemplate = "Webhook body template must be valid JSON";
+      }
+    }
+
+    if (Object.keys(errors).length > 0) {
+      throw new ValidationException(errors);
+    }
+
+    return {
+      url,
+      method,
+      headers,
+      bodyTemplate
+    };
+  }
+
+  /**
+   * Builds the request body from the JSON body template. [Message] is replaced by the alerts
+   * message and convertText is then run over every string.
+   * Without a template the body is just {"message": ...}
+   * @param bodyTemplate
+   * @param message
+   * @param convertText
+   * @returns {Promise<*>}
+   */
+  static async buildBody(bodyTemplate, message, convertText = async (text) => text) {
+    if (!bodyTemplate) {
+      return { message: await convertText(message) };
+    }
+
+    const convertValue = async (value) => {
+      if (typeof value === "string") {
+        return convertText(value.replace(/\[Message\]/g, message));
+      }
+      if (Array.isArray(value)) {
+        return Promise.all(value.map(convertValue));
+      }
+      if (!!value && typeof value === "object") {
+        const converted = {};
+        for (const key of Object.keys(value)) {
+          converted[key] = await convertValue(value[key]);
+        }
+        return converted;
+      }
+      return value;
+    };
+
+    return convertValue(JSON.parse(bodyTemplate));
+  }
+
+  static async #send({ url, method, headers }, body) {
+    const response = await fetch(url, {
+      method,
+      headers: {
+        "Content-Type": "application/json",
+        ...headers
+      },
+      body: method === "GET" ? undefined : JSON.stringify(body),
+      timeout: REQUEST_TIMEOUT
+    });
+    if (!response.ok) {
+      const error = new Error(`${url} responded with ${response.status} ${response.statusText}`);
+      error.statusCode = response.status;
+      throw error;
+    }
+    return response;
+  }
+
+  static async #pruneDeliveryLog() {
+    const oldDeliveries = await AlertDelivery.find({})
+      .sort({ date: -1 })
+      .skip(DELIVERY_LOG_LIMIT)
+      .select("_id");
+    if (oldDeliveries.length > 0) {
+      await AlertDelivery.deleteMany({ _id: { $in: oldDeliveries.map((d) => d._id) } });
+    }
+  }
+
+  /**
+   * Delivers the body to the webhook, retrying with backoff,
+   * and records the outcome in the delivery log.
+   * @param alert the Alerts document, or an unsaved alert when testing
+   * @param body
+   * @param printerName
+   * @param maxAttempts
+   * @returns {Promise<*>} the delivery log entry
+   */
+  static async fire(alert, body, printerName, maxAttempts = MAX_DELIVERY_ATTEMPTS) {
+    const { webhook, trigger } = alert;
+    const delivery = {
+      alert: alert._id,
+      trigger,
+      printerName,
+      url: webhook.url,
+      method: webhook.method,
+      success: false,
+      attempts: 0
+    };
+
+    while (delivery.attempts < maxAttempts && !delivery.success) {
+      if (delivery.attempts > 0) {
+        await sleep(RETRY_BASE_DELAY * 2 ** (delivery.attempts - 1));
+      }
+      delivery.attempts++;
+      try {
+        const response = await this.#send(webhook, body);
+        delivery.success = true;
+        delivery.statusCode = response.status;
+        delivery.error = undefined;
+      } catch (e) {
+        delivery.statusCode = e.statusCode;
+        delivery.error = e.message;
+        logger.warning(
+          `Webhook delivery attempt ${delivery.attempts}/${maxAttempts} failed for ${trigger}`,
+          e.message
+        );
+      }
+    }
+
+    if (delivery.success) {
+      logger.info(`Webhook delivered for ${trigger}: ${webhook.method} ${webhook.url}`);
+    } else {
+      logger.error(`Giving up on webhook for ${trigger}: ${webhook.method} ${webhook.url}`);
+    }
+
+    const savedDelivery = await new AlertDelivery(delivery).save();
+    await this.#pruneDeliveryLog();
+    return savedDelivery;
+  }
+
+  static async test(webhook, body) {
+    logger.info("Testing Webhook: " + webhook.url);
+    return this.fire({ trigger: "test", webhook }, body, undefined, 1);
+  }
+
+  static async listDeliveries(limit = 100) {
+    return AlertDelivery.find({}).sort({ date: -1 }).limit(limit);
+  }
+}
+
+module.exports = {
+  WebhookRunner
+};
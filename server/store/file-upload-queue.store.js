@@ -1,38 +1,376 @@
+const { promises: fsPromises } = require("fs");
+const { basename } = require("path");
+const FileDistribution = require("../models/FileDistribution");
+const Logger = require("../handlers/logger");
+const { getPrinterStoreCache } = require("../cache/printer-store.cache");
+const { notifySubscribers } = require("../services/server-side-events.service");
+const { getLibraryFile, hashFile } = require("../services/file-library.service");
+const {
+  ensurePrinterFolder,
+  uploadFileToPrinter,
+  verifyPrinterFile
+} = require("../services/file-distribution.service");
+const { NotFoundException, ValidationException } = require("../exceptions/runtime.exceptions");
+const {
+  DISTRIBUTION_JOB_STATES,
+  DISTRIBUTION_TARGET_STATES,
+  DISTRIBUTION_PENDING_TARGET_STATES,
+  DISTRIBUTION_CONCURRENCY,
+  DISTRIBUTION_MAX_ATTEMPTS,
+  DISTRIBUTION_RETRY_DELAY,
+  DISTRIBUTION_PROGRESS_INTERVAL,
+  DISTRIBUTION_FINISHED_JOBS_KEPT
+} = require("../constants/file-distribution.constants");
+const { QUEUE_DISPATCHABLE_STATES } = require("../constants/print-queue.constants");
+const { MESSAGE_TYPES } = require("../constants/sse.constants");
+const { LOGGER_ROUTE_KEYS } = require("../constants/logger.constants");
+
+const logger = new Logger(LOGGER_ROUTE_KEYS.STORE_FILE_UPLOAD_QUEUE);
+
+const UNFINISHED_JOB_STATES = [DISTRIBUTION_JOB_STATES.QUEUED, DISTRIBUTION_JOB_STATES.RUNNING];
+
+const normaliseFolder = (folder = "") =>
+  folder
+    .replace(/^local(\/|$)/, "")
+    .split("/")
+    .filter((segment) => segment.length > 0)
+    .join("/");
+
+/**
+ * Pushes a file from the library out to many printers in the background. Each printer gets its own
+ * target which is uploaded, read back and compared with the library copy, then retried on failure.
+ */
 class FileUploadQueue {
-  constructor() {
-    this.data = [];
+  #jobs = [];
+  #activeUploads = 0;
+  #lastProgress = new Map();
+  #pendingSaves = new Map();
+
+  async initialiseQueue() {
+    const unfinished = await FileDistribution.find({ status: { $in: UNFINISHED_JOB_STATES } });
+    const finished = await FileDistribution.find({ status: { $nin: UNFINISHED_JOB_STATES } })
+      .sort({ dateAdded: -1 })
+      .limit(DISTRIBUTION_FINISHED_JOBS_KEPT);
+
+    // Anything in flight when the server stopped has to start again from the top
+    for (const job of unfinished) {
+      for (const target of job.targets) {
+        if (DISTRIBUTION_PENDING_TARGET_STATES.includes(target.status)) {
+          target.status = DISTRIBUTION_TARGET_STATES.QUEUED;
+          target.message = "Waiting to upload";
+        }
+      }
+      await job.save();
+    }
+
+    this.#jobs = [...finished.reverse(), ...unfinished];
+    logger.info(`Loaded ${unfinished.length} unfinished distribution(s) from the database`);
+    this.#startUploads();
   }
 
-  add(record) {
-    record.active = false;
-    this.data.push(record);
+  #findMeJob(id) {
+    const job = this.#jobs.find((j) => j._id.toString() === id.toString());
+    if (!job) {
+      throw new NotFoundException(`Distribution ${id} does not exist`);
+    }
+    return job;
   }
 
-  remove() {
-    this.data.shift();
+  #isUnfinished(job) {
+    return UNFINISHED_JOB_STATES.includes(job.status);
   }
 
-  first() {
-    return this.data[0];
+  getQueueState() {
+    return [...this.#jobs].reverse().map((job) => job.toObject());
   }
 
-  activate(index) {
-    this.data[index].active = true;
+  isFileInUse(fileName) {
+    return this.#jobs.some((job) => job.fileName === fileName && this.#isUnfinished(job));
   }
 
-  size() {
-    return this.data.length;
+  /**
+   * Queues a library file for upload to each printer.
+   * @param fileName library file name
+   * @param folder folder on the printers, created where missing
+   * @param print start printing once the copy is verified, when the printer is ready for it
+   * @param idList printer ids
+   * @param createdBy
+   * @returns {Promise<*>}
+   */
+  async addDistribution({ fileName, folder, print, idList, createdBy }) {
+    const filePath = await getLibraryFile(fileName);
+    const printerIDs = [...new Set(idList)];
+    if (printerIDs.length === 0) {
+      throw new ValidationException({ idList: "Select at least one printer" });
+    }
+    const printers = printerIDs.map((id) => {
+      const printer = getPrinterStoreCache().getPrinter(id);
+      if (!printer) {
+        throw new NotFoundException(`Printer ${id} does not exist`);
+      }
+      return printer;
+    });
+
+    const [{ size }, hash] = await Promise.all([fsPromises.stat(filePath), hashFile(filePath)]);
+    const job = await FileDistribution.create({
+      fileName,
+      size,
+      hash,
+      folder: normaliseFolder(folder),
+      print: !!print,
+      createdBy,
+      targets: printers.map((printer) => ({
+        printerID: printer._id,
+        printerName: printer.printerName,
+        status: DISTRIBUTION_TARGET_STATES.QUEUED,
+        message: "Waiting to upload"
+      }))
+    });
+    logger.info(`Distributing ${fileName} to ${printers.length} printer(s)`, {
+      id: job._id.toString(),
+      createdBy
+    });
+
+    this.#jobs.push(job);
+    this.#dropOldJobs();
+    job.targets.forEach((target) => this.#notifyTarget(job, target));
+    this.#startUploads();
+    return job.toObject();
+  }
+
+  /**
+   * Stops any printer that hasn't started uploading yet. Uploads already running are allowed to
+   * finish so a printer isn't left with half a file.
+   * @param id
+   * @returns {Promise<*>}
+   */
+  async cancelDistribution(id) {
+    const job = this.#findMeJob(id);
+    if (!this.#isUnfinished(job)) {
+      throw new ValidationException({ id: `Distribution is already ${job.status.toLowerCase()}` });
+    }
+    for (const target of job.targets) {
+      if (
+        target.status === DISTRIBUTION_TARGET_STATES.QUEUED ||
+        target.status === DISTRIBUTION_TARGET_STATES.RETRYING
+      ) {
+        this.#finishTarget(job, target, DISTRIBUTION_TARGET_STATES.CANCELLED, "Cancelled");
+      }
+    }
+    logger.info(`Cancelled distribution of ${job.fileName}`, { id });
+    await this.#saveJob(job);
+    return job.toObject();
+  }
+
+  #dropOldJobs() {
+    const finished = this.#jobs.filter((job) => !this.#isUnfinished(job));
+    const expiredCount = Math.max(finished.length - DISTRIBUTION_FINISHED_JOBS_KEPT, 0);
+    const expired = finished.slice(0, expiredCount);
+    this.#jobs = this.#jobs.filter((job) => !expired.includes(job));
   }
 
-  all() {
-    let res = [];
-    this.data.forEach((d, index) => {
-      res.push(this.data[index]);
+  #nextTarget() {
+    for (const job of this.#jobs) {
+      if (!this.#isUnfinished(job)) {
+        continue;
+      }
+      const target = job.targets.find((t) => t.status === DISTRIBUTION_TARGET_STATES.QUEUED);
+      if (target) {
+        return { job, target };
+      }
+    }
+    return undefined;
+  }
+
+  #startUploads() {
+    while (this.#activeUploads < DISTRIBUTION_CONCURRENCY) {
+      const next = this.#nextTarget();
+      if (!next) {
+        return;
+      }
+      const { job, target } = next;
+      this.#activeUploads++;
+      job.status = DISTRIBUTION_JOB_STATES.RUNNING;
+      target.status = DISTRIBUTION_TARGET_STATES.UPLOADING;
+      this.#distributeToPrinter(job, target)
+        .catch((e) => {
+          logger.error(`Distribution to ${target.printerName} crashed`, e.toString());
+        })
+        .finally(() => {
+          this.#activeUploads--;
+          this.#startUploads();
+        });
+    }
+  }
+
+  async #distributeToPrinter(job, target) {
+    const printerID = target.printerID.toString();
+    target.attempts++;
+    try {
+      const printer = getPrinterStoreCache().getPrinter(printerID);
+      if (!printer) {
+        target.attempts = DISTRIBUTION_MAX_ATTEMPTS;
+        throw new Error("Printer has been removed from OctoFarm");
+      }
+      const filePath = await getLibraryFile(job.fileName);
+
+      this.#updateTarget(job, target, {
+        status: DISTRIBUTION_TARGET_STATES.UPLOADING,
+        message: `Uploading, attempt ${target.attempts} of ${DISTRIBUTION_MAX_ATTEMPTS}`
+      });
+      await ensurePrinterFolder(printer, job.folder);
+      const fullPath = await uploadFileToPrinter(
+        printer,
+        { filePath, fileName: job.fileName, folder: job.folder },
+        (sent) => this.#notifyProgress(job, target, sent)
+      );
+
+      this.#updateTarget(job, target, {
+        status: DISTRIBUTION_TARGET_STATES.VERIFYING,
+        fullPath,
+        message: "Checking the printers copy"
+      });
+      const { hashVerified } = await verifyPrinterFile(printer, fullPath, job);
+      target.hashVerified = hashVerified;
+      getPrinterStoreCache().addNewFile({
+        index: printerID,
+        files: { local: { name: basename(fullPath), path: fullPath } }
+      });
+
+      target.printStarted = job.print ? await this.#startPrint(printerID, fullPath) : false;
+      this.#finishTarget(
+        job,
+        target,
+        DISTRIBUTION_TARGET_STATES.COMPLETE,
+        this.#describeSuccess(job, target)
+      );
+    } catch (e) {
+      this.#handleFailure(job, target, e);
+    }
+    await this.#saveJob(job);
+  }
+
+  #describeSuccess(job, target) {
+    let message = target.hashVerified
+      ? "Uploaded, size and hash verified"
+      : "Uploaded, size verified";
+    if (job.print) {
+      message += target.printStarted
+        ? ", print started"
+        : ", printer wasn't ready so the print wasn't started";
+    }
+    return message;
+  }
+
+  #handleFailure(job, target, e) {
+    logger.warning(
+      `Distribution of ${job.fileName} to ${target.printerName} failed, attempt ${target.attempts}`,
+      e.message
+    );
+    if (target.attempts >= DISTRIBUTION_MAX_ATTEMPTS) {
+      this.#finishTarget(job, target, DISTRIBUTION_TARGET_STATES.FAILED, e.message);
+      return;
+    }
+    this.#updateTarget(job, target, {
+      status: DISTRIBUTION_TARGET_STATES.RETRYING,
+      message: `${e.message}, retrying in ${DISTRIBUTION_RETRY_DELAY / 1000}s`
+    });
+    setTimeout(() => {
+      // Could have been cancelled in the meantime
+      if (target.status === DISTRIBUTION_TARGET_STATES.RETRYING) {
+        target.status = DISTRIBUTION_TARGET_STATES.QUEUED;
+        this.#startUploads();
+      }
+    }, DISTRIBUTION_RETRY_DELAY);
+  }
+
+  async #startPrint(printerID, fullPath) {
+    const printerStore = getPrinterStoreCache();
+    const printer = printerStore.getPrinter(printerID);
+    if (
+      !QUEUE_DISPATCHABLE_STATES.includes(printer?.printerState?.state) ||
+      printerStore.isAwaitingBedClear(printerID) ||
+      printerStore.isMaintenanceBlocked(printerID)
+    ) {
+      return false;
+    }
+    const status = await printerStore.selectAndPrintFile(printerID, fullPath);
+    return status >= 200 && status < 300;
+  }
+
+  #updateTarget(job, target, changes) {
+    Object.assign(target, changes);
+    this.#notifyTarget(job, target);
+  }
+
+  #finishTarget(job, target, status, message) {
+    Object.assign(target, { status, message, finishedAt: new Date() });
+    const pending = job.targets.some((t) => DISTRIBUTION_PENDING_TARGET_STATES.includes(t.status));
+    if (!pending) {
+      job.status = this.#finishedJobStatus(job);
+      job.finishedAt = new Date();
+      logger.info(`Distribution of ${job.fileName} finished: ${job.status}`);
+    }
+    this.#notifyTarget(job, target);
+  }
+
+  #finishedJobStatus(job) {
+    const statuses = job.targets.map((t) => t.status);
+    if (statuses.includes(DISTRIBUTION_TARGET_STATES.FAILED)) {
+      return DISTRIBUTION_JOB_STATES.FAILED;
+    }
+    if (statuses.includes(DISTRIBUTION_TARGET_STATES.COMPLETE)) {
+      return DISTRIBUTION_JOB_STATES.COMPLETE;
+    }
+    return DISTRIBUTION_JOB_STATES.CANCELLED;
+  }
+
+  #notifyProgress(job, target, sent) {
+    const key = `${job._id}-${target.printerID}`;
+    const now = Date.now();
+    const throttled = now - (this.#lastProgress.get(key) ?? 0) < DISTRIBUTION_PROGRESS_INTERVAL;
+    if (throttled && sent < job.size) {
+      return;
+    }
+    this.#lastProgress.set(key, now);
+    this.#notifyTarget(job, target, sent);
+  }
+
+  #notifyTarget(job, target, sent = undefined) {
+    const complete = target.status === DISTRIBUTION_TARGET_STATES.COMPLETE;
+    notifySubscribers(job._id.toString(), MESSAGE_TYPES.FILE_DISTRIBUTION, {
+      jobID: job._id.toString(),
+      fileName: job.fileName,
+      folder: job.folder,
+      size: job.size,
+      jobStatus: job.status,
+      printerID: target.printerID.toString(),
+      printerName: target.printerName,
+      status: target.status,
+      attempts: target.attempts,
+      message: target.message,
+      sent: sent ?? (complete ? job.size : 0)
     });
-    return res;
   }
 
-  actionQueueState() {}
+  /**
+   * Printers finish in any order, saves of the same job are chained so they never run in parallel.
+   */
+  #saveJob(job) {
+    const id = job._id.toString();
+    const save = (this.#pendingSaves.get(id) ?? Promise.resolve())
+      .then(() => job.save())
+      .catch((e) => {
+        logger.error(`Couldn't save distribution ${id}`, e.toString());
+      })
+      .finally(() => {
+        if (this.#pendingSaves.get(id) === save) {
+          this.#pendingSaves.delete(id);
+        }
+      });
+    this.#pendingSaves.set(id, save);
+    return save;
+  }
 }
 
 module.exports = FileUploadQueue;
@@ -0,0 +1,320 @@
+const mongoose = require("mongoose");
+const MaintenanceTask = require("../models/MaintenanceTask");
+const MaintenanceLog = require("../models/MaintenanceLog");
+const History = require("../models/History");
+const Logger = require("../handlers/logger");
+const { getPrinterStoreCache } = require("../cache/printer-store.cache");
+const { NotFoundException, ValidationException } = require("../exceptions/runtime.exceptions");
+const {
+  MAINTENANCE_INTERVAL_TYPES,
+  MAINTENANCE_STATES,
+  MAINTENANCE_DUE_RATIO
+} = require("../constants/maintenance.constants");
+const { LOGGER_ROUTE_KEYS } = require("../constants/logger.constants");
+
+const logger = new Logger(LOGGER_ROUTE_KEYS.STORE_MAINTENANCE);
+
+const DAY_MS = 86400000;
+
+class MaintenanceStore {
+  #tasks = [];
+  // Last completion date keyed by task and printer, usage is counted from here
+  #lastCompleted = new Map();
+  #status = [];
+  #blockedPrinters = [];
+
+  async initialiseMaintenance() {
+    this.#tasks = await MaintenanceTask.find({});
+    const completions = await MaintenanceLog.aggregate([
+      { $sort: { date: -1 } },
+      {
+        $group: {
+          _id: { taskID: "$taskID", printerID: "$printerID" },
+          date: { $first: "$date" }
+        }
+      }
+    ]);
+    completions.forEach(({ _id, date }) => {
+      this.#lastCompleted.set(this.#completionKey(_id.taskID, _id.printerID), date);
+    });
+    logger.info(`Loaded ${this.#tasks.length} maintenance task(s) from the database`);
+    await this.checkMaintenance();
+  }
+
+  #completionKey(taskID, printerID) {
+    return `${taskID.toString()}-${printerID.toString()}`;
+  }
+
+  #findMeTask(id) {
+    const task = this.#tasks.find((t) => t._id.toString() === id.toString());
+    if (!task) {
+      throw new NotFoundException(`Maintenance task ${id} does not exist`);
+    }
+    return task;
+  }
+
+  #taskAppliesToPrinter(task, printer) {
+    if (!!task.printerID) {
+      return task.printerID.toString() === printer._id.toString();
+    }
+    if (!!task.group) {
+      return printer.group === task.group;
+    }
+    return true;
+  }
+
+  #usageStartDate(task, printerID) {
+    return this.#lastCompleted.get(this.#completionKey(task._id, printerID)) ?? task.dateAdded;
+  }
+
+  #fetchPrinterHistory(printerID, since) {
+    return History.find(
+      {
+        "printHistory.printerID": {
+          $in: [printerID.toString(), new mongoose.Types.ObjectId(printerID.toString())]
+        },
+        "printHistory.endDate": { $gte: since }
+      },
+      {
+        "printHistory.endDate": 1,
+        "printHistory.printTime": 1,
+        "printHistory.success": 1,
+        "printHistory.job.filament": 1,
+        "printHistory.job.estimatedPrintTime": 1,
+        "printHistory.job.lastPrintTime": 1
+      }
+    ).lean();
+  }
+
+  /**
+   * Totals up print hours and filament metres from the history records finished after a date.
+   * Failed prints only count the filament for the portion of the job that actually printed.
+   * @param history
+   * @param since
+   * @returns {{printHours: number, filamentLength: number}}
+   */
+  #sumUsage(history, since) {
+    let printSeconds = 0;
+    let filamentMillimetres = 0;
+    for (const { printHistory } of history) {
+      if (new Date(printHistory.endDate) < new Date(since)) {
+        continue;
+      }
+      const printTime = printHistory.printTime || 0;
+      printSeconds += printTime;
+
+      const { filament, lastPrintTime, estimatedPrintTime } = printHistory?.job || {};
+      const expectedTime = lastPrintTime || estimatedPrintTime;
+      const completionRatio =
+        printHistory.success || !expectedTime ? 1 : Math.min(printTime / expectedTime, 1);
+      Object.values(filament || {}).forEach((tool) => {
+        filamentMillimetres += (tool?.length || 0) * completionRatio;
+      });
+    }
+    return {
+      printHours: printSeconds / 3600,
+      filamentLength: filamentMillimetres / 1000
+    };
+  }
+
+  #usedForInterval(task, usage, since) {
+    switch (task.intervalType) {
+      case MAINTENANCE_INTERVAL_TYPES.HOURS:
+        return usage.printHours;
+      case MAINTENANCE_INTERVAL_TYPES.FILAMENT:
+        return usage.filamentLength;
+      default:
+        return (Date.now() - new Date(since).getTime()) / DAY_MS;
+    }
+  }
+
+  #stateForUsage(used, interval) {
+    if (used >= interval) {
+      return MAINTENANCE_STATES.OVERDUE;
+    }
+    if (used >= interval * MAINTENANCE_DUE_RATIO) {
+      return MAINTENANCE_STATES.DUE;
+    }
+    return MAINTENANCE_STATES.OK;
+  }
+
+  async #calculatePrinterUsage(task, printer) {
+    const since = this.#usageStartDate(task, printer._id);
+    const history = await this.#fetchPrinterHistory(printer._id, since);
+    return this.#sumUsage(history, since);
+  }
+
+  /**
+   * Works out how far through its interval every task is on each printer it applies to, then
+   * blocks printers that have an overdue task flagged to stop new jobs.
+   */
+  async checkMaintenance() {
+    const printers = getPrinterStoreCache().listPrintersInformation();
+    const status = [];
+    for (const printer of printers) {
+      const printerTasks = this.#tasks.filter((task) =>
+        this.#taskAppliesToPrinter(task, printer)
+      );
+      if (printerTasks.length === 0) {
+        continue;
+      }
+      const earliestStart = printerTasks
+        .map((task) => new Date(this.#usageStartDate(task, printer._id)))
+        .reduce((a, b) => (a < b ? a : b));
+      const history = await this.#fetchPrinterHistory(printer._id, earliestStart);
+
+      for (const task of printerTasks) {
+        const since = this.#usageStartDate(task, printer._id);
+        const used = this.#usedForInterval(task, this.#sumUsage(history, since), since);
+        status.push({
+          taskID: task._id,
+          taskName: task.name,
+          description: task.description,
+          printerID: printer._id,
+          printerName: printer.printerName,
+          intervalType: task.intervalType,
+          interval: task.interval,
+          used: Math.round(used * 10) / 10,
+          lastCompleted: this.#lastCompleted.get(this.#completionKey(task._id, printer._id)),
+          state: this.#stateForUsage(used, task.interval),
+          blockWhenOverdue: task.blockWhenOverdue
+        });
+      }
+    }
+    this.#status = status;
+    this.#blockedPrinters = [];
+
+    for (const printer of printers) {
+      const maintenanceBlocked = status.some(
+        (entry) =>
+          entry.printerID.toString() === printer._id.toString() &&
+          entry.blockWhenOverdue &&
+          entry.state === MAINTENANCE_STATES.OVERDUE
+      );
+      if (!!printer.maintenanceBlocked !== maintenanceBlocked) {
+        const change = maintenanceBlocked ? "now" : "no longer";
+        logger.warning(`${printer.printerName} is ${change} blocked by overdue maintenance`);
+      }
+      if (maintenanceBlocked) {
+        this.#blockedPrinters.push({ _id: printer._id, printerName: printer.printerName });
+      }
+      getPrinterStoreCache().updatePrinterLiveValue(printer._id, { maintenanceBlocked });
+    }
+  }
+
+  listTasks() {
+    return this.#tasks;
+  }
+
+  listMaintenanceStatus() {
+    return this.#status;
+  }
+
+  getMaintenanceState() {
+    return {
+      due: this.#status.filter((entry) => entry.state !== MAINTENANCE_STATES.OK),
+      blocked: this.#blockedPrinters
+    };
+  }
+
+  async addTask({
+    name,
+    description,
+    printerID,
+    group,
+    intervalType,
+    interval,
+    blockWhenOverdue,
+    createdBy
+  }) {
+    if (!!printerID && !!group) {
+      throw new ValidationException({
+        printerID: "A maintenance task can target a printer or a group, not both"
+      });
+    }
+    if (!!printerID && !getPrinterStoreCache().getPrinter(printerID)) {
+      throw new NotFoundException(`Printer ${printerID} does not exist`);
+    }
+    const newTask = await MaintenanceTask.create({
+      name,
+      description,
+      printerID: printerID || undefined,
+      group,
+      intervalType,
+      interval,
+      blockWhenOverdue,
+      createdBy
+    });
+    this.#tasks.push(newTask);
+    logger.info(`Added maintenance task ${name}`, { id: newTask._id, intervalType, interval });
+    await this.checkMaintenance();
+    return newTask;
+  }
+
+  async updateTask(id, { name, description, interval, blockWhenOverdue }) {
+    const task = this.#findMeTask(id);
+    if (typeof name === "string") {
+      task.name = name;
+    }
+    if (typeof description === "string") {
+      task.description = description;
+    }
+    if (typeof interval === "number") {
+      task.interval = interval;
+    }
+    if (typeof blockWhenOverdue === "boolean") {
+      task.blockWhenOverdue = blockWhenOverdue;
+    }
+    await task.save();
+    await this.checkMaintenance();
+    return task;
+  }
+
+  /**
+   * Removes the task from the schedule, the service history logged against it is kept.
+   * @param id
+   * @returns {Promise<*>}
+   */
+  async deleteTask(id) {
+    const task = this.#findMeTask(id);
+    await MaintenanceTask.findByIdAndDelete(task._id);
+    this.#tasks = this.#tasks.filter((t) => t !== task);
+    logger.warning(`Deleted maintenance task ${task.name}`, { id });
+    await this.checkMaintenance();
+    return task;
+  }
+
+  async completeTask(id, printerID, { notes, completedBy }) {
+    const task = this.#findMeTask(id);
+    const printer = getPrinterStoreCache().getPrinter(printerID);
+    if (!printer) {
+      throw new NotFoundException(`Printer ${printerID} does not exist`);
+    }
+    if (!this.#taskAppliesToPrinter(task, printer)) {
+      throw new ValidationException({
+        printerID: `Maintenance task ${task.name} does not apply to ${printer.printerName}`
+      });
+    }
+    const usage = await this.#calculatePrinterUsage(task, printer);
+    const log = await MaintenanceLog.create({
+      taskID: task._id,
+      taskName: task.name,
+      printerID: printer._id,
+      printerName: printer.printerName,
+      printHours: Math.round(usage.printHours * 10) / 10,
+      filamentLength: Math.round(usage.filamentLength * 10) / 10,
+      notes,
+      completedBy
+    });
+    this.#lastCompleted.set(this.#completionKey(task._id, printer._id), log.date);
+    logger.info(`Logged ${task.name} as complete on ${printer.printerName}`, { id: log._id });
+    await this.checkMaintenance();
+    return log;
+  }
+
+  listServiceHistory(printerID) {
+    return MaintenanceLog.find({ printerID }).sort({ date: -1 });
+  }
+}
+
+module.exports = MaintenanceStore;
@@ -0,0 +1,244 @@
+const PrintQueue = require("../models/PrintQueue");
+const Logger = require("../handlers/logger");
+const { getPrinterStoreCache } = require("../cache/printer-store.cache");
+const { NotFoundException } = require("../exceptions/runtime.exceptions");
+const { checkFilamentSufficiency } = require("../services/filament-check.service");
+const {
+  QUEUE_JOB_STATES,
+  QUEUE_ASSIGNMENT_STATES,
+  QUEUE_DISPATCHABLE_STATES
+} = require("../constants/print-queue.constants");
+const { LOGGER_ROUTE_KEYS } = require("../constants/logger.constants");
+
+const logger = new Logger(LOGGER_ROUTE_KEYS.STORE_PRINT_QUEUE);
+
+class PrintQueueStore {
+  #jobs = [];
+  #dispatching = false;
+
+  async initialiseQueue() {
+    this.#jobs = await PrintQueue.find({ status: QUEUE_JOB_STATES.QUEUED });
+    logger.info(`Loaded ${this.#jobs.length} queued job(s) from the database`);
+  }
+
+  #findMeJob(id) {
+    const job = this.#jobs.find((j) => j._id.toString() === id.toString());
+    if (!job) {
+      throw new NotFoundException(`Queued job ${id} does not exist`);
+    }
+    return job;
+  }
+
+  #countAssignments(job, status) {
+    return job.assignments.filter((a) => a.status === status).length;
+  }
+
+  #remainingCopies(job) {
+    return (
+      job.copies -
+      this.#countAssignments(job, QUEUE_ASSIGNMENT_STATES.COMPLETE) -
+      this.#countAssignments(job, QUEUE_ASSIGNMENT_STATES.PRINTING)
+    );
+  }
+
+  #sortedJobs() {
+    return [...this.#jobs].sort((a, b) => {
+      if (b.priority !== a.priority) {
+        return b.priority - a.priority;
+      }
+      return new Date(a.dateAdded) - new Date(b.dateAdded);
+    });
+  }
+
+  #findActiveAssignment(printerID) {
+    for (const job of this.#jobs) {
+      const assignment = job.assignments.find(
+        (a) =>
+          a.printerID.toString() === printerID.toString() &&
+          a.status === QUEUE_ASSIGNMENT_STATES.PRINTING
+      );
+      if (assignment) {
+        return { job, assignment };
+      }
+    }
+    return undefined;
+  }
+
+  #printerMatchesJob(printer, job) {
+    if (!!job.targetGroup && printer.group !== job.targetGroup) {
+      return false;
+    }
+    if (!!job.targetMaterial) {
+      const selectedFilament = printer?.selectedFilament || [];
+      const hasMaterial = selectedFilament.some(
+        (spool) =>
+          spool?.spools?.profile?.material?.toLowerCase() === job.targetMaterial.toLowerCase()
+      );
+      if (!hasMaterial) {
+        return false;
+      }
+    }
+    const fileList = printer?.fileList?.fileList || [];
+    return fileList.some((file) => file.fullPath === job.filePath);
+  }
+
+  listQueue() {
+    return this.#sortedJobs().map((job) => {
+      return {
+        _id: job._id,
+        fileName: job.fileName,
+        filePath: job.filePath,
+        copies: job.copies,
+        completed: this.#countAssignments(job, QUEUE_ASSIGNMENT_STATES.COMPLETE),
+        printing: this.#countAssignments(job, QUEUE_ASSIGNMENT_STATES.PRINTING),
+        failed: this.#countAssignments(job, QUEUE_ASSIGNMENT_STATES.FAILED),
+        priority: job.priority,
+        targetGroup: job.targetGroup,
+        targetMaterial: job.targetMaterial,
+        status: job.status,
+        assignments: job.assignments,
+        createdBy: job.createdBy,
+        dateAdded: job.dateAdded
+      };
+    });
+  }
+
+  listPrintersAwaitingBedClear() {
+    return getPrinterStoreCache()
+      .listPrintersInformation()
+      .filter((printer) => getPrinterStoreCache().isAwaitingBedClear(printer._id))
+      .map((printer) => {
+        return {
+          _id: printer._id,
+          printerName: printer.printerName
+        };
+      });
+  }
+
+  getQueueState() {
+    return {
+      jobs: this.listQueue(),
+      awaitingBedClear: this.listPrintersAwaitingBedClear()
+    };
+  }
+
+  async addJob({ filePath, copies, priority, targetGroup, targetMaterial, createdBy }) {
+    const newJob = await PrintQueue.create({
+      fileName: filePath.split("/").pop(),
+      filePath,
+      copies,
+      priority,
+      targetGroup,
+      targetMaterial,
+      createdBy
+    });
+    this.#jobs.push(newJob);
+    logger.info(`Queued ${copies} cop(y/ies) of ${filePath}`, { id: newJob._id });
+    return newJob;
+  }
+
+  async updateJob(id, { copies, priority }) {
+    const job = this.#findMeJob(id);
+    if (typeof copies === "number") {
+      job.copies = copies;
+    }
+    if (typeof priority === "number") {
+      job.priority = priority;
+    }
+    if (this.#countAssignments(job, QUEUE_ASSIGNMENT_STATES.COMPLETE) >= job.copies) {
+      job.status = QUEUE_JOB_STATES.COMPLETE;
+      this.#jobs = this.#jobs.filter((j) => j !== job);
+    }
+    await job.save();
+    return job;
+  }
+
+  async cancelJob(id) {
+    const job = this.#findMeJob(id);
+    job.status = QUEUE_JOB_STATES.CANCELLED;
+    await job.save();
+    this.#jobs = this.#jobs.filter((j) => j !== job);
+    logger.warning(`Cancelled queued job ${job.filePath}`, { id });
+    return job;
+  }
+
+  /**
+   * Called from the print done / failed events, frees up the assignment for the printer.
+   * @param printerID
+   * @param success
+   */
+  async captureJobFinished(printerID, success) {
+    const activeAssignment = this.#findActiveAssignment(printerID);
+    if (!activeAssignment) {
+      return;
+    }
+    const { job, assignment } = activeAssignment;
+    assignment.status = success ? QUEUE_ASSIGNMENT_STATES.COMPLETE : QUEUE_ASSIGNMENT_STATES.FAILED;
+    assignment.finishedAt = new Date();
+
+    if (this.#countAssignments(job, QUEUE_ASSIGNMENT_STATES.COMPLETE) >= job.copies) {
+      job.status = QUEUE_JOB_STATES.COMPLETE;
+      this.#jobs = this.#jobs.filter((j) => j !== job);
+      logger.info(`Queued job ${job.filePath} has completed all copies`, { id: job._id });
+    }
+    await job.save();
+  }
+
+  async dispatchQueuedJobs() {
+    if (this.#dispatching || this.#jobs.length === 0) {
+      return;
+    }
+    this.#dispatching = true;
+    try {
+      const printers = getPrinterStoreCache().listPrintersInformation();
+      for (const printer of printers) {
+        if (
+          !QUEUE_DISPATCHABLE_STATES.includes(printer?.printerState?.state) ||
+          getPrinterStoreCache().isAwaitingBedClear(printer._id) ||
+          getPrinterStoreCache().isMaintenanceBlocked(printer._id) ||
+          !!this.#findActiveAssignment(printer._id)
+        ) {
+          continue;
+        }
+
+        const job = this.#sortedJobs().find(
+          (j) =>
+            this.#remainingCopies(j) > 0 &&
+            this.#printerMatchesJob(printer, j) &&
+            checkFilamentSufficiency(printer, j.filePath).canPrint
+        );
+        if (!job) {
+          continue;
+        }
+
+        const { issues } = checkFilamentSufficiency(printer, job.filePath);
+        if (issues.length > 0) {
+          logger.warning(
+            `Dispatching ${job.filePath} to ${printer.printerName} with filament issues`,
+            issues.map((issue) => issue.message)
+          );
+        }
+
+        const status = await getPrinterStoreCache().selectAndPrintFile(printer._id, job.filePath);
+        if (status === 204) {
+          job.assignments.push({
+            printerID: printer._id,
+            printerName: printer.printerName,
+            status: QUEUE_ASSIGNMENT_STATES.PRINTING,
+            dispatchedAt: new Date()
+          });
+          await job.save();
+          logger.info(`Dispatched ${job.filePath} to ${printer.printerName}`, { id: job._id });
+        } else {
+          logger.error(
+            `Failed to dispatch ${job.filePath} to ${printer.printerName}, status: ${status}`
+          );
+        }
+      }
+    } finally {
+      this.#dispatching = false;
+    }
+  }
+}
+
+module.exports = PrintQueueStore;
@@ -8,6 +8,8 @@ const {
   profileChecks,
   webcamChecks
 } = require("../services/printer-health-checks.service");
+const { CameraHealth } = require("../services/printers/camera-health.service");
+const { CAMERA_STATES } = require("../constants/camera.constants");
 const Logger = require("../handlers/logger");
 const { LOGGER_ROUTE_KEYS } = require("../constants/logger.constants");
 const logger = new Logger(LOGGER_ROUTE_KEYS.STORE_HEALTH_CHECKS);
@@ -48,7 +50,8 @@ const updatePrinterHealthChecks = async () => {
         websocketChecks: websocketChecks(currentURL.host),
         connectionChecks: printerConnectionCheck(printer.connectionOptions),
         profileChecks: profileChecks(printer.currentProfile),
-        webcamChecks: webcamChecks(printer.camURL, printer?.otherSettings?.webCamSettings)
+        webcamChecks: webcamChecks(printer.camURL, printer?.otherSettings?.webCamSettings),
+        cameraStreams: CameraHealth.getPrinterCameraHealth(printer)
       };
       logger.debug("Printer checked", { printer: printer.printerURL });
       checkAndUpdatePrinterFlag(printer._id, printerCheck);
@@ -88,6 +91,12 @@ const checkAndUpdatePrinterFlag = (id, checks) => {
   const { ffmpegPath, ffmpegVideoCodex, timelapseEnabled } = historySetup;
   if (!ffmpegPath || !ffmpegVideoCodex || !timelapseEnabled) healthChecksPass = false;
 
+  const deadStreams = checks.cameraStreams.filter(({ state }) =>
+    [CAMERA_STATES.STALE, CAMERA_STATES.ERROR].includes(state)
+  );
+
+  if (deadStreams.length > 0) healthChecksPass = false;
+
   const log_throttle = {};
   const log_timeout = {};
 
@@ -97,6 +106,7 @@ const checkAndUpdatePrinterFlag = (id, checks) => {
     ping_pong: { totalPingPong },
     connection_check: { baud, port, profile },
     cam_setup: { camSetup },
+    camera_streams: deadStreams.map(({ name, state }) => ({ name, state })),
     history_setup: { ffmpegPath, ffmpegVideoCodex, timelapseEnabled },
     log_throttle,
     log_timeout
@@ -1,4 +1,4 @@
-const { findIndex } = require('lodash');
+const { findIndex, isEqual } = require('lodash');
 const { ScriptRunner } = require('../services/local-scripts.service');
 const { PrinterTicker } = require('../services/printer-connection-log.service');
 const { SettingsClean } = require('../services/settings-cleaner.service');
@@ -14,9 +14,18 @@ const { FileClean } = require('../services/file-cleaner.service');
 const { getEventEmitterCache } = require('../cache/event-emitter.cache');
 const {
   generateOctoFarmCameraURL,
+  generateOctoFarmCameraList,
+  listPrinterCameras,
+  cleanPrinterCameras,
 } = require('../services/printers/utils/camera-url-generation.utils');
 const { JobClean } = require('../services/job-cleaner.service');
 const { LOGGER_ROUTE_KEYS } = require('../constants/logger.constants');
+const { NotFoundException, ValidationException } = require('../exceptions/runtime.exceptions');
+const { PRINTER_COMMANDS } = require('../constants/printer-commands.constants');
+const {
+  tempTriggersDefaults,
+} = require('../services/printers/constants/printer-defaults.constants');
+const { THERMAL_ACTIONS } = require('../constants/thermal-watchdog.constants');
 
 const logger = new Logger(LOGGER_ROUTE_KEYS.STORE_PRINTERS);
 
@@ -93,6 +102,9 @@ class PrinterStore {
         printerPowerState: printer?.printerPowerState,
         lastConnectionStatus: printer?.lastConnectionStatus,
         quickConnectSettings: printer.quickConnectSettings,
+        awaitingBedClear: printer.awaitingBedClear,
+        bedClearOverride: printer.bedClearOverride,
+        maintenanceBlocked: printer.maintenanceBlocked,
       };
     });
 
@@ -112,6 +124,7 @@ class PrinterStore {
         currentUser: printer.currentUser,
         apikey: printer.apikey,
         camURL: generateOctoFarmCameraURL(printer),
+        cameras: generateOctoFarmCameraList(printer),
         group: printer.group,
         category: printer.category,
         hostState: printer.hostState,
@@ -140,6 +153,10 @@ class PrinterStore {
         storage: printer?.storage,
         aspectRatio: SettingsClean.returnCameraSettings().aspectRatio,
         quickConnectSettings: printer.quickConnectSettings,
+        awaitingBedClear: printer.awaitingBedClear,
+        bedClearOverride: printer.bedClearOverride,
+        maintenanceBlocked: printer.maintenanceBlocked,
+        unclassifiedFailure: printer.unclassifiedFailure,
       };
     });
 
@@ -356,7 +373,17 @@ class PrinterStore {
 
   emitPrinterEvent(id, event) {
     const printer = this.#findMePrinter(id);
-    getEventEmitterCache().emit(`${id}-${event}`, printer, event.toLowerCase(), undefined);
+    const fired = getEventEmitterCache().emit(
+      `${id}-${event}`,
+      printer,
+      event.toLowerCase(),
+      undefined
+    );
+    if (fired) {
+      // Required here, the bridge pulls in the printer store cache which would be circular
+      const { MqttBridge } = require('../services/mqtt-bridge.service');
+      MqttBridge.publishPrinterEvent(printer, event.toLowerCase());
+    }
   }
 
   getPrinterState(id) {
@@ -370,7 +397,8 @@ class PrinterStore {
 
   getTempTriggers(id) {
     const printer = this.#findMePrinter(id);
-    return printer.tempTriggers;
+    // Printers saved before the thermal watchdog won't have its thresholds yet
+    return { ...tempTriggersDefaults(), ...printer.tempTriggers };
   }
 
   isPrinterActive(id) {
@@ -565,8 +593,13 @@ class PrinterStore {
           'Active',
           oldPrinter._id
         );
+        // The bulk editor only knows about the first camera
+        const cameras = listPrinterCameras(oldPrinter);
         this.updatePrinterDatabase(newPrinterInfo._id, {
           camURL: newPrinterInfo.camURL,
+          ...(cameras.length > 1 && {
+            cameras: [{ ...cameras[0], url: newPrinterInfo.camURL }, ...cameras.slice(1)],
+          }),
         });
 
         if (
@@ -616,10 +649,23 @@ class PrinterStore {
 
   async editPrinterConnectionSettings(settings) {
     const { printer } = settings;
-    const { printerName, printerURL, cameraURL, apikey, currentUser, index, group } = printer;
+    const { printerName, printerURL, cameraURL, cameras, apikey, currentUser, index, group } =
+      printer;
 
     const originalPrinter = this.#findMePrinter(index);
 
+    // The modal sends every camera, the first of which replaces the camera url
+    const cleanCameras = Array.isArray(cameras) ? cleanPrinterCameras(cameras) : null;
+    if (!!cleanCameras) {
+      if (!isEqual(cleanCameras, listPrinterCameras(originalPrinter))) {
+        logger.info('Changed printer cameras', { index, cameras: cleanCameras });
+        this.updatePrinterDatabase(index, {
+          cameras: cleanCameras,
+          camURL: cleanCameras[0]?.url ?? '',
+        });
+      }
+    }
+
     if (!!currentUser && currentUser !== originalPrinter.currentUser && currentUser !== 0) {
       this.updatePrinterDatabase(index, {
         currentUser: currentUser,
@@ -634,7 +680,7 @@ class PrinterStore {
       _id: index,
       settingsAppearance: { ...newPrinterName },
       printerURL: printerURL,
-      camURL: cameraURL,
+      camURL: !!cleanCameras ? cleanCameras[0]?.url : cameraURL,
       apikey: apikey,
       group: group,
     };
@@ -666,6 +712,7 @@ class PrinterStore {
       gcode,
       other,
       quickConnectSettings,
+      bedClearOverride,
     } = settings;
 
     const { index } = printer;
@@ -948,6 +995,13 @@ class PrinterStore {
       enableTimeLapse,
       heatingVariation,
       coolDown,
+      watchdogEnabled,
+      divergenceTolerance,
+      divergenceTime,
+      heatUpTime,
+      idleRiseLimit,
+      bedDropTolerance,
+      anomalyAction,
     } = other;
 
     if (
@@ -959,6 +1013,7 @@ class PrinterStore {
       !!heatingVariation ||
       coolDown
     ) {
+      const previousTriggers = { ...tempTriggersDefaults(), ...originalPrinter?.tempTriggers };
       const tempTriggers = {
         ...(!!heatingVariation
           ? { heatingVariation: parseInt(heatingVariation) }
@@ -966,6 +1021,27 @@ class PrinterStore {
         ...(!!coolDown
           ? { coolDown: parseInt(coolDown) }
           : { coolDown: originalPrinter?.tempTriggers?.coolDown }),
+        ...(typeof watchdogEnabled === 'boolean'
+          ? { watchdogEnabled }
+          : { watchdogEnabled: previousTriggers.watchdogEnabled }),
+        ...(!!divergenceTolerance
+          ? { divergenceTolerance: parseFloat(divergenceTolerance) }
+          : { divergenceTolerance: previousTriggers.divergenceTolerance }),
+        ...(!!divergenceTime
+          ? { divergenceTime: parseInt(divergenceTime) }
+          : { divergenceTime: previousTriggers.divergenceTime }),
+        ...(!!heatUpTime
+          ? { heatUpTime: parseInt(heatUpTime) }
+          : { heatUpTime: previousTriggers.heatUpTime }),
+        ...(!!idleRiseLimit
+          ? { idleRiseLimit: parseFloat(idleRiseLimit) }
+          : { idleRiseLimit: previousTriggers.idleRiseLimit }),
+        ...(!!bedDropTolerance
+          ? { bedDropTolerance: parseFloat(bedDropTolerance) }
+          : { bedDropTolerance: previousTriggers.bedDropTolerance }),
+        ...(Object.values(THERMAL_ACTIONS).includes(anomalyAction)
+          ? { anomalyAction }
+          : { anomalyAction: previousTriggers.anomalyAction }),
       };
       const settingsWebcam = {
         bitrate: originalPrinter.settingsWebcam.bitrate,
@@ -1026,6 +1102,13 @@ class PrinterStore {
       this.updatePrinterDatabase(index, { quickConnectSettings: quickConnectSettingsNew });
     }
 
+    if (typeof bedClearOverride === 'boolean') {
+      this.updatePrinterDatabase(index, {
+        bedClearOverride,
+        ...(bedClearOverride && { awaitingBedClear: false }),
+      });
+    }
+
     originalPrinter.cleanPrintersInformation();
 
     profileCheck = await originalPrinter.updateOctoPrintProfileData(
@@ -1051,9 +1134,7 @@ class PrinterStore {
     });
   }
 
-  listUniqueFolderPaths() {
-    const printers = this.listPrintersInformation();
-
+  listUniqueFolderPaths(printers = this.listPrintersInformation()) {
     const filePathsArray = ['/'];
 
     for (let printer of printers) {
@@ -1069,6 +1150,22 @@ class PrinterStore {
     return filePathsArray;
   }
 
+  listUniqueFilePaths(printers = this.listPrintersInformation()) {
+    const filePathsArray = [];
+
+    for (let printer of printers) {
+      const fileList = printer?.fileList?.fileList;
+      if (fileList) {
+        for (let file of fileList) {
+          if (!filePathsArray.includes(file.fullPath)) {
+            filePathsArray.push(file.fullPath);
+          }
+        }
+      }
+    }
+    return filePathsArray.sort();
+  }
+
   listCommonFilesOnAllPrinters(ids) {
     const uniqueFilesListFromAllPrinters = [];
     // Create unique list of files
@@ -1173,6 +1270,52 @@ class PrinterStore {
     return printer.houseKeepFiles(pathList);
   }
 
+  async selectAndPrintFile(id, fullPath) {
+    const printer = this.#findMePrinter(id);
+    return printer.selectAndPrintFile(fullPath);
+  }
+
+  async pausePrint(id) {
+    const printer = this.#findMePrinter(id);
+    return printer.pausePrint();
+  }
+
+  async cancelPrint(id) {
+    const printer = this.#findMePrinter(id);
+    return printer.cancelPrint();
+  }
+
+  async homePrinter(id) {
+    const printer = this.#findMePrinter(id);
+    return printer.homePrinter();
+  }
+
+  async powerOffPrinter(id) {
+    const printer = this.#findMePrinter(id);
+    return printer.powerOffPrinter();
+  }
+
+  /**
+   * Runs one of PRINTER_COMMANDS, shared by the printer manager route and the MQTT bridge.
+   * @param id
+   * @param command
+   * @returns {Promise<number>} status code from the printer
+   */
+  async runPrinterCommand(id, command) {
+    switch (command) {
+      case PRINTER_COMMANDS.PAUSE:
+        return this.pausePrint(id);
+      case PRINTER_COMMANDS.CANCEL:
+        return this.cancelPrint(id);
+      case PRINTER_COMMANDS.HOME:
+        return this.homePrinter(id);
+      case PRINTER_COMMANDS.POWER_OFF:
+        return this.powerOffPrinter(id);
+      default:
+        throw new ValidationException({ command: `Unknown printer command ${command}` });
+    }
+  }
+
   async deleteAllFilesAndFolders(id) {
     const printer = this.#findMePrinter(id);
     return printer.deleteAllFilesAndFolders();
@@ -1449,6 +1592,38 @@ class PrinterStore {
   resetActiveControlUser(id) {
     this.updatePrinterDatabase(id, { activeControlUser: '' });
   }
+
+  /**
+   * Flags the printers bed as occupied after a print finishes, skipped for belt / auto-ejecting printers.
+   * @param id
+   */
+  flagBedAsOccupied(id) {
+    const printer = this.#findMePrinter(id);
+    if (printer.bedClearOverride) {
+      return;
+    }
+    logger.info(`${printer.printerName}: Awaiting bed clear confirmation`);
+    this.updatePrinterDatabase(id, { awaitingBedClear: true });
+  }
+
+  clearPrinterBed(id) {
+    const printer = this.#findMePrinter(id);
+    if (!printer) {
+      throw new NotFoundException(`Printer ${id} does not exist`);
+    }
+    logger.info(`${printer.printerName}: Bed cleared`);
+    this.updatePrinterDatabase(id, { awaitingBedClear: false });
+  }
+
+  isAwaitingBedClear(id) {
+    const printer = this.#findMePrinter(id);
+    return !!printer?.awaitingBedClear && !printer?.bedClearOverride;
+  }
+
+  isMaintenanceBlocked(id) {
+    const printer = this.#findMePrinter(id);
+    return !!printer?.maintenanceBlocked;
+  }
 }
 
 module.exports = PrinterStore;
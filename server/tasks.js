@@ -8,6 +8,9 @@ const { detectFarmPi } = require('./services/farmpi-detection.service');
 const { getPrinterManagerCache } = require('./cache/printer-manager.cache');
 const { getPrinterStoreCache } = require('./cache/printer-store.cache');
 const { getEventEmitterCache } = require('./cache/event-emitter.cache');
+const { getPrintQueueCache } = require('./cache/print-queue.cache');
+const { getFileUploadQueueCache } = require('./cache/file-upload-queue.cache');
+const { getMaintenanceCache } = require('./cache/maintenance.cache');
 const { updatePrinterHealthChecks } = require('./store/printer-health-checks.store');
 const {
   updatePluginNoticesStore,
@@ -24,6 +27,11 @@ const { LOGGER_ROUTE_KEYS } = require('./constants/logger.constants');
 
 const Logger = require('./handlers/logger');
 const { SettingsClean } = require('./services/settings-cleaner.service');
+const { MqttBridge } = require('./services/mqtt-bridge.service');
+const { checkForStalledPrints } = require('./services/stall-detection.service');
+const { runScheduledBackup } = require('./services/backup.service');
+const { TimelapseRecorder } = require('./services/timelapse-recorder.service');
+const { CameraHealth } = require('./services/printers/camera-health.service');
 const logger = new Logger(LOGGER_ROUTE_KEYS.SERVER_TASKS);
 
 const I_AM_ALIVE = () => {
@@ -42,6 +50,7 @@ const INITIALISE_PRINTERS_TASK = async () => {
     await getEventEmitterCache(),
     await initHistoryCache(),
     await getInfluxCleanerCache(),
+    await getPrintQueueCache().initialiseQueue(),
   ]);
   const pList = getPrinterStoreCache().listPrintersInformation();
   await Promise.allSettled([
@@ -51,6 +60,8 @@ const INITIALISE_PRINTERS_TASK = async () => {
     await getHistoryCache().generateMonthlyStats(),
     await getPrinterManagerCache().generatePrintersStatisticsCache(),
     await getPrinterManagerCache().generatePrintersControlDropList(),
+    await getMaintenanceCache().initialiseMaintenance(),
+    await getFileUploadQueueCache().initialiseQueue(),
     FileClean.statistics(pList),
     await sortCurrentOperations(pList),
     await getPrinterManagerCache().startPrinterEnableQueue(),
@@ -153,6 +164,34 @@ const FILAMENT_CLEAN_TASK = async () => {
   await FilamentClean.start();
 };
 
+const PRINT_QUEUE_DISPATCH_TASK = async () => {
+  await getPrintQueueCache().dispatchQueuedJobs();
+};
+
+const MAINTENANCE_CHECK_TASK = async () => {
+  await getMaintenanceCache().checkMaintenance();
+};
+
+const MQTT_PUBLISH_TASK = () => {
+  MqttBridge.publishFarmState();
+};
+
+const STALL_DETECTION_TASK = () => {
+  checkForStalledPrints();
+};
+
+const BACKUP_SCHEDULE_TASK = async () => {
+  await runScheduledBackup();
+};
+
+const TIMELAPSE_RETENTION_TASK = async () => {
+  await TimelapseRecorder.pruneTimelapses();
+};
+
+const CAMERA_HEALTH_TASK = async () => {
+  await CameraHealth.checkCameraStreams();
+};
+
 /**
  * @param task
  * @param preset
@@ -193,6 +232,13 @@ class OctoFarmTasks {
     TaskStart(GENERATE_PRINTER_SPECIFIC_STATISTICS, TaskPresets.PERIODIC_600000MS),
     TaskStart(I_AM_ALIVE, TaskPresets.PERIODIC_IMMEDIATE_5000_MS),
     TaskStart(PING_PONG_CHECK, TaskPresets.PERIODIC_10000MS),
+    TaskStart(PRINT_QUEUE_DISPATCH_TASK, TaskPresets.PERIODIC_10000MS),
+    TaskStart(MAINTENANCE_CHECK_TASK, TaskPresets.PERIODIC_600000MS),
+    TaskStart(MQTT_PUBLISH_TASK, TaskPresets.PERIODIC_5000MS),
+    TaskStart(STALL_DETECTION_TASK, TaskPresets.PERIODIC, 30000),
+    TaskStart(BACKUP_SCHEDULE_TASK, TaskPresets.PERIODIC_600000MS),
+    TaskStart(TIMELAPSE_RETENTION_TASK, TaskPresets.PERIODIC_600000MS),
+    TaskStart(CAMERA_HEALTH_TASK, TaskPresets.PERIODIC_60000MS),
     // TaskStart(INIT_FILE_UPLOAD_QUEUE, TaskPresets.PERIODIC_2500MS)
   ];
 }
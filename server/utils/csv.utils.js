@@ -0,0 +1,25 @@
+/**
+ * Escapes a value for a CSV cell. Excel and friends will run anything that looks like a formula,
+ * so those cells are escaped too.
+ * @param value
+ * @returns {string}
+ */
+function toCsvCell(value) {
+  let cell = value === undefined || value === null ? '' : String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(cell)) {
+    cell = `'${cell}`;
+  }
+  if (/[",\r\n]/.test(cell)) {
+    cell = `"${cell.replace(/"/g, '""')}"`;
+  }
+  return cell;
+}
+
+function toCsvRow(values) {
+  return values.map(toCsvCell).join(',') + '\r\n';
+}
+
+module.exports = {
+  toCsvCell,
+  toCsvRow,
+};
@@ -0,0 +1,53 @@
+const isContainer = (value) => typeof value === "object" && value !== null;
+
+const escapePointer = (key) => key.toString().replace(/~/g, "~0").replace(/\//g, "~1");
+
+/**
+ * Builds a JSON patch (RFC 6902) turning previous into next. Both sides are expected to be plain
+ * JSON, anything unchanged since the last call should be the same reference so it's skipped
+ * without being walked. Arrays are only walked into when their length is unchanged, otherwise
+ * they are replaced whole.
+ * @param previous
+ * @param next
+ * @param path JSON pointer of the values being compared
+ * @param operations patch being built up
+ * @returns {{op: string, path: string, value?: *}[]}
+ */
+function createPatch(previous, next, path = "", operations = []) {
+  if (previous === next) {
+    return operations;
+  }
+  const comparable =
+    isContainer(previous) &&
+    isContainer(next) &&
+    Array.isArray(previous) === Array.isArray(next) &&
+    (!Array.isArray(next) || previous.length === next.length);
+  if (!comparable) {
+    operations.push({ op: "replace", path, value: next });
+    return operations;
+  }
+
+  for (const key of Object.keys(previous)) {
+    if (!(key in next) || next[key] === undefined) {
+      if (previous[key] !== undefined) {
+        operations.push({ op: "remove", path: `${path}/${escapePointer(key)}` });
+      }
+    }
+  }
+  for (const [key, value] of Object.entries(next)) {
+    if (value === undefined) {
+      continue;
+    }
+    const keyPath = `${path}/${escapePointer(key)}`;
+    if (!(key in previous) || previous[key] === undefined) {
+      operations.push({ op: "add", path: keyPath, value });
+    } else {
+      createPatch(previous[key], value, keyPath, operations);
+    }
+  }
+  return operations;
+}
+
+module.exports = {
+  createPatch
+};
@@ -0,0 +1,190 @@
+const fs = require("fs");
+const { pipeline } = require("stream/promises");
+
+const AVIF_HASINDEX = 0x10;
+const AVIIF_KEYFRAME = 0x10;
+const FRAME_CHUNK_ID = "00dc";
+
+// Start of frame markers, the other 0xCx markers are huffman/arithmetic tables
+const isStartOfFrame = (marker) =>
+  marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+// Markers which stand on their own without a length
+const isStandaloneMarker = (marker) => marker === 0x01 || (marker >= 0xd0 && marker <= 0xd9);
+
+/**
+ * Reads the dimensions out of a JPEG's start of frame marker
+ * @param frame
+ * @returns {null|{width: number, height: number}}
+ */
+function readJpegSize(frame) {
+  if (!Buffer.isBuffer(frame) || frame.readUInt16BE(0) !== 0xffd8) {
+    return null;
+  }
+  let offset = 2;
+  while (offset + 4 <= frame.length) {
+    if (frame[offset] !== 0xff) {
+      return null;
+    }
+    const marker = frame[offset + 1];
+    if (isStandaloneMarker(marker)) {
+      offset += 2;
+      continue;
+    }
+    if (isStartOfFrame(marker) && offset + 9 <= frame.length) {
+      return { height: frame.readUInt16BE(offset + 5), width: frame.readUInt16BE(offset + 7) };
+    }
+    offset += 2 + frame.readUInt16BE(offset + 2);
+  }
+  return null;
+}
+
+function chunk(id, data) {
+  const header = Buffer.alloc(8);
+  header.write(id, 0, "ascii");
+  header.writeUInt32LE(data.length, 4);
+  // Chunks are word aligned, the padding byte isn't counted in the size
+  return Buffer.concat([header, data, Buffer.alloc(data.length % 2)]);
+}
+
+function list(type, ...children) {
+  return chunk("LIST", Buffer.concat([Buffer.from(type, "ascii"), ...children]));
+}
+
+function createHeaders({ width, height, fps, frames, largestFrame }) {
+  const avih = Buffer.alloc(56);
+  avih.writeUInt32LE(Math.round(1000000 / fps), 0);
+  avih.writeUInt32LE(largestFrame * fps, 4);
+  avih.writeUInt32LE(AVIF_HASINDEX, 12);
+  avih.writeUInt32LE(frames, 16);
+  avih.writeUInt32LE(1, 24);
+  avih.writeUInt32LE(largestFrame, 28);
+  avih.writeUInt32LE(width, 32);
+  avih.writeUInt32LE(height, 36);
+
+  const strh = Buffer.alloc(56);
+  strh.write("vids", 0, "ascii");
+  strh.write("MJPG", 4, "ascii");
+  strh.writeUInt32LE(1, 20);
+  strh.writeUInt32LE(fps, 24);
+  strh.writeUInt32LE(frames, 32);
+  strh.writeUInt32LE(largestFrame, 36);
+  strh.writeInt32LE(-1, 40);
+  strh.writeUInt16LE(width, 52);
+  strh.writeUInt16LE(height, 54);
+
+  const strf = Buffer.alloc(40);
+  strf.writeUInt32LE(40, 0);
+  strf.writeInt32LE(width, 4);
+  strf.writeInt32LE(height, 8);
+  strf.writeUInt16LE(1, 12);
+  strf.writeUInt16LE(24, 14);
+  strf.write("MJPG", 16, "ascii");
+  strf.writeUInt32LE(width * height * 3, 20);
+
+  return list("hdrl", chunk("avih", avih), list("strl", chunk("strh", strh), chunk("strf", strf)));
+}
+
+/**
+ * Builds a motion JPEG AVI one frame at a time. Frames go straight into a scratch file as movie
+ * chunks, only their sizes are kept in memory, and the headers and index are written around them
+ * once the frame count is known.
+ */
+class MjpegAviWriter {
+  #scratchPath;
+  #frameSizes = [];
+  #size = null;
+  #writing = Promise.resolve();
+
+  constructor(scratchPath) {
+    this.#scratchPath = scratchPath;
+  }
+
+  get frameCount() {
+    return this.#frameSizes.length;
+  }
+
+  /**
+   * @param frame JPEG, frames that don't match the size of the first one are skipped
+   * @returns {Promise<boolean>} whether the frame was added
+   */
+  addFrame(frame) {
+    const size = readJpegSize(frame);
+    if (!size) {
+      return Promise.resolve(false);
+    }
+    this.#size = this.#size ?? size;
+    if (size.width !== this.#size.width || size.height !== this.#size.height) {
+      return Promise.resolve(false);
+    }
+    // Appends are chained so a slow disk can't interleave two frames
+    const write = this.#writing
+      .then(() => fs.promises.appendFile(this.#scratchPath, chunk(FRAME_CHUNK_ID, frame)))
+      .then(() => {
+        this.#frameSizes.push(frame.length);
+        return true;
+      });
+    // One failed write shouldn't stop the frames after it
+    this.#writing = write.catch(() => false);
+    return write;
+  }
+
+  /**
+   * Writes the finished video and removes the scratch file
+   * @param outputPath
+   * @param fps
+   * @returns {Promise<boolean>} false when there were no frames to write
+   */
+  async finish(outputPath, fps) {
+    await this.#writing;
+    if (this.frameCount === 0) {
+      await this.discard();
+      return false;
+    }
+    const paddedSizes = this.#frameSizes.map((size) => 8 + size + (size % 2));
+    const index = Buffer.alloc(this.frameCount * 16);
+    let offset = 4;
+    paddedSizes.forEach((paddedSize, frame) => {
+      index.write(FRAME_CHUNK_ID, frame * 16, "ascii");
+      index.writeUInt32LE(AVIIF_KEYFRAME, frame * 16 + 4);
+      index.writeUInt32LE(offset, frame * 16 + 8);
+      index.writeUInt32LE(this.#frameSizes[frame], frame * 16 + 12);
+      offset += paddedSize;
+    });
+    const moviSize = offset;
+    const headers = createHeaders({
+      ...this.#size,
+      fps,
+      frames: this.frameCount,
+      largestFrame: Math.max(...this.#frameSizes)
+    });
+    const idx1 = chunk("idx1", index);
+
+    const riffHeader = Buffer.alloc(12);
+    riffHeader.write("RIFF", 0, "ascii");
+    riffHeader.writeUInt32LE(4 + headers.length + 8 + moviSize + idx1.length, 4);
+    riffHeader.write("AVI ", 8, "ascii");
+    const moviHeader = Buffer.alloc(12);
+    moviHeader.write("LIST", 0, "ascii");
+    moviHeader.writeUInt32LE(moviSize, 4);
+    moviHeader.write("movi", 8, "ascii");
+
+    await fs.promises.writeFile(outputPath, Buffer.concat([riffHeader, headers, moviHeader]));
+    await pipeline(
+      fs.createReadStream(this.#scratchPath),
+      fs.createWriteStream(outputPath, { flags: "a" })
+    );
+    await fs.promises.appendFile(outputPath, idx1);
+    await this.discard();
+    return true;
+  }
+
+  async discard() {
+    await this.#writing;
+    await fs.promises.rm(this.#scratchPath, { force: true });
+  }
+}
+
+module.exports = {
+  readJpegSize,
+  MjpegAviWriter
+};
@@ -0,0 +1,79 @@
+const { ROLE_PERMISSIONS, PERMISSIONS } = require("../constants/permission.constants");
+const { SettingsClean } = require("../services/settings-cleaner.service");
+
+const getUserPermissions = (user) => {
+  return ROLE_PERMISSIONS[user?.group] || [];
+};
+
+const userHasPermission = (user, permission) => {
+  return getUserPermissions(user).includes(permission);
+};
+
+// An empty printer group list means the user isn't restricted
+const userCanAccessPrinter = (user, printer) => {
+  const printerGroups = user?.printerGroups || [];
+  if (printerGroups.length === 0) {
+    return true;
+  }
+  return printerGroups.includes(printer?.group);
+};
+
+const filterPrintersForUser = (printers, user) => {
+  return printers.filter((printer) => userCanAccessPrinter(user, printer));
+};
+
+/**
+ * An OctoPrint API key gives full control of the printer without going through OctoFarm, so only
+ * administrators get to see them, and never over a read only API key.
+ * @param printers
+ * @param req
+ * @returns {*[]} the printers, without their apikey when the request isn't allowed it
+ */
+const hidePrinterAPIKeys = (printers, req) => {
+  if (SettingsClean.returnSystemSettings()?.server?.loginRequired === false) {
+    return printers;
+  }
+  const isAdministrator = userHasPermission(req?.user, PERMISSIONS.SYSTEM_SETTINGS);
+  if (isAdministrator && !req?.authInfo?.apiKeyReadOnly) {
+    return printers;
+  }
+  return printers.map(({ apikey, ...printer }) => printer);
+};
+
+/**
+ * Drops queued jobs aimed at groups the user can't see, and assignments or bed clears for printers
+ * they can't see.
+ * @param queueState from the print queue store
+ * @param printers the printers the user is allowed to see
+ * @param user
+ * @returns {{jobs: *[], awaitingBedClear: *[]}}
+ */
+const filterQueueStateForUser = (queueState, printers, user) => {
+  const printerGroups = user?.printerGroups || [];
+  if (printerGroups.length === 0) {
+    return queueState;
+  }
+  const printerIDs = printers.map((printer) => printer._id.toString());
+  return {
+    jobs: queueState.jobs
+      .filter((job) => !job.targetGroup || printerGroups.includes(job.targetGroup))
+      .map((job) => ({
+        ...job,
+        assignments: job.assignments.filter((assignment) =>
+          printerIDs.includes(assignment.printerID.toString())
+        )
+      })),
+    awaitingBedClear: queueState.awaitingBedClear.filter((printer) =>
+      printerIDs.includes(printer._id.toString())
+    )
+  };
+};
+
+module.exports = {
+  getUserPermissions,
+  userHasPermission,
+  userCanAccessPrinter,
+  filterPrintersForUser,
+  hidePrinterAPIKeys,
+  filterQueueStateForUser
+};
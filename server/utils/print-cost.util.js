@@ -11,16 +11,42 @@ function getMaintenanceCosts(printTime, costSettings) {
     // Attempt to update cost settings in history...
     return noCostSettingsMessage;
   }
-  // calculating printer cost
+  return getDepreciationCosts(printTime, costSettings) + getUpkeepCosts(printTime, costSettings);
+}
+
+/**
+ * Share of the printers purchase price used up over the print time
+ * @param printTime
+ * @param costSettings
+ * @returns {number|string}
+ */
+function getDepreciationCosts(printTime, costSettings) {
+  if (!costSettings) {
+    return noCostSettingsMessage;
+  }
   const purchasePrice = parseFloat(costSettings.purchasePrice);
   const lifespan = parseFloat(costSettings.estimateLifespan);
   const depreciationPerHour = lifespan > 0 ? purchasePrice / lifespan : 0;
+
+  const cost = depreciationPerHour * getEstimatedPrintTime(printTime);
+
+  return !!cost ? cost : 0;
+}
+
+/**
+ * Running maintenance over the print time, without the printers depreciation
+ * @param printTime
+ * @param costSettings
+ * @returns {number|string}
+ */
+function getUpkeepCosts(printTime, costSettings) {
+  if (!costSettings) {
+    return noCostSettingsMessage;
+  }
   const maintenancePerHour = parseFloat(costSettings.maintenanceCosts);
-  const estimatedPrintTime = getEstimatedPrintTime(printTime);
 
-  const cost = (depreciationPerHour + maintenancePerHour) * estimatedPrintTime;
+  const cost = maintenancePerHour * getEstimatedPrintTime(printTime);
 
-  // assembling string
   return !!cost ? cost : 0;
 }
 
@@ -45,5 +71,7 @@ function getElectricityCosts(printTime, costSettings) {
 module.exports = {
   noCostSettingsMessage,
   getMaintenanceCosts,
+  getDepreciationCosts,
+  getUpkeepCosts,
   getElectricityCosts
 };
@@ -0,0 +1,33 @@
+const escapeLabelValue = (value) =>
+  String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, "\\\"")
+    .replace(/\n/g, "\\n");
+
+const formatLabels = (labels = {}) => {
+  const pairs = Object.entries(labels).map(
+    ([key, value]) => `${key}="${escapeLabelValue(value)}"`
+  );
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+};
+
+/**
+ * Formats one metric family in the Prometheus text format. Samples without a usable number are
+ * left out rather than reported as zero.
+ * @param metric {name, help, type} from METRICS
+ * @param samples [{labels, value}]
+ * @returns {string}
+ */
+const formatMetric = ({ name, help, type }, samples) => {
+  const lines = samples
+    .filter((sample) => sample.value !== null && Number.isFinite(Number(sample.value)))
+    .map((sample) => `${name}${formatLabels(sample.labels)} ${Number(sample.value)}`);
+  if (lines.length === 0) {
+    return "";
+  }
+  return `# HELP ${name} ${help}\n# TYPE ${name} ${type}\n${lines.join("\n")}\n`;
+};
+
+module.exports = {
+  formatMetric
+};
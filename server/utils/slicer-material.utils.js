@@ -0,0 +1,62 @@
+const { SLICER_MATERIALS } = require('../constants/filament-check.constants');
+
+/**
+ * Works out which material a file was sliced for. Moonraker hands over the slicers filament type
+ * in its metadata, OctoPrint doesn't so the file name is checked for a known material instead.
+ * @param entry file entry from OctoPrint or converted from moonraker
+ * @returns {string} the material, or an empty string when it can't be told
+ */
+function getSlicerMaterial(entry) {
+  if (typeof entry?.material === 'string' && entry.material.trim().length > 0) {
+    return entry.material.trim();
+  }
+  const tokens = (entry?.name || '')
+    .replace(/\.[^.]+$/, '')
+    .toUpperCase()
+    .split(/[^A-Z0-9]+/);
+  return tokens.find((token) => SLICER_MATERIALS.includes(token)) || '';
+}
+
+/**
+ * Multi material files list one material per tool, separated by a semicolon.
+ * @param material
+ * @param tool
+ * @returns {string}
+ */
+function getToolMaterial(material, tool) {
+  const materials = (material || '').split(';').map((m) => m.trim());
+  return materials[tool] || materials[0] || '';
+}
+
+/**
+ * Pulls what else the slicer recorded about a file that decides which printer can run it. OctoPrint
+ * analyses the model dimensions, moonraker only knows the height but adds nozzle and colours.
+ * @param entry file entry from OctoPrint or converted from moonraker
+ * @returns {{dimensions: *, nozzleDiameter: number|null, colours: string[]}}
+ */
+function getSlicerRequirements(entry) {
+  const dimensions = entry?.gcodeAnalysis?.dimensions ?? entry?.dimensions;
+  return {
+    dimensions: !!dimensions
+      ? {
+          width: dimensions.width ?? null,
+          depth: dimensions.depth ?? null,
+          height: dimensions.height ?? null,
+        }
+      : null,
+    nozzleDiameter: typeof entry?.nozzleDiameter === 'number' ? entry.nozzleDiameter : null,
+    colours: Array.isArray(entry?.colours) ? entry.colours : [],
+  };
+}
+
+function isSameMaterial(a, b) {
+  const normalise = (material) => material.toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return normalise(a) === normalise(b);
+}
+
+module.exports = {
+  getSlicerMaterial,
+  getSlicerRequirements,
+  getToolMaterial,
+  isSameMaterial,
+};
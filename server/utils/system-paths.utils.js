@@ -2,6 +2,8 @@ const { join } = require("path");
 const systemRoot = "../";
 const logFolder = "logs";
 const imagesFolder = "images";
+const backupsFolder = "backups";
+const fileLibraryFolder = "file-library";
 
 function getLogsPath() {
   return join(systemRoot, logFolder);
@@ -11,4 +13,12 @@ function getImagesPath() {
   return join(systemRoot, imagesFolder);
 }
 
-module.exports = { getLogsPath, systemRoot, getImagesPath };
+function getBackupsPath() {
+  return join(systemRoot, backupsFolder);
+}
+
+function getFileLibraryPath() {
+  return join(systemRoot, fileLibraryFolder);
+}
+
+module.exports = { getLogsPath, systemRoot, getImagesPath, getBackupsPath, getFileLibraryPath };
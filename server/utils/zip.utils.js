@@ -1,6 +1,12 @@
-const { createWriteStream, createReadStream } = require("fs");
-const { join } = require("path");
+const { createWriteStream, createReadStream, promises: fsPromises } = require("fs");
+const { once } = require("events");
+const { pipeline } = require("stream/promises");
+const { Transform } = require("stream");
+const { promisify } = require("util");
+const { join, resolve, dirname, sep } = require("path");
 const archiver = require("archiver");
+const yauzl = require("yauzl");
+const CRC32 = require("crc-32");
 const Logger = require("../handlers/logger.js");
 const { LOGGER_ROUTE_KEYS } = require("../constants/logger.constants");
 const logger = new Logger(LOGGER_ROUTE_KEYS.UTILS_ZIP);
@@ -9,9 +15,24 @@ const { getLogsPath } = require("../utils/system-paths.utils.js");
 
 const { checkIfFileFileExistsAndDeleteIfSo } = require("../utils/file.utils.js");
 
-async function createZipFile(fileName, filePaths) {
+// Backups are the biggest archives OctoFarm unpacks, these leave plenty of room for a large history
+const ZIP_MAX_ENTRIES = 200000;
+const ZIP_MAX_BYTES = 16 * 1024 * 1024 * 1024;
+
+const openZipFile = promisify(yauzl.open);
+const openEntryStream = (zipFile, entry) => promisify(zipFile.openReadStream.bind(zipFile))(entry);
+
+/**
+ * Zips up the given files, each entry either points at a file on disk with "path" or carries its
+ * "content" as a string, buffer or stream.
+ * @param fileName
+ * @param filePaths [{ name, path }] or [{ name, content }]
+ * @param folder where to write the zip, defaults to the logs folder
+ * @returns {Promise<string>} path of the zip file, rejects and removes the partial zip on failure
+ */
+async function createZipFile(fileName, filePaths, folder = getLogsPath()) {
   // create a file to stream archive data to.
-  const currentZipFile = join(getLogsPath(), fileName);
+  const currentZipFile = join(folder, fileName);
 
   // Make sure existing zip files have been cleared from the system before continuing.
   await checkIfFileFileExistsAndDeleteIfSo(currentZipFile);
@@ -26,8 +47,10 @@ async function createZipFile(fileName, filePaths) {
     logger.warning("Warning generated from zip function | ", e);
   });
 
-  archive.on("error", function (e) {
-    throw e;
+  // Throwing from the listener would be uncaught and take the server down with a scheduled backup
+  const failed = new Promise((resolve, reject) => {
+    archive.on("error", reject);
+    output.on("error", reject);
   });
 
   // pipe archive data to the file
@@ -35,13 +58,115 @@ async function createZipFile(fileName, filePaths) {
 
   // Again just always used forEach on arrays, let me know!
   filePaths.forEach((logs) => {
-    archive.append(createReadStream(logs?.path), { name: logs?.name });
+    archive.append(logs?.content ?? createReadStream(logs?.path), { name: logs?.name });
   });
 
-  // finalise the file as we've appended all of the files sent.
-  await archive.finalize();
+  try {
+    // finalise the file as we've appended all of the files sent.
+    // finalize() resolves before the last bytes hit the disk
+    await Promise.race([
+      archive.finalize().then(() => (output.closed ? null : once(output, "close"))),
+      failed
+    ]);
+  } catch (e) {
+    archive.abort();
+    output.destroy();
+    await checkIfFileFileExistsAndDeleteIfSo(currentZipFile);
+    throw e;
+  }
 
   return currentZipFile;
 }
 
-module.exports = { createZipFile };
+function readNextEntry(zipFile) {
+  return new Promise((resolve, reject) => {
+    const removeListeners = () => {
+      zipFile.off("entry", onEntry);
+      zipFile.off("end", onEnd);
+      zipFile.off("error", onError);
+    };
+    const onEntry = (entry) => {
+      removeListeners();
+      resolve(entry);
+    };
+    const onEnd = () => {
+      removeListeners();
+      resolve(null);
+    };
+    const onError = (e) => {
+      removeListeners();
+      reject(e);
+    };
+    zipFile.on("entry", onEntry);
+    zipFile.on("end", onEnd);
+    zipFile.on("error", onError);
+    zipFile.readEntry();
+  });
+}
+
+// yauzl checks each entry inflates to the size it claims, but not that the data is intact
+function checkCrc32(entry) {
+  let crc = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      crc = CRC32.buf(chunk, crc);
+      callback(null, chunk);
+    },
+    flush(callback) {
+      if (crc >>> 0 !== entry.crc32) {
+        return callback(new Error(`Zip entry ${entry.fileName} failed its CRC check`));
+      }
+      callback();
+    }
+  });
+}
+
+/**
+ * Extracts a zip file into a folder. Entries which would land outside of it, archives with too
+ * many entries or which inflate past the size limit, and corrupt entries are refused.
+ * @param zipPath
+ * @param destination
+ * @param limits maxEntries and maxBytes, the total size of the extracted files
+ * @returns {Promise<string[]>} names of the extracted entries
+ */
+async function extractZipFile(
+  zipPath,
+  destination,
+  { maxEntries = ZIP_MAX_ENTRIES, maxBytes = ZIP_MAX_BYTES } = {}
+) {
+  const root = resolve(destination);
+  const zipFile = await openZipFile(zipPath, { lazyEntries: true });
+  const names = [];
+  try {
+    if (zipFile.entryCount > maxEntries) {
+      throw new Error(`Zip has ${zipFile.entryCount} entries, more than the ${maxEntries} allowed`);
+    }
+    let totalBytes = 0;
+    let entry;
+    while ((entry = await readNextEntry(zipFile))) {
+      const target = resolve(root, entry.fileName);
+      if (!target.startsWith(root + sep)) {
+        throw new Error(`Zip entry ${entry.fileName} points outside of the extract folder`);
+      }
+      names.push(entry.fileName);
+      if (entry.fileName.endsWith("/")) {
+        await fsPromises.mkdir(target, { recursive: true });
+        continue;
+      }
+      totalBytes += entry.uncompressedSize;
+      if (totalBytes > maxBytes) {
+        throw new Error(`Zip extracts to more than the ${maxBytes} bytes allowed`);
+      }
+      await fsPromises.mkdir(dirname(target), { recursive: true });
+      const data = await openEntryStream(zipFile, entry);
+      await pipeline(data, checkCrc32(entry), createWriteStream(target));
+    }
+  } finally {
+    if (zipFile.isOpen) {
+      zipFile.close();
+    }
+  }
+  return names;
+}
+
+module.exports = { createZipFile, extractZipFile };